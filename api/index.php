@@ -2,8 +2,617 @@
 
 declare(strict_types=1);
 
+use Phalcon\Http\Response;
 use Phalcon\Mvc\Micro;
 
+require __DIR__ . '/transactions.php';
+
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v2/userinfo';
+
+// What each role may do; keep in sync with web/src/lib/access/roles.ts
+const ROLE_PERMISSIONS = [
+    'owner' => ['data:read', 'data:write', 'members:manage'],
+    'member' => ['data:read', 'data:write'],
+    'viewer' => ['data:read'],
+];
+
+// Access levels on a wallet shared in a household; keep in sync with
+// web/src/lib/households/households.ts
+const WALLET_PERMISSIONS = ['owner', 'editor', 'viewer'];
+
+// How long a household invitation link stays valid
+const HOUSEHOLD_LINK_TTL = 7 * 24 * 60 * 60;
+
+// How long an emailed sign-in link stays valid
+const EMAIL_LINK_TTL = 15 * 60;
+
+// How often a device's last activity is written down
+const SESSION_SEEN_INTERVAL = 5 * 60;
+
+$config = [
+    // OAuth client the web app signs in with; tokens for other clients are rejected
+    'googleClientId' => getenv('GOOGLE_CLIENT_ID') ?: '',
+    // Web origins allowed to call the API with credentials (comma separated)
+    'allowedOrigins' => array_filter(
+        array_map('trim', explode(',', getenv('CORS_ALLOWED_ORIGINS') ?: 'https://kantonq.com')),
+    ),
+    // JSON file holding the invitation allowlist
+    'invitationsFile' => getenv('INVITATIONS_FILE') ?: __DIR__ . '/data/invitations.json',
+    // Directory with one JSON file per household (members, shared wallets and their transactions)
+    'householdsDir' => getenv('HOUSEHOLDS_DIR') ?: __DIR__ . '/data/households',
+    // Emails invited as owners when the allowlist is first created (comma separated)
+    'ownerEmails' => array_filter(
+        array_map('normalizeEmail', explode(',', getenv('OWNER_EMAILS') ?: '')),
+    ),
+    // JSON file holding unused email sign-in links (hashed tokens)
+    'emailLinksFile' => getenv('EMAIL_LINKS_FILE') ?: __DIR__ . '/data/email-links.json',
+    // SMTP server sending sign-in links, e.g. a mail catcher on 127.0.0.1:1025;
+    // email sign-in is disabled without one
+    'smtpHost' => getenv('SMTP_HOST') ?: '',
+    'smtpPort' => (int) (getenv('SMTP_PORT') ?: 25),
+    'mailFrom' => getenv('MAIL_FROM') ?: 'no-reply@kantonq.com',
+    // JSON file listing the devices each user is signed in on (hashed session ids)
+    'sessionsFile' => getenv('SESSIONS_FILE') ?: __DIR__ . '/data/sessions.json',
+];
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(mixed $data, int $status = 200): Response
+{
+    $response = new Response();
+    $response->setStatusCode($status);
+    $response->setJsonContent($data);
+
+    return $response;
+}
+
+/**
+ * Build a JSON error response: { "error": { "code", "message" } }
+ */
+function errorResponse(int $status, string $code, string $message): Response
+{
+    return jsonResponse(['error' => ['code' => $code, 'message' => $message]], $status);
+}
+
+/**
+ * GET a Google endpoint and decode its JSON body, null on any failure
+ *
+ * @param list<string> $headers
+ * @return array<string, mixed>|null
+ */
+function fetchGoogleJson(string $url, array $headers = []): ?array
+{
+    $context = stream_context_create([
+        'http' => [
+            'header' => implode("\r\n", $headers),
+            'ignore_errors' => true,
+            'timeout' => 10,
+        ],
+    ]);
+
+    $body = @file_get_contents($url, false, $context);
+    if ($body === false) {
+        return null;
+    }
+
+    $data = json_decode($body, true);
+    if (!is_array($data) || isset($data['error']) || isset($data['error_description'])) {
+        return null;
+    }
+
+    return $data;
+}
+
+/**
+ * The user stored in the current session, if any
+ *
+ * @return array<string, mixed>|null
+ */
+function sessionUser(): ?array
+{
+    return $_SESSION['user'] ?? null;
+}
+
+/**
+ * Send a plain-text email over SMTP, false when the server refuses it
+ * No authentication or TLS: the server is a local relay or a mail catcher
+ *
+ * @param array<string, mixed> $config
+ */
+function sendMail(array $config, string $to, string $subject, string $body): bool
+{
+    $smtp = @stream_socket_client('tcp://' . $config['smtpHost'] . ':' . $config['smtpPort'], $errno, $error, 10);
+    if ($smtp === false) {
+        return false;
+    }
+    stream_set_timeout($smtp, 10);
+
+    // Replies can span lines ("250-..."); the last one has a space after the code
+    $expect = function (string $code) use ($smtp): bool {
+        while (($line = fgets($smtp)) !== false) {
+            if (strlen($line) < 4 || $line[3] !== '-') {
+                return str_starts_with($line, $code);
+            }
+        }
+
+        return false;
+    };
+    $command = function (string $line, string $code) use ($smtp, $expect): bool {
+        fwrite($smtp, $line . "\r\n");
+
+        return $expect($code);
+    };
+
+    $message = implode("\r\n", [
+        'From: Kantonq <' . $config['mailFrom'] . '>',
+        'To: <' . $to . '>',
+        'Subject: ' . $subject,
+        'Date: ' . gmdate(DATE_RFC2822),
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        '',
+        // A line with a single dot would end the message early
+        preg_replace('/^\./m', '..', str_replace("\n", "\r\n", $body)),
+    ]);
+
+    $sent = $expect('220')
+        && $command('EHLO ' . (gethostname() ?: 'localhost'), '250')
+        && $command('MAIL FROM:<' . $config['mailFrom'] . '>', '250')
+        && $command('RCPT TO:<' . $to . '>', '250')
+        && $command('DATA', '354')
+        && $command($message . "\r\n.", '250');
+
+    fwrite($smtp, "QUIT\r\n");
+    fclose($smtp);
+
+    return $sent;
+}
+
+/**
+ * Emails are compared without case or surrounding spaces
+ */
+function normalizeEmail(string $email): string
+{
+    return strtolower(trim($email));
+}
+
+/**
+ * Read the invitation allowlist, keyed by email
+ * The first read creates it with the configured owners
+ *
+ * @param array<string, mixed> $config
+ * @return array<string, array<string, mixed>>
+ */
+function readInvitations(array $config): array
+{
+    return updateInvitations($config, fn (array &$invitations) => $invitations);
+}
+
+/**
+ * Read and change a JSON file under an exclusive lock
+ * `$change` edits the decoded data in place and returns the handler's result;
+ * `$initial` provides the data when the file is new or empty
+ *
+ * @param callable(mixed&): mixed $change
+ * @param callable(): mixed $initial
+ */
+function updateJsonFile(string $path, callable $change, callable $initial): mixed
+{
+    if (!is_dir(dirname($path)) && !mkdir(dirname($path), 0o770, true) && !is_dir(dirname($path))) {
+        throw new RuntimeException('Cannot create ' . dirname($path));
+    }
+
+    $handle = fopen($path, 'c+');
+    if ($handle === false || !flock($handle, LOCK_EX)) {
+        throw new RuntimeException('Cannot open ' . $path);
+    }
+
+    try {
+        $contents = stream_get_contents($handle);
+        $data = $contents ? json_decode($contents, true, flags: JSON_THROW_ON_ERROR) : $initial();
+
+        $before = $data;
+        $result = $change($data);
+
+        if ($data !== $before || !$contents) {
+            ftruncate($handle, 0);
+            rewind($handle);
+            fwrite($handle, json_encode($data, JSON_PRETTY_PRINT | JSON_THROW_ON_ERROR));
+            fflush($handle);
+        }
+
+        return $result;
+    } finally {
+        flock($handle, LOCK_UN);
+        fclose($handle);
+    }
+}
+
+/**
+ * Change the invitation allowlist under an exclusive lock
+ * `$change` edits the list in place and returns the handler's result
+ *
+ * @param array<string, mixed> $config
+ * @param callable(array<string, array<string, mixed>>&): mixed $change
+ */
+function updateInvitations(array $config, callable $change): mixed
+{
+    return updateJsonFile($config['invitationsFile'], $change, function () use ($config) {
+        $invitations = [];
+        foreach ($config['ownerEmails'] as $email) {
+            $invitations[$email] = newInvitation($email, 'owner', null);
+        }
+
+        return $invitations;
+    });
+}
+
+/**
+ * @return array<string, mixed>
+ */
+function newInvitation(string $email, string $role, ?string $invitedBy): array
+{
+    return [
+        'email' => $email,
+        'role' => $role,
+        'invitedBy' => $invitedBy,
+        'invitedAt' => now(),
+        'acceptedAt' => null,
+    ];
+}
+
+/**
+ * Number of owners left in the allowlist
+ *
+ * @param array<string, array<string, mixed>> $invitations
+ */
+function countOwners(array $invitations): int
+{
+    return count(array_filter($invitations, fn (array $item) => $item['role'] === 'owner'));
+}
+
+/**
+ * Read `{ email?, role }` from the request body
+ *
+ * @return array{email: string, role: string}|Response
+ */
+function invitationInput(Micro $app): array|Response
+{
+    $body = $app->request->getJsonRawBody(true);
+    $email = normalizeEmail(is_array($body) ? (string) ($body['email'] ?? '') : '');
+    $role = is_array($body) ? (string) ($body['role'] ?? '') : '';
+
+    if (!array_key_exists($role, ROLE_PERMISSIONS)) {
+        return errorResponse(400, 'invalid_role', 'Role must be owner, member or viewer');
+    }
+
+    return ['email' => $email, 'role' => $role];
+}
+
+/**
+ * Handle of the current session in the device list
+ * The session id itself never leaves the cookie
+ */
+function sessionKey(): string
+{
+    return hash('sha256', session_id());
+}
+
+/**
+ * Change the device lists under an exclusive lock, keyed by email and then
+ * session handle; sessions idle for longer than PHP keeps them are dropped
+ *
+ * @param array<string, mixed> $config
+ * @param callable(array<string, array<string, array<string, string>>>&): mixed $change
+ */
+function updateSessions(array $config, callable $change): mixed
+{
+    $idleSince = gmdate('Y-m-d\TH:i:s\Z', time() - (int) ini_get('session.gc_maxlifetime'));
+
+    return updateJsonFile($config['sessionsFile'], function (array &$sessions) use ($change, $idleSince) {
+        foreach ($sessions as $email => $devices) {
+            $devices = array_filter($devices, fn (array $device) => $device['lastSeenAt'] >= $idleSince);
+            if ($devices === []) {
+                unset($sessions[$email]);
+            } else {
+                $sessions[$email] = $devices;
+            }
+        }
+
+        return $change($sessions);
+    }, fn () => []);
+}
+
+/**
+ * Add the current session to the user's devices, in place of the one it
+ * was regenerated from
+ *
+ * @param array<string, mixed> $config
+ */
+function registerSession(array $config, string $email, ?string $replaces = null): void
+{
+    $key = sessionKey();
+    $userAgent = substr((string) ($_SERVER['HTTP_USER_AGENT'] ?? ''), 0, 300);
+
+    updateSessions($config, function (array &$sessions) use ($email, $key, $replaces, $userAgent) {
+        if ($replaces !== null) {
+            foreach (array_keys($sessions) as $owner) {
+                unset($sessions[$owner][$replaces]);
+            }
+        }
+        $sessions[$email][$key] = [
+            'userAgent' => $userAgent,
+            'createdAt' => now(),
+            'lastSeenAt' => now(),
+        ];
+    });
+    $_SESSION['registered'] = true;
+}
+
+/**
+ * The signed-in user, with their current role, when they hold a permission
+ * Users removed from the allowlist lose their session
+ *
+ * @param array<string, mixed> $config
+ * @return array<string, mixed>|Response
+ */
+function authorize(array $config, ?string $permission = null): array|Response
+{
+    $user = sessionUser();
+    if ($user === null) {
+        return errorResponse(401, 'unauthorized', 'Not signed in');
+    }
+
+    $invitation = readInvitations($config)[normalizeEmail($user['email'])] ?? null;
+    if ($invitation === null) {
+        $_SESSION = [];
+        session_destroy();
+
+        return errorResponse(401, 'unauthorized', 'Your access to Kantonq has been removed');
+    }
+
+    // A session missing from the list was signed out from another device;
+    // sessions started before the list existed join it
+    $email = normalizeEmail($user['email']);
+    $key = sessionKey();
+    $listed = updateSessions($config, function (array &$sessions) use ($email, $key) {
+        $device = $sessions[$email][$key] ?? null;
+        if ($device !== null && strtotime($device['lastSeenAt']) < time() - SESSION_SEEN_INTERVAL) {
+            $sessions[$email][$key]['lastSeenAt'] = now();
+        }
+
+        return $device !== null;
+    });
+    if (!$listed) {
+        if ($_SESSION['registered'] ?? false) {
+            $_SESSION = [];
+            session_destroy();
+
+            return errorResponse(401, 'unauthorized', 'You have been signed out on this device');
+        }
+        registerSession($config, $email);
+    }
+
+    $user['role'] = $invitation['role'];
+    $_SESSION['user'] = $user;
+
+    if ($permission !== null && !in_array($permission, ROLE_PERMISSIONS[$user['role']], true)) {
+        return errorResponse(403, 'forbidden', 'You do not have permission to do this');
+    }
+
+    return $user;
+}
+
+/**
+ * Current time as an ISO 8601 UTC timestamp
+ */
+function now(): string
+{
+    return gmdate('Y-m-d\TH:i:s\Z');
+}
+
+/**
+ * Path of a household's file, null for a malformed id
+ *
+ * @param array<string, mixed> $config
+ */
+function householdPath(array $config, string $id): ?string
+{
+    return preg_match('/^[a-f0-9]{32}$/', $id) ? $config['householdsDir'] . '/' . $id . '.json' : null;
+}
+
+/**
+ * Change a household the user belongs to under an exclusive lock
+ * `$change` receives the household and the user's membership
+ *
+ * @param array<string, mixed> $config
+ * @param callable(array<string, mixed>&, array<string, mixed>): mixed $change
+ */
+function updateHousehold(array $config, string $id, string $email, callable $change): mixed
+{
+    $path = householdPath($config, $id);
+    if ($path === null || !is_file($path)) {
+        return errorResponse(404, 'not_found', 'Household not found');
+    }
+
+    return updateJsonFile($path, function (?array &$household) use ($email, $change) {
+        $member = $household['members'][$email] ?? null;
+        if ($member === null) {
+            return errorResponse(404, 'not_found', 'Household not found');
+        }
+
+        return $change($household, $member);
+    }, fn () => null);
+}
+
+/**
+ * Add someone to a household, or refresh the name of an existing member
+ *
+ * @param array<string, mixed> $household
+ * @param array<string, mixed> $user
+ */
+function joinHousehold(array &$household, array $user, string $role = 'member'): void
+{
+    $email = normalizeEmail($user['email']);
+    $household['members'][$email] ??= [
+        'email' => $email,
+        'name' => null,
+        'role' => $role,
+        'invitedBy' => null,
+        'joinedAt' => null,
+    ];
+    $household['members'][$email]['name'] = $user['name'] ?: null;
+    $household['members'][$email]['joinedAt'] ??= now();
+}
+
+/**
+ * A household as one member sees it: only the wallets shared with them,
+ * everyone's permissions only on wallets they own, and invitation links
+ * only for household owners
+ *
+ * @param array<string, mixed> $household
+ * @return array<string, mixed>
+ */
+function householdView(array $household, string $email): array
+{
+    $role = $household['members'][$email]['role'];
+    $wallets = [];
+    foreach ($household['wallets'] as $wallet) {
+        $permission = $wallet['permissions'][$email] ?? null;
+        if ($permission === null) {
+            continue;
+        }
+        $wallets[] = [
+            ...$wallet,
+            'permission' => $permission,
+            'permissions' => $permission === 'owner' ? $wallet['permissions'] : [$email => $permission],
+        ];
+    }
+
+    return [
+        'id' => $household['id'],
+        'name' => $household['name'],
+        'createdAt' => $household['createdAt'],
+        'role' => $role,
+        'members' => array_values($household['members']),
+        'wallets' => $wallets,
+        'links' => $role === 'owner' ? array_values(array_filter(
+            $household['links'],
+            fn (array $link) => $link['expiresAt'] > now(),
+        )) : [],
+    ];
+}
+
+/**
+ * Check the user's access to a shared wallet, returning an error response
+ * when they have none or not one of the allowed levels
+ *
+ * @param array<string, mixed> $household
+ * @param list<string> $allowed
+ */
+function walletAccess(array $household, string $walletId, string $email, array $allowed): ?Response
+{
+    $permission = $household['wallets'][$walletId]['permissions'][$email] ?? null;
+    if ($permission === null) {
+        return errorResponse(404, 'not_found', 'Wallet not found');
+    }
+    if (!in_array($permission, $allowed, true)) {
+        return errorResponse(403, 'forbidden', 'You can only view this wallet');
+    }
+
+    return null;
+}
+
+/**
+ * Find the household an invitation link belongs to and add the user to it
+ *
+ * @param array<string, mixed> $config
+ * @param array<string, mixed> $user
+ * @return array<string, mixed>|null The household as the user now sees it
+ */
+function joinByLink(array $config, string $token, array $user): ?array
+{
+    foreach (glob($config['householdsDir'] . '/*.json') ?: [] as $path) {
+        $joined = updateJsonFile($path, function (?array &$household) use ($token, $user) {
+            $link = $household['links'][$token] ?? null;
+            if ($link === null || $link['expiresAt'] <= now()) {
+                return null;
+            }
+            joinHousehold($household, $user);
+
+            return householdView($household, normalizeEmail($user['email']));
+        }, fn () => null);
+
+        if ($joined !== null) {
+            return $joined;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Open a session for a user whose address is invited
+ * A household invitation link only adds the user to that household; it
+ * does not let anyone in to Kantonq
+ *
+ * @param array<string, mixed> $config
+ * @param array<string, mixed> $user
+ */
+function startSession(array $config, array $user, bool $verified, string $inviteToken, string $notInvited): Response
+{
+    $email = $user['email'];
+    $role = updateInvitations($config, function (array &$invitations) use ($email, $verified) {
+        if (!$verified || !isset($invitations[$email])) {
+            return null;
+        }
+        $invitations[$email]['acceptedAt'] ??= now();
+
+        return $invitations[$email]['role'];
+    });
+    if ($role === null) {
+        return errorResponse(403, 'not_invited', $notInvited);
+    }
+    if ($inviteToken !== '') {
+        joinByLink($config, $inviteToken, $user);
+    }
+
+    $previous = ($_SESSION['registered'] ?? false) ? sessionKey() : null;
+    session_regenerate_id(true);
+    $_SESSION['user'] = [...$user, 'role' => $role];
+    registerSession($config, $email, $previous);
+
+    return jsonResponse(['user' => $_SESSION['user']]);
+}
+
+// CORS: the web app lives on another origin and sends the session cookie
+$origin = $_SERVER['HTTP_ORIGIN'] ?? '';
+if (in_array($origin, $config['allowedOrigins'], true)) {
+    header('Access-Control-Allow-Origin: ' . $origin);
+    header('Access-Control-Allow-Credentials: true');
+    header('Vary: Origin');
+}
+
+if (($_SERVER['REQUEST_METHOD'] ?? 'GET') === 'OPTIONS') {
+    header('Access-Control-Allow-Methods: GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type, Accept');
+    header('Access-Control-Max-Age: 600');
+    http_response_code(204);
+    exit;
+}
+
+session_name('kantonq_session');
+session_set_cookie_params([
+    'lifetime' => 0,
+    'path' => '/',
+    'secure' => true,
+    'httponly' => true,
+    'samesite' => 'None',
+]);
+session_start();
+
 $app = new Micro();
 
 $app->get(
@@ -13,6 +622,823 @@ $app->get(
     }
 );
 
+/**
+ * Exchange a Google access token for a backend session
+ */
+$app->post(
+    '/auth/session',
+    function () use ($app, $config) {
+        $body = $app->request->getJsonRawBody(true);
+        $accessToken = is_array($body) ? (string) ($body['accessToken'] ?? '') : '';
+
+        if ($accessToken === '') {
+            return errorResponse(400, 'invalid_request', 'Missing Google access token');
+        }
+
+        // The token must have been issued to our own OAuth client
+        $tokenInfo = fetchGoogleJson(GOOGLE_TOKENINFO_URL . '?access_token=' . urlencode($accessToken));
+        if ($tokenInfo === null || ($tokenInfo['aud'] ?? null) !== $config['googleClientId']) {
+            return errorResponse(401, 'invalid_token', 'Google sign-in could not be verified');
+        }
+
+        $profile = fetchGoogleJson(GOOGLE_USERINFO_URL, ['Authorization: Bearer ' . $accessToken]);
+        if ($profile === null || ($profile['id'] ?? null) !== ($tokenInfo['sub'] ?? null)) {
+            return errorResponse(401, 'invalid_token', 'Failed to fetch user information');
+        }
+
+        // Only invited, verified addresses may sign in
+        $user = [
+            'id' => (string) $profile['id'],
+            'email' => normalizeEmail((string) ($profile['email'] ?? '')),
+            'name' => (string) ($profile['name'] ?? ''),
+            'picture' => (string) ($profile['picture'] ?? ''),
+            'given_name' => $profile['given_name'] ?? null,
+            'family_name' => $profile['family_name'] ?? null,
+        ];
+
+        return startSession(
+            $config,
+            $user,
+            ($profile['verified_email'] ?? false) === true,
+            is_array($body) ? (string) ($body['inviteToken'] ?? '') : '',
+            'This Google account has not been invited. Ask the owner for an invitation.',
+        );
+    }
+);
+
+/**
+ * Email a one-time sign-in link back to the web app
+ * Answers the same for addresses that are not invited, so it does not
+ * reveal who is
+ */
+$app->post(
+    '/auth/email-link',
+    function () use ($app, $config) {
+        if ($config['smtpHost'] === '') {
+            return errorResponse(404, 'email_sign_in_disabled', 'Email sign-in is not enabled');
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $email = normalizeEmail(is_array($body) ? (string) ($body['email'] ?? '') : '');
+        if (filter_var($email, FILTER_VALIDATE_EMAIL) === false) {
+            return errorResponse(400, 'invalid_email', 'Enter a valid email address');
+        }
+
+        // Links only lead back to the web app
+        $redirectUrl = is_array($body) ? (string) ($body['redirectUrl'] ?? '') : '';
+        $url = parse_url($redirectUrl);
+        $redirectOrigin = isset($url['scheme'], $url['host'])
+            ? $url['scheme'] . '://' . $url['host'] . (isset($url['port']) ? ':' . $url['port'] : '')
+            : '';
+        if (!in_array($redirectOrigin, $config['allowedOrigins'], true)) {
+            return errorResponse(400, 'invalid_redirect', 'Sign-in links cannot lead there');
+        }
+
+        // The household link is kept with the sign-in link, since the
+        // email is usually opened in another tab
+        $inviteToken = is_array($body) ? (string) ($body['inviteToken'] ?? '') : '';
+        if (!isset(readInvitations($config)[$email])) {
+            return new Response(null, 204);
+        }
+
+        $token = bin2hex(random_bytes(32));
+        updateJsonFile($config['emailLinksFile'], function (array &$links) use ($token, $email, $inviteToken) {
+            $links = array_filter($links, fn (array $link) => $link['expiresAt'] > now());
+            $links[hash('sha256', $token)] = [
+                'email' => $email,
+                'inviteToken' => $inviteToken,
+                'expiresAt' => gmdate('Y-m-d\TH:i:s\Z', time() + EMAIL_LINK_TTL),
+            ];
+        }, fn () => []);
+
+        $link = $redirectUrl . (str_contains($redirectUrl, '?') ? '&' : '?') . 'email_token=' . $token;
+        $sent = sendMail(
+            $config,
+            $email,
+            'Sign in to Kantonq',
+            "Open this link to sign in to Kantonq:\n\n" . $link
+                . "\n\nThe link works once, for 15 minutes. If you did not ask for it, ignore this email.\n",
+        );
+        if (!$sent) {
+            return errorResponse(502, 'mail_failed', 'The sign-in link could not be sent. Try again later.');
+        }
+
+        return new Response(null, 204);
+    }
+);
+
+/**
+ * Exchange the token of an emailed sign-in link for a session
+ */
+$app->post(
+    '/auth/email-link/verify',
+    function () use ($app, $config) {
+        $body = $app->request->getJsonRawBody(true);
+        $token = is_array($body) ? (string) ($body['token'] ?? '') : '';
+
+        // A link works once: it is removed whether or not it is still valid
+        $link = $token === '' ? null : updateJsonFile($config['emailLinksFile'], function (array &$links) use ($token) {
+            $key = hash('sha256', $token);
+            $link = $links[$key] ?? null;
+            unset($links[$key]);
+
+            return $link;
+        }, fn () => []);
+        if ($link === null || $link['expiresAt'] <= now()) {
+            return errorResponse(401, 'invalid_token', 'This sign-in link is invalid or has expired. Ask for a new one.');
+        }
+
+        $email = $link['email'];
+        $user = [
+            'id' => 'email:' . substr(hash('sha256', $email), 0, 24),
+            'email' => $email,
+            'name' => strstr($email, '@', true) ?: $email,
+            'picture' => '',
+            'given_name' => null,
+            'family_name' => null,
+        ];
+
+        return startSession(
+            $config,
+            $user,
+            true,
+            (string) ($link['inviteToken'] ?? ''),
+            'This email address has not been invited. Ask the owner for an invitation.',
+        );
+    }
+);
+
+/**
+ * Return the user behind the current session
+ */
+$app->get(
+    '/auth/me',
+    function () use ($config) {
+        $user = authorize($config);
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        return jsonResponse(['user' => $user]);
+    }
+);
+
+/**
+ * End the current session
+ */
+$app->delete(
+    '/auth/session',
+    function () use ($config) {
+        $user = sessionUser();
+        if ($user !== null) {
+            $email = normalizeEmail($user['email']);
+            $key = sessionKey();
+            updateSessions($config, function (array &$sessions) use ($email, $key) {
+                unset($sessions[$email][$key]);
+            });
+        }
+
+        $_SESSION = [];
+        session_destroy();
+
+        return new Response(null, 204);
+    }
+);
+
+/**
+ * List the devices the user is signed in on, most recently used first
+ */
+$app->get(
+    '/auth/sessions',
+    function () use ($config) {
+        $user = authorize($config);
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+        $devices = updateSessions($config, fn (array &$sessions) => $sessions[$email] ?? []);
+        uasort($devices, fn (array $a, array $b) => strcmp($b['lastSeenAt'], $a['lastSeenAt']));
+
+        $current = sessionKey();
+        $list = [];
+        foreach ($devices as $id => $device) {
+            $list[] = ['id' => (string) $id, ...$device, 'current' => (string) $id === $current];
+        }
+
+        return jsonResponse(['sessions' => $list]);
+    }
+);
+
+/**
+ * Sign out on every device, this one included
+ */
+$app->delete(
+    '/auth/sessions',
+    function () use ($config) {
+        $user = authorize($config);
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+        updateSessions($config, function (array &$sessions) use ($email) {
+            unset($sessions[$email]);
+        });
+        $_SESSION = [];
+        session_destroy();
+
+        return new Response(null, 204);
+    }
+);
+
+/**
+ * Sign out on one device; its next request is rejected
+ */
+$app->delete(
+    '/auth/sessions/{id}',
+    function (string $id) use ($config) {
+        $user = authorize($config);
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+        $found = updateSessions($config, function (array &$sessions) use ($email, $id) {
+            if (!isset($sessions[$email][$id])) {
+                return false;
+            }
+            unset($sessions[$email][$id]);
+
+            return true;
+        });
+        if (!$found) {
+            return errorResponse(404, 'not_found', 'This device is no longer signed in');
+        }
+
+        if ($id === sessionKey()) {
+            $_SESSION = [];
+            session_destroy();
+        }
+
+        return new Response(null, 204);
+    }
+);
+
+/**
+ * List everyone allowed to sign in
+ */
+$app->get(
+    '/invitations',
+    function () use ($config) {
+        $user = authorize($config, 'members:manage');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        return jsonResponse(['invitations' => array_values(readInvitations($config))]);
+    }
+);
+
+/**
+ * Invite an email address with a role
+ */
+$app->post(
+    '/invitations',
+    function () use ($app, $config) {
+        $user = authorize($config, 'members:manage');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $input = invitationInput($app);
+        if ($input instanceof Response) {
+            return $input;
+        }
+        if (filter_var($input['email'], FILTER_VALIDATE_EMAIL) === false) {
+            return errorResponse(400, 'invalid_email', 'Enter a valid email address');
+        }
+
+        return updateInvitations($config, function (array &$invitations) use ($input, $user) {
+            if (isset($invitations[$input['email']])) {
+                return errorResponse(409, 'already_invited', 'This email has already been invited');
+            }
+            $invitations[$input['email']] = newInvitation($input['email'], $input['role'], $user['email']);
+
+            return jsonResponse(['invitation' => $invitations[$input['email']]], 201);
+        });
+    }
+);
+
+/**
+ * Change the role of an invited email address
+ */
+$app->patch(
+    '/invitations/{email}',
+    function (string $email) use ($app, $config) {
+        $user = authorize($config, 'members:manage');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $input = invitationInput($app);
+        if ($input instanceof Response) {
+            return $input;
+        }
+        $email = normalizeEmail(urldecode($email));
+
+        return updateInvitations($config, function (array &$invitations) use ($email, $input) {
+            if (!isset($invitations[$email])) {
+                return errorResponse(404, 'not_found', 'Invitation not found');
+            }
+            if ($invitations[$email]['role'] === 'owner' && $input['role'] !== 'owner' && countOwners($invitations) === 1) {
+                return errorResponse(409, 'last_owner', 'Kantonq needs at least one owner');
+            }
+            $invitations[$email]['role'] = $input['role'];
+
+            return jsonResponse(['invitation' => $invitations[$email]]);
+        });
+    }
+);
+
+/**
+ * Revoke an invitation; its user is signed out on their next request
+ */
+$app->delete(
+    '/invitations/{email}',
+    function (string $email) use ($config) {
+        $user = authorize($config, 'members:manage');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail(urldecode($email));
+
+        return updateInvitations($config, function (array &$invitations) use ($email) {
+            if (!isset($invitations[$email])) {
+                return errorResponse(404, 'not_found', 'Invitation not found');
+            }
+            if ($invitations[$email]['role'] === 'owner' && countOwners($invitations) === 1) {
+                return errorResponse(409, 'last_owner', 'Kantonq needs at least one owner');
+            }
+            unset($invitations[$email]);
+
+            return new Response(null, 204);
+        });
+    }
+);
+
+/**
+ * List the households the user belongs to
+ */
+$app->get(
+    '/households',
+    function () use ($config) {
+        $user = authorize($config, 'data:read');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+        $households = [];
+        foreach (glob($config['householdsDir'] . '/*.json') ?: [] as $path) {
+            $household = updateJsonFile($path, function (?array &$household) use ($email, $user) {
+                if (!isset($household['members'][$email])) {
+                    return null;
+                }
+                // People invited by email join the first time they look
+                joinHousehold($household, $user);
+
+                return householdView($household, $email);
+            }, fn () => null);
+
+            if ($household !== null) {
+                $households[] = $household;
+            }
+        }
+
+        return jsonResponse(['households' => $households]);
+    }
+);
+
+/**
+ * Start a household with the user as its owner
+ */
+$app->post(
+    '/households',
+    function () use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $name = trim(is_array($body) ? (string) ($body['name'] ?? '') : '');
+        if ($name === '') {
+            return errorResponse(400, 'invalid_name', 'Name is required');
+        }
+
+        $id = bin2hex(random_bytes(16));
+        $email = normalizeEmail($user['email']);
+
+        return updateJsonFile($config['householdsDir'] . '/' . $id . '.json', function (?array &$household) use ($email, $user) {
+            joinHousehold($household, $user, 'owner');
+
+            return jsonResponse(['household' => householdView($household, $email)], 201);
+        }, fn () => [
+            'id' => $id,
+            'name' => $name,
+            'createdAt' => now(),
+            'members' => [],
+            'links' => [],
+            'wallets' => [],
+            'transactions' => [],
+        ]);
+    }
+);
+
+/**
+ * Rename a household
+ */
+$app->patch(
+    '/households/{id}',
+    function (string $id) use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $name = trim(is_array($body) ? (string) ($body['name'] ?? '') : '');
+        if ($name === '') {
+            return errorResponse(400, 'invalid_name', 'Name is required');
+        }
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household, array $member) use ($name, $email) {
+            if ($member['role'] !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only household owners can do this');
+            }
+            $household['name'] = $name;
+
+            return jsonResponse(['household' => householdView($household, $email)]);
+        });
+    }
+);
+
+/**
+ * Invite someone to a household by email
+ * Only addresses already invited to Kantonq can be added; letting people
+ * in to the app stays with those who manage members
+ */
+$app->post(
+    '/households/{id}/members',
+    function (string $id) use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $invitee = normalizeEmail(is_array($body) ? (string) ($body['email'] ?? '') : '');
+        if (filter_var($invitee, FILTER_VALIDATE_EMAIL) === false) {
+            return errorResponse(400, 'invalid_email', 'Enter a valid email address');
+        }
+        $email = normalizeEmail($user['email']);
+        if (!isset(readInvitations($config)[$invitee])) {
+            return errorResponse(403, 'not_invited', 'This person has not been invited to Kantonq yet. Ask the owner to invite them first.');
+        }
+
+        return updateHousehold($config, $id, $email, function (array &$household, array $member) use ($invitee, $email) {
+            if ($member['role'] !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only household owners can do this');
+            }
+            if (isset($household['members'][$invitee])) {
+                return errorResponse(409, 'already_member', 'This person is already in the household');
+            }
+            $household['members'][$invitee] = [
+                'email' => $invitee,
+                'name' => null,
+                'role' => 'member',
+                'invitedBy' => $email,
+                'joinedAt' => null,
+            ];
+
+            return jsonResponse(['household' => householdView($household, $email)], 201);
+        });
+    }
+);
+
+/**
+ * Remove someone from a household; members may also remove themselves
+ */
+$app->delete(
+    '/households/{id}/members/{member}',
+    function (string $id, string $member) use ($config) {
+        $user = authorize($config, 'data:read');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+        $target = normalizeEmail(urldecode($member));
+
+        return updateHousehold($config, $id, $email, function (array &$household, array $self) use ($email, $target) {
+            if ($target !== $email && $self['role'] !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only household owners can do this');
+            }
+            if (!isset($household['members'][$target])) {
+                return errorResponse(404, 'not_found', 'Member not found');
+            }
+            $owners = array_filter($household['members'], fn (array $item) => $item['role'] === 'owner');
+            if ($household['members'][$target]['role'] === 'owner' && count($owners) === 1 && count($household['members']) > 1) {
+                return errorResponse(409, 'last_owner', 'The last owner can only leave once everyone else has');
+            }
+
+            unset($household['members'][$target]);
+            foreach ($household['wallets'] as $walletId => $wallet) {
+                unset($household['wallets'][$walletId]['permissions'][$target]);
+                // Wallets nobody owns any more leave the household
+                if (!in_array('owner', $household['wallets'][$walletId]['permissions'], true)) {
+                    unset($household['wallets'][$walletId], $household['transactions'][$walletId]);
+                }
+            }
+
+            return new Response(null, 204);
+        });
+    }
+);
+
+/**
+ * Create an invitation link; anyone with it can join for a week
+ */
+$app->post(
+    '/households/{id}/links',
+    function (string $id) use ($config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household, array $member) use ($email) {
+            if ($member['role'] !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only household owners can do this');
+            }
+            $token = bin2hex(random_bytes(24));
+            $household['links'][$token] = [
+                'token' => $token,
+                'createdBy' => $email,
+                'expiresAt' => gmdate('Y-m-d\TH:i:s\Z', time() + HOUSEHOLD_LINK_TTL),
+            ];
+
+            return jsonResponse(['link' => $household['links'][$token]], 201);
+        });
+    }
+);
+
+/**
+ * Revoke an invitation link
+ */
+$app->delete(
+    '/households/{id}/links/{token}',
+    function (string $id, string $token) use ($config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        return updateHousehold($config, $id, normalizeEmail($user['email']), function (array &$household, array $member) use ($token) {
+            if ($member['role'] !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only household owners can do this');
+            }
+            unset($household['links'][$token]);
+
+            return new Response(null, 204);
+        });
+    }
+);
+
+/**
+ * Join a household with an invitation link
+ */
+$app->post(
+    '/households/join',
+    function () use ($app, $config) {
+        $user = authorize($config, 'data:read');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $token = is_array($body) ? (string) ($body['token'] ?? '') : '';
+        $household = $token === '' ? null : joinByLink($config, $token, $user);
+        if ($household === null) {
+            return errorResponse(404, 'invalid_link', 'This invitation link is invalid or has expired');
+        }
+
+        return jsonResponse(['household' => $household]);
+    }
+);
+
+/**
+ * Share a wallet with a household, or change who may do what with it
+ * Body: { wallet: { name, type, currency, openingBalance }, permissions: { email: level } }
+ */
+$app->put(
+    '/households/{id}/wallets/{walletId}',
+    function (string $id, string $walletId) use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $wallet = is_array($body) && is_array($body['wallet'] ?? null) ? $body['wallet'] : null;
+        $permissions = is_array($body) && is_array($body['permissions'] ?? null) ? $body['permissions'] : [];
+        if ($wallet === null || !is_string($wallet['name'] ?? null) || !is_string($wallet['currency'] ?? null)) {
+            return errorResponse(400, 'invalid_wallet', 'Wallet details are missing');
+        }
+        foreach ($permissions as $level) {
+            if (!in_array($level, WALLET_PERMISSIONS, true)) {
+                return errorResponse(400, 'invalid_permission', 'Permission must be owner, editor or viewer');
+            }
+        }
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household) use ($walletId, $wallet, $permissions, $email) {
+            $existing = $household['wallets'][$walletId] ?? null;
+            if ($existing !== null && ($existing['permissions'][$email] ?? null) !== 'owner') {
+                return errorResponse(403, 'forbidden', 'Only the wallet owner can change its sharing');
+            }
+
+            $permissions = array_filter(
+                $permissions,
+                fn ($level, $member) => isset($household['members'][$member]),
+                ARRAY_FILTER_USE_BOTH,
+            );
+            // Whoever shares the wallet keeps owning it
+            $permissions[$email] = 'owner';
+
+            $household['wallets'][$walletId] = [
+                'walletId' => $walletId,
+                'wallet' => [
+                    'name' => $wallet['name'],
+                    'type' => (string) ($wallet['type'] ?? 'other'),
+                    'currency' => $wallet['currency'],
+                    'openingBalance' => (int) ($wallet['openingBalance'] ?? 0),
+                ],
+                'sharedBy' => $existing['sharedBy'] ?? $email,
+                'sharedAt' => $existing['sharedAt'] ?? now(),
+                'permissions' => $permissions,
+            ];
+            $household['transactions'][$walletId] ??= [];
+
+            return jsonResponse(['household' => householdView($household, $email)]);
+        });
+    }
+);
+
+/**
+ * Stop sharing a wallet; members keep the copy they already have
+ */
+$app->delete(
+    '/households/{id}/wallets/{walletId}',
+    function (string $id, string $walletId) use ($config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household) use ($walletId, $email) {
+            $denied = walletAccess($household, $walletId, $email, ['owner']);
+            if ($denied !== null) {
+                return $denied;
+            }
+            unset($household['wallets'][$walletId], $household['transactions'][$walletId]);
+
+            return new Response(null, 204);
+        });
+    }
+);
+
+/**
+ * Transactions of a shared wallet
+ */
+$app->get(
+    '/households/{id}/wallets/{walletId}/transactions',
+    function (string $id, string $walletId) use ($config) {
+        $user = authorize($config, 'data:read');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household) use ($walletId, $email) {
+            $denied = walletAccess($household, $walletId, $email, WALLET_PERMISSIONS);
+            if ($denied !== null) {
+                return $denied;
+            }
+
+            return jsonResponse(['transactions' => array_values($household['transactions'][$walletId] ?? [])]);
+        });
+    }
+);
+
+/**
+ * Save transactions of a shared wallet
+ * The API records who created and last changed each one. With
+ * `baseVersions` (id => version the change was made from, or null for a
+ * new transaction) it refuses the whole request with a 409 when someone
+ * changed one of them since; sending the same change twice is accepted.
+ */
+$app->put(
+    '/households/{id}/wallets/{walletId}/transactions',
+    function (string $id, string $walletId) use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $body = $app->request->getJsonRawBody(true);
+        $items = is_array($body) && is_array($body['transactions'] ?? null) ? $body['transactions'] : null;
+        if ($items === null) {
+            return errorResponse(400, 'invalid_request', 'Missing transactions');
+        }
+        $baseVersions = is_array($body['baseVersions'] ?? null) ? $body['baseVersions'] : [];
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household) use ($walletId, $items, $baseVersions, $email) {
+            $denied = walletAccess($household, $walletId, $email, ['owner', 'editor']);
+            if ($denied !== null) {
+                return $denied;
+            }
+
+            $result = saveTransactions($household, $walletId, $items, $baseVersions, $email);
+            if (isset($result['error'])) {
+                return errorResponse(...$result['error']);
+            }
+
+            return jsonResponse($result);
+        });
+    }
+);
+
+/**
+ * Delete a transaction of a shared wallet
+ * Listing returns it with a deletedAt until the wallet is unshared. With
+ * `?baseVersion=` it refuses with a 409 when the transaction was changed
+ * since that version; deleting it again is accepted.
+ */
+$app->delete(
+    '/households/{id}/wallets/{walletId}/transactions/{transactionId}',
+    function (string $id, string $walletId, string $transactionId) use ($app, $config) {
+        $user = authorize($config, 'data:write');
+        if ($user instanceof Response) {
+            return $user;
+        }
+
+        $baseVersion = $app->request->getQuery('baseVersion', 'string', null);
+        $email = normalizeEmail($user['email']);
+
+        return updateHousehold($config, $id, $email, function (array &$household) use ($walletId, $transactionId, $baseVersion, $email) {
+            $denied = walletAccess($household, $walletId, $email, ['owner', 'editor']);
+            if ($denied !== null) {
+                return $denied;
+            }
+
+            $existing = $household['transactions'][$walletId][$transactionId] ?? null;
+            if ($baseVersion !== null && $existing !== null) {
+                if (isset($existing['deletedAt'])) {
+                    return new Response(null, 204);
+                }
+                if (transactionVersion($existing) !== $baseVersion) {
+                    return errorResponse(409, 'conflict', 'This transaction was changed on another device');
+                }
+            }
+            // Keep a tombstone so other members' devices delete their copy too
+            $household['transactions'][$walletId][$transactionId] = [
+                'id' => $transactionId,
+                'walletId' => $walletId,
+                'deletedAt' => now(),
+                'updatedBy' => $email,
+            ];
+
+            return new Response(null, 204);
+        });
+    }
+);
+
+$app->notFound(
+    function () {
+        return errorResponse(404, 'not_found', 'Route not found');
+    }
+);
+
 $app->handle(
     $_SERVER["REQUEST_URI"]
 );
@@ -0,0 +1,107 @@
+<?php
+
+/**
+ * Saving batches of shared transactions
+ *
+ * Usage:
+ *   composer test
+ */
+
+declare(strict_types=1);
+
+require __DIR__ . '/../transactions.php';
+
+$failures = 0;
+
+function check(string $name, bool $passed): void
+{
+    global $failures;
+
+    echo ($passed ? 'ok   ' : 'FAIL ') . $name . PHP_EOL;
+    if (!$passed) {
+        $failures++;
+    }
+}
+
+/**
+ * @return array<string, mixed>
+ */
+function makeTransaction(string $id, array $overrides = []): array
+{
+    return array_merge([
+        'id' => $id,
+        'type' => 'expense',
+        'amount' => 25000,
+        'date' => '2025-03-01',
+        'category' => 'Food',
+        'walletId' => 'wallet-1',
+        'note' => '',
+        'tags' => [],
+        'createdAt' => '2025-03-01T08:00:00.000Z',
+        'updatedAt' => '2025-03-01T08:00:00.000Z',
+    ], $overrides);
+}
+
+/**
+ * @return array<string, mixed>
+ */
+function makeHousehold(): array
+{
+    return [
+        'id' => 'household-1',
+        'transactions' => [
+            'wallet-1' => [
+                'tx-1' => makeTransaction('tx-1', ['createdBy' => 'ani@example.com', 'updatedBy' => 'ani@example.com']),
+            ],
+        ],
+    ];
+}
+
+$household = makeHousehold();
+$result = saveTransactions($household, 'wallet-1', [
+    makeTransaction('tx-2'),
+    makeTransaction('tx-3'),
+], [], 'budi@example.com');
+check('saves every transaction of a valid batch', array_keys($household['transactions']['wallet-1']) === ['tx-1', 'tx-2', 'tx-3']);
+check('records who saved them', $result['transactions'][0]['createdBy'] === 'budi@example.com');
+
+$household = makeHousehold();
+$result = saveTransactions($household, 'wallet-1', [
+    makeTransaction('tx-1', ['amount' => 1, 'createdBy' => 'budi@example.com']),
+], [], 'budi@example.com');
+check('keeps who created a transaction', $household['transactions']['wallet-1']['tx-1']['createdBy'] === 'ani@example.com');
+check('records who changed it', $household['transactions']['wallet-1']['tx-1']['updatedBy'] === 'budi@example.com');
+
+// The household is written back only when it changed (see updateJsonFile)
+foreach ([
+    'an item without an id' => ['note' => 'no id'],
+    'an item of another wallet' => makeTransaction('tx-bad', ['walletId' => 'wallet-2']),
+    'an item that is not an object' => 'tx-bad',
+] as $name => $bad) {
+    $household = makeHousehold();
+    $before = $household;
+    $result = saveTransactions($household, 'wallet-1', [
+        makeTransaction('tx-2'),
+        $bad,
+        makeTransaction('tx-3'),
+    ], [], 'budi@example.com');
+    check("refuses a batch with $name with a 400", ($result['error'][0] ?? null) === 400);
+    check("leaves the household unchanged after $name", $household === $before);
+}
+
+$household = makeHousehold();
+$before = $household;
+$result = saveTransactions($household, 'wallet-1', [
+    makeTransaction('tx-2'),
+    makeTransaction('tx-1', ['updatedAt' => '2025-03-01T09:00:00.000Z']),
+], ['tx-2' => null, 'tx-1' => '2025-02-01T00:00:00.000Z'], 'budi@example.com');
+check('refuses a batch built on an old version with a 409', ($result['error'][0] ?? null) === 409);
+check('leaves the household unchanged after a conflict', $household === $before);
+
+$household = makeHousehold();
+$result = saveTransactions($household, 'wallet-1', [
+    makeTransaction('tx-1'),
+], ['tx-1' => '2025-02-01T00:00:00.000Z'], 'budi@example.com');
+check('accepts the same change sent twice', isset($result['transactions']));
+
+exit($failures > 0 ? 1 : 0);
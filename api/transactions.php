@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+// Fields of a shared transaction taken from the client; who created and
+// changed it is recorded by the API. Keep in sync with the Transaction
+// type in web/src/lib/stores/transactions.ts
+const TRANSACTION_FIELDS = [
+    'id', 'type', 'amount', 'date', 'category', 'walletId', 'toWalletId',
+    'toAmount', 'note', 'payee', 'tags', 'createdAt', 'updatedAt',
+];
+
+/**
+ * Version of a shared transaction a client's change has to build on:
+ * when it was last saved, or when it was deleted. Null when there is none.
+ *
+ * @param array<string, mixed>|null $item
+ */
+function transactionVersion(?array $item): ?string
+{
+    if ($item === null) {
+        return null;
+    }
+
+    return $item['deletedAt'] ?? $item['updatedAt'] ?? null;
+}
+
+/**
+ * Save a batch of transactions into a shared wallet, all or nothing
+ * Every item is checked before the household is touched, so a refused
+ * batch leaves it (and the file it is stored in) unchanged. Returns the
+ * saved transactions, or the status, code and message of the error.
+ *
+ * @param array<string, mixed> $household
+ * @param array<mixed> $items
+ * @param array<string, string|null> $baseVersions
+ * @return array{transactions: list<array<string, mixed>>}|array{error: array{int, string, string}}
+ */
+function saveTransactions(array &$household, string $walletId, array $items, array $baseVersions, string $email): array
+{
+    foreach ($items as $item) {
+        if (!is_array($item) || !is_string($item['id'] ?? null)) {
+            return ['error' => [400, 'invalid_transaction', 'Every transaction needs an id']];
+        }
+        if (($item['walletId'] ?? null) !== $walletId && ($item['toWalletId'] ?? null) !== $walletId) {
+            return ['error' => [400, 'invalid_transaction', 'Transaction belongs to another wallet']];
+        }
+    }
+
+    foreach ($items as $item) {
+        if (!array_key_exists($item['id'], $baseVersions)) {
+            continue;
+        }
+        $existing = $household['transactions'][$walletId][$item['id']] ?? null;
+        $replayed = $existing !== null
+            && !isset($existing['deletedAt'])
+            && ($existing['updatedAt'] ?? null) === ($item['updatedAt'] ?? null);
+        if (transactionVersion($existing) !== $baseVersions[$item['id']] && !$replayed) {
+            return ['error' => [409, 'conflict', 'This transaction was changed on another device']];
+        }
+    }
+
+    $saved = [];
+    foreach ($items as $item) {
+        $existing = $household['transactions'][$walletId][$item['id']] ?? null;
+        $item = array_intersect_key($item, array_flip(TRANSACTION_FIELDS));
+        $item['createdBy'] = $existing['createdBy'] ?? $email;
+        $item['updatedBy'] = $email;
+        $household['transactions'][$walletId][$item['id']] = $item;
+        $saved[] = $item;
+    }
+
+    return ['transactions' => $saved];
+}
@@ -5,11 +5,13 @@ import svelte from "@astrojs/svelte";
 
 import tailwindcss from "@tailwindcss/vite";
 
+import serviceWorker from "./src/integrations/service-worker";
+
 // https://astro.build/config
 export default defineConfig({
   site: "https://kantonq.com",
   base: "/",
-  integrations: [svelte()],
+  integrations: [svelte(), serviceWorker()],
   vite: {
     plugins: [tailwindcss()],
     build: {
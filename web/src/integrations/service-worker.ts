@@ -0,0 +1,98 @@
+/**
+ * Service Worker Integration
+ * Writes dist/sw.js after a build, from src/pwa/service-worker.js with the
+ * app shell to precache: every page (each one renders Layout.astro), the
+ * hashed scripts and styles in _astro/ and the public files the shell uses
+ */
+
+import type { AstroIntegration } from "astro";
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { join, relative, sep } from "node:path";
+
+const TEMPLATE_PATH = "src/pwa/service-worker.js";
+const PLACEHOLDER = "__PRECACHE__";
+
+// Public files the shell links to; the rest of public/ is not needed offline
+const SHELL_FILES = ["/favicon.svg", "/manifest.webmanifest"];
+
+// Error pages are only served by the host, never navigated to
+const SKIPPED_PAGES = new Set(["/404.html", "/500.html"]);
+
+async function listFiles(dir: string): Promise<string[]> {
+  const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => join(entry.parentPath, entry.name));
+}
+
+/**
+ * The URL a built file is requested by: pages without index.html
+ */
+function urlOf(file: string, outDir: string): string {
+  const url = `/${relative(outDir, file).split(sep).join("/")}`;
+  if (url === "/index.html") return "/";
+  return url.endsWith("/index.html")
+    ? url.slice(0, -"/index.html".length)
+    : url;
+}
+
+/**
+ * URLs to precache, in a stable order
+ */
+async function precacheUrls(outDir: string): Promise<string[]> {
+  const urls = new Set<string>();
+  for (const file of await listFiles(outDir)) {
+    const url = urlOf(file, outDir);
+    const isPage = file.endsWith(".html") && !SKIPPED_PAGES.has(url);
+    if (isPage || url.startsWith("/_astro/") || SHELL_FILES.includes(url)) {
+      urls.add(url);
+    }
+  }
+  return [...urls].sort();
+}
+
+export default function serviceWorker(): AstroIntegration {
+  let root: URL;
+
+  return {
+    name: "kantonq-service-worker",
+    hooks: {
+      "astro:config:done": ({ config }) => {
+        root = config.root;
+      },
+
+      "astro:build:done": async ({ dir, logger }) => {
+        const outDir = fileURLToPath(dir);
+        const urls = await precacheUrls(outDir);
+
+        // Any change to the shell installs a new worker and cache
+        const hash = createHash("sha256");
+        for (const url of urls) {
+          const file = url === "/" ? "index.html" : url.slice(1);
+          const path = join(outDir, file);
+          const contents = await readFile(path).catch(() =>
+            readFile(join(path, "index.html")),
+          );
+          hash.update(url).update(contents);
+        }
+        const version = hash.digest("hex").slice(0, 12);
+
+        const template = await readFile(
+          fileURLToPath(new URL(TEMPLATE_PATH, root)),
+          "utf8",
+        );
+        if (!template.includes(PLACEHOLDER)) {
+          throw new Error(`${TEMPLATE_PATH} has no ${PLACEHOLDER} placeholder`);
+        }
+        await writeFile(
+          join(outDir, "sw.js"),
+          template.replace(PLACEHOLDER, JSON.stringify({ version, urls })),
+        );
+
+        logger.info(`sw.js precaches ${urls.length} files (${version})`);
+      },
+    },
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Access - Roles and the permissions they grant
+ * The API enforces the same table (api/index.php, ROLE_PERMISSIONS);
+ * the web app uses it to hide what a role cannot do
+ */
+
+export type Role = "owner" | "member" | "viewer";
+
+export type Permission = "data:read" | "data:write" | "members:manage";
+
+export const ROLES: { value: Role; label: string; description: string }[] = [
+  {
+    value: "owner",
+    label: "Owner",
+    description: "Full access, including inviting people",
+  },
+  {
+    value: "member",
+    label: "Member",
+    description: "Records and edits transactions",
+  },
+  {
+    value: "viewer",
+    label: "Viewer",
+    description: "Sees everything, edits nothing",
+  },
+];
+
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  owner: ["data:read", "data:write", "members:manage"],
+  member: ["data:read", "data:write"],
+  viewer: ["data:read"],
+};
+
+/**
+ * Whether a role grants a permission; no role grants nothing
+ */
+export function hasPermission(
+  role: Role | null | undefined,
+  permission: Permission,
+): boolean {
+  return role ? (ROLE_PERMISSIONS[role]?.includes(permission) ?? false) : false;
+}
+
+export function roleLabel(role: Role): string {
+  return ROLES.find((item) => item.value === role)?.label ?? role;
+}
@@ -0,0 +1,91 @@
+/**
+ * Auth - The sign-in methods the app supports
+ * Each provider turns a sign-in into a session the auth store keeps; the
+ * implementations live in $lib/services/auth-providers
+ */
+
+import type { GoogleUser } from "$lib/stores/auth";
+
+export type AuthProviderId = "google" | "local" | "email";
+
+export const AUTH_PROVIDER_IDS: AuthProviderId[] = ["google", "local", "email"];
+
+/**
+ * What a sign-in or refresh hands to the auth store
+ */
+export interface AuthToken {
+  accessToken: string;
+  // Seconds until the token has to be refreshed
+  expiresIn: number;
+}
+
+export interface AuthSession extends AuthToken {
+  user: GoogleUser;
+}
+
+export interface AuthProvider {
+  id: AuthProviderId;
+  label: string;
+
+  /**
+   * Get ready to sign in (e.g. load a script)
+   * Rejects with an AuthProviderError when the provider cannot be used
+   */
+  init(): Promise<void>;
+
+  /**
+   * Sign in; `input` is provider specific (e.g. the token from an email link)
+   */
+  login(input?: Record<string, string>): Promise<AuthSession>;
+
+  /**
+   * End the session wherever the provider keeps it
+   * Never rejects: signing out must work offline
+   */
+  logout(accessToken: string | null): Promise<void>;
+
+  /**
+   * Renew the token without asking the user
+   */
+  refresh(): Promise<AuthToken>;
+
+  /**
+   * The signed-in user as the provider knows them now
+   */
+  getUser(): Promise<GoogleUser>;
+}
+
+/**
+ * A sign-in failure whose message is meant for the user
+ */
+export class AuthProviderError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "AuthProviderError";
+  }
+}
+
+/**
+ * The providers offered on the login page, from PUBLIC_AUTH_PROVIDERS
+ * (comma separated, in button order). Without the setting only Google is
+ * offered, plus the offline local provider in development. The local
+ * provider never leaves development builds.
+ */
+export function parseAuthProviders(
+  setting: string | undefined,
+  { dev }: { dev: boolean },
+): AuthProviderId[] {
+  const requested = setting?.trim()
+    ? setting.split(",").map((id) => id.trim().toLowerCase())
+    : dev
+      ? ["google", "local"]
+      : ["google"];
+
+  const ids: AuthProviderId[] = [];
+  for (const id of requested) {
+    if (!AUTH_PROVIDER_IDS.includes(id as AuthProviderId)) continue;
+    if (id === "local" && !dev) continue;
+    if (!ids.includes(id as AuthProviderId)) ids.push(id as AuthProviderId);
+  }
+  return ids;
+}
@@ -0,0 +1,58 @@
+/**
+ * Sessions - The devices a user is signed in on
+ * The API keeps one entry per backend session; these helpers describe them
+ */
+
+export interface DeviceSession {
+  // Not the session id itself, only a handle to sign the device out
+  id: string;
+  userAgent: string;
+  createdAt: string;
+  lastSeenAt: string;
+  // The session of this browser
+  current: boolean;
+}
+
+const BROWSERS: [RegExp, string][] = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const SYSTEMS: [RegExp, string][] = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/CrOS/, "ChromeOS"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/Windows/, "Windows"],
+  [/Linux/, "Linux"],
+];
+
+function firstMatch(userAgent: string, patterns: [RegExp, string][]) {
+  return patterns.find(([pattern]) => pattern.test(userAgent))?.[1] ?? null;
+}
+
+/**
+ * A short name for the device behind a user agent, e.g. "Firefox on Windows"
+ */
+export function describeDevice(userAgent: string): string {
+  const browser = firstMatch(userAgent, BROWSERS);
+  const system = firstMatch(userAgent, SYSTEMS);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser ?? system ?? "Unknown device";
+}
+
+/**
+ * This device first, then the most recently used
+ */
+export function sortSessions(sessions: DeviceSession[]): DeviceSession[] {
+  return [...sessions].sort(
+    (a, b) =>
+      Number(b.current) - Number(a.current) ||
+      b.lastSeenAt.localeCompare(a.lastSeenAt),
+  );
+}
@@ -0,0 +1,355 @@
+/**
+ * Backup - Versioned JSON backups and the restore plan
+ * The file format is documented by backup.schema.json; bump
+ * BACKUP_VERSION (and the schema) whenever it changes shape
+ */
+
+import type { Budget } from "$lib/budgets/budgets";
+import type { ExchangeRate } from "$lib/money/exchange";
+import { toMinor } from "$lib/money/money";
+import type { Transaction } from "$lib/stores/transactions";
+import type { Wallet } from "$lib/stores/wallets";
+
+export const BACKUP_FORMAT = "kantonq-backup";
+export const BACKUP_VERSION = 2;
+
+export interface BackupSettings {
+  activeWalletId: string | null;
+  baseCurrency: string;
+}
+
+export interface BackupData {
+  wallets: Wallet[];
+  transactions: Transaction[];
+  budgets: Budget[];
+  exchangeRates: ExchangeRate[];
+  // Derived from transactions; kept so the file is readable on its own
+  categories: string[];
+  settings: BackupSettings;
+}
+
+export interface Backup {
+  format: typeof BACKUP_FORMAT;
+  version: number;
+  exportedAt: string;
+  data: BackupData;
+}
+
+// Entities restored record by record, keyed by id
+export const BACKUP_ENTITIES = [
+  "wallets",
+  "transactions",
+  "budgets",
+  "exchangeRates",
+] as const;
+
+export type BackupEntity = (typeof BACKUP_ENTITIES)[number];
+
+export type RestoreMode = "replace" | "merge";
+
+export interface EntityChanges<T> {
+  added: T[];
+  updated: T[];
+  removed: T[];
+  unchanged: number;
+}
+
+export interface RestorePlan {
+  mode: RestoreMode;
+  changes: {
+    wallets: EntityChanges<Wallet>;
+    transactions: EntityChanges<Transaction>;
+    budgets: EntityChanges<Budget>;
+    exchangeRates: EntityChanges<ExchangeRate>;
+  };
+  // Full contents of each entity once the restore is applied
+  result: Pick<BackupData, BackupEntity>;
+  settings: BackupSettings;
+}
+
+export class BackupError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+/**
+ * Wrap the user's data in a versioned backup
+ */
+export function createBackup(
+  data: Omit<BackupData, "categories">,
+  now: Date = new Date(),
+): Backup {
+  const categories = [
+    ...new Set(data.transactions.map((item) => item.category)),
+  ]
+    .filter(Boolean)
+    .sort();
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    data: { ...data, categories },
+  };
+}
+
+type Check = (value: unknown) => boolean;
+
+const isString: Check = (value) => typeof value === "string";
+const isNumber: Check = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+const isInteger: Check = (value) => Number.isInteger(value);
+const isBoolean: Check = (value) => typeof value === "boolean";
+const isOptionalString: Check = (value) =>
+  value === undefined || isString(value);
+const isOptionalInteger: Check = (value) =>
+  value === undefined || isInteger(value);
+const isStringArray: Check = (value) =>
+  Array.isArray(value) && value.every(isString);
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Field checks per entity, matching the schema's required properties
+const RECORD_FIELDS: Record<BackupEntity, Record<string, Check>> = {
+  wallets: {
+    id: isString,
+    name: isString,
+    type: isString,
+    currency: isString,
+    openingBalance: isInteger,
+    createdAt: isString,
+    updatedAt: isString,
+  },
+  transactions: {
+    id: isString,
+    type: (value) =>
+      ["income", "expense", "transfer"].includes(value as string),
+    amount: isInteger,
+    date: isString,
+    category: isString,
+    walletId: isString,
+    toWalletId: isOptionalString,
+    toAmount: isOptionalInteger,
+    note: isString,
+    payee: isOptionalString,
+    tags: isStringArray,
+    createdAt: isString,
+    updatedAt: isString,
+    createdBy: isOptionalString,
+    updatedBy: isOptionalString,
+  },
+  budgets: {
+    id: isString,
+    walletId: isString,
+    category: isString,
+    limit: isInteger,
+    rollover: isBoolean,
+    startMonth: isString,
+    createdAt: isString,
+    updatedAt: isString,
+  },
+  exchangeRates: {
+    id: isString,
+    from: isString,
+    to: isString,
+    rate: (value) => isNumber(value) && (value as number) > 0,
+    effectiveDate: isString,
+    createdAt: isString,
+    updatedAt: isString,
+  },
+};
+
+function checkRecords(entity: BackupEntity, value: unknown) {
+  if (!Array.isArray(value)) {
+    throw new BackupError(`The backup has no ${entity} list`);
+  }
+
+  const fields = Object.entries(RECORD_FIELDS[entity]);
+  value.forEach((record, index) => {
+    const invalid = isRecord(record)
+      ? fields.find(([field, check]) => !check(record[field]))?.[0]
+      : "record";
+    if (invalid) {
+      throw new BackupError(
+        `${entity}[${index}] has an invalid ${invalid} field`,
+      );
+    }
+  });
+}
+
+// Version 1 stored amounts as decimals and had no exchange rates.
+// Amounts are scaled to minor units of their wallet's currency; anything
+// malformed is left alone for checkRecords to report
+function upgradeFromV1(data: Record<string, unknown>) {
+  const records = (value: unknown) =>
+    Array.isArray(value) ? value.filter(isRecord) : [];
+  const scaled = (value: unknown, currency: unknown) =>
+    isNumber(value) && isString(currency)
+      ? toMinor(value as number, currency as string)
+      : value;
+
+  const currencyOf = new Map<unknown, unknown>();
+  for (const wallet of records(data.wallets)) {
+    currencyOf.set(wallet.id, wallet.currency);
+    wallet.openingBalance = scaled(wallet.openingBalance, wallet.currency);
+  }
+  for (const item of records(data.transactions)) {
+    item.amount = scaled(item.amount, currencyOf.get(item.walletId));
+  }
+  for (const item of records(data.budgets)) {
+    item.limit = scaled(item.limit, currencyOf.get(item.walletId));
+  }
+
+  data.exchangeRates ??= [];
+  if (isRecord(data.settings)) {
+    data.settings.baseCurrency ??= "IDR";
+  }
+}
+
+/**
+ * Read and validate a backup file
+ * Older versions are upgraded to the current shape
+ * Throws a BackupError describing the first problem found
+ */
+export function parseBackup(text: string): Backup {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    throw new BackupError("The file is not valid JSON");
+  }
+
+  if (!isRecord(value) || value.format !== BACKUP_FORMAT) {
+    throw new BackupError("The file is not a Kantonq backup");
+  }
+  if (!Number.isInteger(value.version) || (value.version as number) < 1) {
+    throw new BackupError("The backup has no valid version");
+  }
+  if ((value.version as number) > BACKUP_VERSION) {
+    throw new BackupError(
+      "The backup was made by a newer version of Kantonq. Update the app and try again.",
+    );
+  }
+  if (!isString(value.exportedAt) || !isRecord(value.data)) {
+    throw new BackupError("The backup is incomplete");
+  }
+
+  const { data } = value;
+  if (value.version === 1) {
+    upgradeFromV1(data);
+    value.version = BACKUP_VERSION;
+  }
+  for (const entity of BACKUP_ENTITIES) {
+    checkRecords(entity, data[entity]);
+  }
+  if (!isStringArray(data.categories)) {
+    throw new BackupError("The backup has no valid categories list");
+  }
+  if (
+    !isRecord(data.settings) ||
+    !(
+      data.settings.activeWalletId === null ||
+      isString(data.settings.activeWalletId)
+    ) ||
+    !isString(data.settings.baseCurrency)
+  ) {
+    throw new BackupError("The backup has no valid settings");
+  }
+
+  return value as unknown as Backup;
+}
+
+function isSame(left: unknown, right: unknown): boolean {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function planEntity<T extends { id: string; updatedAt: string }>(
+  current: T[],
+  incoming: T[],
+  mode: RestoreMode,
+): { changes: EntityChanges<T>; result: T[] } {
+  const changes: EntityChanges<T> = {
+    added: [],
+    updated: [],
+    removed: [],
+    unchanged: 0,
+  };
+  const existing = new Map(current.map((item) => [item.id, item]));
+  const incomingIds = new Set(incoming.map((item) => item.id));
+
+  for (const item of incoming) {
+    const match = existing.get(item.id);
+    if (!match) {
+      changes.added.push(item);
+    } else if (isSame(match, item)) {
+      changes.unchanged++;
+    } else if (mode === "replace" || item.updatedAt > match.updatedAt) {
+      changes.updated.push(item);
+    } else {
+      // Merging keeps the local copy when it was edited more recently
+      changes.unchanged++;
+    }
+  }
+
+  if (mode === "replace") {
+    changes.removed = current.filter((item) => !incomingIds.has(item.id));
+    return { changes, result: incoming };
+  }
+
+  const updated = new Map(changes.updated.map((item) => [item.id, item]));
+  return {
+    changes,
+    result: [
+      ...current.map((item) => updated.get(item.id) ?? item),
+      ...changes.added,
+    ],
+  };
+}
+
+/**
+ * Work out what restoring a backup would change, without writing anything
+ * "replace" makes the data match the backup exactly; "merge" adds new
+ * records and takes the newer copy of records that exist on both sides
+ */
+export function planRestore(
+  current: Pick<BackupData, BackupEntity | "settings">,
+  backup: Backup,
+  mode: RestoreMode,
+): RestorePlan {
+  const wallets = planEntity(current.wallets, backup.data.wallets, mode);
+  const transactions = planEntity(
+    current.transactions,
+    backup.data.transactions,
+    mode,
+  );
+  const budgets = planEntity(current.budgets, backup.data.budgets, mode);
+  const exchangeRates = planEntity(
+    current.exchangeRates,
+    backup.data.exchangeRates,
+    mode,
+  );
+
+  return {
+    mode,
+    changes: {
+      wallets: wallets.changes,
+      transactions: transactions.changes,
+      budgets: budgets.changes,
+      exchangeRates: exchangeRates.changes,
+    },
+    result: {
+      wallets: wallets.result,
+      transactions: transactions.result,
+      budgets: budgets.result,
+      exchangeRates: exchangeRates.result,
+    },
+    settings:
+      mode === "replace" || !current.settings.activeWalletId
+        ? backup.data.settings
+        : current.settings,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Backup - Per-entity CSV export
+ * Wallet references are written as names and amounts as decimals in the
+ * wallet's currency so the files read well in a spreadsheet; the JSON
+ * backup is the format meant for restoring
+ */
+
+import { fromMinor } from "$lib/money/money";
+import type { BackupData } from "./backup";
+
+type CsvEntity =
+  | "wallets"
+  | "transactions"
+  | "budgets"
+  | "exchangeRates"
+  | "categories";
+
+type Cell = string | number | boolean | null | undefined;
+
+function formatCell(value: Cell): string {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write records as RFC 4180 CSV, header first
+ */
+export function formatCsv(header: string[], rows: Cell[][]): string {
+  return [header, ...rows]
+    .map((row) => row.map(formatCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+/**
+ * One CSV file per entity, keyed by entity name
+ */
+export function exportCsvFiles(
+  data: Pick<BackupData, CsvEntity>,
+): Record<CsvEntity, string> {
+  const walletNames = new Map(data.wallets.map((item) => [item.id, item.name]));
+  const currencyOf = (walletId: string | undefined) =>
+    data.wallets.find((item) => item.id === walletId)?.currency ?? "IDR";
+
+  return {
+    transactions: formatCsv(
+      [
+        "id",
+        "date",
+        "type",
+        "amount",
+        "currency",
+        "category",
+        "wallet",
+        "toWallet",
+        "toAmount",
+        "toCurrency",
+        "note",
+        "payee",
+        "tags",
+        "createdAt",
+        "updatedAt",
+        "createdBy",
+        "updatedBy",
+      ],
+      [...data.transactions]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((item) => [
+          item.id,
+          item.date,
+          item.type,
+          fromMinor(item.amount, currencyOf(item.walletId)),
+          currencyOf(item.walletId),
+          item.category,
+          walletNames.get(item.walletId) ?? item.walletId,
+          item.toWalletId
+            ? (walletNames.get(item.toWalletId) ?? item.toWalletId)
+            : "",
+          item.toAmount !== undefined
+            ? fromMinor(item.toAmount, currencyOf(item.toWalletId))
+            : "",
+          item.toWalletId ? currencyOf(item.toWalletId) : "",
+          item.note,
+          item.payee ?? "",
+          item.tags.join(" "),
+          item.createdAt,
+          item.updatedAt,
+          item.createdBy ?? "",
+          item.updatedBy ?? "",
+        ]),
+    ),
+    wallets: formatCsv(
+      [
+        "id",
+        "name",
+        "type",
+        "currency",
+        "openingBalance",
+        "createdAt",
+        "updatedAt",
+      ],
+      data.wallets.map((item) => [
+        item.id,
+        item.name,
+        item.type,
+        item.currency,
+        fromMinor(item.openingBalance, item.currency),
+        item.createdAt,
+        item.updatedAt,
+      ]),
+    ),
+    budgets: formatCsv(
+      [
+        "id",
+        "wallet",
+        "category",
+        "limit",
+        "currency",
+        "rollover",
+        "startMonth",
+        "createdAt",
+        "updatedAt",
+      ],
+      data.budgets.map((item) => [
+        item.id,
+        walletNames.get(item.walletId) ?? item.walletId,
+        item.category,
+        fromMinor(item.limit, currencyOf(item.walletId)),
+        currencyOf(item.walletId),
+        item.rollover,
+        item.startMonth,
+        item.createdAt,
+        item.updatedAt,
+      ]),
+    ),
+    exchangeRates: formatCsv(
+      ["id", "from", "to", "rate", "effectiveDate", "createdAt", "updatedAt"],
+      [...data.exchangeRates]
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+        .map((item) => [
+          item.id,
+          item.from,
+          item.to,
+          item.rate,
+          item.effectiveDate,
+          item.createdAt,
+          item.updatedAt,
+        ]),
+    ),
+    categories: formatCsv(
+      ["category"],
+      data.categories.map((item) => [item]),
+    ),
+  };
+}
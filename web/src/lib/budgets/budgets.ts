@@ -0,0 +1,167 @@
+/**
+ * Budgets - Monthly envelope budgets per category
+ * Spending is computed from a wallet's transactions in each financial month
+ */
+
+import type { Transaction } from "$lib/stores/transactions";
+import { financialMonthOf } from "../settings/settings";
+
+export interface Budget {
+  id: string;
+  walletId: string;
+  category: string;
+  // Monthly limit in minor units of the wallet's currency
+  limit: number;
+  // Carry the unused part of the limit into the next month
+  rollover: boolean;
+  // First month (YYYY-MM) the budget applies to
+  startMonth: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type BudgetInput = Omit<Budget, "id" | "createdAt" | "updatedAt">;
+
+export type BudgetErrors = Partial<Record<keyof BudgetInput, string>>;
+
+export type BudgetStatus = "ok" | "warning" | "over";
+
+export interface BudgetProgress {
+  budget: Budget;
+  // Unused amount carried over from previous months
+  carriedOver: number;
+  available: number;
+  spent: number;
+  remaining: number;
+  // Share of the available amount already spent (0..1+)
+  ratio: number;
+  status: BudgetStatus;
+}
+
+// Spending at or above this share of the budget is flagged
+export const BUDGET_WARNING_RATIO = 0.8;
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Format a date as YYYY-MM in the user's local time zone
+ */
+export function toISOMonth(date: Date = new Date()): string {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${date.getFullYear()}-${month}`;
+}
+
+/**
+ * Move a YYYY-MM month by a number of months
+ */
+export function shiftMonth(month: string, offset: number): string {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return toISOMonth(new Date(year, monthIndex - 1 + offset, 1));
+}
+
+/**
+ * Validate a budget before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateBudget(
+  input: BudgetInput,
+  existing: Budget[] = [],
+  id?: string,
+): BudgetErrors {
+  const errors: BudgetErrors = {};
+  const category = input.category.trim();
+
+  if (!category) {
+    errors.category = "Category is required";
+  } else if (
+    existing.some(
+      (item) =>
+        item.id !== id &&
+        item.walletId === input.walletId &&
+        item.category.toLowerCase() === category.toLowerCase(),
+    )
+  ) {
+    errors.category = "This category already has a budget";
+  }
+  if (!Number.isInteger(input.limit) || input.limit <= 0) {
+    errors.limit = "Limit must be greater than zero";
+  }
+  if (!MONTH_PATTERN.test(input.startMonth)) {
+    errors.startMonth = "Enter a valid month";
+  }
+  if (!input.walletId) {
+    errors.walletId = "Wallet is required";
+  }
+
+  return errors;
+}
+
+/**
+ * Total spent per financial month (YYYY-MM) on a budget's category
+ */
+function spendingByMonth(
+  budget: Budget,
+  items: Transaction[],
+  monthStartDay: number,
+): Map<string, number> {
+  const totals = new Map<string, number>();
+  for (const item of items) {
+    if (
+      item.type !== "expense" ||
+      item.walletId !== budget.walletId ||
+      item.category.toLowerCase() !== budget.category.toLowerCase()
+    ) {
+      continue;
+    }
+    const month = financialMonthOf(item.date, monthStartDay);
+    totals.set(month, (totals.get(month) ?? 0) + item.amount);
+  }
+  return totals;
+}
+
+/**
+ * Compute how much of a budget is spent and left in a month
+ * Months start on `monthStartDay`, see financialMonthOf
+ */
+export function computeBudgetProgress(
+  budget: Budget,
+  items: Transaction[],
+  month: string,
+  monthStartDay = 1,
+): BudgetProgress {
+  const spending = spendingByMonth(budget, items, monthStartDay);
+
+  // Walk from the first month, carrying whatever was left unspent
+  let carriedOver = 0;
+  if (budget.rollover) {
+    for (
+      let current = budget.startMonth;
+      current < month;
+      current = shiftMonth(current, 1)
+    ) {
+      const left = budget.limit + carriedOver - (spending.get(current) ?? 0);
+      carriedOver = Math.max(left, 0);
+    }
+  }
+
+  const available = month < budget.startMonth ? 0 : budget.limit + carriedOver;
+  const spent = spending.get(month) ?? 0;
+  const ratio = available > 0 ? spent / available : spent > 0 ? Infinity : 0;
+
+  let status: BudgetStatus = "ok";
+  if (ratio > 1) {
+    status = "over";
+  } else if (ratio >= BUDGET_WARNING_RATIO) {
+    status = "warning";
+  }
+
+  return {
+    budget,
+    carriedOver,
+    available,
+    spent,
+    remaining: available - spent,
+    ratio,
+    status,
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Households - People sharing wallets, and what each may do with them
+ * The API keeps households; these helpers answer questions about them
+ */
+
+import type { Transaction } from "$lib/stores/transactions";
+import type { WalletType } from "$lib/stores/wallets";
+
+export type HouseholdRole = "owner" | "member";
+
+// Keep in sync with api/index.php, WALLET_PERMISSIONS
+export type WalletPermission = "owner" | "editor" | "viewer";
+
+export const WALLET_PERMISSIONS: {
+  value: WalletPermission;
+  label: string;
+  description: string;
+}[] = [
+  {
+    value: "owner",
+    label: "Owner",
+    description: "Edits transactions and decides who sees the wallet",
+  },
+  {
+    value: "editor",
+    label: "Editor",
+    description: "Records and edits transactions",
+  },
+  { value: "viewer", label: "Viewer", description: "Sees transactions only" },
+];
+
+export interface HouseholdMember {
+  email: string;
+  // Google profile name, known once they have joined
+  name: string | null;
+  role: HouseholdRole;
+  invitedBy: string | null;
+  joinedAt: string | null;
+}
+
+export interface SharedWallet {
+  walletId: string;
+  wallet: {
+    name: string;
+    type: WalletType;
+    currency: string;
+    openingBalance: number;
+  };
+  sharedBy: string;
+  sharedAt: string;
+  // The signed-in user's access
+  permission: WalletPermission;
+  // Everyone's access; only owners of the wallet see more than their own
+  permissions: Record<string, WalletPermission>;
+}
+
+export interface InvitationLink {
+  token: string;
+  createdBy: string;
+  expiresAt: string;
+}
+
+export interface Household {
+  id: string;
+  name: string;
+  createdAt: string;
+  // The signed-in user's role in the household
+  role: HouseholdRole;
+  members: HouseholdMember[];
+  // Wallets shared with the signed-in user
+  wallets: SharedWallet[];
+  // Open invitation links, for household owners
+  links: InvitationLink[];
+}
+
+export interface WalletShare {
+  householdId: string;
+  shared: SharedWallet;
+}
+
+/**
+ * Where each shared wallet is shared, by wallet id
+ */
+export function sharedWallets(
+  households: Household[],
+): Map<string, WalletShare> {
+  const shares = new Map<string, WalletShare>();
+  for (const household of households) {
+    for (const shared of household.wallets) {
+      shares.set(shared.walletId, { householdId: household.id, shared });
+    }
+  }
+  return shares;
+}
+
+/**
+ * The user's access to a wallet; wallets nobody shared are theirs alone
+ */
+export function walletPermission(
+  shares: Map<string, WalletShare>,
+  walletId: string,
+): WalletPermission {
+  return shares.get(walletId)?.shared.permission ?? "owner";
+}
+
+export function canEditWallet(permission: WalletPermission): boolean {
+  return permission !== "viewer";
+}
+
+/**
+ * The shared wallet a transaction belongs to, if any
+ * Transfers count for the wallet they leave, or else the one they reach
+ */
+export function shareFor(
+  shares: Map<string, WalletShare>,
+  item: Pick<Transaction, "walletId" | "toWalletId">,
+): WalletShare | undefined {
+  return (
+    shares.get(item.walletId) ??
+    (item.toWalletId ? shares.get(item.toWalletId) : undefined)
+  );
+}
+
+/**
+ * Everyone in any of the user's households, by email, named where known
+ */
+export function householdPeople(households: Household[]): Map<string, string> {
+  const people = new Map<string, string>();
+  for (const household of households) {
+    for (const member of household.members) {
+      if (member.name || !people.has(member.email)) {
+        people.set(member.email, member.name ?? member.email);
+      }
+    }
+  }
+  return people;
+}
+
+/**
+ * Who recorded a transaction; records from before households are the
+ * signed-in user's own
+ */
+export function recordedBy(item: Transaction, self: string): string {
+  return item.createdBy ?? self;
+}
+
+/**
+ * Full URL of an invitation link
+ */
+export function invitationUrl(origin: string, token: string): string {
+  return `${origin}/join?token=${encodeURIComponent(token)}`;
+}
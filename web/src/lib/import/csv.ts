@@ -0,0 +1,332 @@
+/**
+ * Bank statement import - CSV parsing and column mapping
+ */
+
+import type {
+  StatementError,
+  StatementParseResult,
+  StatementRow,
+} from "./statement";
+import {
+  parseAmount,
+  parseDate,
+  type DateOrder,
+  type DecimalSeparator,
+  type ThousandsSeparator,
+} from "./values";
+
+// Column index used when a field is not mapped to any column
+export const UNMAPPED = -1;
+
+export interface CsvMapping {
+  hasHeader: boolean;
+  dateColumn: number;
+  dateOrder: DateOrder;
+  descriptionColumn: number;
+  // Single signed amount column, or UNMAPPED to use debit and credit
+  amountColumn: number;
+  debitColumn: number;
+  creditColumn: number;
+  decimalSeparator: DecimalSeparator;
+  thousandsSeparator: ThousandsSeparator;
+}
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+const HEADER_PATTERNS = {
+  date: /date|tanggal|tgl/i,
+  description: /desc|keterangan|memo|narrat|detail|payee|uraian|remark/i,
+  amount: /amount|jumlah|nominal|mutasi|value/i,
+  debit: /debit|withdraw|keluar|\bdb\b|\bdr\b/i,
+  credit: /credit|kredit|deposit|masuk|\bcr\b/i,
+};
+
+/**
+ * Pick the delimiter that splits the first line into the most fields
+ */
+export function detectDelimiter(text: string): string {
+  const firstLine = text.replace(/^\uFEFF/, "").split(/\r?\n/, 1)[0] ?? "";
+  // Ignore delimiters inside quoted fields
+  const unquoted = firstLine.replace(/"[^"]*"/g, "");
+
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain
+ * delimiters, doubled quotes and line breaks)
+ */
+export function parseCsv(
+  text: string,
+  delimiter: string = detectDelimiter(text),
+): string[][] {
+  const input = text.replace(/^\uFEFF/, "");
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+const DATE_ORDER_GUESSES: DateOrder[] = ["YMD", "DMY", "MDY"];
+
+function looksLikeDate(value: string): boolean {
+  return DATE_ORDER_GUESSES.some((order) => parseDate(value, order));
+}
+
+function looksLikeAmount(value: string): boolean {
+  return ([".", ","] as DecimalSeparator[]).some(
+    (decimalSeparator) =>
+      parseAmount(value, {
+        decimalSeparator,
+        thousandsSeparator: decimalSeparator === "," ? "." : ",",
+      }) !== null,
+  );
+}
+
+function findColumn(
+  header: string[],
+  pattern: RegExp,
+  taken: number[],
+): number {
+  return header.findIndex(
+    (cell, index) => !taken.includes(index) && pattern.test(cell),
+  );
+}
+
+// Column whose filled values all pass the test, searching from the given end
+function findColumnByContent(
+  sample: string[][],
+  width: number,
+  test: (value: string) => boolean,
+  taken: number[],
+  fromEnd = false,
+): number {
+  const columns = Array.from({ length: width }, (_, index) => index);
+  if (fromEnd) columns.reverse();
+
+  return (
+    columns.find((column) => {
+      if (taken.includes(column)) return false;
+      const values = sample
+        .map((record) => record[column]?.trim() ?? "")
+        .filter(Boolean);
+      return values.length > 0 && values.every(test);
+    }) ?? UNMAPPED
+  );
+}
+
+function guessDateOrder(values: string[]): DateOrder {
+  // The order that reads the most values wins; ties prefer day-first
+  // over month-first
+  let best: DateOrder = "DMY";
+  let bestCount = 0;
+  for (const order of DATE_ORDER_GUESSES) {
+    const count = values.filter((value) => parseDate(value, order)).length;
+    if (count > bestCount) {
+      best = order;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function guessDecimalSeparator(values: string[]): DecimalSeparator {
+  const commaDecimals = values.some((value) =>
+    /\d,\d{1,2}\D*$/.test(value.trim()),
+  );
+  const dotDecimals = values.some((value) =>
+    /\d\.\d{1,2}\D*$/.test(value.trim()),
+  );
+  return commaDecimals && !dotDecimals ? "," : ".";
+}
+
+/**
+ * Suggest a column mapping from the header row, falling back to the
+ * content of the first records when there is no header
+ */
+export function guessCsvMapping(records: string[][]): CsvMapping {
+  const first = records[0] ?? [];
+  const hasHeader = !first.some(
+    (cell) => /\d/.test(cell) && looksLikeDate(cell),
+  );
+  const header = hasHeader ? first : [];
+  const sample = records.slice(hasHeader ? 1 : 0, 21);
+  const width = Math.max(
+    0,
+    ...records.slice(0, 21).map((record) => record.length),
+  );
+
+  let dateColumn = findColumn(header, HEADER_PATTERNS.date, []);
+  if (dateColumn < 0) {
+    dateColumn = Math.max(
+      findColumnByContent(sample, width, looksLikeDate, []),
+      0,
+    );
+  }
+
+  const debitColumn = findColumn(header, HEADER_PATTERNS.debit, [dateColumn]);
+  const creditColumn = findColumn(header, HEADER_PATTERNS.credit, [
+    dateColumn,
+    debitColumn,
+  ]);
+  const split = debitColumn >= 0 && creditColumn >= 0;
+
+  let amountColumn = UNMAPPED;
+  if (!split) {
+    amountColumn = findColumn(header, HEADER_PATTERNS.amount, [dateColumn]);
+    if (amountColumn < 0) {
+      amountColumn = findColumnByContent(
+        sample,
+        width,
+        looksLikeAmount,
+        [dateColumn],
+        true,
+      );
+    }
+  }
+
+  const taken = [dateColumn, amountColumn, debitColumn, creditColumn];
+  let descriptionColumn = findColumn(
+    header,
+    HEADER_PATTERNS.description,
+    taken,
+  );
+  if (descriptionColumn < 0) {
+    descriptionColumn = findColumnByContent(
+      sample,
+      width,
+      (value) => /[a-z]/i.test(value),
+      taken,
+    );
+  }
+
+  const amountValues = sample.flatMap((record) =>
+    (split
+      ? [record[debitColumn], record[creditColumn]]
+      : [record[amountColumn]]
+    ).filter((value): value is string => !!value?.trim()),
+  );
+  const decimalSeparator = guessDecimalSeparator(amountValues);
+
+  return {
+    hasHeader,
+    dateColumn,
+    dateOrder: guessDateOrder(
+      sample.map((record) => record[dateColumn]?.trim() ?? "").filter(Boolean),
+    ),
+    descriptionColumn,
+    amountColumn,
+    debitColumn: split ? debitColumn : UNMAPPED,
+    creditColumn: split ? creditColumn : UNMAPPED,
+    decimalSeparator,
+    thousandsSeparator: decimalSeparator === "," ? "." : ",",
+  };
+}
+
+/**
+ * Turn CSV records into statement rows using a column mapping
+ * Records that cannot be read are reported instead of imported
+ */
+export function mapCsvRows(
+  records: string[][],
+  mapping: CsvMapping,
+): StatementParseResult {
+  const rows: StatementRow[] = [];
+  const errors: StatementError[] = [];
+  const format = {
+    decimalSeparator: mapping.decimalSeparator,
+    thousandsSeparator: mapping.thousandsSeparator,
+  };
+
+  records.forEach((record, index) => {
+    const line = index + 1;
+    if (mapping.hasHeader && index === 0) return;
+    if (record.every((cell) => !cell.trim())) return;
+
+    const date = parseDate(record[mapping.dateColumn] ?? "", mapping.dateOrder);
+    if (!date) {
+      errors.push({ line, message: "Date could not be read" });
+      return;
+    }
+
+    let amount: number | null;
+    if (mapping.amountColumn !== UNMAPPED) {
+      amount = parseAmount(record[mapping.amountColumn] ?? "", format);
+    } else {
+      const debitText = record[mapping.debitColumn]?.trim() ?? "";
+      const creditText = record[mapping.creditColumn]?.trim() ?? "";
+      const debit = debitText ? parseAmount(debitText, format) : 0;
+      const credit = creditText ? parseAmount(creditText, format) : 0;
+      amount =
+        debit === null || credit === null
+          ? null
+          : Math.abs(credit) - Math.abs(debit);
+    }
+    if (amount === null) {
+      errors.push({ line, message: "Amount could not be read" });
+      return;
+    }
+    if (amount === 0) {
+      errors.push({ line, message: "Amount is zero" });
+      return;
+    }
+
+    rows.push({
+      line,
+      date,
+      amount,
+      description:
+        mapping.descriptionColumn === UNMAPPED
+          ? ""
+          : (record[mapping.descriptionColumn] ?? "")
+              .trim()
+              .replace(/\s+/g, " "),
+    });
+  });
+
+  return { rows, errors };
+}
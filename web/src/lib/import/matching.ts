@@ -0,0 +1,141 @@
+/**
+ * Bank statement import - Category detection and duplicate matching
+ * Both work from the wallet's existing entries, so they stay offline
+ */
+
+// An existing ledger entry as seen from the wallet being imported into
+export interface LedgerEntry {
+  id: string;
+  date: string;
+  // Signed like statement rows: negative leaves the wallet
+  amount: number;
+  note: string;
+  category: string;
+}
+
+// Tokens shorter than this (and plain numbers) say nothing about a payee
+const MIN_TOKEN_LENGTH = 3;
+
+// Share of the shorter description's tokens that must match
+const DUPLICATE_TOKEN_OVERLAP = 0.5;
+
+/**
+ * Lowercase a description and reduce it to letters, digits and spaces
+ */
+export function normalizeDescription(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * The words of a description that can tell payees apart, in order
+ */
+export function tokenize(text: string): string[] {
+  return [
+    ...new Set(
+      normalizeDescription(text)
+        .split(" ")
+        .filter(
+          (token) => token.length >= MIN_TOKEN_LENGTH && !/^\d+$/.test(token),
+        ),
+    ),
+  ];
+}
+
+/**
+ * Build a detector that suggests a category for a statement description,
+ * learnt from the categories already given to similar notes
+ */
+export function createCategoryDetector(
+  entries: Pick<LedgerEntry, "note" | "category">[],
+): (description: string) => string | null {
+  const exact = new Map<string, string>();
+  const votes = new Map<string, Map<string, number>>();
+
+  for (const entry of entries) {
+    if (!entry.category || entry.category === "Transfer") continue;
+
+    const note = normalizeDescription(entry.note);
+    if (!note) continue;
+    exact.set(note, entry.category);
+
+    for (const token of tokenize(entry.note)) {
+      const counts = votes.get(token) ?? new Map<string, number>();
+      counts.set(entry.category, (counts.get(entry.category) ?? 0) + 1);
+      votes.set(token, counts);
+    }
+  }
+
+  return (description) => {
+    const normalized = normalizeDescription(description);
+    if (!normalized) return null;
+
+    const match = exact.get(normalized);
+    if (match) return match;
+
+    const scores = new Map<string, number>();
+    for (const token of tokenize(description)) {
+      const counts = votes.get(token);
+      if (!counts) continue;
+
+      // Tokens seen with many categories ("transfer", "payment") count less
+      const weight = 1 / counts.size;
+      for (const [category, count] of counts) {
+        scores.set(category, (scores.get(category) ?? 0) + count * weight);
+      }
+    }
+
+    let best: string | null = null;
+    let bestScore = 0;
+    for (const [category, score] of scores) {
+      if (score > bestScore) {
+        best = category;
+        bestScore = score;
+      }
+    }
+    return best;
+  };
+}
+
+function amountKey(date: string, amount: number): string {
+  return `${date}|${Math.round(amount * 100)}`;
+}
+
+function isSimilar(left: string, right: string): boolean {
+  const a = normalizeDescription(left);
+  const b = normalizeDescription(right);
+  if (!a || !b) return true;
+  if (a.includes(b) || b.includes(a)) return true;
+
+  const leftTokens = tokenize(left);
+  const rightTokens = new Set(tokenize(right));
+  const shared = leftTokens.filter((token) => rightTokens.has(token)).length;
+  const smaller = Math.min(leftTokens.length, rightTokens.size);
+  return smaller > 0 && shared / smaller >= DUPLICATE_TOKEN_OVERLAP;
+}
+
+/**
+ * Build a matcher that finds the existing entry a statement row most
+ * likely duplicates: same date, same signed amount and a similar
+ * description (an entry without a note matches on date and amount)
+ */
+export function createDuplicateFinder(
+  entries: LedgerEntry[],
+): (row: {
+  date: string;
+  amount: number;
+  description: string;
+}) => LedgerEntry | null {
+  const byAmount = new Map<string, LedgerEntry[]>();
+  for (const entry of entries) {
+    const key = amountKey(entry.date, entry.amount);
+    byAmount.set(key, [...(byAmount.get(key) ?? []), entry]);
+  }
+
+  return (row) =>
+    byAmount
+      .get(amountKey(row.date, row.amount))
+      ?.find((entry) => isSimilar(entry.note, row.description)) ?? null;
+}
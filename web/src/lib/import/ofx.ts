@@ -0,0 +1,103 @@
+/**
+ * Bank statement import - OFX and QFX parsing
+ * Handles both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x) files
+ */
+
+import type {
+  StatementError,
+  StatementParseResult,
+  StatementRow,
+} from "./statement";
+
+const TRANSACTION_PATTERN =
+  /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi;
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(value: string): string {
+  return value.replace(/&(#\d+|[a-z]+);/gi, (match, entity: string) => {
+    if (entity.startsWith("#")) {
+      return String.fromCharCode(Number(entity.slice(1)));
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Value of a leaf element; SGML files omit the closing tag
+function readField(block: string, tag: string): string {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? decodeEntities(match[1].trim()) : "";
+}
+
+// OFX dates start with YYYYMMDD, optionally followed by a time and zone
+function parseOfxDate(value: string): string | null {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+
+  return `${year}-${month}-${day}`;
+}
+
+function lineAt(text: string, index: number): number {
+  return text.slice(0, index).split("\n").length;
+}
+
+/**
+ * Read the transactions of an OFX or QFX statement
+ */
+export function parseOfx(text: string): StatementParseResult {
+  const rows: StatementRow[] = [];
+  const errors: StatementError[] = [];
+
+  if (!/<OFX>/i.test(text)) {
+    return { rows, errors: [{ line: 1, message: "Not an OFX file" }] };
+  }
+
+  for (const match of text.matchAll(TRANSACTION_PATTERN)) {
+    const block = match[1];
+    const line = lineAt(text, match.index ?? 0);
+
+    const date = parseOfxDate(readField(block, "DTPOSTED"));
+    if (!date) {
+      errors.push({ line, message: "Date could not be read" });
+      continue;
+    }
+
+    // The spec allows a comma as the decimal separator
+    const amountText = readField(block, "TRNAMT").replace(",", ".");
+    const amount = Number(amountText);
+    if (!amountText || !Number.isFinite(amount)) {
+      errors.push({ line, message: "Amount could not be read" });
+      continue;
+    }
+    if (amount === 0) {
+      errors.push({ line, message: "Amount is zero" });
+      continue;
+    }
+
+    const name = readField(block, "NAME");
+    const memo = readField(block, "MEMO");
+    const description =
+      name && memo && !memo.includes(name) ? `${name} ${memo}` : memo || name;
+
+    rows.push({
+      line,
+      date,
+      amount,
+      description: description.replace(/\s+/g, " "),
+      reference: readField(block, "FITID") || undefined,
+    });
+  }
+
+  return { rows, errors };
+}
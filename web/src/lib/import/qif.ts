@@ -0,0 +1,126 @@
+/**
+ * Bank statement import - QIF (Quicken Interchange Format) parsing
+ */
+
+import type {
+  StatementError,
+  StatementParseResult,
+  StatementRow,
+} from "./statement";
+import { parseAmount, parseDate, type DateOrder } from "./values";
+
+// Account sections that hold plain bank-style transactions
+const SUPPORTED_TYPES = new Set(["bank", "cash", "ccard", "oth a", "oth l"]);
+
+const QIF_NUMBER_FORMAT = {
+  decimalSeparator: ".",
+  thousandsSeparator: ",",
+} as const;
+
+interface QifRecord {
+  line: number;
+  fields: Map<string, string>;
+}
+
+function toRow(
+  record: QifRecord,
+  dateOrder: DateOrder,
+  errors: StatementError[],
+): StatementRow | null {
+  const { line, fields } = record;
+
+  const date = parseDate(fields.get("D") ?? "", dateOrder);
+  if (!date) {
+    errors.push({ line, message: "Date could not be read" });
+    return null;
+  }
+
+  const amount = parseAmount(
+    fields.get("T") ?? fields.get("U") ?? "",
+    QIF_NUMBER_FORMAT,
+  );
+  if (amount === null) {
+    errors.push({ line, message: "Amount could not be read" });
+    return null;
+  }
+  if (amount === 0) {
+    errors.push({ line, message: "Amount is zero" });
+    return null;
+  }
+
+  const payee = fields.get("P") ?? "";
+  const memo = fields.get("M") ?? "";
+  // Bracketed categories ("[Savings]") are transfers to another account
+  const category = fields.get("L") ?? "";
+
+  return {
+    line,
+    date,
+    amount,
+    description: [payee, memo].filter(Boolean).join(" ").replace(/\s+/g, " "),
+    category:
+      category && !category.startsWith("[")
+        ? category.split(":")[0]
+        : undefined,
+    reference: fields.get("N") || undefined,
+  };
+}
+
+/**
+ * Read the transactions of a QIF file
+ * QIF has no fixed date format, so the part order has to be given
+ */
+export function parseQif(
+  text: string,
+  dateOrder: DateOrder = "MDY",
+): StatementParseResult {
+  const rows: StatementRow[] = [];
+  const errors: StatementError[] = [];
+
+  let supported = true;
+  let record: QifRecord | null = null;
+
+  const finish = () => {
+    if (record && supported) {
+      const row = toRow(record, dateOrder, errors);
+      if (row) rows.push(row);
+    }
+    record = null;
+  };
+
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.startsWith("!")) {
+        finish();
+        const type = line.match(/^!Type:(.*)$/i);
+        if (type) {
+          supported = SUPPORTED_TYPES.has(type[1].trim().toLowerCase());
+        } else if (/^!Account/i.test(line)) {
+          // Account lists describe accounts, not transactions
+          supported = false;
+        }
+        return;
+      }
+
+      if (line === "^") {
+        finish();
+        return;
+      }
+
+      record ??= { line: index + 1, fields: new Map() };
+      const code = line[0];
+      // Keep the first value; split lines (S, E, $) repeat per split
+      if (!record.fields.has(code)) {
+        record.fields.set(code, line.slice(1).trim());
+      }
+    });
+
+  finish();
+
+  return { rows, errors };
+}
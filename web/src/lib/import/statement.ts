@@ -0,0 +1,50 @@
+/**
+ * Bank statement import - Shared types and format detection
+ * Parsers are pure functions over the file's text so they run offline
+ */
+
+export type StatementFormat = "csv" | "ofx" | "qif";
+
+export interface StatementRow {
+  // Line (or CSV record) the entry starts on, for error reporting
+  line: number;
+  // Calendar date as YYYY-MM-DD
+  date: string;
+  // Signed amount: negative leaves the account, positive comes in
+  amount: number;
+  description: string;
+  // Category carried by the file itself (QIF only)
+  category?: string;
+  // Bank reference, e.g. the OFX FITID
+  reference?: string;
+}
+
+export interface StatementError {
+  line: number;
+  message: string;
+}
+
+export interface StatementParseResult {
+  rows: StatementRow[];
+  errors: StatementError[];
+}
+
+/**
+ * Guess a statement's format from its file name, then its content
+ */
+export function detectStatementFormat(
+  fileName: string,
+  text: string,
+): StatementFormat | null {
+  const extension = fileName.split(".").pop()?.toLowerCase();
+  if (extension === "ofx" || extension === "qfx") return "ofx";
+  if (extension === "qif") return "qif";
+  if (extension === "csv" || extension === "tsv") return "csv";
+
+  const head = text.trimStart().slice(0, 512);
+  if (/^OFXHEADER:|<OFX>|<\?OFX/i.test(head)) return "ofx";
+  if (/^!(Type|Account|Option):/im.test(head)) return "qif";
+  if (/[,;\t]/.test(head.split(/\r?\n/)[0] ?? "")) return "csv";
+
+  return null;
+}
@@ -0,0 +1,149 @@
+/**
+ * Bank statement import - Date and amount parsing
+ */
+
+// Order of the day, month and year parts in a date
+export type DateOrder = "YMD" | "DMY" | "MDY";
+
+export const DATE_ORDERS: { value: DateOrder; label: string }[] = [
+  { value: "DMY", label: "DD/MM/YYYY" },
+  { value: "MDY", label: "MM/DD/YYYY" },
+  { value: "YMD", label: "YYYY-MM-DD" },
+];
+
+export type DecimalSeparator = "." | ",";
+export type ThousandsSeparator = "," | "." | " " | "";
+
+export interface NumberFormat {
+  decimalSeparator: DecimalSeparator;
+  thousandsSeparator: ThousandsSeparator;
+}
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Indonesian abbreviations that differ from the English ones
+const MONTH_ALIASES: Record<string, number> = {
+  mei: 5,
+  agu: 8,
+  agt: 8,
+  okt: 10,
+  des: 12,
+};
+
+function parseMonth(part: string): number {
+  if (/^\d+$/.test(part)) return Number(part);
+
+  const name = part.slice(0, 3).toLowerCase();
+  const index = MONTH_NAMES.indexOf(name);
+  return index >= 0 ? index + 1 : (MONTH_ALIASES[name] ?? NaN);
+}
+
+function splitCompactDate(text: string, order: DateOrder): string[] {
+  if (order === "YMD") {
+    return [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)];
+  }
+  return [text.slice(0, 2), text.slice(2, 4), text.slice(4, 8)];
+}
+
+/**
+ * Parse a date written in the given part order into YYYY-MM-DD
+ * Accepts any separator, two-digit years, month names and a trailing time
+ * Returns null when the value is not a real calendar date
+ */
+export function parseDate(value: string, order: DateOrder): string | null {
+  const text = value
+    .trim()
+    .replace(/[T\s]+\d{1,2}[:.]\d{2}([:.]\d{2})?.*$/i, "");
+
+  const parts = /^\d{8}$/.test(text)
+    ? splitCompactDate(text, order)
+    : text.split(/[\s/.\-',]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const [yearPart, monthPart, dayPart] = ["Y", "M", "D"].map(
+    (key) => parts[order.indexOf(key)],
+  );
+  if (!/^\d+$/.test(yearPart) || !/^\d+$/.test(dayPart)) return null;
+
+  let year = Number(yearPart);
+  const month = parseMonth(monthPart);
+  const day = Number(dayPart);
+
+  if (yearPart.length === 2) {
+    year += year < 70 ? 2000 : 1900;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a formatted amount into a number
+ * Understands currency symbols, parentheses and trailing minus signs,
+ * and DR/DB (debit) or CR (credit) suffixes used by bank exports
+ * Returns null when the value is not a number
+ */
+export function parseAmount(
+  value: string,
+  format: NumberFormat,
+): number | null {
+  let text = value.trim();
+  let negative = false;
+
+  const marker = text.match(/(DR|DB|CR)\.?$/i);
+  if (marker) {
+    negative = /^D/i.test(marker[1]);
+    text = text.slice(0, marker.index);
+  }
+  if (/^\(.*\)$/.test(text)) {
+    negative = !negative;
+    text = text.slice(1, -1);
+  }
+
+  // Drop currency codes and symbols, keeping digits, signs and separators
+  text = text.replace(/[^\d.,'\s+-]/g, "").trim();
+
+  if (text.endsWith("-")) {
+    negative = !negative;
+    text = text.slice(0, -1).trim();
+  } else if (text.startsWith("-")) {
+    negative = !negative;
+    text = text.slice(1).trim();
+  } else if (text.startsWith("+")) {
+    text = text.slice(1).trim();
+  }
+
+  if (format.thousandsSeparator === " ") {
+    text = text.replace(/[\s']/g, "");
+  } else if (format.thousandsSeparator) {
+    text = text.split(format.thousandsSeparator).join("");
+  }
+  text = text.replace(format.decimalSeparator, ".").replace(/\s/g, "");
+
+  if (!/^\d+(\.\d+)?$|^\.\d+$/.test(text)) return null;
+
+  const amount = Number(text);
+  return negative ? -amount : amount;
+}
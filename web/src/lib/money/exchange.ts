@@ -0,0 +1,185 @@
+/**
+ * Money - Conversion with the user's own exchange-rate table
+ * Each rate applies from its effective date until a newer one for the
+ * same pair takes over
+ */
+
+import { minorDigits, roundHalfAwayFromZero, type Money } from "./money";
+
+export interface ExchangeRate {
+  id: string;
+  // 1 unit of `from` is worth `rate` units of `to` (decimal, not minor)
+  from: string;
+  to: string;
+  rate: number;
+  // First day (YYYY-MM-DD) the rate applies to
+  effectiveDate: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ResolvedRate {
+  rate: number;
+  // Rates used, so callers can tell which entries a figure depends on
+  via: ExchangeRate[];
+}
+
+export class MissingRateError extends Error {
+  constructor(
+    readonly from: string,
+    readonly to: string,
+    readonly date: string,
+  ) {
+    super(`No ${from} to ${to} exchange rate on ${date}`);
+    this.name = "MissingRateError";
+  }
+}
+
+// Newest rate for an exact pair that is in effect on the date
+function latestRate(
+  rates: ExchangeRate[],
+  from: string,
+  to: string,
+  date: string,
+): ExchangeRate | null {
+  let best: ExchangeRate | null = null;
+  for (const rate of rates) {
+    if (rate.from !== from || rate.to !== to || rate.effectiveDate > date) {
+      continue;
+    }
+    if (
+      !best ||
+      rate.effectiveDate > best.effectiveDate ||
+      (rate.effectiveDate === best.effectiveDate &&
+        rate.updatedAt > best.updatedAt)
+    ) {
+      best = rate;
+    }
+  }
+  return best;
+}
+
+// A pair entered either way round
+function directRate(
+  rates: ExchangeRate[],
+  from: string,
+  to: string,
+  date: string,
+): ResolvedRate | null {
+  const forward = latestRate(rates, from, to, date);
+  const inverse = latestRate(rates, to, from, date);
+
+  // When both directions exist, the more recently effective one wins
+  if (forward && (!inverse || forward.effectiveDate >= inverse.effectiveDate)) {
+    return { rate: forward.rate, via: [forward] };
+  }
+  if (inverse) {
+    return { rate: 1 / inverse.rate, via: [inverse] };
+  }
+  return null;
+}
+
+/**
+ * Find the rate from one currency to another on a date
+ * Uses the pair itself, its inverse, or a single hop through a third
+ * currency (e.g. SGD -> IDR -> USD when only IDR rates are kept)
+ */
+export function findRate(
+  rates: ExchangeRate[],
+  from: string,
+  to: string,
+  date: string,
+): ResolvedRate | null {
+  if (from === to) return { rate: 1, via: [] };
+
+  const direct = directRate(rates, from, to, date);
+  if (direct) return direct;
+
+  const currencies = new Set(rates.flatMap((rate) => [rate.from, rate.to]));
+  for (const middle of [...currencies].sort()) {
+    if (middle === from || middle === to) continue;
+
+    const first = directRate(rates, from, middle, date);
+    const second = first && directRate(rates, middle, to, date);
+    if (first && second) {
+      return {
+        rate: first.rate * second.rate,
+        via: [...first.via, ...second.via],
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert an amount to another currency at the rate in effect on a date
+ * Throws MissingRateError when the table has no usable rate
+ */
+export function convertMoney(
+  money: Money,
+  to: string,
+  rates: ExchangeRate[],
+  date: string,
+): Money {
+  if (money.currency === to) return money;
+
+  const resolved = findRate(rates, money.currency, to, date);
+  if (!resolved) {
+    throw new MissingRateError(money.currency, to, date);
+  }
+
+  const scale = 10 ** (minorDigits(to) - minorDigits(money.currency));
+  return {
+    amount: roundHalfAwayFromZero(money.amount * resolved.rate * scale),
+    currency: to,
+  };
+}
+
+export interface ConvertedTotal {
+  total: Money;
+  // Currencies that had no rate and were left out of the total
+  missing: string[];
+}
+
+/**
+ * Total amounts of mixed currencies in one currency
+ * Amounts are summed exactly per currency and rate first, then each group
+ * is converted once, so the result doesn't depend on the order of items
+ * and repeated totals never drift
+ */
+export function totalInCurrency(
+  items: (Money & { date?: string })[],
+  to: string,
+  rates: ExchangeRate[],
+  date: string,
+): ConvertedTotal {
+  const groups = new Map<string, { money: Money; rate: number }>();
+  const missing = new Set<string>();
+
+  for (const item of items) {
+    const resolved = findRate(rates, item.currency, to, item.date ?? date);
+    if (!resolved) {
+      missing.add(item.currency);
+      continue;
+    }
+
+    const key = `${item.currency}|${resolved.rate}`;
+    const group = groups.get(key) ?? {
+      money: { amount: 0, currency: item.currency },
+      rate: resolved.rate,
+    };
+    group.money.amount += item.amount;
+    groups.set(key, group);
+  }
+
+  let amount = 0;
+  for (const { money, rate } of groups.values()) {
+    const scale = 10 ** (minorDigits(to) - minorDigits(money.currency));
+    amount +=
+      money.currency === to
+        ? money.amount
+        : roundHalfAwayFromZero(money.amount * rate * scale);
+  }
+
+  return { total: { amount, currency: to }, missing: [...missing].sort() };
+}
@@ -0,0 +1,132 @@
+/**
+ * Money - Amounts as integer minor units with a currency code
+ * Arithmetic stays in integers so sums never pick up floating point error;
+ * only parsing and conversion round, and they always round the same way
+ */
+
+export interface Money {
+  // Integer number of minor units, e.g. cents for USD, rupiah for IDR
+  amount: number;
+  // ISO 4217 code
+  currency: string;
+}
+
+export class CurrencyMismatchError extends Error {
+  constructor(expected: string, actual: string) {
+    super(`Cannot combine ${actual} with ${expected}`);
+    this.name = "CurrencyMismatchError";
+  }
+}
+
+// Currencies whose everyday use differs from Intl's ISO 4217 digits;
+// rupiah has official sen but nobody writes them
+const MINOR_DIGITS_OVERRIDES: Record<string, number> = {
+  IDR: 0,
+};
+
+const digitsCache = new Map<string, number>();
+
+// Locale amounts are formatted in when none is given; undefined follows
+// the browser
+let defaultLocale: string | undefined;
+
+/**
+ * Format amounts in another locale from now on (e.g. from the settings)
+ */
+export function setDefaultLocale(locale: string | undefined): void {
+  defaultLocale = locale || undefined;
+}
+
+/**
+ * Number of decimal digits a currency is written with
+ */
+export function minorDigits(currency: string): number {
+  const code = currency.toUpperCase();
+  let digits = MINOR_DIGITS_OVERRIDES[code] ?? digitsCache.get(code);
+  if (digits === undefined) {
+    try {
+      digits =
+        new Intl.NumberFormat("en", {
+          style: "currency",
+          currency: code,
+        }).resolvedOptions().maximumFractionDigits ?? 2;
+    } catch {
+      digits = 2;
+    }
+    digitsCache.set(code, digits);
+  }
+  return digits;
+}
+
+/**
+ * Round to the nearest integer, halves away from zero (2.5 -> 3, -2.5 -> -3)
+ * A tiny tolerance absorbs binary error such as 1.005 * 100 = 100.49999...
+ */
+export function roundHalfAwayFromZero(value: number): number {
+  const magnitude = Math.abs(value);
+  const rounded = Math.floor(magnitude + 0.5 + magnitude * Number.EPSILON * 4);
+  return value < 0 ? -rounded : rounded;
+}
+
+/**
+ * Convert a decimal amount (as typed by the user) to minor units
+ */
+export function toMinor(major: number, currency: string): number {
+  return roundHalfAwayFromZero(major * 10 ** minorDigits(currency));
+}
+
+/**
+ * Convert minor units back to a decimal amount, e.g. for form inputs
+ */
+export function fromMinor(minor: number, currency: string): number {
+  const digits = minorDigits(currency);
+  return Number((minor / 10 ** digits).toFixed(digits));
+}
+
+/**
+ * Add amounts of one currency; throws when currencies are mixed
+ */
+export function sumMoney(items: Money[], currency: string): Money {
+  let amount = 0;
+  for (const item of items) {
+    if (item.currency !== currency) {
+      throw new CurrencyMismatchError(currency, item.currency);
+    }
+    amount += item.amount;
+  }
+  return { amount, currency };
+}
+
+/**
+ * Format minor units for display in the user's locale
+ * (IDR 150000 -> "Rp 150.000" in id-ID, USD 1999 -> "$19.99" in en-US)
+ */
+export function formatMoney(
+  amount: number,
+  currency: string,
+  locale?: string,
+): string {
+  const digits = minorDigits(currency);
+  return new Intl.NumberFormat(locale ?? defaultLocale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount / 10 ** digits);
+}
+
+/**
+ * Short form for chart axes and labels (IDR 1500000 -> "Rp 1,5 jt")
+ */
+export function formatCompactMoney(
+  amount: number,
+  currency: string,
+  locale?: string,
+): string {
+  return new Intl.NumberFormat(locale ?? defaultLocale, {
+    style: "currency",
+    currency,
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }).format(amount / 10 ** minorDigits(currency));
+}
@@ -0,0 +1,140 @@
+/**
+ * Navigation - Matching the current URL against the route registry
+ * Builds the sidebar sections and the breadcrumb trail for a path
+ */
+
+import type { Component } from "svelte";
+import type { IconProps } from "@lucide/svelte";
+import type { Permission } from "$lib/access/roles";
+
+export type NavSection = "main" | "tools";
+
+export interface Route {
+  // Unique key, referenced by `parent`
+  id: string;
+  title: string;
+  // Routes without a path only group their children in the sidebar
+  path?: string;
+  icon?: Component<IconProps>;
+  // Route this one sits under, in the sidebar and the breadcrumb
+  parent?: string;
+  // Sidebar section listing the route; unlisted routes are reached by links
+  nav?: NavSection;
+  // Permission the signed-in user needs for the route
+  permission?: Permission;
+}
+
+export interface NavItem {
+  route: Route;
+  // The current page is this route or one below it
+  isActive: boolean;
+  children: NavItem[];
+}
+
+export interface Crumb {
+  title: string;
+  href?: string;
+}
+
+/**
+ * Answers whether the signed-in user holds a permission
+ */
+export type PermissionCheck = (permission: Permission) => boolean;
+
+const allowAll: PermissionCheck = () => true;
+
+/**
+ * Compare paths without trailing slashes or an .html suffix
+ */
+export function normalizePath(path: string): string {
+  const trimmed = path.replace(/\.html$/, "").replace(/\/+$/, "");
+  return trimmed === "" ? "/" : trimmed;
+}
+
+/**
+ * The route whose path matches, if any
+ */
+export function findRoute(
+  routes: Route[],
+  pathname: string,
+): Route | undefined {
+  const path = normalizePath(pathname);
+  return routes.find(
+    (route) => route.path && normalizePath(route.path) === path,
+  );
+}
+
+/**
+ * Ids of the route at a path and every route above it
+ */
+function activeIds(routes: Route[], pathname: string): Set<string> {
+  const byId = new Map(routes.map((route) => [route.id, route]));
+  const ids = new Set<string>();
+  let route = findRoute(routes, pathname);
+  while (route && !ids.has(route.id)) {
+    ids.add(route.id);
+    route = route.parent ? byId.get(route.parent) : undefined;
+  }
+  return ids;
+}
+
+/**
+ * Routes listed in a sidebar section, nested under their parents when the
+ * parent is listed in the same section; groups left without a visible child
+ * are dropped
+ */
+export function navTree(
+  routes: Route[],
+  section: NavSection,
+  pathname: string,
+  can: PermissionCheck = allowAll,
+): NavItem[] {
+  const active = activeIds(routes, pathname);
+  const listed = routes.filter(
+    (route) =>
+      route.nav === section && (!route.permission || can(route.permission)),
+  );
+  const listedIds = new Set(listed.map((route) => route.id));
+
+  const build = (parent: string | undefined): NavItem[] =>
+    listed
+      .filter((route) =>
+        parent === undefined
+          ? !route.parent || !listedIds.has(route.parent)
+          : route.parent === parent,
+      )
+      .map((route) => ({
+        route,
+        isActive: active.has(route.id),
+        children: build(route.id),
+      }))
+      .filter((item) => item.route.path || item.children.length > 0);
+
+  return build(undefined);
+}
+
+/**
+ * Breadcrumb trail for a path, from the home route down to the current page
+ */
+export function breadcrumbsFor(
+  routes: Route[],
+  pathname: string,
+  home: string,
+): Crumb[] {
+  const byId = new Map(routes.map((route) => [route.id, route]));
+  const trail: Route[] = [];
+  let route = findRoute(routes, pathname);
+  while (route && !trail.includes(route)) {
+    trail.unshift(route);
+    route = route.parent ? byId.get(route.parent) : undefined;
+  }
+
+  const homeRoute = byId.get(home);
+  if (homeRoute && trail[0] !== homeRoute) trail.unshift(homeRoute);
+
+  return trail.map((item, index) => ({
+    title: item.title,
+    // The current page is not a link
+    href: index < trail.length - 1 ? item.path : undefined,
+  }));
+}
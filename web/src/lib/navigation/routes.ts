@@ -0,0 +1,100 @@
+/**
+ * Navigation - Route registry
+ * Every page of the app, in sidebar order. The sidebar and the breadcrumb
+ * read from this list, so a new page needs one entry here
+ */
+
+import LayoutDashboardIcon from "@lucide/svelte/icons/layout-dashboard";
+import ReceiptTextIcon from "@lucide/svelte/icons/receipt-text";
+import PiggyBankIcon from "@lucide/svelte/icons/piggy-bank";
+import RepeatIcon from "@lucide/svelte/icons/repeat";
+import UsersIcon from "@lucide/svelte/icons/users";
+import Settings2Icon from "@lucide/svelte/icons/settings-2";
+import FileUpIcon from "@lucide/svelte/icons/file-up";
+import WandSparklesIcon from "@lucide/svelte/icons/wand-sparkles";
+import type { Route } from "./match";
+
+// First crumb of every trail
+export const HOME_ROUTE = "dashboard";
+
+export const ROUTES: Route[] = [
+  {
+    id: "dashboard",
+    title: "Dashboard",
+    path: "/dashboard",
+    icon: LayoutDashboardIcon,
+    nav: "main",
+  },
+  {
+    id: "transactions",
+    title: "Transactions",
+    path: "/transactions",
+    icon: ReceiptTextIcon,
+    nav: "main",
+  },
+  {
+    id: "budgets",
+    title: "Budgets",
+    path: "/budgets",
+    icon: PiggyBankIcon,
+    nav: "main",
+  },
+  {
+    id: "recurring",
+    title: "Recurring",
+    path: "/recurring",
+    icon: RepeatIcon,
+    nav: "main",
+  },
+  {
+    id: "households",
+    title: "Household",
+    path: "/households",
+    icon: UsersIcon,
+    nav: "main",
+  },
+  {
+    id: "settings",
+    title: "Settings",
+    icon: Settings2Icon,
+    nav: "main",
+  },
+  {
+    id: "account",
+    title: "Account",
+    path: "/account",
+    parent: "settings",
+    nav: "main",
+  },
+  {
+    id: "exchange-rates",
+    title: "Exchange rates",
+    path: "/exchange-rates",
+    parent: "settings",
+    nav: "main",
+  },
+  {
+    id: "invitations",
+    title: "Invitations",
+    path: "/invitations",
+    parent: "settings",
+    nav: "main",
+    permission: "members:manage",
+  },
+  {
+    id: "import",
+    title: "Import",
+    path: "/import",
+    icon: FileUpIcon,
+    parent: "transactions",
+    nav: "tools",
+  },
+  {
+    id: "rules",
+    title: "Rules",
+    path: "/rules",
+    icon: WandSparklesIcon,
+    parent: "transactions",
+    nav: "tools",
+  },
+];
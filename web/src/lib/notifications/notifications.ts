@@ -0,0 +1,207 @@
+/**
+ * Notifications - What the notifications center tells the user about
+ * Notifications are derived from the data, never stored: a bill that is
+ * paid or a budget that is raised simply stops producing one. Only what
+ * the user did with them (read, dismissed) is kept, by notification id.
+ */
+
+import type { BudgetProgress } from "$lib/budgets/budgets";
+import type { UpcomingBill } from "$lib/stores/recurring";
+import type { Wallet } from "$lib/stores/wallets";
+import { formatMoney } from "../money/money";
+
+export type NotificationType = "bill" | "low-balance" | "budget";
+
+export type NotificationSeverity = "info" | "warning" | "critical";
+
+export interface AppNotification {
+  // Stable while the situation lasts; a new id means a new notification
+  id: string;
+  type: NotificationType;
+  severity: NotificationSeverity;
+  title: string;
+  body: string;
+  // Page that deals with it
+  href: string;
+  // YYYY-MM-DD the notification is about, for ordering
+  date: string;
+}
+
+export interface NotificationPreferences {
+  types: Record<NotificationType, boolean>;
+  // Also show new notifications through the browser's Notification API
+  browser: boolean;
+  // Minor units under which a wallet's balance is low, by wallet id;
+  // wallets without one are only flagged when they go negative
+  lowBalance: Record<string, number>;
+}
+
+export const NOTIFICATION_TYPES: {
+  value: NotificationType;
+  label: string;
+  description: string;
+}[] = [
+  {
+    value: "bill",
+    label: "Bill reminders",
+    description: "Recurring expenses that are due soon or overdue",
+  },
+  {
+    value: "low-balance",
+    label: "Low balances",
+    description: "Wallets that drop below their threshold",
+  },
+  {
+    value: "budget",
+    label: "Budget alerts",
+    description: "Budgets that are almost or fully spent",
+  },
+];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES: NotificationPreferences = {
+  types: { bill: true, "low-balance": true, budget: true },
+  browser: false,
+  lowBalance: {},
+};
+
+// Bills are announced this many days before they are due
+export const BILL_REMINDER_DAYS = 3;
+
+const SEVERITY_ORDER: Record<NotificationSeverity, number> = {
+  critical: 0,
+  warning: 1,
+  info: 2,
+};
+
+export interface NotificationSources {
+  bills: UpcomingBill[];
+  wallets: Wallet[];
+  balances: Map<string, number>;
+  // Progress of every budget in the current month
+  budgets: BudgetProgress[];
+  preferences: NotificationPreferences;
+  // YYYY-MM-DD
+  today: string;
+}
+
+function daysBetween(from: string, to: string): number {
+  const start = Date.UTC(
+    Number(from.slice(0, 4)),
+    Number(from.slice(5, 7)) - 1,
+    Number(from.slice(8, 10)),
+  );
+  const end = Date.UTC(
+    Number(to.slice(0, 4)),
+    Number(to.slice(5, 7)) - 1,
+    Number(to.slice(8, 10)),
+  );
+  return Math.round((end - start) / 86_400_000);
+}
+
+function whenDue(days: number): string {
+  if (days < 0)
+    return days === -1 ? "was due yesterday" : `is ${-days} days overdue`;
+  if (days === 0) return "is due today";
+  if (days === 1) return "is due tomorrow";
+  return `is due in ${days} days`;
+}
+
+function billNotifications(
+  sources: NotificationSources,
+  currencyOf: (walletId: string) => string,
+): AppNotification[] {
+  return sources.bills
+    .filter(
+      (bill) => daysBetween(sources.today, bill.date) <= BILL_REMINDER_DAYS,
+    )
+    .map((bill): AppNotification => {
+      const days = daysBetween(sources.today, bill.date);
+      const { template } = bill.recurring;
+      return {
+        id: `bill:${bill.recurring.id}:${bill.date}`,
+        type: "bill",
+        severity: days < 0 ? "critical" : days === 0 ? "warning" : "info",
+        title: `${bill.recurring.name} ${whenDue(days)}`,
+        body: formatMoney(template.amount, currencyOf(template.walletId)),
+        href: "/recurring",
+        date: bill.date,
+      };
+    });
+}
+
+function lowBalanceNotifications(
+  sources: NotificationSources,
+): AppNotification[] {
+  return sources.wallets.flatMap((wallet): AppNotification[] => {
+    const balance = sources.balances.get(wallet.id) ?? 0;
+    const threshold = sources.preferences.lowBalance[wallet.id] ?? 0;
+    if (balance >= threshold) return [];
+
+    const negative = balance < 0;
+    return [
+      {
+        // A wallet that goes negative after being low is news again
+        id: `low-balance:${wallet.id}:${negative ? "negative" : "low"}`,
+        type: "low-balance",
+        severity: negative ? "critical" : "warning",
+        title: negative
+          ? `${wallet.name} is overdrawn`
+          : `${wallet.name} is running low`,
+        body: `Balance ${formatMoney(balance, wallet.currency)}`,
+        href: "/dashboard",
+        date: sources.today,
+      },
+    ];
+  });
+}
+
+function budgetNotifications(
+  sources: NotificationSources,
+  currencyOf: (walletId: string) => string,
+): AppNotification[] {
+  const month = sources.today.slice(0, 7);
+  return sources.budgets
+    .filter((progress) => progress.status !== "ok")
+    .map((progress): AppNotification => {
+      const { budget, status } = progress;
+      const currency = currencyOf(budget.walletId);
+      const over = status === "over";
+      return {
+        id: `budget:${budget.id}:${month}:${status}`,
+        type: "budget",
+        severity: over ? "critical" : "warning",
+        title: over
+          ? `${budget.category} budget is over`
+          : `${budget.category} budget is ${Math.round(progress.ratio * 100)}% spent`,
+        body: over
+          ? `${formatMoney(-progress.remaining, currency)} over this month`
+          : `${formatMoney(progress.remaining, currency)} left this month`,
+        href: "/budgets",
+        date: sources.today,
+      };
+    });
+}
+
+/**
+ * Every notification the data calls for, of the types the user wants,
+ * most urgent first
+ */
+export function buildNotifications(
+  sources: NotificationSources,
+): AppNotification[] {
+  const currencies = new Map(
+    sources.wallets.map((wallet) => [wallet.id, wallet.currency]),
+  );
+  const currencyOf = (walletId: string) => currencies.get(walletId) ?? "IDR";
+  const { types } = sources.preferences;
+
+  return [
+    ...(types.bill ? billNotifications(sources, currencyOf) : []),
+    ...(types["low-balance"] ? lowBalanceNotifications(sources) : []),
+    ...(types.budget ? budgetNotifications(sources, currencyOf) : []),
+  ].sort(
+    (a, b) =>
+      SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+      a.date.localeCompare(b.date),
+  );
+}
@@ -0,0 +1,134 @@
+/**
+ * Command Palette - Quick-add syntax
+ * Records a transaction from one line: `-25000 lunch #food @cash`
+ *   - the amount comes first: `-` or no sign is an expense, `+` income
+ *   - the first `#word` is the category, any further ones are tags
+ *   - `@word` picks the wallet by name, otherwise the active wallet is used
+ *   - the remaining words become the note
+ */
+
+import type { TransactionInput } from "$lib/stores/transactions";
+import type { Wallet } from "$lib/stores/wallets";
+import { toMinor } from "../money/money";
+
+export interface QuickAddContext {
+  wallets: Wallet[];
+  // Wallet used when the line names none
+  defaultWalletId: string | null;
+  // Known categories, so `#food` is saved as an existing "Food"
+  categories: string[];
+  // YYYY-MM-DD
+  today: string;
+}
+
+export type QuickAddResult =
+  | { input: TransactionInput; wallet: Wallet }
+  | { error: string };
+
+const AMOUNT_PATTERN = /^([+-])?(\d[\d.,]*)$/;
+
+/**
+ * Whether the palette input is a quick-add line rather than a search
+ */
+export function isQuickAdd(text: string): boolean {
+  return /^[+-]?\d/.test(text.trim());
+}
+
+/**
+ * A typed amount as a number: "25000", "25.000" and "25,000" are all
+ * twenty-five thousand, "12.50" and "12,5" have decimals
+ */
+function parseQuickAmount(text: string): number {
+  if (/^\d{1,3}([.,]\d{3})+$/.test(text)) {
+    return Number(text.replace(/[.,]/g, ""));
+  }
+  if (/^\d+([.,]\d{1,2})?$/.test(text)) {
+    return Number(text.replace(",", "."));
+  }
+  return NaN;
+}
+
+// Names compared without case, spaces or punctuation: @e-wallet, @ewallet
+function nameKey(name: string): string {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function findWallet(
+  wallets: Wallet[],
+  name: string,
+): Wallet | { error: string } {
+  const key = nameKey(name);
+  const exact = wallets.find((wallet) => nameKey(wallet.name) === key);
+  if (exact) return exact;
+
+  const partial = wallets.filter((wallet) =>
+    nameKey(wallet.name).startsWith(key),
+  );
+  if (partial.length === 1) return partial[0];
+  if (partial.length > 1) {
+    return { error: `@${name} matches more than one wallet` };
+  }
+  return { error: `No wallet is called @${name}` };
+}
+
+/**
+ * Turn a quick-add line into a transaction; null when the line is not one
+ */
+export function parseQuickAdd(
+  text: string,
+  context: QuickAddContext,
+): QuickAddResult | null {
+  if (!isQuickAdd(text)) return null;
+
+  const [amountToken, ...tokens] = text.trim().split(/\s+/);
+  const amountMatch = AMOUNT_PATTERN.exec(amountToken);
+  const major = amountMatch ? parseQuickAmount(amountMatch[2]) : NaN;
+  if (!amountMatch || !Number.isFinite(major) || major <= 0) {
+    return { error: "Start with an amount, e.g. -25000" };
+  }
+
+  const labels: string[] = [];
+  const words: string[] = [];
+  let walletName: string | null = null;
+  for (const token of tokens) {
+    if (token.length > 1 && token.startsWith("#")) {
+      labels.push(token.slice(1));
+    } else if (token.length > 1 && token.startsWith("@")) {
+      walletName = token.slice(1);
+    } else {
+      words.push(token);
+    }
+  }
+
+  let wallet: Wallet | undefined;
+  if (walletName !== null) {
+    const found = findWallet(context.wallets, walletName);
+    if ("error" in found) return found;
+    wallet = found;
+  } else {
+    wallet =
+      context.wallets.find((item) => item.id === context.defaultWalletId) ??
+      context.wallets[0];
+  }
+  if (!wallet) return { error: "Add a wallet first" };
+
+  const [label, ...tags] = labels;
+  if (!label) return { error: "Add a category with #, e.g. #food" };
+  const category =
+    context.categories.find(
+      (item) => item.toLowerCase() === label.toLowerCase(),
+    ) ?? label;
+
+  return {
+    wallet,
+    input: {
+      type: amountMatch[1] === "+" ? "income" : "expense",
+      amount: toMinor(major, wallet.currency),
+      date: context.today,
+      category,
+      walletId: wallet.id,
+      note: words.join(" "),
+      tags,
+    },
+  };
+}
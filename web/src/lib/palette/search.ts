@@ -0,0 +1,172 @@
+/**
+ * Command Palette - Fuzzy search index
+ * Built once per list of entries and queried on every keystroke, so all
+ * work that does not depend on the query happens up front: each entry's
+ * text is normalized once and summarized in a bitmask of the characters it
+ * contains, which rules most entries out before the character-by-character
+ * match. A query that extends the previous one only searches what the
+ * previous one matched.
+ */
+
+export interface SearchMatch<T> {
+  value: T;
+  score: number;
+}
+
+export interface SearchIndex<T> {
+  size: number;
+  /**
+   * Best matches first; every word of the query has to match. An empty
+   * query returns the first entries in the order they were indexed
+   */
+  search(query: string, limit?: number): SearchMatch<T>[];
+}
+
+const DEFAULT_LIMIT = 50;
+
+// Scores of a word found as is, on top of its length
+const SUBSTRING_SCORE = 100;
+const WORD_START_SCORE = 30;
+// Scores of a word matched as scattered characters, per character
+const CONSECUTIVE_SCORE = 5;
+const BOUNDARY_SCORE = 8;
+
+/**
+ * Lower case without accents, so "Café" is found by "cafe"
+ */
+export function normalizeSearchText(text: string): string {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Bitmask of the letters and digits in `text`; digits share six bits,
+ * which only makes the filter let a few more entries through
+ */
+function charMask(text: string): number {
+  let mask = 0;
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    if (code >= 97 && code <= 122) {
+      mask |= 1 << (code - 97);
+    } else if (code >= 48 && code <= 57) {
+      mask |= 1 << (26 + ((code - 48) % 6));
+    }
+  }
+  return mask;
+}
+
+function isBoundary(text: string, index: number): boolean {
+  if (index === 0) return true;
+  const previous = text.charCodeAt(index - 1);
+  // Anything but a letter or digit starts a new word
+  return !(
+    (previous >= 97 && previous <= 122) ||
+    (previous >= 48 && previous <= 57)
+  );
+}
+
+/**
+ * How well one word of the query matches normalized text; -1 when the
+ * text does not contain its characters in order
+ */
+export function fuzzyScore(word: string, text: string): number {
+  const at = text.indexOf(word);
+  if (at >= 0) {
+    return (
+      SUBSTRING_SCORE +
+      word.length +
+      (isBoundary(text, at) ? WORD_START_SCORE : 0)
+    );
+  }
+
+  let score = 0;
+  let matched = 0;
+  let previous = -2;
+  for (let index = 0; index < text.length && matched < word.length; index++) {
+    if (text[index] !== word[matched]) continue;
+
+    score += 1;
+    if (index === previous + 1) score += CONSECUTIVE_SCORE;
+    if (isBoundary(text, index)) score += BOUNDARY_SCORE;
+    previous = index;
+    matched++;
+  }
+  return matched === word.length ? score : -1;
+}
+
+/**
+ * Index `values` under the text `textOf` returns for each
+ */
+export function createSearchIndex<T>(
+  values: T[],
+  textOf: (value: T) => string,
+): SearchIndex<T> {
+  const texts = values.map((value) => normalizeSearchText(textOf(value)));
+  const masks = texts.map(charMask);
+  const all = values.map((_, index) => index);
+
+  // Entries the previous query matched, to narrow down the next one
+  let lastQuery = "";
+  let lastMatches = all;
+
+  return {
+    size: values.length,
+
+    search(query, limit = DEFAULT_LIMIT) {
+      const normalized = normalizeSearchText(query).trim();
+      const words = normalized.split(/\s+/).filter(Boolean);
+      if (words.length === 0) {
+        return values.slice(0, limit).map((value) => ({ value, score: 0 }));
+      }
+
+      // Whatever matches the longer query also matched the shorter one
+      const candidates =
+        lastQuery && normalized.startsWith(lastQuery) ? lastMatches : all;
+      const mask = charMask(normalized);
+
+      const matches: number[] = [];
+      const scores = new Float64Array(values.length);
+      for (const index of candidates) {
+        if ((masks[index] & mask) !== mask) continue;
+
+        let score = 0;
+        for (const word of words) {
+          const wordScore = fuzzyScore(word, texts[index]);
+          if (wordScore < 0) {
+            score = -1;
+            break;
+          }
+          score += wordScore;
+        }
+        if (score < 0) continue;
+
+        matches.push(index);
+        scores[index] = score;
+      }
+
+      lastQuery = normalized;
+      lastMatches = matches;
+
+      // Keep the best `limit`; ties stay in index order
+      const best: number[] = [];
+      for (const index of matches) {
+        const score = scores[index];
+        if (best.length === limit && score <= scores[best[best.length - 1]]) {
+          continue;
+        }
+
+        let position = best.length;
+        while (position > 0 && scores[best[position - 1]] < score) {
+          position--;
+        }
+        best.splice(position, 0, index);
+        if (best.length > limit) best.pop();
+      }
+
+      return best.map((index) => ({
+        value: values[index],
+        score: scores[index],
+      }));
+    },
+  };
+}
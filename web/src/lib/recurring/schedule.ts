@@ -0,0 +1,241 @@
+/**
+ * Recurring - Recurrence rules and the dates they produce
+ * A small subset of iCalendar RRULE: every N days, weeks, months or years,
+ * ending never, on a date, or after a number of occurrences
+ */
+
+export type Frequency = "daily" | "weekly" | "monthly" | "yearly";
+
+// Day of the month (1-31, clamped to short months) or the last weekday
+export type MonthDay = number | "last-business-day";
+
+export type RecurrenceEnd =
+  | { type: "never" }
+  | { type: "until"; date: string }
+  | { type: "count"; count: number };
+
+export interface RecurrenceRule {
+  frequency: Frequency;
+  // Repeat every `interval` days, weeks, months or years
+  interval: number;
+  // First day (YYYY-MM-DD) the rule may produce; also the anchor for
+  // intervals and for the day used by monthly and yearly rules
+  startDate: string;
+  // Weekly only: days of the week, 0 = Sunday; defaults to startDate's
+  weekdays?: number[];
+  // Monthly only; defaults to startDate's day of the month
+  monthDay?: MonthDay;
+  end: RecurrenceEnd;
+}
+
+export type RecurrenceErrors = Partial<Record<keyof RecurrenceRule, string>>;
+
+export const FREQUENCIES: { value: Frequency; label: string; unit: string }[] =
+  [
+    { value: "daily", label: "Daily", unit: "day" },
+    { value: "weekly", label: "Weekly", unit: "week" },
+    { value: "monthly", label: "Monthly", unit: "month" },
+    { value: "yearly", label: "Yearly", unit: "year" },
+  ];
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are handled as UTC midnights so DST never shifts a day
+function parseDate(value: string): number {
+  const [year, month, day] = value.split("-").map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function formatDate(time: number): string {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function isValidDate(value: string): boolean {
+  return DATE_PATTERN.test(value) && formatDate(parseDate(value)) === value;
+}
+
+function daysInMonth(year: number, month: number): number {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Last Monday to Friday of the month; public holidays are not considered
+function lastBusinessDay(year: number, month: number): number {
+  let day = daysInMonth(year, month);
+  let weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  while (weekday === 0 || weekday === 6) {
+    day--;
+    weekday = (weekday + 6) % 7;
+  }
+  return day;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+export function addDays(date: string, days: number): string {
+  return formatDate(parseDate(date) + days * DAY_MS);
+}
+
+/**
+ * Check a rule before it is saved
+ * Returns an empty object when the rule is valid
+ */
+export function validateRule(rule: RecurrenceRule): RecurrenceErrors {
+  const errors: RecurrenceErrors = {};
+
+  if (!FREQUENCIES.some((item) => item.value === rule.frequency)) {
+    errors.frequency = "Choose how often it repeats";
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    errors.interval = "Repeat at least every 1";
+  }
+  if (!isValidDate(rule.startDate)) {
+    errors.startDate = "Enter a valid date";
+  }
+  if (
+    rule.frequency === "weekly" &&
+    rule.weekdays !== undefined &&
+    (rule.weekdays.length === 0 ||
+      rule.weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+  ) {
+    errors.weekdays = "Choose at least one day";
+  }
+  if (
+    rule.frequency === "monthly" &&
+    typeof rule.monthDay === "number" &&
+    (!Number.isInteger(rule.monthDay) ||
+      rule.monthDay < 1 ||
+      rule.monthDay > 31)
+  ) {
+    errors.monthDay = "Day must be between 1 and 31";
+  }
+  if (rule.end.type === "until") {
+    if (!isValidDate(rule.end.date)) {
+      errors.end = "Enter a valid end date";
+    } else if (rule.end.date < rule.startDate) {
+      errors.end = "End date can't be before the start date";
+    }
+  } else if (
+    rule.end.type === "count" &&
+    (!Number.isInteger(rule.end.count) || rule.end.count < 1)
+  ) {
+    errors.end = "Repeat at least once";
+  }
+
+  return errors;
+}
+
+// Candidate dates in ascending order, before end conditions are applied;
+// candidates may precede startDate and are filtered by the caller
+function* candidates(rule: RecurrenceRule): Generator<number> {
+  const start = parseDate(rule.startDate);
+  const first = new Date(start);
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const day = first.getUTCDate();
+  const interval = Math.max(1, Math.floor(rule.interval));
+
+  switch (rule.frequency) {
+    case "daily":
+      for (let time = start; ; time += interval * DAY_MS) {
+        yield time;
+      }
+    case "weekly": {
+      const weekdays = [...new Set(rule.weekdays ?? [first.getUTCDay()])].sort(
+        (a, b) => a - b,
+      );
+      const weekStart = start - first.getUTCDay() * DAY_MS;
+      for (let week = weekStart; ; week += interval * 7 * DAY_MS) {
+        for (const weekday of weekdays) {
+          yield week + weekday * DAY_MS;
+        }
+      }
+    }
+    case "monthly":
+      for (let index = 0; ; index += interval) {
+        const y = year + Math.floor((month + index) / 12);
+        const m = (month + index) % 12;
+        const monthDay = rule.monthDay ?? day;
+        yield Date.UTC(
+          y,
+          m,
+          monthDay === "last-business-day"
+            ? lastBusinessDay(y, m)
+            : Math.min(monthDay, daysInMonth(y, m)),
+        );
+      }
+    case "yearly":
+      for (let y = year; ; y += interval) {
+        yield Date.UTC(y, month, Math.min(day, daysInMonth(y, month)));
+      }
+  }
+}
+
+/**
+ * Every date the rule produces up to and including `through`
+ * Occurrences are counted from startDate, so "count" ends apply even when
+ * `from` skips the earlier ones
+ */
+export function occurrencesThrough(
+  rule: RecurrenceRule,
+  through: string,
+  from: string = rule.startDate,
+): string[] {
+  const start = parseDate(rule.startDate);
+  const last = Math.min(
+    parseDate(through),
+    rule.end.type === "until" ? parseDate(rule.end.date) : Infinity,
+  );
+  const limit = rule.end.type === "count" ? rule.end.count : Infinity;
+
+  const dates: string[] = [];
+  let count = 0;
+  for (const time of candidates(rule)) {
+    if (time < start) continue;
+    if (time > last || count >= limit) break;
+    count++;
+
+    const date = formatDate(time);
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Short description of a rule, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export function describeRule(rule: RecurrenceRule): string {
+  const { unit } =
+    FREQUENCIES.find((item) => item.value === rule.frequency) ?? FREQUENCIES[0];
+  const every =
+    rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  const start = new Date(parseDate(rule.startDate));
+
+  let on = "";
+  if (rule.frequency === "weekly") {
+    const weekdays = [...(rule.weekdays ?? [start.getUTCDay()])].sort(
+      (a, b) => a - b,
+    );
+    on = ` on ${weekdays.map((day) => WEEKDAY_LABELS[day]).join(", ")}`;
+  } else if (rule.frequency === "monthly") {
+    const monthDay = rule.monthDay ?? start.getUTCDate();
+    on =
+      monthDay === "last-business-day"
+        ? " on the last business day"
+        : ` on day ${monthDay}`;
+  } else if (rule.frequency === "yearly") {
+    on = ` on ${start.toLocaleDateString(undefined, { month: "long", day: "numeric", timeZone: "UTC" })}`;
+  }
+
+  let until = "";
+  if (rule.end.type === "until") {
+    until = `, until ${rule.end.date}`;
+  } else if (rule.end.type === "count") {
+    until = `, ${rule.end.count} ${rule.end.count === 1 ? "time" : "times"}`;
+  }
+
+  return `${every}${on}${until}`;
+}
@@ -0,0 +1,56 @@
+/**
+ * Reports - Axis scales and drill-down links for the dashboard charts
+ */
+
+import type { TransactionType } from "$lib/stores/transactions";
+
+export interface Scale {
+  min: number;
+  max: number;
+  // Round values between min and max (inclusive) for gridlines
+  ticks: number[];
+}
+
+export interface DrillDown {
+  from?: string;
+  to?: string;
+  type?: TransactionType;
+  category?: string;
+}
+
+// Step sizes tried for each power of ten
+const STEPS = [1, 2, 2.5, 5, 10];
+
+/**
+ * A scale with round ticks that covers every value, including zero
+ */
+export function niceScale(values: number[], tickCount: number = 4): Scale {
+  const low = Math.min(0, ...values);
+  const high = Math.max(0, ...values);
+  if (low === high) return { min: 0, max: 1, ticks: [0, 1] };
+
+  const rough = (high - low) / tickCount;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const step = (STEPS.find((item) => item * power >= rough) ?? 10) * power;
+
+  const min = Math.floor(low / step) * step;
+  const max = Math.ceil(high / step) * step;
+  const ticks: number[] = [];
+  for (let tick = min; tick <= max + step / 2; tick += step) {
+    // Avoid -0 and binary noise such as 0.30000000000000004
+    ticks.push(Number(tick.toPrecision(12)) || 0);
+  }
+  return { min, max, ticks };
+}
+
+/**
+ * Link to the transaction list across all wallets, filtered like a chart item
+ */
+export function drillDownHref(filters: DrillDown): string {
+  const params = new URLSearchParams({ wallet: "all" });
+  for (const key of ["type", "category", "from", "to"] as const) {
+    const value = filters[key];
+    if (value) params.set(key, value);
+  }
+  return `/transactions?${params}`;
+}
@@ -0,0 +1,232 @@
+/**
+ * Reports - Dashboard overview figures across every wallet
+ * Amounts are converted to the base currency with the exchange-rate table:
+ * cash flow at each transaction's own date, balances at the end of each month
+ */
+
+import type { Transaction } from "$lib/stores/transactions";
+import type { Wallet } from "$lib/stores/wallets";
+import { totalInCurrency, type ExchangeRate } from "../money/exchange";
+import type { Money } from "../money/money";
+
+export interface DateRange {
+  // Inclusive YYYY-MM-DD bounds
+  from: string;
+  to: string;
+}
+
+export interface MonthlyCashFlow {
+  // YYYY-MM
+  month: string;
+  // Part of the month inside the range, for drilling down
+  range: DateRange;
+  income: number;
+  expenses: number;
+}
+
+export interface CategorySpending {
+  category: string;
+  amount: number;
+  // Share of all spending in the range (0..1)
+  share: number;
+}
+
+export interface NetWorthPoint {
+  month: string;
+  // Last day of the month, or the end of the range
+  date: string;
+  balance: number;
+}
+
+export interface Overview {
+  currency: string;
+  cashFlow: MonthlyCashFlow[];
+  categories: CategorySpending[];
+  netWorth: NetWorthPoint[];
+  // Currencies without a rate, left out of the figures
+  missing: string[];
+}
+
+export interface OverviewInput {
+  wallets: Wallet[];
+  transactions: Transaction[];
+  rates: ExchangeRate[];
+  currency: string;
+  range: DateRange;
+  // Narrows cash flow and spending, e.g. to one household member's entries;
+  // net worth always counts every transaction
+  include?: (item: Transaction) => boolean;
+}
+
+// Label used when small categories are grouped together
+export const OTHER_CATEGORY = "Other";
+
+function lastDayOfMonth(month: string): string {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const day = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return `${month}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Every month (YYYY-MM) a range touches, in order
+ */
+export function monthsInRange(range: DateRange): string[] {
+  const months: string[] = [];
+  let [year, month] = range.from.slice(0, 7).split("-").map(Number);
+  const last = range.to.slice(0, 7);
+
+  while (true) {
+    const current = `${year}-${String(month).padStart(2, "0")}`;
+    if (current > last) break;
+    months.push(current);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+}
+
+/**
+ * Income, expenses, spending per category and net worth for a range
+ * Transfers move money between wallets, so they only affect net worth
+ * (and only through exchange differences)
+ */
+export function buildOverview(input: OverviewInput): Overview {
+  const { wallets, rates, currency, range, include = () => true } = input;
+  const currencyOf = new Map(wallets.map((item) => [item.id, item.currency]));
+  const missing = new Set<string>();
+
+  const convert = (items: (Money & { date?: string })[], date: string) => {
+    const result = totalInCurrency(items, currency, rates, date);
+    result.missing.forEach((code) => missing.add(code));
+    return result.total.amount;
+  };
+  const money = (item: Transaction) => ({
+    amount: item.amount,
+    currency: currencyOf.get(item.walletId) ?? currency,
+    date: item.date,
+  });
+
+  const inRange = input.transactions.filter(
+    (item) =>
+      item.date >= range.from &&
+      item.date <= range.to &&
+      currencyOf.has(item.walletId) &&
+      include(item),
+  );
+  const months = monthsInRange(range);
+
+  const cashFlow = months.map((month): MonthlyCashFlow => {
+    const start = `${month}-01`;
+    const end = lastDayOfMonth(month);
+    const monthRange = {
+      from: start < range.from ? range.from : start,
+      to: end > range.to ? range.to : end,
+    };
+    const items = inRange.filter((item) => item.date.startsWith(month));
+
+    return {
+      month,
+      range: monthRange,
+      income: convert(
+        items.filter((item) => item.type === "income").map(money),
+        monthRange.to,
+      ),
+      expenses: convert(
+        items.filter((item) => item.type === "expense").map(money),
+        monthRange.to,
+      ),
+    };
+  });
+
+  const byCategory = new Map<string, Transaction[]>();
+  for (const item of inRange) {
+    if (item.type !== "expense") continue;
+    const items = byCategory.get(item.category) ?? [];
+    items.push(item);
+    byCategory.set(item.category, items);
+  }
+  const spending = [...byCategory].map(([category, items]) => ({
+    category,
+    amount: convert(items.map(money), range.to),
+  }));
+  const totalSpending = spending.reduce((sum, item) => sum + item.amount, 0);
+  const categories = spending
+    .filter((item) => item.amount > 0)
+    .map((item) => ({ ...item, share: item.amount / totalSpending }))
+    .sort(
+      (a, b) => b.amount - a.amount || a.category.localeCompare(b.category),
+    );
+
+  // Walk every transaction once, in date order, keeping running balances
+  const balances = new Map(
+    wallets.map((item) => [item.id, item.openingBalance]),
+  );
+  const ordered = input.transactions
+    .filter((item) => item.date <= range.to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const credit = (walletId: string | undefined, amount: number) => {
+    if (walletId && balances.has(walletId)) {
+      balances.set(walletId, (balances.get(walletId) ?? 0) + amount);
+    }
+  };
+
+  let index = 0;
+  const netWorth = months.map((month): NetWorthPoint => {
+    const end = lastDayOfMonth(month);
+    const date = end > range.to ? range.to : end;
+    for (; index < ordered.length && ordered[index].date <= date; index++) {
+      const item = ordered[index];
+      if (item.type === "income") {
+        credit(item.walletId, item.amount);
+      } else {
+        credit(item.walletId, -item.amount);
+      }
+      if (item.type === "transfer") {
+        credit(item.toWalletId, item.toAmount ?? item.amount);
+      }
+    }
+
+    return {
+      month,
+      date,
+      balance: convert(
+        wallets.map((item) => ({
+          amount: balances.get(item.id) ?? 0,
+          currency: item.currency,
+        })),
+        date,
+      ),
+    };
+  });
+
+  return {
+    currency,
+    cashFlow,
+    categories,
+    netWorth,
+    missing: [...missing].sort(),
+  };
+}
+
+/**
+ * Keep the largest categories and fold the rest into one "Other" slice
+ */
+export function topCategories(
+  categories: CategorySpending[],
+  limit: number,
+): CategorySpending[] {
+  if (categories.length <= limit) return categories;
+
+  const rest = categories.slice(limit - 1);
+  return [
+    ...categories.slice(0, limit - 1),
+    {
+      category: OTHER_CATEGORY,
+      amount: rest.reduce((sum, item) => sum + item.amount, 0),
+      share: rest.reduce((sum, item) => sum + item.share, 0),
+    },
+  ];
+}
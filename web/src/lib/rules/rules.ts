@@ -0,0 +1,552 @@
+/**
+ * Rules - Automatic categorization and payee normalization
+ * A rule is a set of conditions on a new transaction (all must hold) and
+ * the actions to take when they do. Rules run in order; each one sees the
+ * changes of the ones before, until a rule that stops processing matches.
+ */
+
+import type { Transaction, TransactionInput } from "$lib/stores/transactions";
+import type { Weekday } from "$lib/settings/settings";
+import { fromMinor } from "../money/money";
+import { normalizeDescription, tokenize } from "../import/matching";
+import { WEEKDAY_LABELS } from "../recurring/schedule";
+
+export type DescriptionOperator = "contains" | "regex";
+
+export type RuleCondition =
+  // Matched against the note, which holds a statement's description
+  | { type: "description"; operator: DescriptionOperator; value: string }
+  // Inclusive bounds in major units of the transaction's wallet currency;
+  // null leaves a side open
+  | { type: "amount"; min: number | null; max: number | null }
+  | { type: "wallet"; walletId: string }
+  | { type: "weekday"; days: Weekday[] };
+
+export interface SplitPart {
+  category: string;
+  percent: number;
+}
+
+export type RuleAction =
+  | { type: "category"; category: string }
+  // Added to the tags the transaction already has
+  | { type: "tags"; tags: string[] }
+  | { type: "payee"; payee: string }
+  // The other side of the transfer: where an expense went, where income
+  // came from
+  | { type: "transfer"; walletId: string }
+  // Several transactions, each with a share of the amount
+  | { type: "split"; parts: SplitPart[] };
+
+export type RuleConditionType = RuleCondition["type"];
+export type RuleActionType = RuleAction["type"];
+
+export interface RuleInput {
+  name: string;
+  enabled: boolean;
+  conditions: RuleCondition[];
+  actions: RuleAction[];
+  // Later rules are not evaluated once this one matched
+  stopProcessing: boolean;
+}
+
+export interface Rule extends RuleInput {
+  id: string;
+  // Position in the evaluation order, lowest first
+  order: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type RuleErrors = Partial<Record<keyof RuleInput, string>>;
+
+export interface RuleContext {
+  // Currency of a wallet, to read amounts in major units
+  currencyOf(walletId: string): string;
+}
+
+export interface RuleOutcome {
+  // The transaction to record, or its parts after a split
+  inputs: TransactionInput[];
+  // Ids of the rules that matched, in order
+  matched: string[];
+}
+
+/**
+ * An existing transaction a rule would change, as the rule leaves it
+ */
+export interface RulePreview {
+  transaction: Transaction;
+  inputs: TransactionInput[];
+}
+
+export const CONDITION_TYPES: { value: RuleConditionType; label: string }[] = [
+  { value: "description", label: "Note" },
+  { value: "amount", label: "Amount" },
+  { value: "wallet", label: "Wallet" },
+  { value: "weekday", label: "Day of the week" },
+];
+
+export const ACTION_TYPES: { value: RuleActionType; label: string }[] = [
+  { value: "category", label: "Set category" },
+  { value: "tags", label: "Add tags" },
+  { value: "payee", label: "Set payee" },
+  { value: "transfer", label: "Mark as transfer" },
+  { value: "split", label: "Split by percentage" },
+];
+
+const TRANSFER_CATEGORY = "Transfer";
+
+// Longest payee the transaction form accepts
+const PAYEE_MAX_LENGTH = 100;
+
+/**
+ * Day of the week of a YYYY-MM-DD date, 0 = Sunday
+ */
+function weekdayOf(date: string): number {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isValidRegex(pattern: string): boolean {
+  try {
+    new RegExp(pattern, "iu");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function conditionProblem(condition: RuleCondition): string | null {
+  switch (condition.type) {
+    case "description":
+      if (!condition.value.trim()) return "enter the text to look for";
+      if (condition.operator === "regex" && !isValidRegex(condition.value)) {
+        return "enter a valid regular expression";
+      }
+      return null;
+    case "amount": {
+      const { min, max } = condition;
+      if (min === null && max === null) return "enter a minimum or a maximum";
+      if ([min, max].some((value) => value !== null && !(value >= 0))) {
+        return "amounts cannot be negative";
+      }
+      if (min !== null && max !== null && min > max) {
+        return "the minimum is above the maximum";
+      }
+      return null;
+    }
+    case "wallet":
+      return condition.walletId ? null : "choose a wallet";
+    case "weekday":
+      return condition.days.length > 0 ? null : "choose at least one day";
+  }
+}
+
+function actionProblem(action: RuleAction): string | null {
+  switch (action.type) {
+    case "category":
+      return action.category.trim() ? null : "enter a category";
+    case "tags":
+      return action.tags.some((tag) => tag.trim()) ? null : "enter a tag";
+    case "payee":
+      if (!action.payee.trim()) return "enter a payee";
+      return action.payee.trim().length > PAYEE_MAX_LENGTH
+        ? `use at most ${PAYEE_MAX_LENGTH} characters`
+        : null;
+    case "transfer":
+      return action.walletId ? null : "choose the other wallet";
+    case "split": {
+      if (action.parts.length < 2) return "split into at least two parts";
+      if (action.parts.some((part) => !part.category.trim())) {
+        return "every part needs a category";
+      }
+      if (action.parts.some((part) => !(part.percent > 0))) {
+        return "every part needs a share above 0%";
+      }
+      const total = action.parts.reduce((sum, part) => sum + part.percent, 0);
+      return Math.abs(total - 100) < 1e-9
+        ? null
+        : "the shares must add up to 100%";
+    }
+  }
+}
+
+/**
+ * Validate a rule before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateRule(input: RuleInput): RuleErrors {
+  const errors: RuleErrors = {};
+
+  if (!input.name.trim()) {
+    errors.name = "Name is required";
+  }
+
+  if (input.conditions.length === 0) {
+    errors.conditions = "Add at least one condition";
+  } else {
+    const index = input.conditions.findIndex((item) => conditionProblem(item));
+    if (index >= 0) {
+      const problem = conditionProblem(input.conditions[index]);
+      errors.conditions = `Condition ${index + 1}: ${problem}`;
+    }
+  }
+
+  if (input.actions.length === 0) {
+    errors.actions = "Add at least one action";
+  } else {
+    const index = input.actions.findIndex((item) => actionProblem(item));
+    if (index >= 0) {
+      errors.actions = `Action ${index + 1}: ${actionProblem(input.actions[index])}`;
+    } else if (
+      input.actions.filter((item) => item.type === "split").length > 1
+    ) {
+      errors.actions = "A rule can split a transaction only once";
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Rules in evaluation order
+ */
+export function sortRules<T extends Pick<Rule, "order" | "createdAt">>(
+  rules: T[],
+): T[] {
+  return [...rules].sort(
+    (a, b) => a.order - b.order || a.createdAt.localeCompare(b.createdAt),
+  );
+}
+
+/**
+ * Share an amount in minor units by percentages adding up to 100, so the
+ * parts add up to the amount exactly (largest remainders get the rest)
+ */
+export function splitAmount(amount: number, percents: number[]): number[] {
+  const exact = percents.map((percent) => (amount * percent) / 100);
+  const parts = exact.map(Math.floor);
+  let rest = amount - parts.reduce((sum, part) => sum + part, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (rest <= 0) break;
+    parts[index]++;
+    rest--;
+  }
+  return parts;
+}
+
+/**
+ * Describe a condition in words, e.g. `note contains "grab"`
+ */
+export function describeCondition(
+  condition: RuleCondition,
+  walletName: (walletId: string) => string,
+): string {
+  switch (condition.type) {
+    case "description":
+      return condition.operator === "regex"
+        ? `note matches /${condition.value}/`
+        : `note contains "${condition.value}"`;
+    case "amount": {
+      const { min, max } = condition;
+      if (min !== null && max !== null) return `amount ${min} to ${max}`;
+      return min !== null ? `amount at least ${min}` : `amount at most ${max}`;
+    }
+    case "wallet":
+      return `wallet is ${walletName(condition.walletId)}`;
+    case "weekday":
+      return `on ${[...condition.days]
+        .sort((a, b) => a - b)
+        .map((day) => WEEKDAY_LABELS[day])
+        .join(", ")}`;
+  }
+}
+
+/**
+ * Describe an action in words, e.g. `category Food`
+ */
+export function describeAction(
+  action: RuleAction,
+  walletName: (walletId: string) => string,
+): string {
+  switch (action.type) {
+    case "category":
+      return `category ${action.category}`;
+    case "tags":
+      return `tags ${action.tags.join(", ")}`;
+    case "payee":
+      return `payee ${action.payee}`;
+    case "transfer":
+      return `transfer with ${walletName(action.walletId)}`;
+    case "split":
+      return `split ${action.parts
+        .map((part) => `${part.percent}% ${part.category}`)
+        .join(", ")}`;
+  }
+}
+
+type Matcher = (input: TransactionInput) => boolean;
+
+function compileCondition(
+  condition: RuleCondition,
+  context: RuleContext,
+): Matcher {
+  switch (condition.type) {
+    case "description": {
+      if (condition.operator === "regex") {
+        const pattern = isValidRegex(condition.value)
+          ? new RegExp(condition.value, "iu")
+          : null;
+        return (input) => !!pattern?.test(input.note);
+      }
+      const needle = normalizeDescription(condition.value);
+      return (input) =>
+        !!needle && normalizeDescription(input.note).includes(needle);
+    }
+    case "amount":
+      return (input) => {
+        const amount = fromMinor(
+          input.amount,
+          context.currencyOf(input.walletId),
+        );
+        return (
+          (condition.min === null || amount >= condition.min) &&
+          (condition.max === null || amount <= condition.max)
+        );
+      };
+    case "wallet":
+      return (input) =>
+        input.walletId === condition.walletId ||
+        input.toWalletId === condition.walletId;
+    case "weekday": {
+      const days = new Set<number>(condition.days);
+      return (input) => days.has(weekdayOf(input.date));
+    }
+  }
+}
+
+/**
+ * Apply an action to a transaction; splits are left to the end
+ */
+function applyAction(
+  input: TransactionInput,
+  action: Exclude<RuleAction, { type: "split" }>,
+  context: RuleContext,
+): TransactionInput {
+  switch (action.type) {
+    case "category":
+      return input.type === "transfer"
+        ? input
+        : { ...input, category: action.category.trim() };
+    case "tags":
+      return {
+        ...input,
+        tags: [
+          ...new Set([
+            ...input.tags,
+            ...action.tags.map((tag) => tag.trim()).filter(Boolean),
+          ]),
+        ],
+      };
+    case "payee":
+      return { ...input, payee: action.payee.trim() };
+    case "transfer": {
+      if (input.type === "transfer" || action.walletId === input.walletId) {
+        return input;
+      }
+      // Without an exchange rate the amount received is unknown
+      if (
+        context.currencyOf(action.walletId) !==
+        context.currencyOf(input.walletId)
+      ) {
+        return input;
+      }
+      const [from, to] =
+        input.type === "income"
+          ? [action.walletId, input.walletId]
+          : [input.walletId, action.walletId];
+      return {
+        ...input,
+        type: "transfer",
+        category: TRANSFER_CATEGORY,
+        walletId: from,
+        toWalletId: to,
+        toAmount: undefined,
+      };
+    }
+  }
+}
+
+/**
+ * Share a transaction between the parts' categories
+ * Parts too small to get a minor unit are left out
+ */
+function splitInput(
+  input: TransactionInput,
+  parts: SplitPart[],
+): TransactionInput[] {
+  const amounts = splitAmount(
+    input.amount,
+    parts.map((part) => part.percent),
+  );
+  return parts
+    .map((part, index) => ({
+      ...input,
+      amount: amounts[index],
+      category: part.category.trim(),
+    }))
+    .filter((part) => part.amount > 0);
+}
+
+/**
+ * Build the function that runs rules on a new transaction
+ * Disabled rules are skipped; the rules' order property decides the order
+ */
+export function createRuleEngine(
+  rules: Rule[],
+  context: RuleContext,
+): (input: TransactionInput) => RuleOutcome {
+  const compiled = sortRules(rules)
+    .filter((rule) => rule.enabled)
+    .map((rule) => ({
+      rule,
+      conditions: rule.conditions.map((item) =>
+        compileCondition(item, context),
+      ),
+    }));
+
+  return (input) => {
+    let draft = input;
+    let split: SplitPart[] | null = null;
+    const matched: string[] = [];
+
+    for (const { rule, conditions } of compiled) {
+      if (!conditions.every((matches) => matches(draft))) continue;
+
+      matched.push(rule.id);
+      for (const action of rule.actions) {
+        if (action.type === "split") {
+          split = action.parts;
+        } else {
+          draft = applyAction(draft, action, context);
+        }
+      }
+      if (rule.stopProcessing) break;
+    }
+
+    const inputs =
+      split && draft.type !== "transfer" ? splitInput(draft, split) : [draft];
+    return { inputs, matched };
+  };
+}
+
+/**
+ * The fields of a transaction that rules may change
+ */
+function ruleFields(input: TransactionInput) {
+  return {
+    type: input.type,
+    amount: input.amount,
+    category: input.category,
+    walletId: input.walletId,
+    toWalletId: input.toWalletId ?? null,
+    payee: input.payee ?? null,
+    tags: [...input.tags].sort(),
+  };
+}
+
+function hasChanged(
+  transaction: Transaction,
+  inputs: TransactionInput[],
+): boolean {
+  return (
+    inputs.length !== 1 ||
+    JSON.stringify(ruleFields(transaction)) !==
+      JSON.stringify(ruleFields(inputs[0]))
+  );
+}
+
+/**
+ * Dry run of a rule over existing transactions: the ones it would change
+ * and how, whether or not the rule is enabled. Nothing is saved.
+ */
+export function previewRule(
+  rule: RuleInput,
+  items: Transaction[],
+  context: RuleContext,
+): RulePreview[] {
+  const run = createRuleEngine(
+    [
+      {
+        ...rule,
+        enabled: true,
+        id: "preview",
+        order: 0,
+        createdAt: "",
+        updatedAt: "",
+      },
+    ],
+    context,
+  );
+
+  const previews: RulePreview[] = [];
+  for (const transaction of items) {
+    const outcome = run(transaction);
+    if (outcome.matched.length > 0 && hasChanged(transaction, outcome.inputs)) {
+      previews.push({ transaction, inputs: outcome.inputs });
+    }
+  }
+  return previews;
+}
+
+/**
+ * Turn an edit of a transaction into a rule that would have made it: the
+ * first telling word of the note as the condition, the changed category,
+ * payee, tags or transfer as actions. Null when there is nothing to learn.
+ */
+export function suggestRule(
+  before: TransactionInput,
+  after: TransactionInput,
+): RuleInput | null {
+  const [keyword] = tokenize(before.note);
+  if (!keyword) return null;
+
+  const actions: RuleAction[] = [];
+  if (after.type === "transfer") {
+    if (before.type === "expense" && after.toWalletId) {
+      actions.push({ type: "transfer", walletId: after.toWalletId });
+    }
+  } else if (
+    after.category.trim() &&
+    after.category.trim() !== before.category
+  ) {
+    actions.push({ type: "category", category: after.category.trim() });
+  }
+
+  const payee = after.payee?.trim();
+  if (payee && payee !== before.payee) {
+    actions.push({ type: "payee", payee });
+  }
+
+  const tags = after.tags
+    .map((tag) => tag.trim())
+    .filter((tag) => tag && !before.tags.includes(tag));
+  if (tags.length > 0) {
+    actions.push({ type: "tags", tags: [...new Set(tags)] });
+  }
+
+  if (actions.length === 0) return null;
+
+  return {
+    name: `Notes containing "${keyword}"`,
+    enabled: true,
+    conditions: [{ type: "description", operator: "contains", value: keyword }],
+    actions,
+    stopProcessing: false,
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Account Service
+ * Signing out of every device and removing the account from this browser
+ */
+
+import { auth } from "$lib/stores/auth";
+import { endAllSessions } from "$lib/services/api";
+import { signOut } from "$lib/services/auth-providers";
+import { deleteDatabase } from "$lib/services/db";
+
+// Every key the app keeps in localStorage starts with this
+const STORAGE_PREFIX = "kantonq_";
+
+/**
+ * Whether the session is known to the backend; offline sessions only
+ * exist in this browser
+ */
+export function hasBackendSession(): boolean {
+  return auth.getState().provider !== "local";
+}
+
+/**
+ * End the sessions on every device, then sign out here
+ * Rejects without signing out when the backend cannot be reached
+ */
+export async function signOutEverywhere(): Promise<void> {
+  if (hasBackendSession()) {
+    await endAllSessions();
+  }
+  await signOut();
+}
+
+/**
+ * Erase the local database, with the vault and the stored session, and
+ * every setting kept in this browser
+ */
+export async function eraseLocalData(): Promise<void> {
+  await deleteDatabase();
+  for (const key of Object.keys(localStorage)) {
+    if (key.startsWith(STORAGE_PREFIX)) {
+      localStorage.removeItem(key);
+    }
+  }
+}
+
+/**
+ * Sign out everywhere and wipe what this browser keeps: the local
+ * database and every setting. Households and the invitation list live on
+ * the backend and are left to their owners.
+ */
+export async function deleteAccount(): Promise<void> {
+  if (hasBackendSession()) {
+    // Offline, the other devices stay signed in until their sessions end
+    await endAllSessions().catch((error) => {
+      console.warn("Could not end the other sessions:", error);
+    });
+  }
+
+  // Wipe before signing out: the auth guard leaves the page on logout
+  await eraseLocalData();
+  await signOut();
+}
@@ -0,0 +1,221 @@
+/**
+ * API Client
+ * Talks to the Kantonq backend using a cookie-based session
+ */
+
+import { auth, type GoogleUser } from "$lib/stores/auth";
+import type { DeviceSession } from "$lib/auth/sessions";
+
+// Base URL of the backend, set as PUBLIC_API_URL in your .env file
+const API_URL = import.meta.env.PUBLIC_API_URL || "";
+
+// Retry idempotent requests that failed before reaching the server
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+export type HttpMethod = "GET" | "HEAD" | "POST" | "PUT" | "PATCH" | "DELETE";
+
+export interface RequestOptions {
+  method?: HttpMethod;
+  body?: unknown;
+  signal?: AbortSignal;
+  // Let the request outlive the page (e.g. logout right before navigating)
+  keepalive?: boolean;
+  // Do not log the user out when the backend answers 401
+  skipAuthHandling?: boolean;
+}
+
+/**
+ * Error returned by the backend (non-2xx response)
+ */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly code: string;
+
+  constructor(status: number, code: string, message: string) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The backend session is missing or no longer valid
+ */
+export class UnauthorizedError extends ApiError {
+  constructor(message = "Your session is no longer valid") {
+    super(401, "unauthorized", message);
+    this.name = "UnauthorizedError";
+  }
+}
+
+/**
+ * The request never reached the backend (offline, DNS, CORS...)
+ */
+export class NetworkError extends Error {
+  constructor(message = "Unable to reach the server. Check your connection.") {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build an ApiError from the backend's `{ error: { code, message } }` body
+ */
+async function toApiError(response: Response): Promise<ApiError> {
+  let code = "http_error";
+  let message = `Request failed with status ${response.status}`;
+
+  try {
+    const data = await response.json();
+    code = data?.error?.code ?? code;
+    message = data?.error?.message ?? message;
+  } catch {
+    // Body was not JSON, keep the generic message
+  }
+
+  if (response.status === 401) {
+    return new UnauthorizedError(message);
+  }
+  return new ApiError(response.status, code, message);
+}
+
+/**
+ * Send a request to the backend
+ * Credentials are always sent; 401 responses end the local session
+ */
+export async function apiRequest<T>(
+  path: string,
+  options: RequestOptions = {},
+): Promise<T> {
+  const { method = "GET", body, signal, keepalive, skipAuthHandling } = options;
+  const retries = IDEMPOTENT_METHODS.has(method) ? MAX_RETRIES : 0;
+
+  const headers: Record<string, string> = { Accept: "application/json" };
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+  }
+
+  let response: Response | null = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        credentials: "include",
+        signal,
+        keepalive,
+      });
+      break;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (attempt === retries) throw new NetworkError();
+      await delay(RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+
+  if (!response) throw new NetworkError();
+
+  if (!response.ok) {
+    const error = await toApiError(response);
+    if (error instanceof UnauthorizedError && !skipAuthHandling) {
+      void auth.logout();
+    }
+    throw error;
+  }
+
+  if (response.status === 204) {
+    return undefined as T;
+  }
+  return (await response.json()) as T;
+}
+
+export const api = {
+  get: <T>(path: string, options?: Omit<RequestOptions, "method" | "body">) =>
+    apiRequest<T>(path, { ...options, method: "GET" }),
+  post: <T>(path: string, body?: unknown, options?: RequestOptions) =>
+    apiRequest<T>(path, { ...options, method: "POST", body }),
+  put: <T>(path: string, body?: unknown, options?: RequestOptions) =>
+    apiRequest<T>(path, { ...options, method: "PUT", body }),
+  patch: <T>(path: string, body?: unknown, options?: RequestOptions) =>
+    apiRequest<T>(path, { ...options, method: "PATCH", body }),
+  delete: <T>(path: string, options?: Omit<RequestOptions, "method">) =>
+    apiRequest<T>(path, { ...options, method: "DELETE" }),
+};
+
+/**
+ * Trade a Google access token for a backend session
+ * The backend verifies the token with Google and returns the user profile
+ * A household invitation token lets in an address that was not invited
+ */
+export async function createSession(
+  googleAccessToken: string,
+  inviteToken?: string,
+): Promise<GoogleUser> {
+  const { user } = await api.post<{ user: GoogleUser }>(
+    "/auth/session",
+    { accessToken: googleAccessToken, inviteToken },
+    { skipAuthHandling: true },
+  );
+  return user;
+}
+
+/**
+ * Fetch the user behind the current backend session
+ */
+export async function fetchCurrentUser(): Promise<GoogleUser> {
+  const { user } = await api.get<{ user: GoogleUser }>("/auth/me");
+  return user;
+}
+
+/**
+ * End the backend session
+ */
+export async function endSession(): Promise<void> {
+  await api.delete<void>("/auth/session", {
+    keepalive: true,
+    skipAuthHandling: true,
+  });
+}
+
+/**
+ * List the devices the user is signed in on
+ */
+export async function fetchSessions(): Promise<DeviceSession[]> {
+  const { sessions } = await api.get<{ sessions: DeviceSession[] }>(
+    "/auth/sessions",
+  );
+  return sessions;
+}
+
+/**
+ * Sign another device out
+ */
+export async function endDeviceSession(id: string): Promise<void> {
+  await api.delete<void>(`/auth/sessions/${encodeURIComponent(id)}`);
+}
+
+/**
+ * End every backend session of the user, this one included
+ */
+export async function endAllSessions(): Promise<void> {
+  await api.delete<void>("/auth/sessions", { skipAuthHandling: true });
+}
+
+/**
+ * Turn any error thrown by the client into a message for `authError`
+ */
+export function getErrorMessage(error: unknown, fallback: string): string {
+  if (error instanceof ApiError || error instanceof NetworkError) {
+    return error.message;
+  }
+  return fallback;
+}
@@ -0,0 +1,85 @@
+/**
+ * Auth Providers Service
+ * The sign-in methods enabled for this build and the sign-in and sign-out
+ * flows shared by all of them
+ */
+
+import { auth, type GoogleUser } from "$lib/stores/auth";
+import { getErrorMessage } from "$lib/services/api";
+import { googleProvider } from "$lib/services/google-oauth";
+import { localProvider } from "$lib/services/local-auth";
+import { emailLinkProvider } from "$lib/services/email-link-auth";
+import {
+  AuthProviderError,
+  parseAuthProviders,
+  type AuthProvider,
+  type AuthProviderId,
+} from "$lib/auth/providers";
+
+const PROVIDERS: Record<AuthProviderId, AuthProvider> = {
+  google: googleProvider,
+  local: localProvider,
+  email: emailLinkProvider,
+};
+
+/**
+ * Providers offered on the login page, in button order
+ */
+export const enabledProviders: AuthProvider[] = parseAuthProviders(
+  import.meta.env.PUBLIC_AUTH_PROVIDERS,
+  { dev: import.meta.env.DEV },
+).map((id) => PROVIDERS[id]);
+
+/**
+ * The provider behind a session; sessions stored before providers existed
+ * came from Google
+ */
+export function getAuthProvider(id: AuthProviderId | null): AuthProvider {
+  return PROVIDERS[id ?? "google"];
+}
+
+/**
+ * Sign in with a provider and keep the session in the auth store
+ * Failures end up in `authError`
+ */
+export async function signIn(
+  id: AuthProviderId,
+  input?: Record<string, string>,
+): Promise<void> {
+  auth.setLoading(true);
+  auth.clearError();
+
+  try {
+    const session = await getAuthProvider(id).login(input);
+    await auth.setUser(
+      session.user,
+      session.accessToken,
+      session.expiresIn,
+      id,
+    );
+  } catch (error) {
+    console.error(`Sign-in with ${id} failed:`, error);
+    auth.setError(
+      error instanceof AuthProviderError
+        ? error.message
+        : getErrorMessage(error, "Failed to sign in"),
+    );
+  }
+}
+
+/**
+ * End the session with its provider, then locally
+ * Resolves once the provider is done, so callers can navigate afterwards
+ */
+export async function signOut(): Promise<void> {
+  const { provider, accessToken } = auth.getState();
+  await getAuthProvider(provider).logout(accessToken);
+  await auth.logout();
+}
+
+/**
+ * The signed-in user as their provider knows them now
+ */
+export function fetchSessionUser(): Promise<GoogleUser> {
+  return getAuthProvider(auth.getState().provider).getUser();
+}
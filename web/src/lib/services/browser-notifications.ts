@@ -0,0 +1,91 @@
+/**
+ * Browser Notifications
+ * Shows new notifications through the browser's Notification API when the
+ * user opted in, and keeps the notifications center's memory tidy
+ */
+
+import { get } from "svelte/store";
+import {
+  activeNotifications,
+  notificationMemory,
+  notifications,
+  notificationsReady,
+} from "$lib/stores/notifications";
+
+let started = false;
+
+export function browserNotificationsSupported(): boolean {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/**
+ * Ask for permission and turn browser alerts on
+ * Notifications already in the center are not announced again; resolves
+ * false when the browser or the user refuses
+ */
+export async function enableBrowserAlerts(): Promise<boolean> {
+  if (!browserNotificationsSupported()) return false;
+
+  const permission =
+    Notification.permission === "granted"
+      ? "granted"
+      : await Notification.requestPermission();
+  if (permission !== "granted") return false;
+
+  notificationMemory.markAlerted(get(notifications).map((item) => item.id));
+  notificationMemory.setBrowser(true);
+  return true;
+}
+
+export function disableBrowserAlerts(): void {
+  notificationMemory.setBrowser(false);
+}
+
+function announce(): void {
+  const memory = get(notificationMemory);
+  if (
+    !memory.preferences.browser ||
+    !browserNotificationsSupported() ||
+    Notification.permission !== "granted"
+  ) {
+    return;
+  }
+
+  const alerted = new Set(memory.alerted);
+  const fresh = get(notifications).filter(
+    (item) => !item.read && !alerted.has(item.id),
+  );
+  if (fresh.length === 0) return;
+
+  for (const item of fresh) {
+    const notification = new Notification(item.title, {
+      body: item.body,
+      tag: item.id,
+      icon: "/favicon.svg",
+    });
+    notification.onclick = () => {
+      window.focus();
+      window.location.href = item.href;
+    };
+  }
+  notificationMemory.markAlerted(fresh.map((item) => item.id));
+}
+
+/**
+ * Start watching for notifications for this page
+ */
+export function startNotificationAlerts(): void {
+  if (started) return;
+  started = true;
+
+  // Until everything has loaded the list is incomplete, and pruning
+  // would forget what the user already read
+  let watching = false;
+  notificationsReady.subscribe((ready) => {
+    if (!ready || watching) return;
+    watching = true;
+
+    notificationMemory.prune(get(activeNotifications).map((item) => item.id));
+    notifications.subscribe(() => announce());
+  });
+}
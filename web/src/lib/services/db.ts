@@ -0,0 +1,609 @@
+/**
+ * IndexedDB Service
+ * Local persistence for finance data until it is synced with the API
+ */
+
+import { minorDigits } from "$lib/money/money";
+import { isSealedBox, type SealedBox } from "$lib/vault/crypto";
+
+const DB_NAME = "kantonq";
+const DB_VERSION = 8;
+
+// Object stores keyed by `id`; add new stores here and bump DB_VERSION
+export const STORES = [
+  "transactions",
+  "wallets",
+  "budgets",
+  "exchangeRates",
+  "recurring",
+  "occurrences",
+  "syncQueue",
+  "rules",
+] as const;
+
+export type StoreName = (typeof STORES)[number];
+
+// Keys and sealed values of $lib/stores/vault, also keyed by `id`; never
+// part of backups and never encrypted by the record cipher
+const SECRETS_STORE = "secrets";
+
+/**
+ * Encrypts records at rest while the vault is on (see $lib/stores/vault)
+ */
+export interface RecordCipher {
+  seal(value: unknown): Promise<SealedBox>;
+  unseal<T>(box: SealedBox): Promise<T>;
+}
+
+// An encrypted record: only its id stays readable
+interface SealedRecord {
+  id: string;
+  sealed: SealedBox;
+}
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super("The vault is locked");
+    this.name = "VaultLockedError";
+  }
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+let cipher: RecordCipher | null = null;
+let isLocked = false;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * v2: transactions referenced free-text account names, now they point at
+ * wallets. Create one wallet per distinct name and rewrite the references.
+ */
+function migrateAccountsToWallets(tx: IDBTransaction) {
+  const wallets = tx.objectStore("wallets");
+  const walletIds = new Map<string, string>();
+  const now = new Date().toISOString();
+
+  const walletFor = (name: string) => {
+    let id = walletIds.get(name);
+    if (!id) {
+      id = crypto.randomUUID();
+      walletIds.set(name, id);
+      wallets.put({
+        id,
+        name,
+        type: "cash",
+        currency: "IDR",
+        openingBalance: 0,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    return id;
+  };
+
+  const cursorRequest = tx.objectStore("transactions").openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+
+    const { account, toAccount, ...rest } = cursor.value;
+    cursor.update({
+      ...rest,
+      walletId: walletFor(account),
+      toWalletId: toAccount ? walletFor(toAccount) : undefined,
+    });
+    cursor.continue();
+  };
+}
+
+/**
+ * v4: amounts were decimals, now they are integer minor units of the
+ * wallet's currency. Databases older than v2 skip this: the wallets their
+ * migration creates are IDR, which has no minor digits.
+ */
+function migrateAmountsToMinorUnits(tx: IDBTransaction) {
+  const scales = new Map<string, number>();
+  const scaleOf = (walletId: string) => scales.get(walletId) ?? 1;
+  const toMinor = (value: number, walletId: string) =>
+    Math.round(value * scaleOf(walletId));
+
+  const rewrite = (store: StoreName, field: "amount" | "limit") => {
+    const request = tx.objectStore(store).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const value = cursor.value;
+      cursor.update({
+        ...value,
+        [field]: toMinor(value[field], value.walletId),
+      });
+      cursor.continue();
+    };
+  };
+
+  const walletRequest = tx.objectStore("wallets").openCursor();
+  walletRequest.onsuccess = () => {
+    const cursor = walletRequest.result;
+    if (cursor) {
+      const wallet = cursor.value;
+      scales.set(wallet.id, 10 ** minorDigits(wallet.currency));
+      cursor.update({
+        ...wallet,
+        openingBalance: toMinor(wallet.openingBalance, wallet.id),
+      });
+      cursor.continue();
+      return;
+    }
+
+    // Every wallet is known now
+    rewrite("transactions", "amount");
+    rewrite("budgets", "limit");
+  };
+}
+
+/**
+ * Open (and upgrade if needed) the local database
+ */
+export function openDatabase(): Promise<IDBDatabase> {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (const name of [...STORES, SECRETS_STORE]) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: "id" });
+        }
+      }
+
+      // Data migrations, in version order
+      const tx = request.transaction;
+      const { oldVersion } = event;
+      if (tx && oldVersion > 0 && oldVersion < 2) {
+        migrateAccountsToWallets(tx);
+      }
+      if (tx && oldVersion >= 2 && oldVersion < 4) {
+        migrateAmountsToMinorUnits(tx);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: close so it is not blocked
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Delete the local database with everything in it
+ * Other tabs close their connection when asked (see onversionchange)
+ */
+export async function deleteDatabase(): Promise<void> {
+  if (typeof indexedDB === "undefined") return;
+
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+  }
+
+  await new Promise<void>((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Encrypt the records written from now on with the vault's cipher, and
+ * decrypt the ones read; null writes them in the clear again
+ */
+export function setRecordCipher(next: RecordCipher | null) {
+  cipher = next;
+  isLocked = false;
+}
+
+/**
+ * Refuse to read or write records until a cipher is set again
+ */
+export function lockRecords() {
+  cipher = null;
+  isLocked = true;
+}
+
+function isSealedRecord(value: unknown): value is SealedRecord {
+  return isSealedBox((value as Partial<SealedRecord> | null)?.sealed);
+}
+
+/**
+ * Decrypt stored records; records written before the vault was turned on
+ * are returned as they are
+ */
+async function openRecords<T>(
+  records: unknown[],
+  using: RecordCipher | null = cipher,
+): Promise<T[]> {
+  return Promise.all(
+    records.map((record) => {
+      if (!isSealedRecord(record)) return record as T;
+      if (!using) throw new VaultLockedError();
+      return using.unseal<T>(record.sealed);
+    }),
+  );
+}
+
+/**
+ * Encrypt records before they are written, when the vault is on
+ * Runs before the transaction opens: it would commit while waiting
+ */
+async function sealRecords<T>(
+  values: T[],
+  using: RecordCipher | null = cipher,
+): Promise<Array<T | SealedRecord>> {
+  if (isLocked) throw new VaultLockedError();
+  if (!using) return values;
+
+  return Promise.all(
+    values.map(async (value) => ({
+      id: (value as { id: string }).id,
+      sealed: await using.seal(value),
+    })),
+  );
+}
+
+/**
+ * Read every record of a store
+ */
+export async function getAll<T>(store: StoreName): Promise<T[]> {
+  if (isLocked) throw new VaultLockedError();
+
+  const db = await openDatabase();
+  const records = await promisify<unknown[]>(
+    db.transaction(store, "readonly").objectStore(store).getAll(),
+  );
+  return openRecords<T>(records);
+}
+
+/**
+ * Insert or replace a record
+ */
+export async function put<T>(store: StoreName, value: T): Promise<void> {
+  await putMany(store, [value]);
+}
+
+/**
+ * Insert or replace several records in a single transaction
+ * Either every record is written or none is
+ */
+export async function putMany<T>(store: StoreName, values: T[]): Promise<void> {
+  const records = await sealRecords(values);
+  const db = await openDatabase();
+  const tx = db.transaction(store, "readwrite");
+  const objectStore = tx.objectStore(store);
+  for (const record of records) {
+    objectStore.put(record);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Insert the records whose id is not stored yet, in a single transaction,
+ * and return them; existing records are left untouched
+ * Safe to call from several tabs at once: readwrite transactions on a
+ * store run one after another, so each id is inserted exactly once
+ */
+export async function addMissing<T>(
+  store: StoreName,
+  values: T[],
+): Promise<T[]> {
+  const records = await sealRecords(values);
+  const db = await openDatabase();
+  const tx = db.transaction(store, "readwrite");
+  const objectStore = tx.objectStore(store);
+  const added: T[] = [];
+  values.forEach((value, index) => {
+    const request = objectStore.add(records[index]);
+    request.onsuccess = () => added.push(value);
+    request.onerror = (event) => {
+      if (request.error?.name !== "ConstraintError") return;
+      // The id exists already: keep the transaction going
+      event.preventDefault();
+      event.stopPropagation();
+    };
+  });
+  await transactionDone(tx);
+  return added;
+}
+
+/**
+ * Read records by id in a transaction and call `done` while it is still
+ * active; missing records are undefined
+ */
+function getEach(
+  objectStore: IDBObjectStore,
+  ids: string[],
+  done: (records: unknown[]) => void,
+) {
+  const records: unknown[] = [];
+  if (ids.length === 0) {
+    done(records);
+    return;
+  }
+  ids.forEach((id, index) => {
+    const request = objectStore.get(id);
+    request.onsuccess = () => {
+      records[index] = request.result;
+      // Requests of a transaction complete in order
+      if (index === ids.length - 1) done(records);
+    };
+  });
+}
+
+/**
+ * Change records without another tab writing in between: `change` gets
+ * the stored record of every id (undefined when missing) and returns
+ * what to store in its place, null to delete it
+ * Without the vault, reading, changing and writing happen in a single
+ * readwrite transaction. With it, records are opened and sealed before
+ * the transaction (it would commit while waiting), so the transaction
+ * checks they are still the ones read and starts over otherwise.
+ */
+export async function updateMany<T>(
+  store: StoreName,
+  ids: string[],
+  change: (current: Array<T | undefined>) => Array<T | null>,
+): Promise<void> {
+  const db = await openDatabase();
+
+  for (;;) {
+    if (isLocked) throw new VaultLockedError();
+    const using = cipher;
+
+    let read: unknown[] | null = null;
+    let records: unknown[] = [];
+    if (using) {
+      const readStore = db.transaction(store, "readonly").objectStore(store);
+      read = await Promise.all(ids.map((id) => promisify(readStore.get(id))));
+      const next = change(await openRecords<T | undefined>(read, using));
+      records = await Promise.all(
+        next.map(async (value) =>
+          value === null ? null : (await sealRecords([value], using))[0],
+        ),
+      );
+    }
+
+    const tx = db.transaction(store, "readwrite");
+    const objectStore = tx.objectStore(store);
+    let failure: Error | null = null;
+    let written = false;
+    getEach(objectStore, ids, (stored) => {
+      if (read) {
+        const before = read;
+        const changed = stored.some(
+          (record, index) =>
+            JSON.stringify(record) !== JSON.stringify(before[index]),
+        );
+        if (changed) return;
+      } else if (stored.some(isSealedRecord)) {
+        failure = new VaultLockedError();
+        tx.abort();
+        return;
+      } else {
+        records = change(stored as Array<T | undefined>);
+      }
+
+      ids.forEach((id, index) => {
+        const record = records[index];
+        if (record === null) {
+          objectStore.delete(id);
+        } else {
+          objectStore.put(record);
+        }
+      });
+      written = true;
+    });
+    await transactionDone(tx).catch((error) => {
+      throw failure ?? error;
+    });
+    if (written) return;
+  }
+}
+
+/**
+ * Insert or replace records across several stores in a single transaction
+ */
+export async function putAll(
+  data: Partial<Record<StoreName, unknown[]>>,
+): Promise<void> {
+  const names = Object.keys(data) as StoreName[];
+  const records = await Promise.all(
+    names.map((name) => sealRecords(data[name] ?? [])),
+  );
+  const db = await openDatabase();
+  const tx = db.transaction(names, "readwrite");
+  names.forEach((name, index) => {
+    const objectStore = tx.objectStore(name);
+    for (const record of records[index]) {
+      objectStore.put(record);
+    }
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * Replace the full contents of several stores in a single transaction,
+ * e.g. when restoring a backup
+ */
+export async function replaceAll(
+  data: Partial<Record<StoreName, unknown[]>>,
+): Promise<void> {
+  const names = Object.keys(data) as StoreName[];
+  const records = await Promise.all(
+    names.map((name) => sealRecords(data[name] ?? [])),
+  );
+  const db = await openDatabase();
+  const tx = db.transaction(names, "readwrite");
+  names.forEach((name, index) => {
+    const objectStore = tx.objectStore(name);
+    objectStore.clear();
+    for (const record of records[index]) {
+      objectStore.put(record);
+    }
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * Delete a record by id
+ */
+export async function remove(store: StoreName, id: string): Promise<void> {
+  await removeMany(store, [id]);
+}
+
+/**
+ * Delete several records in a single transaction
+ */
+export async function removeMany(
+  store: StoreName,
+  ids: string[],
+): Promise<void> {
+  if (isLocked) throw new VaultLockedError();
+
+  const db = await openDatabase();
+  const tx = db.transaction(store, "readwrite");
+  const objectStore = tx.objectStore(store);
+  for (const id of ids) {
+    objectStore.delete(id);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Re-encrypt every record with another cipher (null stores them in the
+ * clear) and keep using it. The secrets are written in the same
+ * transaction, so the records and the key that opens them never disagree.
+ */
+export async function rekeyRecords<T extends { id: string }>(
+  next: RecordCipher | null,
+  secrets: { put?: T[]; remove?: string[] } = {},
+): Promise<void> {
+  const db = await openDatabase();
+  const read = db.transaction(STORES, "readonly");
+  const stored = await Promise.all(
+    STORES.map((name) => promisify(read.objectStore(name).getAll())),
+  );
+  const records = await Promise.all(
+    stored.map(async (items) => sealRecords(await openRecords(items), next)),
+  );
+
+  const tx = db.transaction([...STORES, SECRETS_STORE], "readwrite");
+  STORES.forEach((name, index) => {
+    const objectStore = tx.objectStore(name);
+    objectStore.clear();
+    for (const record of records[index]) {
+      objectStore.put(record);
+    }
+  });
+  const secretStore = tx.objectStore(SECRETS_STORE);
+  for (const value of secrets.put ?? []) {
+    secretStore.put(value);
+  }
+  for (const id of secrets.remove ?? []) {
+    secretStore.delete(id);
+  }
+  await transactionDone(tx);
+
+  setRecordCipher(next);
+}
+
+/**
+ * Read every record of the secrets store
+ */
+export async function getSecrets<T extends { id: string }>(): Promise<T[]> {
+  const db = await openDatabase();
+  return promisify<T[]>(
+    db
+      .transaction(SECRETS_STORE, "readonly")
+      .objectStore(SECRETS_STORE)
+      .getAll(),
+  );
+}
+
+/**
+ * Read a record of the secrets store
+ */
+export async function getSecret<T extends { id: string }>(
+  id: string,
+): Promise<T | undefined> {
+  const db = await openDatabase();
+  return promisify<T | undefined>(
+    db
+      .transaction(SECRETS_STORE, "readonly")
+      .objectStore(SECRETS_STORE)
+      .get(id),
+  );
+}
+
+/**
+ * Insert or replace records of the secrets store in a single transaction
+ */
+export async function putSecrets<T extends { id: string }>(
+  values: T[],
+): Promise<void> {
+  const db = await openDatabase();
+  const tx = db.transaction(SECRETS_STORE, "readwrite");
+  const objectStore = tx.objectStore(SECRETS_STORE);
+  for (const value of values) {
+    objectStore.put(value);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Delete a record of the secrets store
+ */
+export async function removeSecret(id: string): Promise<void> {
+  const db = await openDatabase();
+  const tx = db.transaction(SECRETS_STORE, "readwrite");
+  tx.objectStore(SECRETS_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+export function transactionDone(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
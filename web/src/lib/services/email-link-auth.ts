@@ -0,0 +1,89 @@
+/**
+ * Email Link Auth Service
+ * Passwordless sign-in: the backend emails a one-time link back to the
+ * login page, which trades the link's token for a session
+ */
+
+import { api, endSession, fetchCurrentUser } from "$lib/services/api";
+import { takeInviteToken } from "$lib/stores/households";
+import type { AuthProvider } from "$lib/auth/providers";
+import type { GoogleUser } from "$lib/stores/auth";
+
+// Query parameter carrying the token in the emailed link
+export const EMAIL_LINK_PARAM = "email_token";
+
+// The session cookie is the credential; this is how often it is checked
+const CHECK_INTERVAL_SECONDS = 60 * 60;
+
+// The store keeps a token per session; the backend never sees this one
+function newToken(): string {
+  return `email-${crypto.randomUUID()}`;
+}
+
+/**
+ * Email a sign-in link to `email`
+ * Resolves for unknown addresses too, so the form does not reveal who is
+ * invited. A household invitation goes along with the link, since the
+ * email is usually opened in another tab
+ */
+export async function sendSignInLink(email: string): Promise<void> {
+  await api.post<void>(
+    "/auth/email-link",
+    {
+      email,
+      redirectUrl: `${window.location.origin}/login`,
+      inviteToken: takeInviteToken() ?? undefined,
+    },
+    { skipAuthHandling: true },
+  );
+}
+
+/**
+ * The token of an emailed link the login page was opened with
+ * It is removed from the address bar, so a reload does not reuse it
+ */
+export function takeEmailLinkToken(): string | null {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get(EMAIL_LINK_PARAM);
+  if (!token) return null;
+
+  url.searchParams.delete(EMAIL_LINK_PARAM);
+  window.history.replaceState(null, "", url);
+  return token;
+}
+
+export const emailLinkProvider: AuthProvider = {
+  id: "email",
+  label: "Email me a sign-in link",
+
+  async init() {},
+
+  async login(input) {
+    const { user } = await api.post<{ user: GoogleUser }>(
+      "/auth/email-link/verify",
+      { token: input?.token ?? "" },
+      { skipAuthHandling: true },
+    );
+    return {
+      user,
+      accessToken: newToken(),
+      expiresIn: CHECK_INTERVAL_SECONDS,
+    };
+  },
+
+  async logout() {
+    try {
+      await endSession();
+    } catch (error) {
+      console.error("Failed to end backend session:", error);
+    }
+  },
+
+  async refresh() {
+    // A 401 here expires the session instead of signing out
+    await api.get("/auth/me", { skipAuthHandling: true });
+    return { accessToken: newToken(), expiresIn: CHECK_INTERVAL_SECONDS };
+  },
+
+  getUser: fetchCurrentUser,
+};
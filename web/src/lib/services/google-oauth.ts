@@ -1,9 +1,16 @@
 /**
  * Google OAuth Service
  * Handles Google Identity Services (GIS) integration for client-side OAuth
+ * and signs in through it as the "google" auth provider
  */
 
-import { auth, type GoogleUser } from "$lib/stores/auth";
+import { createSession, endSession, fetchCurrentUser } from "$lib/services/api";
+import { takeInviteToken } from "$lib/stores/households";
+import {
+  AuthProviderError,
+  type AuthProvider,
+  type AuthToken,
+} from "$lib/auth/providers";
 
 // Google OAuth configuration
 interface GoogleOAuthConfig {
@@ -17,9 +24,23 @@ const DEFAULT_SCOPES = [
   "https://www.googleapis.com/auth/userinfo.profile",
 ];
 
+// Give up on a silent refresh if Google never answers
+const REFRESH_TIMEOUT_MS = 30 * 1000;
+
+const CLIENT_ID = import.meta.env.PUBLIC_GOOGLE_CLIENT_ID || "";
+
+// Do not hold up signing out for longer than this
+const REVOKE_TIMEOUT_MS = 5 * 1000;
+
 let tokenClient: google.accounts.oauth2.TokenClient | null = null;
 let isGsiLoaded = false;
 
+// Set while a token request (sign-in or silent refresh) waits for Google
+let pendingRequest: {
+  resolve: (response: google.accounts.oauth2.TokenResponse) => void;
+  reject: (error: Error) => void;
+} | null = null;
+
 /**
  * Load Google Identity Services script
  */
@@ -87,88 +108,145 @@ export async function initGoogleOAuth(
 /**
  * Handle successful token response
  */
-async function handleTokenResponse(
-  response: google.accounts.oauth2.TokenResponse,
-) {
-  if (response.error) {
-    auth.setError(response.error);
-    return;
-  }
+function handleTokenResponse(response: google.accounts.oauth2.TokenResponse) {
+  if (!pendingRequest) return;
 
-  try {
-    // Fetch user info from Google
-    const userInfo = await fetchGoogleUserInfo(response.access_token);
-    auth.setUser(userInfo, response.access_token);
-  } catch (error) {
-    auth.setError("Failed to fetch user information");
-    console.error("Error fetching user info:", error);
+  const { resolve, reject } = pendingRequest;
+  pendingRequest = null;
+  if (response.error) {
+    reject(new AuthProviderError(response.error));
+  } else {
+    resolve(response);
   }
 }
 
 /**
- * Handle token error
+ * Handle token error (e.g. the popup was closed)
  */
 function handleTokenError(error: google.accounts.oauth2.ClientConfigError) {
   console.error("Google OAuth error:", error);
-  auth.setError(error.message || "Authentication failed");
-}
 
-/**
- * Fetch user info from Google API
- */
-async function fetchGoogleUserInfo(accessToken: string): Promise<GoogleUser> {
-  const response = await fetch(
-    "https://www.googleapis.com/oauth2/v2/userinfo",
-    {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
-    },
-  );
+  if (!pendingRequest) return;
 
-  if (!response.ok) {
-    throw new Error("Failed to fetch user info");
-  }
-
-  const data = await response.json();
-
-  return {
-    id: data.id,
-    email: data.email,
-    name: data.name,
-    picture: data.picture,
-    given_name: data.given_name,
-    family_name: data.family_name,
-  };
+  const { reject } = pendingRequest;
+  pendingRequest = null;
+  reject(new AuthProviderError(error.message || "Authentication failed"));
 }
 
 /**
- * Trigger Google OAuth login flow
+ * Ask Google for an access token
+ * `prompt: "consent"` shows the consent screen, "" refreshes silently
  */
-export function loginWithGoogle(): void {
+async function requestToken(
+  prompt: string,
+  timeoutMs?: number,
+): Promise<google.accounts.oauth2.TokenResponse> {
   if (!tokenClient) {
-    auth.setError("Google OAuth not initialized");
-    return;
+    await initGoogleOAuth({ clientId: CLIENT_ID });
+  }
+
+  const client = tokenClient;
+  if (!client) {
+    throw new AuthProviderError("Google OAuth not initialized");
   }
 
-  auth.setLoading(true);
-  auth.clearError();
+  // A newer request replaces one Google never answered
+  pendingRequest?.reject(new Error("Superseded by a newer token request"));
 
-  // Request access token
-  tokenClient.requestAccessToken({ prompt: "consent" });
+  return new Promise((resolve, reject) => {
+    const timeout =
+      timeoutMs === undefined
+        ? null
+        : setTimeout(() => {
+            pendingRequest = null;
+            reject(new Error("Token request timed out"));
+          }, timeoutMs);
+
+    pendingRequest = {
+      resolve: (response) => {
+        if (timeout) clearTimeout(timeout);
+        resolve(response);
+      },
+      reject: (error) => {
+        if (timeout) clearTimeout(timeout);
+        reject(error);
+      },
+    };
+
+    client.requestAccessToken({ prompt });
+  });
 }
 
 /**
- * Logout from Google
+ * Revoke an access token with Google
+ * Loads Google's script first, since only the login page has it. Never
+ * rejects: signing out must not depend on Google being reachable
  */
-export function logoutFromGoogle(): void {
-  auth.logout();
+async function revokeGoogleToken(accessToken: string): Promise<void> {
+  try {
+    await loadGoogleScript();
+    await new Promise<void>((resolve) => {
+      const timeout = setTimeout(resolve, REVOKE_TIMEOUT_MS);
+      google.accounts.oauth2.revoke(accessToken, () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+  } catch (error) {
+    console.error("Failed to revoke Google token:", error);
+  }
 }
 
 /**
- * Check if user is authenticated
+ * Google as an auth provider
+ * The backend verifies Google's token and opens a session for the user
  */
-export function checkAuth(): boolean {
-  const state = auth.getState();
-  return state.isAuthenticated;
-}
+export const googleProvider: AuthProvider = {
+  id: "google",
+  label: "Login with Google",
+
+  async init() {
+    if (!CLIENT_ID) {
+      console.error("PUBLIC_GOOGLE_CLIENT_ID environment variable is not set");
+      throw new AuthProviderError("Google Client ID not configured");
+    }
+    try {
+      await initGoogleOAuth({ clientId: CLIENT_ID });
+    } catch (error) {
+      console.error("Failed to initialize Google OAuth:", error);
+      throw new AuthProviderError("Failed to initialize Google authentication");
+    }
+  },
+
+  async login() {
+    const response = await requestToken("consent");
+    const user = await createSession(
+      response.access_token,
+      takeInviteToken() ?? undefined,
+    );
+    return {
+      user,
+      accessToken: response.access_token,
+      expiresIn: response.expires_in,
+    };
+  },
+
+  async logout(accessToken) {
+    endSession().catch((error) => {
+      console.error("Failed to end backend session:", error);
+    });
+    if (accessToken) {
+      await revokeGoogleToken(accessToken);
+    }
+  },
+
+  async refresh(): Promise<AuthToken> {
+    const response = await requestToken("", REFRESH_TIMEOUT_MS);
+    return {
+      accessToken: response.access_token,
+      expiresIn: response.expires_in,
+    };
+  },
+
+  getUser: fetchCurrentUser,
+};
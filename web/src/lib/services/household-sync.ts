@@ -0,0 +1,338 @@
+/**
+ * Household Sync
+ * Keeps wallets shared in a household the same on every member's device:
+ * pulls shared wallets and their transactions from the API and sends
+ * transactions changed on this device back to it. Changes go through the
+ * sync queue, so the ones made offline are sent once the API is reachable.
+ */
+
+import { get } from "svelte/store";
+import {
+  api,
+  ApiError,
+  NetworkError,
+  UnauthorizedError,
+} from "$lib/services/api";
+import { putMany, removeMany } from "$lib/services/db";
+import { transactions, type TransactionChange } from "$lib/stores/transactions";
+import { wallets } from "$lib/stores/wallets";
+import { households, walletShares } from "$lib/stores/households";
+import { sync } from "$lib/stores/sync";
+import { canEditWallet, shareFor } from "$lib/households/households";
+import {
+  keepLocal,
+  operationId,
+  pendingOperations,
+  type RemoteTransaction,
+  type SyncConflict,
+  type SyncOperation,
+} from "$lib/sync/queue";
+
+// Try again this long after the API could not be reached
+const RETRY_DELAY_MS = 30 * 1000;
+
+let started = false;
+let replaying: Promise<void> | null = null;
+// Changes were queued during a replay: send them before it ends
+let replayAgain = false;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+
+function transactionsPath(householdId: string, walletId: string): string {
+  return `/households/${encodeURIComponent(householdId)}/wallets/${encodeURIComponent(walletId)}/transactions`;
+}
+
+/**
+ * Bring shared wallets and their transactions onto this device
+ */
+export async function pullSharedWallets(): Promise<void> {
+  await Promise.all([
+    households.load(true),
+    wallets.load(),
+    transactions.load(),
+  ]);
+
+  for (const share of get(walletShares).values()) {
+    const { shared } = share;
+
+    // Wallets shared by someone else appear next to the user's own
+    if (!get(wallets).items.some((item) => item.id === shared.walletId)) {
+      await wallets.receive([
+        {
+          ...shared.wallet,
+          id: shared.walletId,
+          createdAt: shared.sharedAt,
+          updatedAt: shared.sharedAt,
+        },
+      ]);
+    }
+
+    const { transactions: items } = await api.get<{
+      transactions: RemoteTransaction[];
+    }>(transactionsPath(share.householdId, shared.walletId));
+
+    // Keep local edits that are newer than what the API has
+    const local = new Map(
+      get(transactions).items.map((item) => [item.id, item]),
+    );
+    const saved = items.filter(
+      (item) =>
+        !item.deletedAt &&
+        (local.get(item.id)?.updatedAt ?? "") <= item.updatedAt,
+    );
+    const deleted = items
+      .filter((item) => item.deletedAt && local.has(item.id))
+      .map((item) => item.id);
+
+    if (saved.length > 0) {
+      await putMany("transactions", saved);
+      transactions.receive(saved, true);
+    }
+    if (deleted.length > 0) {
+      await removeMany("transactions", deleted);
+      transactions.forget(deleted);
+    }
+  }
+}
+
+/**
+ * Send every local transaction of a wallet that was just shared
+ */
+export async function uploadWallet(walletId: string): Promise<void> {
+  const share = get(walletShares).get(walletId);
+  if (!share) return;
+
+  const items = get(transactions).items.filter(
+    (item) => item.walletId === walletId || item.toWalletId === walletId,
+  );
+  if (items.length === 0) return;
+
+  await api.put(transactionsPath(share.householdId, walletId), {
+    transactions: items,
+  });
+}
+
+/**
+ * Queue changes to shared wallets the user may edit
+ */
+async function push(change: TransactionChange): Promise<void> {
+  const shares = get(walletShares);
+  const queuedAt = new Date().toISOString();
+  const operations: SyncOperation[] = [];
+  for (const item of change.items) {
+    const share = shareFor(shares, item);
+    if (!share || !canEditWallet(share.shared.permission)) continue;
+
+    const { householdId } = share;
+    const { walletId } = share.shared;
+    operations.push({
+      id: operationId(householdId, walletId, item.id),
+      householdId,
+      walletId,
+      type: change.type,
+      transaction: item,
+      baseVersion:
+        change.type === "remove"
+          ? item.updatedAt
+          : (change.previous[item.id] ?? null),
+      queuedAt,
+    });
+  }
+  if (operations.length === 0) return;
+
+  await sync.enqueue(operations);
+  await replayQueue();
+}
+
+/**
+ * Send one queued change; the API refuses it with a 409 when its copy
+ * is no longer the one the change was made from
+ */
+async function send(operation: SyncOperation): Promise<void> {
+  const path = transactionsPath(operation.householdId, operation.walletId);
+  const { transaction, baseVersion } = operation;
+
+  if (operation.type === "put") {
+    await api.put(path, {
+      transactions: [transaction],
+      baseVersions: { [transaction.id]: baseVersion },
+    });
+    return;
+  }
+
+  const query = baseVersion
+    ? `?baseVersion=${encodeURIComponent(baseVersion)}`
+    : "";
+  await api.delete(`${path}/${encodeURIComponent(transaction.id)}${query}`);
+}
+
+/**
+ * Why the API refused a change, with its copy of the transaction when
+ * the two versions conflict
+ */
+async function conflictFor(
+  operation: SyncOperation,
+  error: ApiError,
+): Promise<SyncConflict> {
+  let remote: RemoteTransaction | null = null;
+  if (error.status === 409) {
+    try {
+      const { transactions: items } = await api.get<{
+        transactions: RemoteTransaction[];
+      }>(transactionsPath(operation.householdId, operation.walletId));
+      remote =
+        items.find((item) => item.id === operation.transaction.id) ?? null;
+    } catch (fetchError) {
+      console.error("Failed to fetch the conflicting transaction:", fetchError);
+    }
+  }
+
+  return {
+    remote,
+    message: error.message,
+    detectedAt: new Date().toISOString(),
+  };
+}
+
+function scheduleRetry() {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    void replayQueue();
+  }, RETRY_DELAY_MS);
+}
+
+/**
+ * Send the changes queued right now, oldest first
+ * Returns how many were handled, or null when the API cannot be reached
+ * or the user signed out
+ */
+async function sendQueued(): Promise<number | null> {
+  await sync.load();
+  const operations = pendingOperations(get(sync).queue);
+  if (operations.length > 0) sync.setSyncing(true);
+
+  for (const operation of operations) {
+    sync.setSending(operation.id);
+    try {
+      await send(operation);
+      await sync.complete([operation]);
+    } catch (error) {
+      if (error instanceof NetworkError) {
+        sync.setReachable(false);
+        scheduleRetry();
+        return null;
+      }
+      // Signed out: the queue waits for the next session
+      if (error instanceof UnauthorizedError) return null;
+      if (!(error instanceof ApiError)) throw error;
+
+      await sync.markConflict(
+        operation.id,
+        await conflictFor(operation, error),
+      );
+    } finally {
+      sync.setSending(null);
+    }
+  }
+  return operations.length;
+}
+
+/**
+ * Send queued changes, oldest first
+ * Stops at the first one that cannot reach the API and tries again later;
+ * changes the API refuses wait for the user as conflicts. Changes queued
+ * while it runs are sent by the same run.
+ */
+export function replayQueue(): Promise<void> {
+  if (replaying) {
+    replayAgain = true;
+    return replaying;
+  }
+
+  replaying = (async () => {
+    let handled = 0;
+    try {
+      do {
+        replayAgain = false;
+        const count = await sendQueued();
+        if (count === null) return;
+        handled += count;
+      } while (replayAgain);
+      if (handled > 0) sync.markSynced();
+    } finally {
+      sync.setSyncing(false);
+    }
+  })()
+    .catch((error) => {
+      console.error("Failed to send queued changes:", error);
+    })
+    .finally(() => {
+      replaying = null;
+    });
+
+  return replaying;
+}
+
+/**
+ * Settle a conflict: send this device's version again on top of the
+ * API's, or take the API's version and drop the local change
+ */
+export async function resolveConflict(
+  id: string,
+  keep: "local" | "remote",
+): Promise<void> {
+  const operation = get(sync).queue.find((item) => item.id === id);
+  if (!operation?.conflict) return;
+
+  const { transaction } = operation;
+  const remote = operation.conflict.remote;
+
+  if (keep === "local") {
+    // A pull may have replaced or removed the local copy meanwhile
+    if (operation.type === "put") {
+      await putMany("transactions", [transaction]);
+      transactions.receive([transaction], true);
+    }
+    await sync.replace(keepLocal(operation));
+    await replayQueue();
+    return;
+  }
+
+  if (remote?.deletedAt) {
+    await removeMany("transactions", [transaction.id]);
+    transactions.forget([transaction.id]);
+  } else if (remote) {
+    await putMany("transactions", [remote]);
+    transactions.receive([remote], true);
+  }
+  await sync.complete([operation]);
+}
+
+/**
+ * Start syncing shared wallets for this page
+ */
+export function startHouseholdSync(): void {
+  if (started) return;
+  started = true;
+
+  transactions.onChange((change) => {
+    push(change).catch((error) => {
+      console.error("Failed to queue changes for the household:", error);
+    });
+  });
+
+  window.addEventListener("online", () => {
+    sync.setOnline(true);
+    void replayQueue();
+  });
+  window.addEventListener("offline", () => {
+    sync.setOnline(false);
+  });
+
+  // Changes queued while offline go first, so the pull does not undo them
+  replayQueue()
+    .then(() => pullSharedWallets())
+    .catch((error) => {
+      console.error("Failed to sync shared wallets:", error);
+    });
+}
@@ -0,0 +1,55 @@
+/**
+ * Local Auth Service
+ * Offline sign-in for development: no Google, no backend. The session is
+ * only known to this browser, so features that need the API (households,
+ * the invitation list) stay unavailable while signed in this way.
+ */
+
+import { AuthProviderError, type AuthProvider } from "$lib/auth/providers";
+import type { GoogleUser } from "$lib/stores/auth";
+
+// Long enough to work a day without the refresh doing anything visible
+const SESSION_SECONDS = 12 * 60 * 60;
+
+const LOCAL_USER: GoogleUser = {
+  id: "local-developer",
+  email: "developer@localhost",
+  name: "Local Developer",
+  picture: "",
+  role: "owner",
+};
+
+function newToken(): string {
+  return `local-${crypto.randomUUID()}`;
+}
+
+export const localProvider: AuthProvider = {
+  id: "local",
+  label: "Continue offline (development)",
+
+  async init() {
+    if (!import.meta.env.DEV) {
+      throw new AuthProviderError(
+        "Offline sign-in is only available in development",
+      );
+    }
+  },
+
+  async login() {
+    return {
+      user: LOCAL_USER,
+      accessToken: newToken(),
+      expiresIn: SESSION_SECONDS,
+    };
+  },
+
+  async logout() {},
+
+  async refresh() {
+    return { accessToken: newToken(), expiresIn: SESSION_SECONDS };
+  },
+
+  async getUser() {
+    return LOCAL_USER;
+  },
+};
@@ -0,0 +1,170 @@
+/**
+ * Settings - The user's preferences for how the app counts and shows money
+ * Stored per user; anything missing or malformed falls back to the default
+ */
+
+export type ThemePreference = "system" | "light" | "dark";
+
+// 0 = Sunday ... 6 = Saturday
+export type Weekday = 0 | 1 | 2 | 3 | 4 | 5 | 6;
+
+export interface Settings {
+  // ISO 4217 code totals across wallets are converted into
+  baseCurrency: string;
+  // BCP 47 tag numbers and dates are formatted with; "" follows the browser
+  locale: string;
+  weekStart: Weekday;
+  // Day of the month a financial month starts on, e.g. 25 for payday;
+  // at most 28 so every month has it
+  monthStartDay: number;
+  // Wallet the dashboard opens on until another one is picked
+  defaultWalletId: string | null;
+  theme: ThemePreference;
+}
+
+export type SettingsErrors = Partial<Record<keyof Settings, string>>;
+
+export const DEFAULT_SETTINGS: Settings = {
+  baseCurrency: "IDR",
+  locale: "",
+  weekStart: 1,
+  monthStartDay: 1,
+  defaultWalletId: null,
+  theme: "system",
+};
+
+export const MAX_MONTH_START_DAY = 28;
+
+export const WEEK_STARTS: { value: Weekday; label: string }[] = [
+  { value: 1, label: "Monday" },
+  { value: 0, label: "Sunday" },
+  { value: 6, label: "Saturday" },
+];
+
+export const THEMES: { value: ThemePreference; label: string }[] = [
+  { value: "system", label: "Same as the device" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+];
+
+// Offered as suggestions; any valid tag is accepted
+export const COMMON_LOCALES = [
+  "id-ID",
+  "en-US",
+  "en-GB",
+  "en-AU",
+  "en-SG",
+  "ms-MY",
+  "nl-NL",
+  "de-DE",
+  "fr-FR",
+  "ja-JP",
+];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Whether Intl knows a locale tag ("" stands for the browser's)
+ */
+export function isValidLocale(locale: string): boolean {
+  if (locale === "") return true;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate settings before they are saved
+ * Returns an empty object when the settings are valid
+ */
+export function validateSettings(settings: Settings): SettingsErrors {
+  const errors: SettingsErrors = {};
+
+  if (!CURRENCY_PATTERN.test(settings.baseCurrency)) {
+    errors.baseCurrency = "Use a 3-letter currency code, e.g. IDR";
+  }
+  if (!isValidLocale(settings.locale)) {
+    errors.locale = "Use a language tag such as en-US or id-ID";
+  }
+  if (
+    !Number.isInteger(settings.weekStart) ||
+    settings.weekStart < 0 ||
+    settings.weekStart > 6
+  ) {
+    errors.weekStart = "Choose a day of the week";
+  }
+  if (
+    !Number.isInteger(settings.monthStartDay) ||
+    settings.monthStartDay < 1 ||
+    settings.monthStartDay > MAX_MONTH_START_DAY
+  ) {
+    errors.monthStartDay = `Choose a day between 1 and ${MAX_MONTH_START_DAY}`;
+  }
+  if (!THEMES.some(({ value }) => value === settings.theme)) {
+    errors.theme = "Choose a theme";
+  }
+
+  return errors;
+}
+
+/**
+ * Read settings as stored, keeping only the fields that are still valid
+ */
+export function parseSettings(
+  value: unknown,
+  fallback: Settings = DEFAULT_SETTINGS,
+): Settings {
+  if (!value || typeof value !== "object") return fallback;
+
+  const stored = value as Partial<Record<keyof Settings, unknown>>;
+  const settings = { ...fallback };
+  for (const key of Object.keys(fallback) as (keyof Settings)[]) {
+    if (stored[key] === undefined) continue;
+    const candidate = { ...fallback, [key]: stored[key] } as Settings;
+    if (!validateSettings(candidate)[key]) {
+      Object.assign(settings, { [key]: candidate[key] });
+    }
+  }
+  if (
+    typeof settings.defaultWalletId !== "string" ||
+    settings.defaultWalletId === ""
+  ) {
+    settings.defaultWalletId = null;
+  }
+
+  return settings;
+}
+
+/**
+ * Financial month (YYYY-MM) a YYYY-MM-DD date falls in
+ * A financial month is named after the calendar month it starts in: with
+ * months starting on the 25th, 2025-03-10 belongs to 2025-02
+ */
+export function financialMonthOf(date: string, monthStartDay: number): string {
+  const month = date.slice(0, 7);
+  if (Number(date.slice(8, 10)) >= monthStartDay) return month;
+
+  const year = Number(month.slice(0, 4));
+  const index = Number(month.slice(5, 7)) - 1;
+  const previous = new Date(Date.UTC(year, index - 1, 1));
+  return previous.toISOString().slice(0, 7);
+}
+
+/**
+ * First and last day (YYYY-MM-DD) of a financial month
+ */
+export function financialMonthRange(
+  month: string,
+  monthStartDay: number,
+): { from: string; to: string } {
+  const year = Number(month.slice(0, 4));
+  const index = Number(month.slice(5, 7)) - 1;
+  const from = new Date(Date.UTC(year, index, monthStartDay));
+  const to = new Date(Date.UTC(year, index + 1, monthStartDay - 1));
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+  };
+}
@@ -1,9 +1,13 @@
 /**
  * Auth Store - Client-side authentication state management
- * Uses localStorage for session persistence
+ * Keeps the session in memory and encrypted in the vault's secrets
+ * ($lib/stores/vault), and keeps open tabs in sync
  */
 
 import { writable, derived, get } from "svelte/store";
+import { hasPermission, type Permission, type Role } from "$lib/access/roles";
+import type { AuthProviderId } from "$lib/auth/providers";
+import { vault, VaultLockedError } from "$lib/stores/vault";
 
 export interface GoogleUser {
   id: string;
@@ -12,80 +16,457 @@ export interface GoogleUser {
   picture: string;
   given_name?: string;
   family_name?: string;
+  // Set by the API from the invitation allowlist; missing in sessions
+  // stored before roles existed until /auth/me confirms it
+  role?: Role;
 }
 
 export interface AuthState {
   isAuthenticated: boolean;
   isLoading: boolean;
+  isSessionExpired: boolean;
+  // A session is stored but sealed by the locked vault
+  isLocked: boolean;
   user: GoogleUser | null;
+  // How the user signed in
+  provider: AuthProviderId | null;
   accessToken: string | null;
+  // Epoch milliseconds at which the access token stops being accepted
+  expiresAt: number | null;
   error: string | null;
 }
 
-const AUTH_STORAGE_KEY = "kantonq_auth";
+interface StoredAuth {
+  user: GoogleUser;
+  // Missing in sessions stored before other providers existed (Google)
+  provider?: AuthProviderId;
+  accessToken: string;
+  expiresAt: number;
+}
+
+/**
+ * Session changes shared with the other open tabs
+ */
+export type AuthSyncMessage =
+  | { type: "login"; session: StoredAuth }
+  | { type: "logout" }
+  | { type: "expired" }
+  | { type: "token-refresh"; session: StoredAuth }
+  | { type: "user-change"; session: StoredAuth };
+
+const SESSION_SECRET_ID = "session";
+const AUTH_CHANNEL_NAME = "kantonq_auth";
+
+// Sessions were stored here in plain text; moved into the secrets on read
+const LEGACY_AUTH_STORAGE_KEY = "kantonq_auth";
+
+// Without BroadcastChannel, writing this key tells the other tabs to read
+// the session again; it holds nothing secret, only why and when, e.g.
+// "expired:1735689600000"
+const AUTH_SIGNAL_STORAGE_KEY = "kantonq_auth_changed";
+
+type AuthSignal = "changed" | "expired";
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Spread refreshes so one tab usually renews the token for all of them
+const REFRESH_JITTER_MS = 30 * 1000;
+
+const SESSION_EXPIRED_MESSAGE =
+  "Your session has expired. Please sign in again.";
+
+/**
+ * The stored session, or null when there is none
+ * Rejects with VaultLockedError when the vault has to be opened first
+ */
+async function readStoredAuth(): Promise<Partial<StoredAuth> | null> {
+  const legacy = localStorage.getItem(LEGACY_AUTH_STORAGE_KEY);
+  if (legacy) {
+    const session: Partial<StoredAuth> = JSON.parse(legacy);
+    await vault.sealSecret(SESSION_SECRET_ID, session);
+    localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+    return session;
+  }
+
+  return vault.openSecret<Partial<StoredAuth>>(SESSION_SECRET_ID);
+}
 
 function createAuthStore() {
   const initialState: AuthState = {
     isAuthenticated: false,
     isLoading: true,
+    isSessionExpired: false,
+    isLocked: false,
     user: null,
+    provider: null,
     accessToken: null,
+    expiresAt: null,
+    error: null,
+  };
+
+  const loggedOutState: AuthState = {
+    isAuthenticated: false,
+    isLoading: false,
+    isSessionExpired: false,
+    isLocked: false,
+    user: null,
+    provider: null,
+    accessToken: null,
+    expiresAt: null,
     error: null,
   };
 
   const { subscribe, set, update } = writable<AuthState>(initialState);
 
+  let refreshTimer: ReturnType<typeof setTimeout> | null = null;
+  let refreshing: Promise<boolean> | null = null;
+  let channel: BroadcastChannel | null = null;
+  let isSyncing = false;
+
+  function clearRefreshTimer() {
+    if (refreshTimer) {
+      clearTimeout(refreshTimer);
+      refreshTimer = null;
+    }
+  }
+
+  /**
+   * Schedule a silent refresh shortly before the token expires
+   */
+  function scheduleRefresh(expiresAt: number) {
+    clearRefreshTimer();
+    const jitter = Math.random() * REFRESH_JITTER_MS;
+    const delay = Math.max(
+      expiresAt - Date.now() - REFRESH_MARGIN_MS - jitter,
+      0,
+    );
+    refreshTimer = setTimeout(() => {
+      void refresh();
+    }, delay);
+  }
+
+  /**
+   * Tell the other tabs without BroadcastChannel to read the session again
+   */
+  function signal(reason: AuthSignal = "changed") {
+    if (!channel) {
+      localStorage.setItem(AUTH_SIGNAL_STORAGE_KEY, `${reason}:${Date.now()}`);
+    }
+  }
+
+  /**
+   * Store the session encrypted; resolves once it is written, so a page
+   * opened afterwards finds it
+   */
+  function persist(session: StoredAuth): Promise<void> {
+    return vault
+      .sealSecret(SESSION_SECRET_ID, session)
+      .then(() => signal())
+      .catch((error) => {
+        console.error("Failed to store the session:", error);
+      });
+  }
+
+  function clearStoredAuth(reason?: AuthSignal): Promise<void> {
+    return vault
+      .removeSecret(SESSION_SECRET_ID)
+      .then(() => signal(reason))
+      .catch((error) => {
+        console.error("Failed to remove the stored session:", error);
+      });
+  }
+
+  /**
+   * Tell the other tabs about a session change
+   * Without BroadcastChannel, storing the session signals it (see signal)
+   */
+  function broadcast(message: AuthSyncMessage) {
+    channel?.postMessage(message);
+  }
+
+  /**
+   * Adopt a session that was written by this or another tab
+   */
+  function applySession({
+    user,
+    provider = "google",
+    accessToken,
+    expiresAt,
+  }: StoredAuth) {
+    update((state) => ({
+      ...state,
+      isAuthenticated: true,
+      isLoading: false,
+      isSessionExpired: false,
+      isLocked: false,
+      user,
+      provider,
+      accessToken,
+      expiresAt,
+      error: null,
+    }));
+    scheduleRefresh(expiresAt);
+  }
+
+  /**
+   * Show the session as expired, keeping who was signed in
+   */
+  function markExpired() {
+    clearRefreshTimer();
+    update((state) => ({
+      ...state,
+      isAuthenticated: false,
+      isLoading: false,
+      isSessionExpired: true,
+      accessToken: null,
+      expiresAt: null,
+      error: SESSION_EXPIRED_MESSAGE,
+    }));
+  }
+
+  /**
+   * Apply a change made in another tab without broadcasting it again
+   */
+  function applyRemote(message: AuthSyncMessage) {
+    if (message.type === "logout") {
+      clearRefreshTimer();
+      set(loggedOutState);
+      return;
+    }
+    if (message.type === "expired") {
+      markExpired();
+      return;
+    }
+
+    applySession(message.session);
+  }
+
+  /**
+   * Turn the session another tab stored into a sync message (fallback path)
+   */
+  function messageFromStorage(
+    stored: Partial<StoredAuth> | null,
+  ): AuthSyncMessage {
+    if (!stored?.user || !stored.accessToken) return { type: "logout" };
+
+    const session = stored as StoredAuth;
+    const current = get({ subscribe });
+
+    if (!current.user) return { type: "login", session };
+    if (current.user.id !== session.user.id) {
+      return { type: "user-change", session };
+    }
+    return { type: "token-refresh", session };
+  }
+
+  /**
+   * Start listening for session changes from the other tabs
+   */
+  function startSync() {
+    if (isSyncing) return;
+    isSyncing = true;
+
+    if (typeof BroadcastChannel !== "undefined") {
+      channel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+      channel.onmessage = (event: MessageEvent<AuthSyncMessage>) => {
+        applyRemote(event.data);
+      };
+      return;
+    }
+
+    window.addEventListener("storage", (event) => {
+      if (event.key !== AUTH_SIGNAL_STORAGE_KEY) return;
+      // The stored session is gone either way; say why
+      if (event.newValue?.startsWith("expired:")) {
+        applyRemote({ type: "expired" });
+        return;
+      }
+
+      readStoredAuth()
+        .then((stored) => applyRemote(messageFromStorage(stored)))
+        .catch((e) => {
+          if (e instanceof VaultLockedError) return;
+          console.error("Failed to sync auth state:", e);
+        });
+    });
+  }
+
+  /**
+   * Store a fresh access token for the current user
+   */
+  function setToken(accessToken: string, expiresIn: number) {
+    const current = get({ subscribe });
+    if (!current.user) return;
+
+    const session = {
+      user: current.user,
+      provider: current.provider ?? undefined,
+      accessToken,
+      expiresAt: Date.now() + expiresIn * 1000,
+    };
+    void persist(session);
+    applySession(session);
+    broadcast({ type: "token-refresh", session });
+  }
+
+  /**
+   * Drop the session because the token can no longer be renewed; the
+   * other tabs show it as expired too
+   */
+  function expireSession() {
+    void clearStoredAuth("expired");
+    markExpired();
+    broadcast({ type: "expired" });
+  }
+
+  /**
+   * Silently renew the token with the session's provider (no prompt)
+   * The session is marked as expired when the refresh fails
+   */
+  function refresh(): Promise<boolean> {
+    if (refreshing) return refreshing;
+
+    const current = get({ subscribe });
+    const renew = () =>
+      import("$lib/services/auth-providers")
+        .then(({ getAuthProvider }) =>
+          getAuthProvider(current.provider).refresh(),
+        )
+        .then((token) => {
+          setToken(token.accessToken, token.expiresIn);
+          return true;
+        });
+
+    refreshing = readStoredAuth()
+      .catch(() => null)
+      .then((stored) => {
+        // Another tab may already have renewed the token
+        if (
+          stored?.user &&
+          stored.accessToken &&
+          stored.accessToken !== current.accessToken &&
+          (stored.expiresAt ?? 0) - Date.now() > REFRESH_MARGIN_MS
+        ) {
+          applySession(stored as StoredAuth);
+          return true;
+        }
+        return renew();
+      })
+      .catch((error) => {
+        console.error("Failed to refresh access token:", error);
+        expireSession();
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+
+    return refreshing;
+  }
+
   return {
     subscribe,
 
     /**
-     * Initialize auth state from localStorage
-     * Call this on app startup
+     * Initialize auth state from the stored session
+     * Call this on app startup, and again once the vault is unlocked
      */
-    init: () => {
+    init: async () => {
       if (typeof window === "undefined") return;
 
+      startSync();
+
       try {
-        const stored = localStorage.getItem(AUTH_STORAGE_KEY);
-        if (stored) {
-          const parsed = JSON.parse(stored);
-          // Check if token is still valid (basic check)
-          if (parsed.accessToken && parsed.user) {
-            update((state) => ({
-              ...state,
-              isAuthenticated: true,
-              isLoading: false,
+        const parsed = await readStoredAuth();
+        if (parsed?.accessToken && parsed.user) {
+          const expiresAt = parsed.expiresAt ?? 0;
+
+          if (Date.now() < expiresAt) {
+            applySession({
               user: parsed.user,
+              provider: parsed.provider,
               accessToken: parsed.accessToken,
-            }));
+              expiresAt,
+            });
             return;
           }
+
+          // Token already expired (or predates expiry tracking):
+          // stay in the loading state while we try to renew it
+          update((state) => ({
+            ...state,
+            isLoading: true,
+            user: parsed.user ?? null,
+            provider: parsed.provider ?? "google",
+          }));
+          void refresh();
+          return;
         }
       } catch (e) {
+        if (e instanceof VaultLockedError) {
+          update((state) => ({ ...state, isLoading: false, isLocked: true }));
+          return;
+        }
+
         console.error("Failed to restore auth state:", e);
-        localStorage.removeItem(AUTH_STORAGE_KEY);
+        await clearStoredAuth();
       }
 
       update((state) => ({ ...state, isLoading: false }));
     },
 
     /**
-     * Set authenticated user after successful Google OAuth
+     * Set authenticated user after a successful sign-in
+     * Resolves once the session is stored
      */
-    setUser: (user: GoogleUser, accessToken: string) => {
-      const authData = { user, accessToken };
-      localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(authData));
-
-      update((state) => ({
-        ...state,
-        isAuthenticated: true,
-        isLoading: false,
+    setUser: async (
+      user: GoogleUser,
+      accessToken: string,
+      expiresIn: number,
+      provider: AuthProviderId = "google",
+    ) => {
+      const previousUser = get({ subscribe }).user;
+      const session = {
         user,
+        provider,
         accessToken,
-        error: null,
-      }));
+        expiresAt: Date.now() + expiresIn * 1000,
+      };
+      await persist(session);
+      applySession(session);
+
+      broadcast({
+        type:
+          previousUser && previousUser.id !== user.id ? "user-change" : "login",
+        session,
+      });
     },
 
+    /**
+     * Replace the profile of the signed-in user (e.g. as confirmed by the API)
+     */
+    updateUser: (user: GoogleUser) => {
+      const current = get({ subscribe });
+      if (!current.accessToken || current.expiresAt === null) return;
+
+      const session = {
+        user,
+        provider: current.provider ?? undefined,
+        accessToken: current.accessToken,
+        expiresAt: current.expiresAt,
+      };
+      void persist(session);
+      applySession(session);
+      broadcast({ type: "user-change", session });
+    },
+
+    setToken,
+
+    refresh,
+
+    expireSession,
+
     /**
      * Set loading state
      */
@@ -112,28 +493,18 @@ function createAuthStore() {
     },
 
     /**
-     * Logout - clear auth state and localStorage
+     * Logout - clear auth state and the stored session
+     * Ending the session with its provider is up to signOut
+     * ($lib/services/auth-providers)
+     * The state changes once the stored session is gone, as guards leave
+     * the page on logout
      */
-    logout: () => {
-      localStorage.removeItem(AUTH_STORAGE_KEY);
-
-      // Revoke Google token if possible
-      if (typeof google !== "undefined" && google.accounts) {
-        const currentState = get({ subscribe });
-        if (currentState.accessToken) {
-          google.accounts.oauth2.revoke(currentState.accessToken, () => {
-            console.log("Token revoked");
-          });
-        }
-      }
+    logout: async () => {
+      clearRefreshTimer();
+      await clearStoredAuth();
 
-      set({
-        isAuthenticated: false,
-        isLoading: false,
-        user: null,
-        accessToken: null,
-        error: null,
-      });
+      set(loggedOutState);
+      broadcast({ type: "logout" });
     },
 
     /**
@@ -150,5 +521,15 @@ export const auth = createAuthStore();
 // Derived stores for convenience
 export const isAuthenticated = derived(auth, ($auth) => $auth.isAuthenticated);
 export const isLoading = derived(auth, ($auth) => $auth.isLoading);
+export const isSessionExpired = derived(
+  auth,
+  ($auth) => $auth.isSessionExpired,
+);
+export const isSessionLocked = derived(auth, ($auth) => $auth.isLocked);
 export const user = derived(auth, ($auth) => $auth.user);
 export const authError = derived(auth, ($auth) => $auth.error);
+export const role = derived(auth, ($auth) => $auth.user?.role ?? null);
+export const can = derived(
+  role,
+  ($role) => (permission: Permission) => hasPermission($role, permission),
+);
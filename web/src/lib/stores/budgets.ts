@@ -0,0 +1,161 @@
+/**
+ * Budgets Store - Monthly envelope budgets per category
+ * Spending and what is left are computed in $lib/budgets/budgets
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { getAll, put, remove as deleteRecord } from "$lib/services/db";
+import { transactions, toISODate } from "$lib/stores/transactions";
+import { activeWallet } from "$lib/stores/wallets";
+import { monthStartDay } from "$lib/stores/settings";
+import { financialMonthOf } from "$lib/settings/settings";
+import {
+  computeBudgetProgress,
+  type Budget,
+  type BudgetInput,
+} from "$lib/budgets/budgets";
+
+const STORE_NAME = "budgets";
+
+export interface BudgetsState {
+  items: Budget[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+/**
+ * The financial month (YYYY-MM) today falls in, per the user's settings
+ */
+export function currentBudgetMonth(): string {
+  return financialMonthOf(toISODate(), get(monthStartDay));
+}
+
+function normalize(input: BudgetInput): BudgetInput {
+  return {
+    walletId: input.walletId,
+    category: input.category.trim(),
+    limit: input.limit,
+    rollover: input.rollover,
+    startMonth: input.startMonth,
+  };
+}
+
+function createBudgetsStore() {
+  const initialState: BudgetsState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<BudgetsState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  return {
+    subscribe,
+
+    /**
+     * Load budgets from IndexedDB
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = getAll<Budget>(STORE_NAME)
+        .then((items) => {
+          update((state) => ({ ...state, items, isLoading: false }));
+        })
+        .catch((error) => {
+          console.error("Failed to load budgets:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: "Failed to load budgets",
+          }));
+        });
+
+      return loading;
+    },
+
+    /**
+     * Create a budget
+     */
+    add: async (input: BudgetInput): Promise<Budget> => {
+      const now = new Date().toISOString();
+      const budget: Budget = {
+        ...normalize(input),
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await put(STORE_NAME, budget);
+      update((state) => ({ ...state, items: [...state.items, budget] }));
+      return budget;
+    },
+
+    /**
+     * Update a budget's limit, category or rollover setting
+     */
+    edit: async (id: string, input: BudgetInput): Promise<Budget> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+      if (!existing) {
+        throw new Error("Budget not found");
+      }
+
+      const budget: Budget = {
+        ...existing,
+        ...normalize(input),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await put(STORE_NAME, budget);
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) => (item.id === id ? budget : item)),
+      }));
+      return budget;
+    },
+
+    /**
+     * Delete a budget
+     */
+    remove: async (id: string): Promise<void> => {
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+      }));
+    },
+  };
+}
+
+export const budgets = createBudgetsStore();
+
+/**
+ * Month the budget views are showing (YYYY-MM)
+ */
+export const budgetMonth = writable(currentBudgetMonth());
+
+/**
+ * Progress of the active wallet's budgets in the selected month,
+ * most used first
+ */
+export const budgetProgress = derived(
+  [budgets, transactions, activeWallet, budgetMonth, monthStartDay],
+  ([$budgets, $transactions, $activeWallet, $budgetMonth, $monthStartDay]) =>
+    $budgets.items
+      .filter(
+        (budget) =>
+          budget.walletId === $activeWallet?.id &&
+          budget.startMonth <= $budgetMonth,
+      )
+      .map((budget) =>
+        computeBudgetProgress(
+          budget,
+          $transactions.items,
+          $budgetMonth,
+          $monthStartDay,
+        ),
+      )
+      .sort((a, b) => b.ratio - a.ratio),
+);
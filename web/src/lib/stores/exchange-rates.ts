@@ -0,0 +1,277 @@
+/**
+ * Exchange Rates Store - The user's own rate table and base currency
+ * Totals across wallets are converted into the base currency
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { getAll, put, remove as deleteRecord } from "$lib/services/db";
+import {
+  totalInCurrency,
+  type ConvertedTotal,
+  type ExchangeRate,
+} from "$lib/money/exchange";
+import { transactions, toISODate } from "$lib/stores/transactions";
+import { wallets, walletBalances } from "$lib/stores/wallets";
+import { settings, monthStartDay } from "$lib/stores/settings";
+import { financialMonthRange, financialMonthOf } from "$lib/settings/settings";
+
+export type { ExchangeRate };
+
+export type ExchangeRateInput = Omit<
+  ExchangeRate,
+  "id" | "createdAt" | "updatedAt"
+>;
+
+export type ExchangeRateErrors = Partial<
+  Record<keyof ExchangeRateInput, string>
+>;
+
+export interface ExchangeRatesState {
+  items: ExchangeRate[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+export interface BaseTotals {
+  currency: string;
+  // Sum of every wallet's balance today
+  balance: ConvertedTotal;
+  // This financial month's income and expenses, each at its own date's rate
+  income: ConvertedTotal;
+  expenses: ConvertedTotal;
+}
+
+const STORE_NAME = "exchangeRates";
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate an exchange rate before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateExchangeRate(
+  input: ExchangeRateInput,
+): ExchangeRateErrors {
+  const errors: ExchangeRateErrors = {};
+
+  if (!CURRENCY_PATTERN.test(input.from)) {
+    errors.from = "Use a 3-letter currency code, e.g. USD";
+  }
+  if (!CURRENCY_PATTERN.test(input.to)) {
+    errors.to = "Use a 3-letter currency code, e.g. IDR";
+  } else if (input.to === input.from) {
+    errors.to = "Choose a different currency";
+  }
+  if (!Number.isFinite(input.rate) || input.rate <= 0) {
+    errors.rate = "Rate must be greater than zero";
+  }
+  if (
+    !DATE_PATTERN.test(input.effectiveDate) ||
+    Number.isNaN(Date.parse(input.effectiveDate))
+  ) {
+    errors.effectiveDate = "Enter a valid date";
+  }
+
+  return errors;
+}
+
+function normalize(input: ExchangeRateInput): ExchangeRateInput {
+  return {
+    from: input.from.trim().toUpperCase(),
+    to: input.to.trim().toUpperCase(),
+    rate: input.rate,
+    effectiveDate: input.effectiveDate,
+  };
+}
+
+function createExchangeRatesStore() {
+  const initialState: ExchangeRatesState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<ExchangeRatesState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  return {
+    subscribe,
+
+    /**
+     * Load exchange rates from IndexedDB
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = getAll<ExchangeRate>(STORE_NAME)
+        .then((items) => {
+          update((state) => ({ ...state, items, isLoading: false }));
+        })
+        .catch((error) => {
+          console.error("Failed to load exchange rates:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: "Failed to load exchange rates",
+          }));
+        });
+
+      return loading;
+    },
+
+    /**
+     * Add a rate to the table
+     */
+    add: async (input: ExchangeRateInput): Promise<ExchangeRate> => {
+      const now = new Date().toISOString();
+      const rate: ExchangeRate = {
+        ...normalize(input),
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await put(STORE_NAME, rate);
+      update((state) => ({ ...state, items: [...state.items, rate] }));
+      return rate;
+    },
+
+    /**
+     * Correct an existing rate
+     */
+    edit: async (
+      id: string,
+      input: ExchangeRateInput,
+    ): Promise<ExchangeRate> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+      if (!existing) {
+        throw new Error("Exchange rate not found");
+      }
+
+      const rate: ExchangeRate = {
+        ...existing,
+        ...normalize(input),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await put(STORE_NAME, rate);
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) => (item.id === id ? rate : item)),
+      }));
+      return rate;
+    },
+
+    /**
+     * Delete a rate
+     */
+    remove: async (id: string): Promise<void> => {
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+      }));
+    },
+  };
+}
+
+export const exchangeRates = createExchangeRatesStore();
+
+function createBaseCurrencyStore() {
+  const { subscribe } = derived(
+    settings,
+    ($settings) => $settings.baseCurrency,
+  );
+
+  return {
+    subscribe,
+
+    /**
+     * Change the currency dashboard totals are shown in
+     */
+    select: (currency: string) => {
+      settings.save({ baseCurrency: currency });
+    },
+  };
+}
+
+export const baseCurrency = createBaseCurrencyStore();
+
+/**
+ * Every currency in use by a wallet or the rate table
+ */
+export const currencies = derived(
+  [wallets, exchangeRates, baseCurrency],
+  ([$wallets, $exchangeRates, $baseCurrency]) =>
+    [
+      ...new Set([
+        $baseCurrency,
+        ...$wallets.items.map((item) => item.currency),
+        ...$exchangeRates.items.flatMap((item) => [item.from, item.to]),
+      ]),
+    ].sort(),
+);
+
+/**
+ * Balance and this financial month's cash flow across all wallets, in the
+ * base currency
+ */
+export const baseTotals = derived(
+  [
+    wallets,
+    transactions,
+    walletBalances,
+    exchangeRates,
+    baseCurrency,
+    monthStartDay,
+  ],
+  ([
+    $wallets,
+    $transactions,
+    $walletBalances,
+    $exchangeRates,
+    $baseCurrency,
+    $monthStartDay,
+  ]): BaseTotals => {
+    const today = toISODate();
+    const month = financialMonthRange(
+      financialMonthOf(today, $monthStartDay),
+      $monthStartDay,
+    );
+    const currencyOf = new Map(
+      $wallets.items.map((item) => [item.id, item.currency]),
+    );
+    const rates = $exchangeRates.items;
+
+    const flows = (type: "income" | "expense") =>
+      $transactions.items
+        .filter(
+          (item) =>
+            item.type === type &&
+            item.date >= month.from &&
+            item.date <= month.to,
+        )
+        .map((item) => ({
+          amount: item.amount,
+          currency: currencyOf.get(item.walletId) ?? $baseCurrency,
+          date: item.date,
+        }));
+
+    return {
+      currency: $baseCurrency,
+      balance: totalInCurrency(
+        $wallets.items.map((item) => ({
+          amount: $walletBalances.get(item.id) ?? 0,
+          currency: item.currency,
+        })),
+        $baseCurrency,
+        rates,
+        today,
+      ),
+      income: totalInCurrency(flows("income"), $baseCurrency, rates, today),
+      expenses: totalInCurrency(flows("expense"), $baseCurrency, rates, today),
+    };
+  },
+);
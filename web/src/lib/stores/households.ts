@@ -0,0 +1,271 @@
+/**
+ * Households Store - Households the user belongs to and the wallets shared
+ * in them, as kept by the API
+ */
+
+import { writable, derived } from "svelte/store";
+import { api, getErrorMessage } from "$lib/services/api";
+import { normalizeEmail } from "$lib/stores/invitations";
+import type { Wallet } from "$lib/stores/wallets";
+import {
+  sharedWallets,
+  householdPeople,
+  type Household,
+  type InvitationLink,
+  type WalletPermission,
+} from "$lib/households/households";
+
+export interface HouseholdsState {
+  items: Household[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Invitation link opened before signing in, used by the next sign-in
+const INVITE_TOKEN_STORAGE_KEY = "kantonq_invite_token";
+
+/**
+ * Keep an invitation link's token until the user has signed in
+ */
+export function rememberInviteToken(token: string): void {
+  sessionStorage.setItem(INVITE_TOKEN_STORAGE_KEY, token);
+}
+
+/**
+ * The remembered invitation token, which is forgotten once read
+ */
+export function takeInviteToken(): string | null {
+  if (typeof sessionStorage === "undefined") return null;
+  const token = sessionStorage.getItem(INVITE_TOKEN_STORAGE_KEY);
+  sessionStorage.removeItem(INVITE_TOKEN_STORAGE_KEY);
+  return token;
+}
+
+function householdPath(id: string, ...rest: string[]): string {
+  return `/households/${[id, ...rest].map(encodeURIComponent).join("/")}`;
+}
+
+function createHouseholdsStore() {
+  const initialState: HouseholdsState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<HouseholdsState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  // Replace one household with the API's latest view of it
+  function replace(household: Household) {
+    update((state) => ({
+      ...state,
+      items: state.items.some((item) => item.id === household.id)
+        ? state.items.map((item) =>
+            item.id === household.id ? household : item,
+          )
+        : [...state.items, household],
+    }));
+    return household;
+  }
+
+  function drop(id: string) {
+    update((state) => ({
+      ...state,
+      items: state.items.filter((item) => item.id !== id),
+    }));
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Load the user's households from the API
+     * Pass `force` to fetch them again, e.g. to see others' changes
+     */
+    load: (force = false): Promise<void> => {
+      if (loading && !force) return loading;
+
+      loading = api
+        .get<{ households: Household[] }>("/households")
+        .then(({ households }) => {
+          update((state) => ({
+            ...state,
+            items: households,
+            isLoading: false,
+            error: null,
+          }));
+        })
+        .catch((error) => {
+          console.error("Failed to load households:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: getErrorMessage(error, "Failed to load households"),
+          }));
+          loading = null;
+        });
+
+      return loading;
+    },
+
+    /**
+     * Start a household with the user as its owner
+     */
+    create: async (name: string): Promise<Household> => {
+      const { household } = await api.post<{ household: Household }>(
+        "/households",
+        { name: name.trim() },
+      );
+      return replace(household);
+    },
+
+    /**
+     * Rename a household
+     */
+    rename: async (id: string, name: string): Promise<Household> => {
+      const { household } = await api.patch<{ household: Household }>(
+        householdPath(id),
+        { name: name.trim() },
+      );
+      return replace(household);
+    },
+
+    /**
+     * Invite someone by email; they join the next time they sign in
+     */
+    invite: async (id: string, email: string): Promise<Household> => {
+      const { household } = await api.post<{ household: Household }>(
+        householdPath(id, "members"),
+        { email: normalizeEmail(email) },
+      );
+      return replace(household);
+    },
+
+    /**
+     * Remove someone from a household, or leave it when it is the user
+     */
+    removeMember: async (
+      id: string,
+      email: string,
+      isSelf: boolean,
+    ): Promise<void> => {
+      await api.delete<void>(householdPath(id, "members", email));
+      if (isSelf) {
+        drop(id);
+        return;
+      }
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) =>
+          item.id === id
+            ? {
+                ...item,
+                members: item.members.filter(
+                  (member) => member.email !== email,
+                ),
+              }
+            : item,
+        ),
+      }));
+    },
+
+    /**
+     * Create an invitation link valid for a week
+     */
+    createLink: async (id: string): Promise<InvitationLink> => {
+      const { link } = await api.post<{ link: InvitationLink }>(
+        householdPath(id, "links"),
+      );
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) =>
+          item.id === id ? { ...item, links: [...item.links, link] } : item,
+        ),
+      }));
+      return link;
+    },
+
+    /**
+     * Revoke an invitation link
+     */
+    revokeLink: async (id: string, token: string): Promise<void> => {
+      await api.delete<void>(householdPath(id, "links", token));
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) =>
+          item.id === id
+            ? {
+                ...item,
+                links: item.links.filter((link) => link.token !== token),
+              }
+            : item,
+        ),
+      }));
+    },
+
+    /**
+     * Join a household with an invitation link's token
+     */
+    join: async (token: string): Promise<Household> => {
+      const { household } = await api.post<{ household: Household }>(
+        "/households/join",
+        { token },
+      );
+      return replace(household);
+    },
+
+    /**
+     * Share a wallet with a household, or change who may do what with it
+     */
+    shareWallet: async (
+      id: string,
+      wallet: Wallet,
+      permissions: Record<string, WalletPermission>,
+    ): Promise<Household> => {
+      const { household } = await api.put<{ household: Household }>(
+        householdPath(id, "wallets", wallet.id),
+        {
+          wallet: {
+            name: wallet.name,
+            type: wallet.type,
+            currency: wallet.currency,
+            openingBalance: wallet.openingBalance,
+          },
+          permissions,
+        },
+      );
+      return replace(household);
+    },
+
+    /**
+     * Stop sharing a wallet; members keep the copy they already have
+     */
+    unshareWallet: async (id: string, walletId: string): Promise<void> => {
+      await api.delete<void>(householdPath(id, "wallets", walletId));
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) =>
+          item.id === id
+            ? {
+                ...item,
+                wallets: item.wallets.filter(
+                  (shared) => shared.walletId !== walletId,
+                ),
+              }
+            : item,
+        ),
+      }));
+    },
+  };
+}
+
+export const households = createHouseholdsStore();
+
+// Derived stores for convenience
+export const walletShares = derived(households, ($households) =>
+  sharedWallets($households.items),
+);
+export const people = derived(households, ($households) =>
+  householdPeople($households.items),
+);
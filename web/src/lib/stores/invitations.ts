@@ -0,0 +1,154 @@
+/**
+ * Invitations Store - The email allowlist managed by owners
+ * Only invited addresses can sign in; each invitation carries a role
+ */
+
+import { writable } from "svelte/store";
+import { api, getErrorMessage } from "$lib/services/api";
+import type { Role } from "$lib/access/roles";
+
+export interface Invitation {
+  email: string;
+  role: Role;
+  // Email of the owner who sent it; null for the configured owners
+  invitedBy: string | null;
+  invitedAt: string;
+  // First sign-in with this address
+  acceptedAt: string | null;
+}
+
+export interface InvitationInput {
+  email: string;
+  role: Role;
+}
+
+export type InvitationErrors = Partial<Record<keyof InvitationInput, string>>;
+
+export interface InvitationsState {
+  items: Invitation[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function normalizeEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Validate an invitation before it is sent
+ * Returns an empty object when the input is valid
+ */
+export function validateInvitation(
+  input: InvitationInput,
+  existing: Invitation[] = [],
+  editing?: string,
+): InvitationErrors {
+  const errors: InvitationErrors = {};
+  const email = normalizeEmail(input.email);
+
+  if (!email) {
+    errors.email = "Email is required";
+  } else if (!EMAIL_PATTERN.test(email)) {
+    errors.email = "Enter a valid email address";
+  } else if (
+    email !== editing &&
+    existing.some((item) => item.email === email)
+  ) {
+    errors.email = "This email has already been invited";
+  }
+
+  return errors;
+}
+
+function invitationPath(email: string): string {
+  return `/invitations/${encodeURIComponent(email)}`;
+}
+
+function createInvitationsStore() {
+  const initialState: InvitationsState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<InvitationsState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  return {
+    subscribe,
+
+    /**
+     * Load the allowlist from the API
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = api
+        .get<{ invitations: Invitation[] }>("/invitations")
+        .then(({ invitations }) => {
+          update((state) => ({
+            ...state,
+            items: invitations,
+            isLoading: false,
+          }));
+        })
+        .catch((error) => {
+          console.error("Failed to load invitations:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: getErrorMessage(error, "Failed to load invitations"),
+          }));
+          // Allow a retry after a failed request
+          loading = null;
+        });
+
+      return loading;
+    },
+
+    /**
+     * Invite an email address
+     */
+    add: async (input: InvitationInput): Promise<Invitation> => {
+      const { invitation } = await api.post<{ invitation: Invitation }>(
+        "/invitations",
+        { email: normalizeEmail(input.email), role: input.role },
+      );
+      update((state) => ({ ...state, items: [...state.items, invitation] }));
+      return invitation;
+    },
+
+    /**
+     * Change the role of an invited address
+     */
+    edit: async (email: string, role: Role): Promise<Invitation> => {
+      const { invitation } = await api.patch<{ invitation: Invitation }>(
+        invitationPath(email),
+        { role },
+      );
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) =>
+          item.email === email ? invitation : item,
+        ),
+      }));
+      return invitation;
+    },
+
+    /**
+     * Revoke an invitation; its user is signed out on their next request
+     */
+    remove: async (email: string): Promise<void> => {
+      await api.delete<void>(invitationPath(email));
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.email !== email),
+      }));
+    },
+  };
+}
+
+export const invitations = createInvitationsStore();
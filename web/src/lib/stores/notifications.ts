@@ -0,0 +1,252 @@
+/**
+ * Notifications Store - The notifications center
+ * Notifications are built from bills, balances and budgets; which ones
+ * were read or dismissed, and the user's preferences, persist in
+ * localStorage per user, so people sharing a browser each keep their own
+ */
+
+import { writable, derived } from "svelte/store";
+import { user } from "$lib/stores/auth";
+import { transactions, toISODate } from "$lib/stores/transactions";
+import { wallets, walletBalances } from "$lib/stores/wallets";
+import { budgets } from "$lib/stores/budgets";
+import { computeBudgetProgress } from "$lib/budgets/budgets";
+import { recurring, upcomingBills } from "$lib/stores/recurring";
+import { monthStartDay } from "$lib/stores/settings";
+import { financialMonthOf } from "$lib/settings/settings";
+import {
+  buildNotifications,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  type AppNotification,
+  type NotificationPreferences,
+  type NotificationType,
+} from "$lib/notifications/notifications";
+
+export interface NotificationsMemory {
+  read: string[];
+  dismissed: string[];
+  // Already shown through the browser's Notification API
+  alerted: string[];
+  preferences: NotificationPreferences;
+}
+
+export interface NotificationItem extends AppNotification {
+  read: boolean;
+}
+
+const NOTIFICATIONS_STORAGE_KEY = "kantonq_notifications";
+
+function storageKey(userId: string): string {
+  return `${NOTIFICATIONS_STORAGE_KEY}:${userId}`;
+}
+
+function readMemory(userId: string | null): NotificationsMemory {
+  const memory: NotificationsMemory = {
+    read: [],
+    dismissed: [],
+    alerted: [],
+    preferences: DEFAULT_NOTIFICATION_PREFERENCES,
+  };
+  if (typeof localStorage === "undefined" || !userId) return memory;
+
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(storageKey(userId)) ?? "{}",
+    ) as Partial<NotificationsMemory>;
+    return {
+      read: stored.read ?? [],
+      dismissed: stored.dismissed ?? [],
+      alerted: stored.alerted ?? [],
+      preferences: {
+        ...DEFAULT_NOTIFICATION_PREFERENCES,
+        ...stored.preferences,
+        types: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES.types,
+          ...stored.preferences?.types,
+        },
+      },
+    };
+  } catch (error) {
+    console.error("Failed to read notification settings:", error);
+    return memory;
+  }
+}
+
+function addIds(list: string[], ids: string[]): string[] {
+  return [...new Set([...list, ...ids])];
+}
+
+function createNotificationMemoryStore() {
+  const { subscribe, set, update } = writable<NotificationsMemory>(
+    readMemory(null),
+  );
+
+  let userId: string | null = null;
+
+  // Switch to what whoever is signed in now read and dismissed
+  if (typeof window !== "undefined") {
+    user.subscribe(($user) => {
+      const id = $user?.id ?? null;
+      if (id === userId) return;
+      userId = id;
+      set(readMemory(id));
+    });
+  }
+
+  function save(change: (memory: NotificationsMemory) => NotificationsMemory) {
+    update((memory) => {
+      const next = change(memory);
+      if (userId) {
+        localStorage.setItem(storageKey(userId), JSON.stringify(next));
+      }
+      return next;
+    });
+  }
+
+  function savePreferences(preferences: Partial<NotificationPreferences>) {
+    save((memory) => ({
+      ...memory,
+      preferences: { ...memory.preferences, ...preferences },
+    }));
+  }
+
+  return {
+    subscribe,
+
+    markRead: (ids: string[]) => {
+      save((memory) => ({ ...memory, read: addIds(memory.read, ids) }));
+    },
+
+    /**
+     * Hide a notification until the situation behind it changes
+     */
+    dismiss: (id: string) => {
+      save((memory) => ({
+        ...memory,
+        dismissed: addIds(memory.dismissed, [id]),
+      }));
+    },
+
+    markAlerted: (ids: string[]) => {
+      save((memory) => ({ ...memory, alerted: addIds(memory.alerted, ids) }));
+    },
+
+    /**
+     * Forget notifications that no longer apply, so the lists stay small
+     * and a situation that comes back is announced again
+     */
+    prune: (activeIds: string[]) => {
+      const active = new Set(activeIds);
+      const keep = (list: string[]) => list.filter((id) => active.has(id));
+      save((memory) => ({
+        ...memory,
+        read: keep(memory.read),
+        dismissed: keep(memory.dismissed),
+        alerted: keep(memory.alerted),
+      }));
+    },
+
+    setType: (type: NotificationType, enabled: boolean) => {
+      save((memory) => ({
+        ...memory,
+        preferences: {
+          ...memory.preferences,
+          types: { ...memory.preferences.types, [type]: enabled },
+        },
+      }));
+    },
+
+    setBrowser: (browser: boolean) => {
+      savePreferences({ browser });
+    },
+
+    /**
+     * Set the balance under which a wallet counts as low, in minor units;
+     * null goes back to flagging only negative balances
+     */
+    setLowBalance: (walletId: string, amount: number | null) => {
+      save((memory) => {
+        const lowBalance = { ...memory.preferences.lowBalance };
+        if (amount === null) {
+          delete lowBalance[walletId];
+        } else {
+          lowBalance[walletId] = amount;
+        }
+        return {
+          ...memory,
+          preferences: { ...memory.preferences, lowBalance },
+        };
+      });
+    },
+  };
+}
+
+export const notificationMemory = createNotificationMemoryStore();
+
+/**
+ * Every notification the data calls for, including dismissed ones
+ */
+export const activeNotifications = derived(
+  [
+    upcomingBills,
+    wallets,
+    walletBalances,
+    budgets,
+    transactions,
+    notificationMemory,
+    monthStartDay,
+  ],
+  ([
+    $upcomingBills,
+    $wallets,
+    $walletBalances,
+    $budgets,
+    $transactions,
+    $notificationMemory,
+    $monthStartDay,
+  ]) => {
+    const today = toISODate();
+    const month = financialMonthOf(today, $monthStartDay);
+    return buildNotifications({
+      bills: $upcomingBills,
+      wallets: $wallets.items,
+      balances: $walletBalances,
+      budgets: $budgets.items
+        .filter((budget) => budget.startMonth <= month)
+        .map((budget) =>
+          computeBudgetProgress(
+            budget,
+            $transactions.items,
+            month,
+            $monthStartDay,
+          ),
+        ),
+      preferences: $notificationMemory.preferences,
+      today,
+    });
+  },
+);
+
+/**
+ * Whether everything notifications are built from has loaded
+ */
+export const notificationsReady = derived(
+  [recurring, wallets, transactions, budgets],
+  (stores) => stores.every((store) => !store.isLoading),
+);
+
+// Derived stores for convenience
+export const notifications = derived(
+  [activeNotifications, notificationMemory],
+  ([$activeNotifications, $notificationMemory]): NotificationItem[] => {
+    const read = new Set($notificationMemory.read);
+    const dismissed = new Set($notificationMemory.dismissed);
+    return $activeNotifications
+      .filter((item) => !dismissed.has(item.id))
+      .map((item) => ({ ...item, read: read.has(item.id) }));
+  },
+);
+export const unreadNotifications = derived(
+  notifications,
+  ($notifications) => $notifications.filter((item) => !item.read).length,
+);
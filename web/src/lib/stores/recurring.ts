@@ -0,0 +1,385 @@
+/**
+ * Recurring Store - Repeating transactions and their occurrences
+ * Occurrences up to today are generated when the app opens and wait as
+ * "pending" until the user confirms (records the transaction) or skips them
+ */
+
+import { writable, derived, get } from "svelte/store";
+import {
+  addMissing,
+  getAll,
+  put,
+  putAll,
+  remove as deleteRecord,
+  removeMany,
+} from "$lib/services/db";
+import {
+  addDays,
+  occurrencesThrough,
+  validateRule,
+  type RecurrenceErrors,
+  type RecurrenceRule,
+} from "$lib/recurring/schedule";
+import {
+  transactions,
+  createTransaction,
+  currentActor,
+  toISODate,
+  validateTransaction,
+  type Transaction,
+  type TransactionErrors,
+  type TransactionInput,
+} from "$lib/stores/transactions";
+
+export interface RecurringTransaction {
+  id: string;
+  name: string;
+  rule: RecurrenceRule;
+  // What each confirmed occurrence records; the date comes from the rule
+  template: Omit<TransactionInput, "date">;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type RecurringInput = Omit<
+  RecurringTransaction,
+  "id" | "createdAt" | "updatedAt"
+>;
+
+export interface RecurringErrors {
+  name?: string;
+  rule?: RecurrenceErrors;
+  template?: TransactionErrors;
+}
+
+export type OccurrenceStatus = "pending" | "confirmed" | "skipped";
+
+export interface Occurrence {
+  // `${recurringId}:${date}`, so generating twice never duplicates
+  id: string;
+  recurringId: string;
+  date: string;
+  status: OccurrenceStatus;
+  // Transaction recorded when the occurrence was confirmed
+  transactionId?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RecurringState {
+  items: RecurringTransaction[];
+  occurrences: Occurrence[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+export interface UpcomingBill {
+  recurring: RecurringTransaction;
+  date: string;
+  // Generated and waiting for confirmation, or only scheduled
+  occurrence: Occurrence | null;
+}
+
+const STORE_NAME = "recurring";
+const OCCURRENCES_STORE = "occurrences";
+
+// How far ahead the dashboard looks for bills
+export const UPCOMING_DAYS = 14;
+
+/**
+ * Id of the occurrence of a recurring transaction on a date
+ */
+export function occurrenceId(recurringId: string, date: string): string {
+  return `${recurringId}:${date}`;
+}
+
+/**
+ * Validate a recurring transaction before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateRecurring(input: RecurringInput): RecurringErrors {
+  const errors: RecurringErrors = {};
+
+  if (!input.name.trim()) {
+    errors.name = "Name is required";
+  } else if (input.name.trim().length > 50) {
+    errors.name = "Name must be 50 characters or less";
+  }
+
+  const rule = validateRule(input.rule);
+  if (Object.keys(rule).length > 0) errors.rule = rule;
+
+  const template = validateTransaction({
+    ...input.template,
+    date: input.rule.startDate,
+  });
+  delete template.date;
+  if (Object.keys(template).length > 0) errors.template = template;
+
+  return errors;
+}
+
+function normalize(input: RecurringInput): RecurringInput {
+  const { rule } = input;
+  return {
+    name: input.name.trim(),
+    rule: {
+      frequency: rule.frequency,
+      interval: rule.interval,
+      startDate: rule.startDate,
+      weekdays: rule.frequency === "weekly" ? rule.weekdays : undefined,
+      monthDay: rule.frequency === "monthly" ? rule.monthDay : undefined,
+      end: rule.end,
+    },
+    template: input.template,
+  };
+}
+
+function createRecurringStore() {
+  const initialState: RecurringState = {
+    items: [],
+    occurrences: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<RecurringState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  /**
+   * Store every occurrence due up to today that isn't stored yet, then
+   * re-read them all so changes made in other tabs show up too
+   */
+  async function generate(today: string = toISODate()): Promise<void> {
+    const now = new Date().toISOString();
+    const due = get({ subscribe }).items.flatMap((item) =>
+      occurrencesThrough(item.rule, today).map(
+        (date): Occurrence => ({
+          id: occurrenceId(item.id, date),
+          recurringId: item.id,
+          date,
+          status: "pending",
+          createdAt: now,
+          updatedAt: now,
+        }),
+      ),
+    );
+
+    await addMissing(OCCURRENCES_STORE, due);
+    const occurrences = await getAll<Occurrence>(OCCURRENCES_STORE);
+    update((state) => ({ ...state, occurrences }));
+  }
+
+  async function settle(
+    occurrence: Occurrence,
+    status: "confirmed" | "skipped",
+  ): Promise<Occurrence> {
+    const recurring = get({ subscribe }).items.find(
+      (item) => item.id === occurrence.recurringId,
+    );
+    if (!recurring) {
+      throw new Error("Recurring transaction not found");
+    }
+
+    const now = new Date().toISOString();
+    const settled: Occurrence = { ...occurrence, status, updatedAt: now };
+    let transaction: Transaction | null = null;
+
+    if (status === "confirmed") {
+      // The occurrence id doubles as the transaction id, so confirming
+      // twice (e.g. from two tabs) writes the same record again
+      transaction = createTransaction(
+        { ...recurring.template, date: occurrence.date },
+        occurrence.id,
+        now,
+        currentActor(),
+      );
+      settled.transactionId = transaction.id;
+      await putAll({
+        transactions: [transaction],
+        [OCCURRENCES_STORE]: [settled],
+      });
+      transactions.receive([transaction]);
+    } else {
+      await put(OCCURRENCES_STORE, settled);
+    }
+
+    update((state) => ({
+      ...state,
+      occurrences: state.occurrences.map((item) =>
+        item.id === settled.id ? settled : item,
+      ),
+    }));
+    return settled;
+  }
+
+  // Pending occurrences of a rule, e.g. before its schedule changes
+  async function removePending(recurringId: string): Promise<void> {
+    const ids = get({ subscribe })
+      .occurrences.filter(
+        (item) => item.recurringId === recurringId && item.status === "pending",
+      )
+      .map((item) => item.id);
+
+    await removeMany(OCCURRENCES_STORE, ids);
+    update((state) => ({
+      ...state,
+      occurrences: state.occurrences.filter((item) => !ids.includes(item.id)),
+    }));
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Load recurring transactions and generate the occurrences due today
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = getAll<RecurringTransaction>(STORE_NAME)
+        .then(async (items) => {
+          update((state) => ({ ...state, items }));
+          await generate();
+          update((state) => ({ ...state, isLoading: false }));
+        })
+        .catch((error) => {
+          console.error("Failed to load recurring transactions:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: "Failed to load recurring transactions",
+          }));
+        });
+
+      return loading;
+    },
+
+    /**
+     * Generate occurrences due up to a date (today by default)
+     */
+    generate,
+
+    /**
+     * Add a recurring transaction and any occurrences already due
+     */
+    add: async (input: RecurringInput): Promise<RecurringTransaction> => {
+      const now = new Date().toISOString();
+      const recurring: RecurringTransaction = {
+        ...normalize(input),
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await put(STORE_NAME, recurring);
+      update((state) => ({ ...state, items: [...state.items, recurring] }));
+      await generate();
+      return recurring;
+    },
+
+    /**
+     * Change a recurring transaction
+     * Pending occurrences are regenerated from the new schedule; confirmed
+     * and skipped ones are kept
+     */
+    edit: async (
+      id: string,
+      input: RecurringInput,
+    ): Promise<RecurringTransaction> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+      if (!existing) {
+        throw new Error("Recurring transaction not found");
+      }
+
+      const recurring: RecurringTransaction = {
+        ...existing,
+        ...normalize(input),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await put(STORE_NAME, recurring);
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) => (item.id === id ? recurring : item)),
+      }));
+      await removePending(id);
+      await generate();
+      return recurring;
+    },
+
+    /**
+     * Delete a recurring transaction and its occurrences
+     * Transactions already recorded from it are kept
+     */
+    remove: async (id: string): Promise<void> => {
+      const ids = get({ subscribe })
+        .occurrences.filter((item) => item.recurringId === id)
+        .map((item) => item.id);
+
+      await removeMany(OCCURRENCES_STORE, ids);
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+        occurrences: state.occurrences.filter(
+          (item) => item.recurringId !== id,
+        ),
+      }));
+    },
+
+    /**
+     * Record the transaction of a pending occurrence
+     */
+    confirm: (occurrence: Occurrence): Promise<Occurrence> =>
+      settle(occurrence, "confirmed"),
+
+    /**
+     * Dismiss a pending occurrence without recording anything
+     */
+    skip: (occurrence: Occurrence): Promise<Occurrence> =>
+      settle(occurrence, "skipped"),
+  };
+}
+
+export const recurring = createRecurringStore();
+
+// Derived stores for convenience
+export const pendingOccurrences = derived(recurring, ($recurring) => {
+  const byId = new Map($recurring.items.map((item) => [item.id, item]));
+  return $recurring.occurrences
+    .filter((item) => item.status === "pending" && byId.has(item.recurringId))
+    .map((occurrence) => ({
+      occurrence,
+      recurring: byId.get(occurrence.recurringId) as RecurringTransaction,
+    }))
+    .sort((a, b) => a.occurrence.date.localeCompare(b.occurrence.date));
+});
+
+/**
+ * Expenses waiting for confirmation plus those due in the next
+ * UPCOMING_DAYS days, soonest first
+ */
+export const upcomingBills = derived(
+  [recurring, pendingOccurrences],
+  ([$recurring, $pendingOccurrences]): UpcomingBill[] => {
+    const today = toISODate();
+    const horizon = addDays(today, UPCOMING_DAYS);
+
+    const pending = $pendingOccurrences
+      .filter((item) => item.recurring.template.type === "expense")
+      .map((item) => ({ ...item, date: item.occurrence.date }));
+    const scheduled = $recurring.items
+      .filter((item) => item.template.type === "expense")
+      .flatMap((item) =>
+        occurrencesThrough(item.rule, horizon, addDays(today, 1)).map(
+          (date) => ({ recurring: item, date, occurrence: null }),
+        ),
+      );
+
+    return [...pending, ...scheduled].sort((a, b) =>
+      a.date.localeCompare(b.date),
+    );
+  },
+);
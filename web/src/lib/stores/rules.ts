@@ -0,0 +1,230 @@
+/**
+ * Rules Store - The user's categorization rules
+ * Rules run on transactions as they are recorded or imported; the
+ * evaluation itself lives in $lib/rules/rules
+ */
+
+import { writable, get } from "svelte/store";
+import { getAll, put, putMany, remove as deleteRecord } from "$lib/services/db";
+import {
+  createRuleEngine,
+  sortRules,
+  type Rule,
+  type RuleContext,
+  type RuleInput,
+  type RuleOutcome,
+} from "$lib/rules/rules";
+import { wallets } from "$lib/stores/wallets";
+import type { TransactionInput } from "$lib/stores/transactions";
+
+export interface RulesState {
+  items: Rule[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+const STORE_NAME = "rules";
+
+function normalize(input: RuleInput): RuleInput {
+  return {
+    name: input.name.trim(),
+    enabled: input.enabled,
+    conditions: input.conditions.map((condition) =>
+      condition.type === "description"
+        ? { ...condition, value: condition.value.trim() }
+        : condition,
+    ),
+    actions: input.actions.map((action) => {
+      switch (action.type) {
+        case "category":
+          return { ...action, category: action.category.trim() };
+        case "payee":
+          return { ...action, payee: action.payee.trim() };
+        case "tags":
+          return {
+            ...action,
+            tags: [
+              ...new Set(action.tags.map((tag) => tag.trim()).filter(Boolean)),
+            ],
+          };
+        case "split":
+          return {
+            ...action,
+            parts: action.parts.map((part) => ({
+              ...part,
+              category: part.category.trim(),
+            })),
+          };
+        default:
+          return action;
+      }
+    }),
+    stopProcessing: input.stopProcessing,
+  };
+}
+
+/**
+ * What rules need to know about the wallets; unknown wallets have no
+ * currency, so rules never move money into them
+ */
+export function ruleContext(): RuleContext {
+  const currencies = new Map(
+    get(wallets).items.map((wallet) => [wallet.id, wallet.currency]),
+  );
+  return { currencyOf: (walletId) => currencies.get(walletId) ?? "" };
+}
+
+function createRulesStore() {
+  const initialState: RulesState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<RulesState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  function load(): Promise<void> {
+    if (loading) return loading;
+
+    loading = getAll<Rule>(STORE_NAME)
+      .then((items) => {
+        update((state) => ({
+          ...state,
+          items: sortRules(items),
+          isLoading: false,
+        }));
+      })
+      .catch((error) => {
+        console.error("Failed to load rules:", error);
+        update((state) => ({
+          ...state,
+          isLoading: false,
+          error: "Failed to load rules",
+        }));
+      });
+
+    return loading;
+  }
+
+  async function save(rule: Rule): Promise<Rule> {
+    await put(STORE_NAME, rule);
+    update((state) => ({
+      ...state,
+      items: state.items.map((item) => (item.id === rule.id ? rule : item)),
+    }));
+    return rule;
+  }
+
+  /**
+   * Run the rules on new transactions, e.g. before they are recorded or
+   * imported; each outcome holds the transactions to record in its place
+   */
+  async function run(inputs: TransactionInput[]): Promise<RuleOutcome[]> {
+    await Promise.all([load(), wallets.load()]);
+    const engine = createRuleEngine(get({ subscribe }).items, ruleContext());
+    return inputs.map(engine);
+  }
+
+  function find(id: string): Rule {
+    const existing = get({ subscribe }).items.find((item) => item.id === id);
+    if (!existing) {
+      throw new Error("Rule not found");
+    }
+    return existing;
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Load rules from IndexedDB
+     */
+    load,
+
+    /**
+     * Create a rule; it runs after the existing ones
+     */
+    add: async (input: RuleInput): Promise<Rule> => {
+      const { items } = get({ subscribe });
+      const now = new Date().toISOString();
+      const rule: Rule = {
+        ...normalize(input),
+        id: crypto.randomUUID(),
+        order: Math.max(-1, ...items.map((item) => item.order)) + 1,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await put(STORE_NAME, rule);
+      update((state) => ({ ...state, items: [...state.items, rule] }));
+      return rule;
+    },
+
+    /**
+     * Update a rule's conditions and actions; its place in the order stays
+     */
+    edit: (id: string, input: RuleInput): Promise<Rule> =>
+      save({
+        ...find(id),
+        ...normalize(input),
+        updatedAt: new Date().toISOString(),
+      }),
+
+    /**
+     * Turn a rule on or off without deleting it
+     */
+    toggle: (id: string): Promise<Rule> => {
+      const existing = find(id);
+      return save({
+        ...existing,
+        enabled: !existing.enabled,
+        updatedAt: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Move a rule one place earlier (-1) or later (1) in the order
+     */
+    move: async (id: string, offset: -1 | 1): Promise<void> => {
+      const items = sortRules(get({ subscribe }).items);
+      const index = items.findIndex((item) => item.id === id);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= items.length) return;
+
+      [items[index], items[target]] = [items[target], items[index]];
+      const now = new Date().toISOString();
+      const reordered = items.map((item, order) =>
+        item.order === order ? item : { ...item, order, updatedAt: now },
+      );
+
+      await putMany(
+        STORE_NAME,
+        reordered.filter((item, order) => items[order] !== item),
+      );
+      update((state) => ({ ...state, items: reordered }));
+    },
+
+    /**
+     * Delete a rule; transactions it already changed stay as they are
+     */
+    remove: async (id: string): Promise<void> => {
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+      }));
+    },
+
+    run,
+
+    /**
+     * The transactions to record once the rules ran on the inputs
+     */
+    apply: async (inputs: TransactionInput[]): Promise<TransactionInput[]> =>
+      (await run(inputs)).flatMap((outcome) => outcome.inputs),
+  };
+}
+
+export const rules = createRulesStore();
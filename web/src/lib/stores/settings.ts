@@ -0,0 +1,136 @@
+/**
+ * Settings Store - The signed-in user's preferences
+ * Kept in localStorage per user, so people sharing a browser each keep
+ * their own; the theme and number formatting follow as soon as they load
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { mode, setMode, userPrefersMode } from "mode-watcher";
+import { user } from "$lib/stores/auth";
+import { setDefaultLocale } from "$lib/money/money";
+import {
+  DEFAULT_SETTINGS,
+  parseSettings,
+  validateSettings,
+  type Settings,
+  type SettingsErrors,
+} from "$lib/settings/settings";
+
+export type { Settings, SettingsErrors };
+
+const SETTINGS_STORAGE_KEY = "kantonq_settings";
+
+// Used before settings existed; read once as the starting base currency
+const LEGACY_BASE_CURRENCY_STORAGE_KEY = "kantonq_base_currency";
+
+/**
+ * Settings that did not pass validation, by field
+ */
+export class SettingsError extends Error {
+  readonly errors: SettingsErrors;
+
+  constructor(errors: SettingsErrors) {
+    super(Object.values(errors)[0] ?? "Invalid settings");
+    this.name = "SettingsError";
+    this.errors = errors;
+  }
+}
+
+function storageKey(userId: string): string {
+  return `${SETTINGS_STORAGE_KEY}:${userId}`;
+}
+
+/**
+ * A user's stored settings, or what the browser used so far for someone
+ * who never saved any
+ */
+function readSettings(userId: string | null): Settings {
+  if (typeof localStorage === "undefined") return DEFAULT_SETTINGS;
+
+  const initial: Settings = parseSettings({
+    baseCurrency: localStorage.getItem(LEGACY_BASE_CURRENCY_STORAGE_KEY),
+    theme: get(userPrefersMode),
+  });
+  if (!userId) return initial;
+
+  try {
+    const stored = localStorage.getItem(storageKey(userId));
+    return stored ? parseSettings(JSON.parse(stored), initial) : initial;
+  } catch (error) {
+    console.error("Failed to read settings:", error);
+    return initial;
+  }
+}
+
+function apply(settings: Settings) {
+  setDefaultLocale(settings.locale);
+  setMode(settings.theme);
+}
+
+function createSettingsStore() {
+  const { subscribe, set } = writable<Settings>(readSettings(null));
+
+  let userId: string | null = null;
+
+  /**
+   * Switch to the settings of whoever is signed in now
+   */
+  function load(id: string | null) {
+    userId = id;
+    const settings = readSettings(id);
+    set(settings);
+    if (id) apply(settings);
+  }
+
+  if (typeof window !== "undefined") {
+    user.subscribe(($user) => {
+      if (($user?.id ?? null) !== userId) load($user?.id ?? null);
+    });
+  }
+
+  /**
+   * Change some settings and keep them for the signed-in user
+   * Throws with the field errors when the result is not valid
+   */
+  function save(changes: Partial<Settings>): Settings {
+    const settings = { ...get({ subscribe }), ...changes };
+    const errors = validateSettings(settings);
+    if (Object.keys(errors).length > 0) {
+      throw new SettingsError(errors);
+    }
+
+    if (userId) {
+      localStorage.setItem(storageKey(userId), JSON.stringify(settings));
+    }
+    set(settings);
+    apply(settings);
+    return settings;
+  }
+
+  return {
+    subscribe,
+
+    save,
+
+    /**
+     * Switch between light and dark, whichever is not showing now
+     */
+    toggleTheme: () => {
+      save({ theme: get(mode) === "dark" ? "light" : "dark" });
+    },
+  };
+}
+
+export const settings = createSettingsStore();
+
+// Derived stores for convenience
+// Locale for Intl formatters; undefined follows the browser
+export const locale = derived(
+  settings,
+  ($settings) => $settings.locale || undefined,
+);
+export const weekStart = derived(settings, ($settings) => $settings.weekStart);
+export const monthStartDay = derived(
+  settings,
+  ($settings) => $settings.monthStartDay,
+);
@@ -0,0 +1,173 @@
+/**
+ * Sync Store - Connection status and changes waiting for the API
+ * The queue lives in IndexedDB, so changes made offline survive a reload;
+ * $lib/services/household-sync fills and replays it
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { getAll, put, updateMany } from "$lib/services/db";
+import {
+  mergeOperation,
+  pendingOperations,
+  settleOperation,
+  type SyncConflict,
+  type SyncOperation,
+} from "$lib/sync/queue";
+
+export interface SyncState {
+  // What the browser reports
+  isOnline: boolean;
+  // False after the API could not be reached, until a replay gets through
+  isReachable: boolean;
+  isSyncing: boolean;
+  queue: SyncOperation[];
+  lastSyncedAt: string | null;
+}
+
+const STORE_NAME = "syncQueue";
+
+function createSyncStore() {
+  const initialState: SyncState = {
+    isOnline: typeof navigator === "undefined" ? true : navigator.onLine,
+    isReachable: true,
+    isSyncing: false,
+    queue: [],
+    lastSyncedAt: null,
+  };
+
+  const { subscribe, update } = writable<SyncState>(initialState);
+
+  // Operation this tab is sending to the API right now
+  let sending: string | null = null;
+
+  function setQueue(queue: SyncOperation[]) {
+    update((state) => ({ ...state, queue }));
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Read the queue from IndexedDB
+     * Called again before every replay: other tabs queue changes too
+     */
+    load: async (): Promise<void> => {
+      try {
+        setQueue(await getAll<SyncOperation>(STORE_NAME));
+      } catch (error) {
+        console.error("Failed to load the sync queue:", error);
+      }
+    },
+
+    /**
+     * Queue changes, folding each into what is already queued for the
+     * same transaction; the queue is read and written in one go, so
+     * changes queued by other tabs at the same time are not lost
+     */
+    enqueue: async (operations: SyncOperation[]): Promise<void> => {
+      const ids = [...new Set(operations.map((operation) => operation.id))];
+      await updateMany<SyncOperation>(STORE_NAME, ids, (current) => {
+        const queued = new Map(
+          ids.map((id, index) => [id, current[index] ?? null]),
+        );
+        for (const operation of operations) {
+          queued.set(
+            operation.id,
+            mergeOperation(
+              queued.get(operation.id) ?? undefined,
+              operation,
+              operation.id === sending,
+            ),
+          );
+        }
+        return ids.map((id) => queued.get(id) ?? null);
+      });
+      setQueue(await getAll<SyncOperation>(STORE_NAME));
+    },
+
+    /**
+     * Replace a queued operation, e.g. to send it again after a conflict
+     */
+    replace: async (operation: SyncOperation): Promise<void> => {
+      await put(STORE_NAME, operation);
+      setQueue([
+        ...get({ subscribe }).queue.filter((item) => item.id !== operation.id),
+        operation,
+      ]);
+    },
+
+    /**
+     * Forget operations the API accepted, or the user gave up on
+     * Changes queued for the same transaction since they were read stay
+     * queued, see settleOperation
+     */
+    complete: async (sent: SyncOperation[]): Promise<void> => {
+      await updateMany<SyncOperation>(
+        STORE_NAME,
+        sent.map((operation) => operation.id),
+        (current) =>
+          sent.map((operation, index) =>
+            settleOperation(current[index], operation),
+          ),
+      );
+      setQueue(await getAll<SyncOperation>(STORE_NAME));
+    },
+
+    /**
+     * Tell which operation is on its way to the API, null once it arrived
+     * or failed; changes queued for it meanwhile are never dropped
+     */
+    setSending: (id: string | null) => {
+      sending = id;
+    },
+
+    /**
+     * Keep an operation the API refused until the user decides
+     */
+    markConflict: async (id: string, conflict: SyncConflict): Promise<void> => {
+      const operation = get({ subscribe }).queue.find((item) => item.id === id);
+      if (!operation) return;
+
+      const conflicted = { ...operation, conflict };
+      await put(STORE_NAME, conflicted);
+      setQueue(
+        get({ subscribe }).queue.map((item) =>
+          item.id === id ? conflicted : item,
+        ),
+      );
+    },
+
+    setOnline: (isOnline: boolean) => {
+      update((state) => ({ ...state, isOnline }));
+    },
+
+    setReachable: (isReachable: boolean) => {
+      update((state) => ({ ...state, isReachable }));
+    },
+
+    setSyncing: (isSyncing: boolean) => {
+      update((state) => ({ ...state, isSyncing }));
+    },
+
+    /**
+     * Every pending change reached the API
+     */
+    markSynced: () => {
+      update((state) => ({
+        ...state,
+        isReachable: true,
+        lastSyncedAt: new Date().toISOString(),
+      }));
+    },
+  };
+}
+
+export const sync = createSyncStore();
+
+// Derived stores for convenience
+export const pendingChanges = derived(sync, ($sync) =>
+  pendingOperations($sync.queue),
+);
+export const syncConflicts = derived(sync, ($sync) =>
+  $sync.queue.filter((operation) => operation.conflict),
+);
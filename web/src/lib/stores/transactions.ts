@@ -0,0 +1,433 @@
+/**
+ * Transactions Store - Income, expense and transfer ledger
+ * Persists to IndexedDB until the API can store transactions
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { getAll, put, putMany, remove as deleteRecord } from "$lib/services/db";
+import { user } from "$lib/stores/auth";
+
+export type TransactionType = "income" | "expense" | "transfer";
+
+export interface Transaction {
+  id: string;
+  type: TransactionType;
+  // Integer minor units of the wallet's currency, always positive;
+  // the type decides the direction
+  amount: number;
+  // Calendar date as YYYY-MM-DD
+  date: string;
+  category: string;
+  walletId: string;
+  // Destination wallet of a transfer
+  toWalletId?: string;
+  // Amount received, in minor units of the destination wallet's currency,
+  // when it differs from the source wallet's
+  toAmount?: number;
+  note: string;
+  // Who was paid or paid in, usually set by a rule from the note (see
+  // $lib/rules/rules); missing when unknown
+  payee?: string;
+  tags: string[];
+  // Email of the person who recorded and last changed it; missing on
+  // transactions recorded before households existed
+  createdBy?: string;
+  updatedBy?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type TransactionInput = Omit<
+  Transaction,
+  "id" | "createdBy" | "updatedBy" | "createdAt" | "updatedAt"
+>;
+
+export type TransactionErrors = Partial<Record<keyof TransactionInput, string>>;
+
+export interface TransactionsState {
+  items: Transaction[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+/**
+ * Transactions added, changed or deleted on this device
+ * `previous` holds the updatedAt the changed items had before, by id;
+ * new items are not in it
+ */
+export type TransactionChange =
+  | { type: "put"; items: Transaction[]; previous: Record<string, string> }
+  | { type: "remove"; items: Transaction[] };
+
+export type SortKey = "date" | "amount" | "category";
+export type SortDirection = "asc" | "desc";
+
+export interface TransactionPage {
+  rows: Transaction[];
+  // Zero-based, clamped to the pages there are
+  page: number;
+  pageCount: number;
+  // One-based positions of the first and last row, 0 when empty
+  first: number;
+  last: number;
+}
+
+export interface TransactionQuery {
+  search?: string;
+  type?: TransactionType | "";
+  category?: string;
+  walletId?: string;
+  from?: string;
+  to?: string;
+  sortKey?: SortKey;
+  sortDirection?: SortDirection;
+}
+
+const STORE_NAME = "transactions";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a date as YYYY-MM-DD in the user's local time zone
+ */
+export function toISODate(date: Date = new Date()): string {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Validate a transaction before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateTransaction(
+  input: TransactionInput,
+): TransactionErrors {
+  const errors: TransactionErrors = {};
+
+  if (!Number.isInteger(input.amount) || input.amount <= 0) {
+    errors.amount = "Amount must be greater than zero";
+  }
+  if (!DATE_PATTERN.test(input.date) || Number.isNaN(Date.parse(input.date))) {
+    errors.date = "Enter a valid date";
+  }
+  if (input.type !== "transfer" && !input.category.trim()) {
+    errors.category = "Category is required";
+  }
+  if (!input.walletId) {
+    errors.walletId = "Wallet is required";
+  }
+  if (input.type === "transfer") {
+    if (!input.toWalletId) {
+      errors.toWalletId = "Destination wallet is required";
+    } else if (input.toWalletId === input.walletId) {
+      errors.toWalletId = "Choose a different wallet";
+    }
+    if (
+      input.toAmount !== undefined &&
+      (!Number.isInteger(input.toAmount) || input.toAmount <= 0)
+    ) {
+      errors.toAmount = "Amount received must be greater than zero";
+    }
+  }
+  if (input.note.length > 500) {
+    errors.note = "Note must be 500 characters or fewer";
+  }
+  if (input.payee && input.payee.length > 100) {
+    errors.payee = "Payee must be 100 characters or fewer";
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize user input (trim text, dedupe tags, drop unused fields)
+ */
+function normalize(input: TransactionInput): TransactionInput {
+  return {
+    type: input.type,
+    amount: input.amount,
+    date: input.date,
+    category: input.type === "transfer" ? "Transfer" : input.category.trim(),
+    walletId: input.walletId,
+    toWalletId: input.type === "transfer" ? input.toWalletId : undefined,
+    toAmount: input.type === "transfer" ? input.toAmount : undefined,
+    note: input.note.trim(),
+    payee: input.payee?.trim() || undefined,
+    tags: [...new Set(input.tags.map((tag) => tag.trim()).filter(Boolean))],
+  };
+}
+
+/**
+ * Build a transaction record from user input without saving it
+ */
+export function createTransaction(
+  input: TransactionInput,
+  id: string = crypto.randomUUID(),
+  now: string = new Date().toISOString(),
+  actor?: string,
+): Transaction {
+  return {
+    ...normalize(input),
+    id,
+    createdBy: actor,
+    updatedBy: actor,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Email of the signed-in user, recorded on the transactions they change
+ */
+export function currentActor(): string | undefined {
+  return get(user)?.email;
+}
+
+/**
+ * Filter and sort transactions for display
+ */
+export function queryTransactions(
+  items: Transaction[],
+  query: TransactionQuery,
+): Transaction[] {
+  const search = query.search?.trim().toLowerCase() ?? "";
+  const { sortKey = "date", sortDirection = "desc" } = query;
+
+  const filtered = items.filter((item) => {
+    if (query.type && item.type !== query.type) return false;
+    if (query.category && item.category !== query.category) return false;
+    if (
+      query.walletId &&
+      item.walletId !== query.walletId &&
+      item.toWalletId !== query.walletId
+    ) {
+      return false;
+    }
+    if (query.from && item.date < query.from) return false;
+    if (query.to && item.date > query.to) return false;
+    if (search) {
+      const haystack = [
+        item.note,
+        item.payee ?? "",
+        item.category,
+        ...item.tags,
+      ]
+        .join(" ")
+        .toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+
+  const direction = sortDirection === "asc" ? 1 : -1;
+  return filtered.sort((a, b) => {
+    const left = a[sortKey];
+    const right = b[sortKey];
+    const result =
+      typeof left === "number" && typeof right === "number"
+        ? left - right
+        : String(left).localeCompare(String(right));
+    // Keep entries of the same day in the order they were recorded
+    return (result || a.createdAt.localeCompare(b.createdAt)) * direction;
+  });
+}
+
+/**
+ * One page of (already filtered) transactions
+ * There is always at least one page, even when it is empty
+ */
+export function paginateTransactions(
+  items: Transaction[],
+  page: number,
+  pageSize: number,
+): TransactionPage {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  const rows = items.slice(current * pageSize, (current + 1) * pageSize);
+  const first = rows.length > 0 ? current * pageSize + 1 : 0;
+  return {
+    rows,
+    page: current,
+    pageCount,
+    first,
+    last: first > 0 ? first + rows.length - 1 : 0,
+  };
+}
+
+function createTransactionsStore() {
+  const initialState: TransactionsState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<TransactionsState>(initialState);
+
+  let loading: Promise<void> | null = null;
+  const listeners = new Set<(change: TransactionChange) => void>();
+
+  function notify(change: TransactionChange) {
+    listeners.forEach((listener) => listener(change));
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Get told about transactions saved or deleted on this device,
+     * e.g. to send them to a shared wallet
+     * Returns a function that stops listening
+     */
+    onChange: (listener: (change: TransactionChange) => void) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    /**
+     * Load transactions from IndexedDB
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = getAll<Transaction>(STORE_NAME)
+        .then((items) => {
+          update((state) => ({ ...state, items, isLoading: false }));
+        })
+        .catch((error) => {
+          console.error("Failed to load transactions:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: "Failed to load transactions",
+          }));
+        });
+
+      return loading;
+    },
+
+    /**
+     * Record a new transaction
+     */
+    add: async (input: TransactionInput): Promise<Transaction> => {
+      const transaction = createTransaction(
+        input,
+        undefined,
+        undefined,
+        currentActor(),
+      );
+
+      await put(STORE_NAME, transaction);
+      update((state) => ({
+        ...state,
+        items: [...state.items, transaction],
+      }));
+      notify({ type: "put", items: [transaction], previous: {} });
+      return transaction;
+    },
+
+    /**
+     * Record several transactions at once, e.g. from a statement import
+     * Either all of them are saved or none is
+     */
+    addMany: async (inputs: TransactionInput[]): Promise<Transaction[]> => {
+      const now = new Date().toISOString();
+      const actor = currentActor();
+      const created = inputs.map((input) =>
+        createTransaction(input, crypto.randomUUID(), now, actor),
+      );
+
+      await putMany(STORE_NAME, created);
+      update((state) => ({
+        ...state,
+        items: [...state.items, ...created],
+      }));
+      notify({ type: "put", items: created, previous: {} });
+      return created;
+    },
+
+    /**
+     * Show transactions that were saved to IndexedDB elsewhere, e.g. in
+     * the same database transaction as a confirmed recurring occurrence
+     * Pass `remote` for transactions that came from another device, so
+     * they are not announced as local changes
+     */
+    receive: (items: Transaction[], remote = false) => {
+      const ids = new Set(items.map((item) => item.id));
+      const previous: Record<string, string> = {};
+      for (const item of get({ subscribe }).items) {
+        if (ids.has(item.id)) previous[item.id] = item.updatedAt;
+      }
+      update((state) => ({
+        ...state,
+        items: [...state.items.filter((item) => !ids.has(item.id)), ...items],
+      }));
+      if (!remote) notify({ type: "put", items, previous });
+    },
+
+    /**
+     * Hide transactions that were deleted from IndexedDB elsewhere
+     */
+    forget: (ids: string[]) => {
+      const removed = new Set(ids);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => !removed.has(item.id)),
+      }));
+    },
+
+    /**
+     * Replace the fields of an existing transaction
+     */
+    edit: async (id: string, input: TransactionInput): Promise<Transaction> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+      if (!existing) {
+        throw new Error("Transaction not found");
+      }
+
+      const transaction: Transaction = {
+        ...existing,
+        ...normalize(input),
+        updatedBy: currentActor(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await put(STORE_NAME, transaction);
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) => (item.id === id ? transaction : item)),
+      }));
+      notify({
+        type: "put",
+        items: [transaction],
+        previous: { [id]: existing.updatedAt },
+      });
+      return transaction;
+    },
+
+    /**
+     * Delete a transaction
+     */
+    remove: async (id: string): Promise<void> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+      }));
+      if (existing) notify({ type: "remove", items: [existing] });
+    },
+  };
+}
+
+export const transactions = createTransactionsStore();
+
+// Derived stores for convenience
+export const categories = derived(transactions, ($transactions) =>
+  [...new Set($transactions.items.map((item) => item.category))]
+    .filter(Boolean)
+    .sort(),
+);
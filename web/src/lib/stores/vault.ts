@@ -0,0 +1,348 @@
+/**
+ * Vault Store - Optional passphrase protection for what this browser keeps
+ * With the vault on, finance records and the session are encrypted with a
+ * key derived from the passphrase. The key only lives in memory: a reload
+ * or a while without activity locks the vault until the passphrase is
+ * entered again. With the vault off the session is still encrypted, with
+ * a random key that cannot be read out of this browser.
+ */
+
+import { writable, derived, get } from "svelte/store";
+import {
+  createVault,
+  generateKey,
+  openVault,
+  seal,
+  unseal,
+  validatePassphrase,
+  type SealedBox,
+  type VaultHeader,
+} from "$lib/vault/crypto";
+import {
+  getSecret,
+  getSecrets,
+  lockRecords,
+  putSecrets,
+  rekeyRecords,
+  removeSecret,
+  setRecordCipher,
+  VaultLockedError,
+  type RecordCipher,
+} from "$lib/services/db";
+
+export { VaultLockedError };
+export { WrongPassphraseError } from "$lib/vault/crypto";
+
+export interface VaultState {
+  // Whether the stored vault has been read yet
+  isReady: boolean;
+  isEnabled: boolean;
+  isLocked: boolean;
+}
+
+const HEADER_ID = "vault";
+const DEVICE_KEY_ID = "device-key";
+const VAULT_CHANNEL_NAME = "kantonq_vault";
+
+// Records of the secrets store ($lib/services/db)
+interface StoredHeader {
+  id: typeof HEADER_ID;
+  header: VaultHeader;
+}
+
+interface StoredDeviceKey {
+  id: typeof DEVICE_KEY_ID;
+  key: CryptoKey;
+}
+
+// A value sealed with the vault key (`vault`) or with the device key
+interface StoredSecret {
+  id: string;
+  vault: boolean;
+  sealed: SealedBox;
+}
+
+// Lock after this long without a key press or a touch
+export const IDLE_LOCK_MS = 5 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "wheel"] as const;
+
+function cipherFor(key: CryptoKey): RecordCipher {
+  return {
+    seal: (value) => seal(key, value),
+    unseal: <T>(box: SealedBox) => unseal<T>(key, box),
+  };
+}
+
+function checkPassphrase(passphrase: string) {
+  const problem = validatePassphrase(passphrase);
+  if (problem) throw new Error(problem);
+}
+
+function createVaultStore() {
+  const { subscribe, set } = writable<VaultState>({
+    isReady: false,
+    isEnabled: false,
+    isLocked: false,
+  });
+
+  let header: VaultHeader | null = null;
+  // Only ever in memory
+  let vaultKey: CryptoKey | null = null;
+  let deviceKey: Promise<CryptoKey> | null = null;
+  let loading: Promise<VaultState> | null = null;
+  let channel: BroadcastChannel | null = null;
+  let idleTimer: ReturnType<typeof setTimeout> | null = null;
+
+  function publish() {
+    set({
+      isReady: true,
+      isEnabled: header !== null,
+      isLocked: header !== null && vaultKey === null,
+    });
+  }
+
+  /**
+   * The key of this browser, created on first use
+   */
+  function getDeviceKey(): Promise<CryptoKey> {
+    deviceKey ??= getSecret<StoredDeviceKey>(DEVICE_KEY_ID)
+      .then(async (stored) => {
+        if (stored) return stored.key;
+
+        const key = await generateKey();
+        await putSecrets([{ id: DEVICE_KEY_ID, key }]);
+        return key;
+      })
+      .catch((error) => {
+        deviceKey = null;
+        throw error;
+      });
+    return deviceKey;
+  }
+
+  /**
+   * Tell the other tabs the vault was turned on, off or rekeyed: they
+   * reload, as their key no longer opens the records
+   */
+  function announce() {
+    channel?.postMessage({ type: "changed" });
+  }
+
+  /**
+   * Read the stored vault; every other method waits for it
+   */
+  function load(): Promise<VaultState> {
+    if (typeof window === "undefined") {
+      return Promise.resolve(get({ subscribe }));
+    }
+
+    loading ??= getSecret<StoredHeader>(HEADER_ID)
+      .then((stored) => {
+        header = stored?.header ?? null;
+        if (header && !vaultKey) lockRecords();
+
+        if (!channel && typeof BroadcastChannel !== "undefined") {
+          channel = new BroadcastChannel(VAULT_CHANNEL_NAME);
+          channel.onmessage = () => window.location.reload();
+        }
+
+        publish();
+        return get({ subscribe });
+      })
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+    return loading;
+  }
+
+  /**
+   * Seal every secret again, e.g. with the new key of the vault
+   * `from` opens the secrets sealed with the vault key; `to` null seals
+   * with the device key
+   */
+  async function resealSecrets(
+    from: CryptoKey | null,
+    to: CryptoKey | null,
+  ): Promise<StoredSecret[]> {
+    const device = await getDeviceKey();
+    const secrets = (await getSecrets<StoredSecret>()).filter(
+      (secret) => "sealed" in secret,
+    );
+
+    return Promise.all(
+      secrets.map(async (secret) => {
+        const key = secret.vault ? from : device;
+        if (!key) throw new VaultLockedError();
+
+        const value = await unseal(key, secret.sealed);
+        return {
+          id: secret.id,
+          vault: to !== null,
+          sealed: await seal(to ?? device, value),
+        };
+      }),
+    );
+  }
+
+  /**
+   * Lock the vault and drop whatever was decrypted into memory
+   */
+  function lock() {
+    if (idleTimer) clearTimeout(idleTimer);
+    vaultKey = null;
+    lockRecords();
+    publish();
+    window.location.reload();
+  }
+
+  return {
+    subscribe,
+
+    load,
+
+    /**
+     * Store a secret (e.g. the session), sealed with the vault key when the
+     * vault is open and with the device key otherwise
+     */
+    sealSecret: async (id: string, value: unknown) => {
+      await load();
+      const key = vaultKey ?? (await getDeviceKey());
+      await putSecrets([
+        { id, vault: vaultKey !== null, sealed: await seal(key, value) },
+      ]);
+    },
+
+    /**
+     * Read a secret back, or null when there is none
+     * Rejects with VaultLockedError when it needs the vault key
+     */
+    openSecret: async <T>(id: string): Promise<T | null> => {
+      await load();
+      const stored = await getSecret<StoredSecret>(id);
+      if (!stored) return null;
+      if (stored.vault && !vaultKey) throw new VaultLockedError();
+
+      const key = stored.vault ? vaultKey : null;
+      return unseal<T>(key ?? (await getDeviceKey()), stored.sealed);
+    },
+
+    /**
+     * Delete a secret
+     */
+    removeSecret: async (id: string) => {
+      await load();
+      await removeSecret(id);
+    },
+
+    /**
+     * Turn the vault on: encrypt every record and secret with a key
+     * derived from the passphrase
+     */
+    enable: async (passphrase: string) => {
+      await load();
+      if (header) throw new Error("The vault is already on");
+      checkPassphrase(passphrase);
+
+      const created = await createVault(passphrase);
+      const secrets = await resealSecrets(null, created.key);
+      await rekeyRecords(cipherFor(created.key), {
+        put: [{ id: HEADER_ID, header: created.header }, ...secrets],
+      });
+
+      header = created.header;
+      vaultKey = created.key;
+      publish();
+      announce();
+    },
+
+    /**
+     * Open the vault with its passphrase
+     * Rejects with WrongPassphraseError when it does not match
+     */
+    unlock: async (passphrase: string) => {
+      await load();
+      if (!header) return;
+
+      const key = await openVault(header, passphrase);
+      vaultKey = key;
+      setRecordCipher(cipherFor(key));
+      // Sessions started while the vault was locked use the device key
+      await putSecrets(await resealSecrets(key, key));
+      publish();
+    },
+
+    lock,
+
+    /**
+     * Re-encrypt everything with a key derived from a new passphrase
+     */
+    changePassphrase: async (current: string, next: string) => {
+      await load();
+      if (!header) throw new Error("The vault is off");
+      checkPassphrase(next);
+
+      const currentKey = await openVault(header, current);
+      setRecordCipher(cipherFor(currentKey));
+      const created = await createVault(next);
+      const secrets = await resealSecrets(currentKey, created.key);
+      await rekeyRecords(cipherFor(created.key), {
+        put: [{ id: HEADER_ID, header: created.header }, ...secrets],
+      });
+
+      header = created.header;
+      vaultKey = created.key;
+      publish();
+      announce();
+    },
+
+    /**
+     * Turn the vault off: decrypt every record, the session goes back to
+     * the device key
+     */
+    disable: async (passphrase: string) => {
+      await load();
+      if (!header) return;
+
+      const currentKey = await openVault(header, passphrase);
+      setRecordCipher(cipherFor(currentKey));
+      const secrets = await resealSecrets(currentKey, null);
+      await rekeyRecords(null, { put: secrets, remove: [HEADER_ID] });
+
+      header = null;
+      vaultKey = null;
+      publish();
+      announce();
+    },
+
+    /**
+     * Lock after IDLE_LOCK_MS without activity in this tab
+     * Returns a function that stops watching
+     */
+    startAutoLock: (): (() => void) => {
+      const restart = () => {
+        if (idleTimer) clearTimeout(idleTimer);
+        idleTimer = setTimeout(lock, IDLE_LOCK_MS);
+      };
+
+      for (const type of ACTIVITY_EVENTS) {
+        window.addEventListener(type, restart, { passive: true });
+      }
+      restart();
+
+      return () => {
+        if (idleTimer) clearTimeout(idleTimer);
+        idleTimer = null;
+        for (const type of ACTIVITY_EVENTS) {
+          window.removeEventListener(type, restart);
+        }
+      };
+    },
+  };
+}
+
+export const vault = createVaultStore();
+
+// Derived stores for convenience
+export const isVaultLocked = derived(vault, ($vault) => $vault.isLocked);
@@ -0,0 +1,266 @@
+/**
+ * Wallets Store - The user's wallets ("kantong") and accounts
+ * Every transaction belongs to a wallet; the active wallet scopes the dashboard
+ */
+
+import { writable, derived, get } from "svelte/store";
+import { getAll, put, putMany, remove as deleteRecord } from "$lib/services/db";
+import { transactions } from "$lib/stores/transactions";
+import { settings } from "$lib/stores/settings";
+
+export type WalletType = "cash" | "bank" | "e-wallet" | "credit-card";
+
+export interface Wallet {
+  id: string;
+  name: string;
+  type: WalletType;
+  // ISO 4217 code, e.g. IDR
+  currency: string;
+  // Minor units of the wallet's currency
+  openingBalance: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type WalletInput = Omit<Wallet, "id" | "createdAt" | "updatedAt">;
+
+export type WalletErrors = Partial<Record<keyof WalletInput, string>>;
+
+export interface WalletsState {
+  items: Wallet[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+export const WALLET_TYPES: { value: WalletType; label: string }[] = [
+  { value: "cash", label: "Cash" },
+  { value: "bank", label: "Bank account" },
+  { value: "e-wallet", label: "E-wallet" },
+  { value: "credit-card", label: "Credit card" },
+];
+
+const STORE_NAME = "wallets";
+const ACTIVE_WALLET_STORAGE_KEY = "kantonq_active_wallet";
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Validate a wallet before it is saved
+ * Returns an empty object when the input is valid
+ */
+export function validateWallet(input: WalletInput): WalletErrors {
+  const errors: WalletErrors = {};
+
+  if (!input.name.trim()) {
+    errors.name = "Name is required";
+  } else if (input.name.trim().length > 50) {
+    errors.name = "Name must be 50 characters or fewer";
+  }
+  if (!WALLET_TYPES.some(({ value }) => value === input.type)) {
+    errors.type = "Choose a wallet type";
+  }
+  if (!CURRENCY_PATTERN.test(input.currency)) {
+    errors.currency = "Use a 3-letter currency code, e.g. IDR";
+  }
+  if (!Number.isInteger(input.openingBalance)) {
+    errors.openingBalance = "Opening balance must be a number";
+  }
+
+  return errors;
+}
+
+function normalize(input: WalletInput): WalletInput {
+  return {
+    name: input.name.trim(),
+    type: input.type,
+    currency: input.currency.trim().toUpperCase(),
+    openingBalance: input.openingBalance,
+  };
+}
+
+function readActiveWalletId(): string | null {
+  if (typeof localStorage === "undefined") return null;
+  return localStorage.getItem(ACTIVE_WALLET_STORAGE_KEY);
+}
+
+function createWalletsStore() {
+  const initialState: WalletsState = {
+    items: [],
+    isLoading: true,
+    error: null,
+  };
+
+  const { subscribe, update } = writable<WalletsState>(initialState);
+
+  let loading: Promise<void> | null = null;
+
+  return {
+    subscribe,
+
+    /**
+     * Load wallets from IndexedDB
+     */
+    load: (): Promise<void> => {
+      if (loading) return loading;
+
+      loading = getAll<Wallet>(STORE_NAME)
+        .then((items) => {
+          items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+          update((state) => ({ ...state, items, isLoading: false }));
+        })
+        .catch((error) => {
+          console.error("Failed to load wallets:", error);
+          update((state) => ({
+            ...state,
+            isLoading: false,
+            error: "Failed to load wallets",
+          }));
+        });
+
+      return loading;
+    },
+
+    /**
+     * Create a wallet
+     */
+    add: async (input: WalletInput): Promise<Wallet> => {
+      const now = new Date().toISOString();
+      const wallet: Wallet = {
+        ...normalize(input),
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await put(STORE_NAME, wallet);
+      update((state) => ({ ...state, items: [...state.items, wallet] }));
+      return wallet;
+    },
+
+    /**
+     * Update a wallet's details
+     */
+    edit: async (id: string, input: WalletInput): Promise<Wallet> => {
+      const existing = get({ subscribe }).items.find((item) => item.id === id);
+      if (!existing) {
+        throw new Error("Wallet not found");
+      }
+
+      const wallet: Wallet = {
+        ...existing,
+        ...normalize(input),
+        updatedAt: new Date().toISOString(),
+      };
+
+      // Stored amounts are minor units of the old currency
+      const inUse = get(transactions).items.some(
+        (item) => item.walletId === id || item.toWalletId === id,
+      );
+      if (inUse && wallet.currency !== existing.currency) {
+        throw new Error(
+          "The currency of a wallet with transactions can't change",
+        );
+      }
+
+      await put(STORE_NAME, wallet);
+      update((state) => ({
+        ...state,
+        items: state.items.map((item) => (item.id === id ? wallet : item)),
+      }));
+      return wallet;
+    },
+
+    /**
+     * Delete a wallet that no transaction refers to
+     */
+    remove: async (id: string): Promise<void> => {
+      const inUse = get(transactions).items.some(
+        (item) => item.walletId === id || item.toWalletId === id,
+      );
+      if (inUse) {
+        throw new Error("This wallet still has transactions");
+      }
+
+      await deleteRecord(STORE_NAME, id);
+      update((state) => ({
+        ...state,
+        items: state.items.filter((item) => item.id !== id),
+      }));
+    },
+
+    /**
+     * Save wallets that come from elsewhere, e.g. shared by a household
+     */
+    receive: async (items: Wallet[]): Promise<void> => {
+      await putMany(STORE_NAME, items);
+      const ids = new Set(items.map((item) => item.id));
+      update((state) => ({
+        ...state,
+        items: [...state.items.filter((item) => !ids.has(item.id)), ...items],
+      }));
+    },
+  };
+}
+
+export const wallets = createWalletsStore();
+
+function createActiveWalletStore() {
+  const { subscribe, set } = writable<string | null>(readActiveWalletId());
+
+  return {
+    subscribe,
+
+    /**
+     * Switch the wallet every dashboard view is scoped to
+     */
+    select: (id: string) => {
+      localStorage.setItem(ACTIVE_WALLET_STORAGE_KEY, id);
+      set(id);
+    },
+  };
+}
+
+export const activeWalletId = createActiveWalletStore();
+
+/**
+ * The selected wallet, falling back to the default wallet from the
+ * settings, then to the first one
+ */
+export const activeWallet = derived(
+  [wallets, activeWalletId, settings],
+  ([$wallets, $activeWalletId, $settings]) =>
+    $wallets.items.find((item) => item.id === $activeWalletId) ??
+    $wallets.items.find((item) => item.id === $settings.defaultWalletId) ??
+    $wallets.items[0] ??
+    null,
+);
+
+/**
+ * Running balance of every wallet, keyed by wallet id
+ */
+export const walletBalances = derived(
+  [wallets, transactions],
+  ([$wallets, $transactions]) => {
+    const balances = new Map<string, number>(
+      $wallets.items.map((item) => [item.id, item.openingBalance]),
+    );
+
+    for (const item of $transactions.items) {
+      const balance = balances.get(item.walletId) ?? 0;
+      if (item.type === "income") {
+        balances.set(item.walletId, balance + item.amount);
+      } else {
+        balances.set(item.walletId, balance - item.amount);
+      }
+
+      if (item.type === "transfer" && item.toWalletId) {
+        balances.set(
+          item.toWalletId,
+          (balances.get(item.toWalletId) ?? 0) + (item.toAmount ?? item.amount),
+        );
+      }
+    }
+
+    return balances;
+  },
+);
@@ -0,0 +1,119 @@
+/**
+ * Sync Queue - Changes to shared wallets waiting for the API
+ * Every change is queued first and replayed once the API is reachable.
+ * Each operation remembers which copy on the API it was made from, so the
+ * API can refuse it when someone else changed the transaction since.
+ */
+
+import type { Transaction } from "$lib/stores/transactions";
+
+// The API keeps deleted transactions as tombstones
+export type RemoteTransaction = Transaction & { deletedAt?: string };
+
+export interface SyncOperation {
+  // One operation per transaction and shared wallet, see operationId
+  id: string;
+  householdId: string;
+  walletId: string;
+  type: "put" | "remove";
+  // The saved transaction, or the one that was deleted
+  transaction: Transaction;
+  // Version of the API's copy this change builds on (see remoteVersion);
+  // null when the API has no copy yet
+  baseVersion: string | null;
+  queuedAt: string;
+  // Set when the API refused the change
+  conflict?: SyncConflict;
+}
+
+export interface SyncConflict {
+  // The API's copy; null when it refused for another reason
+  remote: RemoteTransaction | null;
+  message: string;
+  detectedAt: string;
+}
+
+/**
+ * How the API tells versions of a transaction apart: when it was last
+ * saved, or when it was deleted
+ */
+export function remoteVersion(remote: RemoteTransaction): string {
+  return remote.deletedAt ?? remote.updatedAt;
+}
+
+export function operationId(
+  householdId: string,
+  walletId: string,
+  transactionId: string,
+): string {
+  return `${householdId}/${walletId}/${transactionId}`;
+}
+
+/**
+ * Fold a new change into the operation already queued for the same
+ * transaction; null when nothing is left to send
+ * The base stays the one of the first queued change: that is the copy
+ * the API still has. `isSending` tells that the queued change is on its
+ * way to the API, see settleOperation.
+ */
+export function mergeOperation(
+  queued: SyncOperation | undefined,
+  next: SyncOperation,
+  isSending = false,
+): SyncOperation | null {
+  if (!queued) return next;
+
+  // Created and deleted before the API ever saw it
+  if (next.type === "remove" && queued.baseVersion === null && !isSending) {
+    return null;
+  }
+
+  return {
+    ...next,
+    baseVersion: queued.baseVersion,
+    queuedAt: queued.queuedAt,
+  };
+}
+
+/**
+ * What is left of a queued operation once `sent` reached the API: null
+ * when it is still the change that was sent, otherwise the change made
+ * while it was on its way, now built on the version just sent
+ */
+export function settleOperation(
+  queued: SyncOperation | undefined,
+  sent: SyncOperation,
+): SyncOperation | null {
+  if (!queued) return null;
+  if (
+    queued.type === sent.type &&
+    queued.transaction.updatedAt === sent.transaction.updatedAt
+  ) {
+    return null;
+  }
+
+  // The API does not say when it deleted, so the base stays
+  if (sent.type === "remove") return queued;
+  return { ...queued, baseVersion: sent.transaction.updatedAt };
+}
+
+/**
+ * Operations the queue still has to send, oldest first
+ */
+export function pendingOperations(queue: SyncOperation[]): SyncOperation[] {
+  return queue
+    .filter((operation) => !operation.conflict)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Send the local version again, on top of the API's current copy
+ */
+export function keepLocal(operation: SyncOperation): SyncOperation {
+  const remote = operation.conflict?.remote;
+  return {
+    ...operation,
+    baseVersion: remote ? remoteVersion(remote) : operation.baseVersion,
+    conflict: undefined,
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Vault Crypto
+ * Passphrase-derived keys and AES-GCM sealing with WebCrypto. Keys never
+ * leave WebCrypto: they are created non-extractable, so only this origin
+ * can use them and nothing can read them back.
+ */
+
+/**
+ * Encrypted JSON value; both fields are base64
+ */
+export interface SealedBox {
+  iv: string;
+  data: string;
+}
+
+/**
+ * What is stored about a vault: enough to derive its key again from the
+ * passphrase and to tell whether the passphrase was right
+ */
+export interface VaultHeader {
+  version: 1;
+  salt: string;
+  iterations: number;
+  // CHECK_VALUE sealed with the vault key
+  check: SealedBox;
+}
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600_000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const SALT_BYTES = 16;
+// The size AES-GCM is specified for; a random one per sealed value
+const IV_BYTES = 12;
+const CHECK_VALUE = "kantonq-vault";
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super("The passphrase is not correct");
+    this.name = "WrongPassphraseError";
+  }
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(value: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Why a new passphrase cannot be used, or null when it can
+ */
+export function validatePassphrase(passphrase: string): string | null {
+  if (passphrase.trim().length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * A random key for data that is not protected by a passphrase
+ */
+export function generateKey(): Promise<CryptoKey> {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA256
+ */
+export async function deriveKey(
+  passphrase: string,
+  salt: Uint8Array<ArrayBuffer>,
+  iterations: number = PBKDF2_ITERATIONS,
+): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypt any JSON-serializable value
+ */
+export async function seal(key: CryptoKey, value: unknown): Promise<SealedBox> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a sealed value
+ * Rejects when the key is not the one it was sealed with or the box was
+ * tampered with
+ */
+export async function unseal<T>(key: CryptoKey, box: SealedBox): Promise<T> {
+  const data = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(box.iv) },
+    key,
+    fromBase64(box.data),
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+export function isSealedBox(value: unknown): value is SealedBox {
+  if (typeof value !== "object" || value === null) return false;
+  const box = value as Partial<SealedBox>;
+  return typeof box.iv === "string" && typeof box.data === "string";
+}
+
+/**
+ * Start a vault: a fresh salt and the key derived from the passphrase
+ */
+export async function createVault(
+  passphrase: string,
+  iterations: number = PBKDF2_ITERATIONS,
+): Promise<{ header: VaultHeader; key: CryptoKey }> {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, iterations);
+  return {
+    header: {
+      version: 1,
+      salt: toBase64(salt),
+      iterations,
+      check: await seal(key, CHECK_VALUE),
+    },
+    key,
+  };
+}
+
+/**
+ * Derive the key of an existing vault
+ * Rejects with WrongPassphraseError when the passphrase does not match
+ */
+export async function openVault(
+  header: VaultHeader,
+  passphrase: string,
+): Promise<CryptoKey> {
+  const key = await deriveKey(
+    passphrase,
+    fromBase64(header.salt),
+    header.iterations,
+  );
+  const check = await unseal<string>(key, header.check).catch(() => null);
+  if (check !== CHECK_VALUE) {
+    throw new WrongPassphraseError();
+  }
+  return key;
+}
@@ -0,0 +1,123 @@
+/**
+ * Service worker: keeps the app shell available offline
+ *
+ * The build (src/integrations/service-worker.ts) fills in the placeholder
+ * below with this build's version and the URLs of the shell. Pages are
+ * served network first, so a deploy shows up on the next load; hashed
+ * assets never change, so they are served from the cache. API requests
+ * are left alone: data changes made offline wait in the sync queue instead.
+ */
+
+const { version: VERSION, urls: PRECACHE_URLS } = __PRECACHE__;
+
+const CACHE_PREFIX = "kantonq-shell-";
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const GOOGLE_SCRIPT_URL = "https://accounts.google.com/gsi/client";
+
+/**
+ * A copy that can answer a navigation: redirected responses cannot
+ */
+async function storable(response) {
+  if (!response.redirected) return response;
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(
+    PRECACHE_URLS.map(async (url) => {
+      const response = await fetch(url, { cache: "reload" });
+      if (!response.ok) {
+        throw new Error(`Failed to precache ${url}: ${response.status}`);
+      }
+      await cache.put(url, await storable(response));
+    }),
+  );
+
+  // Only needed to sign in again, so the shell installs without it
+  try {
+    const response = await fetch(GOOGLE_SCRIPT_URL, { mode: "no-cors" });
+    await cache.put(GOOGLE_SCRIPT_URL, response);
+  } catch (error) {
+    console.warn("Google Identity Services was not precached:", error);
+  }
+}
+
+/**
+ * Fetch and refresh the cached copy; the cached copy when offline
+ */
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_NAME);
+  // One copy per page, whatever its query string
+  const key = new URL(request.url);
+  key.search = "";
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === "opaque") {
+      await cache.put(key.href, await storable(response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await cache.match(key.href)) ??
+      (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (`${url.origin}${url.pathname}` === GOOGLE_SCRIPT_URL) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // Pages not in the shell still open: the home page redirects onwards
+    event.respondWith(networkFirst(request, "/"));
+  } else if (url.pathname.startsWith("/_astro/")) {
+    event.respondWith(cacheFirst(request));
+  } else if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
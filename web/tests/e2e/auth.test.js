@@ -0,0 +1,230 @@
+/**
+ * Sign-in, redirects between guarded pages and sign-out
+ *
+ * Usage:
+ *   bun run test:e2e
+ */
+
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  describe,
+  expect,
+  test,
+} from "bun:test";
+import {
+  ACCESS_TOKEN,
+  USER,
+  launchBrowser,
+  openApp,
+  startServer,
+  waitForHydration,
+  waitForPath,
+} from "./support.js";
+
+let server;
+let browser;
+let context;
+
+beforeAll(async () => {
+  server = await startServer({ port: 4410 });
+  browser = await launchBrowser();
+});
+
+afterAll(async () => {
+  await browser?.close();
+  await server?.stop();
+});
+
+afterEach(async () => {
+  await context?.close();
+  context = undefined;
+});
+
+async function open(options) {
+  const app = await openApp(browser, options);
+  context = app.context;
+  return app;
+}
+
+/**
+ * The session as the app stored it, decrypted with this browser's key
+ * Nothing may be left in plain text in localStorage
+ */
+async function storedSession(page) {
+  return page.evaluate(async () => {
+    if (localStorage.getItem("kantonq_auth")) {
+      throw new Error("The session is stored in plain text");
+    }
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open("kantonq");
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (!db.objectStoreNames.contains("secrets")) {
+      db.close();
+      return null;
+    }
+
+    const read = (id) =>
+      new Promise((resolve, reject) => {
+        const request = db
+          .transaction("secrets")
+          .objectStore("secrets")
+          .get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    const [session, device] = [await read("session"), await read("device-key")];
+    db.close();
+    if (!session) return null;
+
+    const bytes = (value) =>
+      Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: bytes(session.sealed.iv) },
+      device.key,
+      bytes(session.sealed.data),
+    );
+    return new TextDecoder().decode(data);
+  });
+}
+
+describe("login", () => {
+  test("signs in with Google and lands on the dashboard", async () => {
+    const { page, calls } = await open();
+    await page.goto(`${server.url}/login`);
+    await waitForHydration(page);
+
+    await page.getByRole("button", { name: "Login with Google" }).click();
+    await waitForPath(page, "/dashboard");
+
+    expect(calls.sessions).toEqual([{ accessToken: ACCESS_TOKEN }]);
+    expect(JSON.parse(await storedSession(page))).toMatchObject({
+      user: USER,
+      provider: "google",
+      accessToken: ACCESS_TOKEN,
+    });
+  });
+
+  test("signs in offline with the local development provider", async () => {
+    const { page, calls } = await open();
+    await page.goto(`${server.url}/login`);
+    await waitForHydration(page);
+
+    await page
+      .getByRole("button", { name: "Continue offline (development)" })
+      .click();
+    await waitForPath(page, "/dashboard");
+
+    expect(calls.sessions).toEqual([]);
+    expect(JSON.parse(await storedSession(page))).toMatchObject({
+      provider: "local",
+    });
+  });
+
+  test("stays on the login page when consent is denied", async () => {
+    const { page, calls } = await open({ gis: "deny" });
+    await page.goto(`${server.url}/login`);
+    await waitForHydration(page);
+
+    await page.getByRole("button", { name: "Login with Google" }).click();
+    await page.getByText("access_denied").waitFor();
+
+    expect(new URL(page.url()).pathname).toBe("/login");
+    expect(calls.sessions).toEqual([]);
+    expect(await storedSession(page)).toBeNull();
+  });
+
+  test("shows why the backend refused the account", async () => {
+    const message =
+      "This Google account has not been invited. Ask the owner for an invitation.";
+    const { page } = await open({
+      api: {
+        "POST /auth/session": () => ({
+          status: 403,
+          json: { error: { code: "not_invited", message } },
+        }),
+      },
+    });
+    await page.goto(`${server.url}/login`);
+    await waitForHydration(page);
+
+    await page.getByRole("button", { name: "Login with Google" }).click();
+    await page.getByText(message).waitFor();
+
+    expect(new URL(page.url()).pathname).toBe("/login");
+  });
+
+  test("reports a Google script that fails to load", async () => {
+    const { page } = await open({ gisScript: "fail" });
+    await page.goto(`${server.url}/login`);
+
+    await page
+      .getByText("Failed to initialize Google authentication")
+      .waitFor();
+    expect(
+      await page
+        .getByRole("button", { name: "Login with Google" })
+        .isDisabled(),
+    ).toBe(true);
+  });
+});
+
+describe("redirects", () => {
+  test("the home page sends visitors to the login page", async () => {
+    const { page } = await open();
+    await page.goto(server.url);
+    await waitForPath(page, "/login");
+  });
+
+  test("the home page sends signed-in users to the dashboard", async () => {
+    const { page } = await open({ session: true });
+    await page.goto(server.url);
+    await waitForPath(page, "/dashboard");
+  });
+
+  test("guarded pages send visitors to the login page", async () => {
+    const { page } = await open();
+    await page.goto(`${server.url}/transactions`);
+    await waitForPath(page, "/login");
+  });
+
+  test("the login page sends signed-in users to the dashboard", async () => {
+    const { page } = await open({ session: true });
+    await page.goto(`${server.url}/login`);
+    await waitForPath(page, "/dashboard");
+  });
+
+  test("a session the backend no longer knows is sent to the login page", async () => {
+    const { page } = await open({
+      session: true,
+      api: {
+        "GET /auth/me": () => ({
+          status: 401,
+          json: { error: { code: "unauthorized", message: "Session expired" } },
+        }),
+      },
+    });
+    await page.goto(`${server.url}/dashboard`);
+    await waitForPath(page, "/login");
+  });
+});
+
+describe("logout", () => {
+  test("revokes the Google token and ends the session", async () => {
+    const { page, calls } = await open({ session: true });
+    await page.goto(`${server.url}/dashboard`);
+    await waitForHydration(page);
+
+    await page.getByText(USER.email).first().click();
+    await page.getByRole("menuitem", { name: "Log out" }).click();
+    await waitForPath(page, "/login");
+
+    expect(calls.revoked).toEqual([ACCESS_TOKEN]);
+    expect(calls.endedSessions).toBe(1);
+    expect(await storedSession(page)).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Login page without PUBLIC_GOOGLE_CLIENT_ID
+ * Runs its own dev server, since the client ID is fixed at startup
+ *
+ * Usage:
+ *   bun run test:e2e
+ */
+
+import { afterAll, beforeAll, expect, test } from "bun:test";
+import { launchBrowser, openApp, startServer } from "./support.js";
+
+let server;
+let browser;
+
+beforeAll(async () => {
+  server = await startServer({
+    port: 4411,
+    env: { PUBLIC_GOOGLE_CLIENT_ID: "" },
+  });
+  browser = await launchBrowser();
+});
+
+afterAll(async () => {
+  await browser?.close();
+  await server?.stop();
+});
+
+test("explains that Google sign-in is not configured", async () => {
+  const { context, page } = await openApp(browser);
+  await page.goto(`${server.url}/login`);
+
+  await page.getByText("Google Client ID not configured").waitFor();
+  expect(
+    await page.getByRole("button", { name: "Login with Google" }).isDisabled(),
+  ).toBe(true);
+
+  await context.close();
+});
@@ -0,0 +1,47 @@
+/**
+ * Stand-in for https://accounts.google.com/gsi/client
+ *
+ * Implements the part of Google Identity Services the app uses. Tests pick
+ * the outcome of a token request through `window.__gisStub.mode`:
+ * "grant" (default) hands out a token, "deny" answers like a user who
+ * closed the consent screen. Revoking posts to Google's revoke endpoint,
+ * which the tests intercept, so it can be asserted after navigating away.
+ */
+(() => {
+  const mode = window.__gisStub?.mode ?? "grant";
+
+  window.google = {
+    accounts: {
+      oauth2: {
+        initTokenClient: (config) => ({
+          requestAccessToken: () => {
+            setTimeout(() => {
+              if (mode === "deny") {
+                config.callback({
+                  error: "access_denied",
+                  error_description: "The user denied access",
+                });
+                return;
+              }
+              config.callback({
+                access_token: "e2e-access-token",
+                expires_in: 3600,
+                token_type: "Bearer",
+                scope: config.scope,
+              });
+            }, 0);
+          },
+        }),
+        revoke: (token, done) => {
+          fetch("https://oauth2.googleapis.com/revoke", {
+            method: "POST",
+            body: new URLSearchParams({ token }),
+            keepalive: true,
+          })
+            .catch(() => {})
+            .finally(() => done?.({ successful: true }));
+        },
+      },
+    },
+  };
+})();
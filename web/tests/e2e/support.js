@@ -0,0 +1,219 @@
+/**
+ * Shared setup for the end-to-end suite
+ *
+ * The suite runs fully offline: the app is served by the Astro dev server,
+ * Google Identity Services is replaced by tests/e2e/stubs/gsi-client.js and
+ * the Kantonq API is answered from this file. Any other request leaving the
+ * machine is aborted, so a test cannot pass by reaching the real services.
+ */
+
+import { setDefaultTimeout } from "bun:test";
+import { chromium } from "playwright";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const WEB_DIR = join(dirname(fileURLToPath(import.meta.url)), "../..");
+const GSI_STUB = join(WEB_DIR, "tests/e2e/stubs/gsi-client.js");
+const GSI_URL = "https://accounts.google.com/gsi/client";
+const REVOKE_URL = "https://oauth2.googleapis.com/revoke";
+
+// Same origin as the app, so the stubbed API needs no CORS handling
+const API_PATH = "/__e2e-api";
+
+const SERVER_START_TIMEOUT_MS = 90 * 1000;
+
+export const CLIENT_ID = "e2e-client-id.apps.googleusercontent.com";
+
+// The access token the GIS stub hands out
+export const ACCESS_TOKEN = "e2e-access-token";
+
+export const USER = {
+  id: "e2e-user",
+  email: "e2e@kantonq.test",
+  name: "E2E Tester",
+  picture: "",
+  role: "owner",
+};
+
+// Page loads include compiling on the dev server
+setDefaultTimeout(60 * 1000);
+
+/**
+ * Start the Astro dev server on `port`
+ * `env` overrides the public config, e.g. an empty PUBLIC_GOOGLE_CLIENT_ID
+ */
+export async function startServer({ port, env = {} }) {
+  const url = `http://127.0.0.1:${port}`;
+  const server = Bun.spawn(
+    [
+      "bunx",
+      "--bun",
+      "astro",
+      "dev",
+      "--host",
+      "127.0.0.1",
+      "--port",
+      String(port),
+    ],
+    {
+      cwd: WEB_DIR,
+      env: {
+        ...process.env,
+        PUBLIC_API_URL: `${url}${API_PATH}`,
+        PUBLIC_GOOGLE_CLIENT_ID: CLIENT_ID,
+        ...env,
+      },
+      stdout: "ignore",
+      stderr: "ignore",
+    },
+  );
+
+  const stop = async () => {
+    server.kill();
+    await server.exited;
+  };
+
+  // Waiting for /login also compiles the page shared by most tests
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${url}/login`);
+      if (response.ok) return { url, stop };
+    } catch {
+      // Not listening yet
+    }
+    await Bun.sleep(250);
+  }
+
+  await stop();
+  throw new Error(`Dev server did not start on ${url}`);
+}
+
+export function launchBrowser() {
+  return chromium.launch({ headless: true });
+}
+
+/**
+ * Runs in the page: sign in once per tab, like a returning user whose
+ * session is still in plain text (the app encrypts it on the first read)
+ * A flag in sessionStorage keeps later navigations (e.g. after signing out)
+ * from restoring the session again
+ */
+function seedSession(value) {
+  if (sessionStorage.getItem("e2e-seeded")) return;
+  sessionStorage.setItem("e2e-seeded", "1");
+  localStorage.setItem("kantonq_auth", value);
+}
+
+/**
+ * API responses by "METHOD /path"
+ * Each test can replace any of them through `api`
+ */
+function defaultApi(calls) {
+  return {
+    "POST /auth/session": (request) => {
+      calls.sessions.push(request.postDataJSON());
+      return { json: { user: USER } };
+    },
+    "DELETE /auth/session": () => {
+      calls.endedSessions++;
+      return { status: 204 };
+    },
+    "GET /auth/me": () => ({ json: { user: USER } }),
+    "GET /households": () => ({ json: { households: [] } }),
+  };
+}
+
+/**
+ * A fresh browser context and page on the offline app
+ *
+ * Options:
+ * - `gis`: "grant" or "deny", how the consent screen is answered
+ * - `gisScript`: "fail" makes Google's script fail to load
+ * - `session`: start signed in
+ * - `api`: response overrides, see defaultApi
+ * - `colorScheme`: the system theme the page sees
+ *
+ * `calls` records what reached Google and the API.
+ */
+export async function openApp(
+  browser,
+  {
+    gis = "grant",
+    gisScript = "ok",
+    session = false,
+    api = {},
+    colorScheme = "light",
+  } = {},
+) {
+  const context = await browser.newContext({ colorScheme });
+  const calls = { sessions: [], endedSessions: 0, revoked: [] };
+  const handlers = { ...defaultApi(calls), ...api };
+
+  // Routes registered later take precedence, so this guard only sees
+  // requests none of the stubs below handled
+  await context.route("**/*", (route) => {
+    const { hostname } = new URL(route.request().url());
+    return hostname === "127.0.0.1" || hostname === "localhost"
+      ? route.fallback()
+      : route.abort("internetdisconnected");
+  });
+
+  await context.route(GSI_URL, (route) =>
+    gisScript === "fail"
+      ? route.abort("connectionrefused")
+      : route.fulfill({ path: GSI_STUB, contentType: "text/javascript" }),
+  );
+
+  await context.route(REVOKE_URL, (route) => {
+    const body = new URLSearchParams(route.request().postData() ?? "");
+    calls.revoked.push(body.get("token"));
+    return route.fulfill({ json: {} });
+  });
+
+  await context.route(`**${API_PATH}/**`, (route) => {
+    const request = route.request();
+    const path = new URL(request.url()).pathname.slice(API_PATH.length);
+    const handler = handlers[`${request.method()} ${path}`];
+    return route.fulfill(
+      handler?.(request) ?? {
+        status: 404,
+        json: { error: { code: "not_found", message: "Not found" } },
+      },
+    );
+  });
+
+  await context.addInitScript((mode) => {
+    window.__gisStub = { mode };
+  }, gis);
+
+  if (session) {
+    await context.addInitScript(
+      seedSession,
+      JSON.stringify({
+        user: USER,
+        accessToken: ACCESS_TOKEN,
+        expiresAt: Date.now() + 60 * 60 * 1000,
+      }),
+    );
+  }
+
+  const page = await context.newPage();
+  return { context, page, calls };
+}
+
+/**
+ * Wait until the Svelte islands on the page are interactive
+ */
+export async function waitForHydration(page) {
+  await page.waitForFunction(
+    () => !document.querySelector("astro-island[ssr]"),
+  );
+}
+
+/**
+ * Wait until the page is at `path`, after client-side redirects
+ */
+export async function waitForPath(page, path) {
+  await page.waitForURL((url) => url.pathname === path);
+}
@@ -0,0 +1,69 @@
+/**
+ * Light and dark theme set up by Layout.astro
+ *
+ * Usage:
+ *   bun run test:e2e
+ */
+
+import { afterAll, afterEach, beforeAll, expect, test } from "bun:test";
+import {
+  launchBrowser,
+  openApp,
+  startServer,
+  waitForHydration,
+} from "./support.js";
+
+let server;
+let browser;
+let context;
+
+beforeAll(async () => {
+  server = await startServer({ port: 4412 });
+  browser = await launchBrowser();
+});
+
+afterAll(async () => {
+  await browser?.close();
+  await server?.stop();
+});
+
+afterEach(async () => {
+  await context?.close();
+  context = undefined;
+});
+
+function isDark(page) {
+  return page.evaluate(() =>
+    document.documentElement.classList.contains("dark"),
+  );
+}
+
+test("follows the system theme until one is chosen", async () => {
+  const app = await openApp(browser, { colorScheme: "dark" });
+  context = app.context;
+  await app.page.goto(`${server.url}/login`);
+
+  expect(await isDark(app.page)).toBe(true);
+});
+
+test("remembers the chosen theme across reloads and pages", async () => {
+  const app = await openApp(browser, { colorScheme: "light" });
+  context = app.context;
+  const { page } = app;
+  await page.goto(`${server.url}/login`);
+  await waitForHydration(page);
+  expect(await isDark(page)).toBe(false);
+
+  await page.getByRole("button", { name: "Toggle theme" }).click();
+  await page.waitForFunction(() =>
+    document.documentElement.classList.contains("dark"),
+  );
+  expect(await page.evaluate(() => localStorage.getItem("theme"))).toBe("dark");
+
+  // Checked before hydration, so it is Layout's inline script that applies it
+  await page.reload({ waitUntil: "domcontentloaded" });
+  expect(await isDark(page)).toBe(true);
+
+  await page.goto(`${server.url}/`, { waitUntil: "domcontentloaded" });
+  expect(await isDark(page)).toBe(true);
+});
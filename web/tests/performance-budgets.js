@@ -0,0 +1,125 @@
+/**
+ * Performance budgets and baseline comparison for the perf suite
+ *
+ * Budgets are absolute limits per page (minimum Lighthouse scores, maximum
+ * LCP, TBT, CLS and JavaScript bytes). The baseline is the last accepted
+ * run; a metric regresses when it is worse than the baseline by more than
+ * its threshold.
+ */
+
+/**
+ * Metrics checked on every page
+ * `higher` metrics are minimums in a budget, the others maximums
+ */
+export const METRICS = [
+  { key: "performance", label: "Performance score", higher: true },
+  { key: "accessibility", label: "Accessibility score", higher: true },
+  { key: "best-practices", label: "Best practices score", higher: true },
+  { key: "seo", label: "SEO score", higher: true },
+  { key: "lcp", label: "Largest Contentful Paint", unit: "ms" },
+  { key: "tbt", label: "Total Blocking Time", unit: "ms" },
+  { key: "cls", label: "Cumulative Layout Shift" },
+  { key: "bundleBytes", label: "JavaScript transferred", unit: "bytes" },
+];
+
+/**
+ * The budgeted metrics of one Lighthouse result
+ * Scores are 0..100; missing audits are left out
+ */
+export function extractMetrics(lhr) {
+  const metrics = {};
+  for (const key of ["performance", "accessibility", "best-practices", "seo"]) {
+    const score = lhr.categories[key]?.score;
+    if (typeof score === "number") metrics[key] = Math.round(score * 100);
+  }
+
+  const numeric = (audit) => lhr.audits[audit]?.numericValue;
+  const lcp = numeric("largest-contentful-paint");
+  const tbt = numeric("total-blocking-time");
+  const cls = numeric("cumulative-layout-shift");
+  if (lcp !== undefined) metrics.lcp = Math.round(lcp);
+  if (tbt !== undefined) metrics.tbt = Math.round(tbt);
+  if (cls !== undefined) metrics.cls = Number(cls.toFixed(3));
+
+  const scripts = lhr.audits["resource-summary"]?.details?.items?.find(
+    (item) => item.resourceType === "script",
+  );
+  if (scripts) metrics.bundleBytes = scripts.transferSize;
+
+  return metrics;
+}
+
+/**
+ * A page's budget: the defaults with the page's own overrides
+ */
+export function budgetFor(config, path) {
+  return { ...config.default, ...config.pages?.[path] };
+}
+
+/**
+ * Metrics outside their budget
+ */
+export function checkBudget(metrics, budget) {
+  const violations = [];
+  for (const { key, higher } of METRICS) {
+    const actual = metrics[key];
+    const limit = budget[key];
+    if (actual === undefined || limit === undefined) continue;
+    if (higher ? actual < limit : actual > limit) {
+      violations.push({ metric: key, actual, limit });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Change of every metric against the baseline
+ * `delta` is positive when the metric got better
+ */
+export function compareToBaseline(metrics, baseline, thresholds = {}) {
+  const rows = [];
+  for (const { key, higher } of METRICS) {
+    const current = metrics[key];
+    const previous = baseline?.[key];
+    if (current === undefined || previous === undefined) continue;
+
+    // Rounded so CLS deltas do not show float noise
+    const delta =
+      Math.round((higher ? current - previous : previous - current) * 1000) /
+      1000;
+    const allowed = thresholds[key] ?? 0;
+    rows.push({
+      metric: key,
+      current,
+      baseline: previous,
+      delta,
+      regressed: -delta > allowed,
+    });
+  }
+  return rows;
+}
+
+/**
+ * A metric value for the console, e.g. "1.25s", "312 KB" or "92"
+ */
+export function formatMetric(key, value) {
+  const unit = METRICS.find((metric) => metric.key === key)?.unit;
+  if (unit === "ms") {
+    return value < 1000
+      ? `${Math.round(value)}ms`
+      : `${(value / 1000).toFixed(2)}s`;
+  }
+  if (unit === "bytes") {
+    return value < 1024 ? `${value} B` : `${Math.round(value / 1024)} KB`;
+  }
+  return String(value);
+}
+
+/**
+ * A baseline delta for the console, signed so that "+" means better
+ */
+export function formatDelta(key, delta) {
+  if (delta === 0) return "±0";
+  const sign = delta > 0 ? "+" : "-";
+  return `${sign}${formatMetric(key, Math.abs(delta))}`;
+}
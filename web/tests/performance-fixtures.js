@@ -0,0 +1,301 @@
+/**
+ * Signed-in session and finance data for auditing authenticated pages
+ *
+ * The perf suite signs in without Google or the API: it writes the session
+ * the auth store would have stored, serves a stand-in for the Google
+ * Identity Services script, answers the API calls the app makes on every
+ * page, and fills IndexedDB with a realistic amount of data.
+ */
+
+// Keep in sync with src/lib/services/db.ts (DB_NAME, DB_VERSION, STORES,
+// SECRETS_STORE)
+const DB_NAME = "kantonq";
+const DB_VERSION = 8;
+const STORES = [
+  "transactions",
+  "wallets",
+  "budgets",
+  "exchangeRates",
+  "recurring",
+  "occurrences",
+  "syncQueue",
+  "rules",
+];
+const SECRETS_STORE = "secrets";
+
+const GSI_URL = "https://accounts.google.com/gsi/client";
+
+export const FIXTURE_USER = {
+  id: "perf-user",
+  email: "perf@kantonq.test",
+  name: "Perf Tester",
+  picture: "",
+  role: "owner",
+};
+
+// Hands out tokens straight away, so a silent refresh never leaves the page
+const GOOGLE_STUB = `
+window.google = {
+  accounts: {
+    oauth2: {
+      initTokenClient: (config) => ({
+        requestAccessToken: () =>
+          config.callback({ access_token: "perf-access-token", expires_in: 3600 }),
+      }),
+      revoke: (token, done) => done && done(),
+    },
+  },
+};
+`;
+
+const CATEGORIES = [
+  "Food",
+  "Groceries",
+  "Transport",
+  "Bills",
+  "Shopping",
+  "Health",
+  "Entertainment",
+  "Education",
+];
+
+const TAGS = ["work", "family", "weekend", "online", "cash"];
+
+/**
+ * Small seeded random number generator, so every run audits the same data
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Wallets, `transactions` transactions over the last year, budgets and an
+ * exchange rate, shaped like the records the app stores
+ */
+export function createFixtures({
+  transactions = 5000,
+  today = new Date(),
+} = {}) {
+  const next = random(42);
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  const stamp = today.toISOString();
+  const record = (fields) => ({
+    ...fields,
+    createdAt: stamp,
+    updatedAt: stamp,
+  });
+
+  const wallets = [
+    record({
+      id: "wallet-bank",
+      name: "Bank",
+      type: "bank",
+      currency: "IDR",
+      openingBalance: 25000000,
+    }),
+    record({
+      id: "wallet-cash",
+      name: "Cash",
+      type: "cash",
+      currency: "IDR",
+      openingBalance: 1500000,
+    }),
+    record({
+      id: "wallet-ewallet",
+      name: "E-wallet",
+      type: "e-wallet",
+      currency: "IDR",
+      openingBalance: 500000,
+    }),
+    record({
+      id: "wallet-usd",
+      name: "Travel card",
+      type: "bank",
+      currency: "USD",
+      openingBalance: 50000,
+    }),
+  ];
+
+  const items = [];
+  for (let index = 0; index < transactions; index++) {
+    const date = new Date(
+      today.getTime() - Math.floor(next() * 365) * 86400000,
+    );
+    const roll = next();
+    const base = {
+      id: `perf-tx-${index}`,
+      date: isoDate(date),
+      note: `Fixture ${index}`,
+      tags: roll < 0.3 ? [pick(TAGS)] : [],
+    };
+
+    if (roll < 0.08) {
+      items.push(
+        record({
+          ...base,
+          type: "income",
+          amount: 5000000 + Math.round(next() * 5000000),
+          category: "Salary",
+          walletId: "wallet-bank",
+        }),
+      );
+    } else if (roll < 0.13) {
+      items.push(
+        record({
+          ...base,
+          type: "transfer",
+          amount: 100000 + Math.round(next() * 900000),
+          category: "Transfer",
+          walletId: "wallet-bank",
+          toWalletId: pick(["wallet-cash", "wallet-ewallet"]),
+        }),
+      );
+    } else {
+      const walletId = pick(wallets).id;
+      items.push(
+        record({
+          ...base,
+          type: "expense",
+          // Cents for the USD wallet, whole rupiah for the others
+          amount:
+            walletId === "wallet-usd"
+              ? 500 + Math.round(next() * 10000)
+              : 10000 + Math.round(next() * 490000),
+          category: pick(CATEGORIES),
+          walletId,
+        }),
+      );
+    }
+  }
+
+  const month = isoDate(today).slice(0, 7);
+  const budgets = CATEGORIES.slice(0, 5).map((category, index) =>
+    record({
+      id: `perf-budget-${index}`,
+      walletId: "wallet-bank",
+      category,
+      limit: 2000000,
+      rollover: index % 2 === 0,
+      startMonth: month,
+    }),
+  );
+
+  const exchangeRates = [
+    record({
+      id: "perf-rate-usd-idr",
+      from: "USD",
+      to: "IDR",
+      rate: 16250,
+      effectiveDate: `${today.getUTCFullYear() - 1}-01-01`,
+    }),
+  ];
+
+  return {
+    wallets,
+    transactions: items,
+    budgets,
+    exchangeRates,
+    recurring: [],
+    occurrences: [],
+    syncQueue: [],
+    rules: [],
+  };
+}
+
+/**
+ * Runs in the page before its scripts: the session the auth store restores
+ * A plain-text session is what older versions stored; the auth store moves
+ * it into its encrypted secrets on the first read
+ */
+function seedSession(entries) {
+  for (const [key, value] of Object.entries(entries)) {
+    localStorage.setItem(key, value);
+  }
+}
+
+/**
+ * Runs in the page: replace the local database contents with the fixtures
+ */
+function seedDatabase({ name, version, stores, secretsStore, data }) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => {
+      for (const store of [...stores, secretsStore]) {
+        if (!request.result.objectStoreNames.contains(store)) {
+          request.result.createObjectStore(store, { keyPath: "id" });
+        }
+      }
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const tx = db.transaction(stores, "readwrite");
+      for (const store of stores) {
+        const objectStore = tx.objectStore(store);
+        objectStore.clear();
+        for (const item of data[store] ?? []) objectStore.put(item);
+      }
+      tx.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+}
+
+/**
+ * Sign a Playwright browser context in and fill its database
+ * Every page opened in the context afterwards starts authenticated, also
+ * pages opened by Lighthouse when the context is the browser's default one
+ */
+export async function authenticateContext(context, { baseUrl, fixtures }) {
+  await context.addInitScript(seedSession, {
+    kantonq_auth: JSON.stringify({
+      user: FIXTURE_USER,
+      accessToken: "perf-access-token",
+      // Long enough that no refresh is scheduled during an audit
+      expiresAt: Date.now() + 6 * 60 * 60 * 1000,
+    }),
+    kantonq_active_wallet: fixtures.wallets[0].id,
+  });
+
+  await context.route(GSI_URL, (route) =>
+    route.fulfill({ contentType: "text/javascript", body: GOOGLE_STUB }),
+  );
+
+  // API calls every authenticated page makes; pages with the same path
+  // (e.g. /households) are documents, not fetches, and pass through
+  const api = {
+    "/auth/me": { user: FIXTURE_USER },
+    "/households": { households: [] },
+  };
+  await context.route(
+    (url) => url.pathname in api,
+    (route) =>
+      route.request().resourceType() === "fetch"
+        ? route.fulfill({ json: api[new URL(route.request().url()).pathname] })
+        : route.fallback(),
+  );
+
+  // Any page of the app's origin can write its database; a missing one
+  // is cheapest to load
+  const page = await context.newPage();
+  await page.goto(`${baseUrl}/__perf-seed`, { waitUntil: "domcontentloaded" });
+  await page.evaluate(seedDatabase, {
+    name: DB_NAME,
+    version: DB_VERSION,
+    stores: STORES,
+    secretsStore: SECRETS_STORE,
+    data: fixtures,
+  });
+  await page.close();
+}
@@ -4,32 +4,71 @@
  * This script runs:
  * 1. Chrome Lighthouse audit (performance, accessibility, best practices, SEO)
  * 2. Chrome DevTools Performance trace (CPU, memory, network timing)
+ * 3. Budget check against tests/performance-budgets.json and comparison
+ *    with the baseline in tests/performance-baseline.json
+ *
+ * Pages behind AuthGuard are audited signed in, with fixture data in
+ * IndexedDB (see tests/performance-fixtures.js).
+ *
+ * Exits non-zero when a page is over budget or regressed from the baseline.
+ * Without a baseline nothing can regress, which is only warned about: store
+ * one with --update-baseline on a build known to be good and commit
+ * tests/performance-baseline.json.
  *
  * Usage:
  *   bun run test:perf                           # Run all pages against localhost:4321
  *   bun run test:perf --url=https://example.com # Run against custom base URL
  *   bun run test:perf --page=/dashboard         # Run only specific page
+ *   bun run test:perf --update-baseline         # Accept this run as the new baseline
+ *   bun run test:perf --transactions=20000      # Audit with more fixture data
  */
 
 import { chromium } from "playwright";
 import lighthouse from "lighthouse";
-import { writeFileSync, mkdirSync, existsSync } from "fs";
+import {
+  writeFileSync,
+  mkdirSync,
+  existsSync,
+  readFileSync,
+  mkdtempSync,
+  rmSync,
+} from "fs";
+import { tmpdir } from "os";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
+import {
+  METRICS,
+  budgetFor,
+  checkBudget,
+  compareToBaseline,
+  extractMetrics,
+  formatDelta,
+  formatMetric,
+} from "./performance-budgets.js";
+import { authenticateContext, createFixtures } from "./performance-fixtures.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const RESULTS_DIR = join(__dirname, "../performance-results");
+const BUDGETS_PATH = join(__dirname, "performance-budgets.json");
+const BASELINE_PATH = join(__dirname, "performance-baseline.json");
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const urlArg = args.find((arg) => arg.startsWith("--url="));
 const pageArg = args.find((arg) => arg.startsWith("--page="));
 const BASE_URL = urlArg ? urlArg.split("=")[1] : "http://localhost:4321";
+const UPDATE_BASELINE = args.includes("--update-baseline");
+const transactionsArg = args.find((arg) => arg.startsWith("--transactions="));
+const FIXTURES = createFixtures({
+  transactions: transactionsArg ? Number(transactionsArg.split("=")[1]) : 5000,
+});
 
-// Pages to test - add new pages here
+// Pages to test - add new pages here; `auth` pages are audited signed in
 const ALL_PAGES = [
   { path: "/", name: "index" },
-  { path: "/dashboard", name: "dashboard" },
+  { path: "/dashboard", name: "dashboard", auth: true },
+  { path: "/transactions", name: "transactions", auth: true },
+  { path: "/budgets", name: "budgets", auth: true },
   { path: "/login", name: "login" },
 ];
 
@@ -68,10 +107,24 @@ function formatTime(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
+/**
+ * Fail when a page redirected elsewhere (e.g. AuthGuard to /login), since
+ * its numbers would describe the other page
+ */
+function assertLanded(url, finalUrl) {
+  const expected = new URL(url).pathname;
+  const actual = new URL(finalUrl).pathname;
+  if (actual !== expected) {
+    throw new Error(
+      `${expected} redirected to ${actual}; its audit would be meaningless`,
+    );
+  }
+}
+
 /**
  * Run Chrome Lighthouse audit using Playwright's CDP connection
  */
-async function runLighthouse(browser, url, pageName = "index") {
+async function runLighthouse(browser, url, pageName = "index", auth = false) {
   console.log(`\n🔦 Running Lighthouse audit for /${pageName}...\n`);
 
   // Get the CDP endpoint from Playwright browser
@@ -79,27 +132,43 @@ async function runLighthouse(browser, url, pageName = "index") {
     ? await browser.newBrowserCDPSession()
     : null;
 
-  // Launch a separate Chrome instance for Lighthouse with remote debugging
+  // Launch a separate Chrome instance for Lighthouse with remote debugging.
+  // Its default context is persistent, so the session and stubs set up
+  // through Playwright also apply to the tab Lighthouse opens
   const debuggingPort = 9222;
-  const lighthouseBrowser = await chromium.launch({
-    headless: true,
-    args: [
-      `--remote-debugging-port=${debuggingPort}`,
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-    ],
-  });
+  const userDataDir = mkdtempSync(join(tmpdir(), "kantonq-lighthouse-"));
+  const lighthouseBrowser = await chromium.launchPersistentContext(
+    userDataDir,
+    {
+      headless: true,
+      args: [
+        `--remote-debugging-port=${debuggingPort}`,
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+      ],
+    },
+  );
 
   try {
+    if (auth) {
+      await authenticateContext(lighthouseBrowser, {
+        baseUrl: new URL(url).origin,
+        fixtures: FIXTURES,
+      });
+    }
+
     const result = await lighthouse(url, {
       port: debuggingPort,
       output: ["json", "html"],
       logLevel: "error",
       onlyCategories: ["performance", "accessibility", "best-practices", "seo"],
+      // Clearing storage would sign the page out and drop the fixtures
+      disableStorageReset: auth,
     });
 
     const { lhr, report } = result;
+    assertLanded(url, lhr.finalDisplayedUrl);
 
     // Save HTML report (with page name suffix)
     const htmlPath = join(RESULTS_DIR, `lighthouse-${pageName}.html`);
@@ -188,13 +257,19 @@ async function runLighthouse(browser, url, pageName = "index") {
       lighthouseBrowser.close(),
       new Promise((resolve) => setTimeout(resolve, 5000)),
     ]).catch(() => {});
+    rmSync(userDataDir, { recursive: true, force: true });
   }
 }
 
 /**
  * Run Chrome DevTools Performance trace using Playwright
  */
-async function runDevToolsPerformance(browser, url, pageName = "index") {
+async function runDevToolsPerformance(
+  browser,
+  url,
+  pageName = "index",
+  auth = false,
+) {
   console.log(
     `\n\n📊 Running Chrome DevTools Performance trace for /${pageName}...\n`,
   );
@@ -202,6 +277,12 @@ async function runDevToolsPerformance(browser, url, pageName = "index") {
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
   });
+  if (auth) {
+    await authenticateContext(context, {
+      baseUrl: new URL(url).origin,
+      fixtures: FIXTURES,
+    });
+  }
 
   const page = await context.newPage();
 
@@ -225,6 +306,7 @@ async function runDevToolsPerformance(browser, url, pageName = "index") {
   const startTime = Date.now();
   await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
   const loadTime = Date.now() - startTime;
+  assertLanded(url, page.url());
 
   // Simulate user interaction - scroll the page
   await page.evaluate(() => {
@@ -430,6 +512,111 @@ async function runDevToolsPerformance(browser, url, pageName = "index") {
   return metricsData;
 }
 
+/**
+ * Check every page against its budget and the baseline
+ * Returns the number of failed checks
+ */
+function checkResults(allResults) {
+  const budgets = JSON.parse(readFileSync(BUDGETS_PATH, "utf8"));
+  const baseline = existsSync(BASELINE_PATH)
+    ? JSON.parse(readFileSync(BASELINE_PATH, "utf8"))
+    : null;
+  const summary = {
+    url: BASE_URL,
+    timestamp: new Date().toISOString(),
+    pages: {},
+  };
+  let failures = 0;
+
+  console.log(
+    "\n┌─────────────────────────────────────────────────────────────┐",
+  );
+  console.log(
+    "│               🎯 BUDGETS & BASELINE                         │",
+  );
+  console.log(
+    "└─────────────────────────────────────────────────────────────┘",
+  );
+  if (!baseline && !UPDATE_BASELINE) {
+    console.warn(
+      `\n⚠️  No baseline at ${BASELINE_PATH}, so regressions are not checked. Run with --update-baseline on a build known to be good and commit the file.`,
+    );
+  }
+
+  for (const result of allResults) {
+    const metrics = extractMetrics(result.lighthouse);
+    const budget = budgetFor(budgets, result.path);
+    const violations = checkBudget(metrics, budget);
+    const comparisons = compareToBaseline(
+      metrics,
+      baseline?.pages[result.path],
+      budgets.regression,
+    );
+    // A new baseline replaces the old one, so nothing can regress from it
+    const regressions = UPDATE_BASELINE
+      ? []
+      : comparisons.filter((row) => row.regressed);
+
+    console.log(`\n  ${result.path}`);
+    if (baseline && !baseline.pages[result.path] && !UPDATE_BASELINE) {
+      console.warn(
+        "  ⚠️  No baseline for this page. Run with --update-baseline to add it.",
+      );
+    }
+    for (const { key, label } of METRICS) {
+      if (metrics[key] === undefined) continue;
+      const over = violations.some((item) => item.metric === key);
+      const row = comparisons.find((item) => item.metric === key);
+      const regressed = regressions.includes(row);
+      const emoji = over || regressed ? "🔴" : "🟢";
+      const limit =
+        budget[key] === undefined
+          ? ""
+          : `budget ${formatMetric(key, budget[key])}`;
+      const change = row
+        ? `${formatDelta(key, row.delta)} vs ${formatMetric(key, row.baseline)}`
+        : "";
+      console.log(
+        `  ${emoji} ${label.padEnd(26)} ${formatMetric(key, metrics[key]).padStart(8)}  ${limit.padEnd(16)} ${change}`,
+      );
+    }
+
+    failures += violations.length + regressions.length;
+    summary.pages[result.path] = { metrics, budget, violations, comparisons };
+  }
+
+  const summaryPath = join(RESULTS_DIR, "budgets.json");
+  writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+  console.log(`\n📄 Budget results saved to: ${summaryPath}`);
+
+  if (UPDATE_BASELINE) {
+    // Keep pages that were not part of this run
+    const pages = { ...baseline?.pages };
+    for (const [path, { metrics }] of Object.entries(summary.pages)) {
+      pages[path] = metrics;
+    }
+    writeFileSync(
+      BASELINE_PATH,
+      JSON.stringify(
+        { url: BASE_URL, updatedAt: summary.timestamp, pages },
+        null,
+        2,
+      ) + "\n",
+    );
+    console.log(`📌 Baseline updated: ${BASELINE_PATH}`);
+  }
+
+  if (failures > 0) {
+    console.error(
+      `\n❌ ${failures} performance check${failures === 1 ? "" : "s"} failed`,
+    );
+  } else {
+    console.log("\n✅ Every page is within budget");
+  }
+
+  return failures;
+}
+
 /**
  * Main test runner
  */
@@ -442,6 +629,9 @@ async function runPerformanceTests() {
   console.log(
     `📄 Pages to test: ${PAGES_TO_TEST.map((p) => p.path).join(", ")}`,
   );
+  console.log(
+    `🔐 Signed-in pages use ${FIXTURES.transactions.length} fixture transactions`,
+  );
   console.log(`📁 Results directory: ${RESULTS_DIR}\n`);
 
   let browser;
@@ -471,11 +661,13 @@ async function runPerformanceTests() {
         browser,
         fullUrl,
         page.name,
+        page.auth,
       );
       const devtoolsResults = await runDevToolsPerformance(
         browser,
         fullUrl,
         page.name,
+        page.auth,
       );
 
       allResults.push({
@@ -527,6 +719,9 @@ async function runPerformanceTests() {
       console.log(`       ├── devtools-trace-${page.name}.json`);
       console.log(`       └── devtools-metrics-${page.name}.json`);
     }
+    console.log(`   └── budgets.json`);
+
+    const failures = checkResults(allResults);
     console.log("");
 
     // Force close with timeout to prevent hanging
@@ -537,7 +732,7 @@ async function runPerformanceTests() {
       ]).catch(() => {});
     }
 
-    return allResults;
+    return failures;
   } catch (error) {
     console.error("\n❌ Performance test failed:", error.message);
 
@@ -562,7 +757,7 @@ async function runPerformanceTests() {
 }
 
 // Run tests
-runPerformanceTests().then(() => {
+runPerformanceTests().then((failures) => {
   // Force exit - browser processes on WSL2 can keep the event loop alive
-  process.exit(0);
+  process.exit(failures > 0 ? 1 : 0);
 });
@@ -0,0 +1,43 @@
+/**
+ * Roles and the permissions they grant
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import { ROLES, hasPermission, roleLabel } from "../../src/lib/access/roles";
+
+describe("hasPermission", () => {
+  test("owners can do everything", () => {
+    expect(hasPermission("owner", "data:read")).toBe(true);
+    expect(hasPermission("owner", "data:write")).toBe(true);
+    expect(hasPermission("owner", "members:manage")).toBe(true);
+  });
+
+  test("members edit data but not the allowlist", () => {
+    expect(hasPermission("member", "data:write")).toBe(true);
+    expect(hasPermission("member", "members:manage")).toBe(false);
+  });
+
+  test("viewers only read", () => {
+    expect(hasPermission("viewer", "data:read")).toBe(true);
+    expect(hasPermission("viewer", "data:write")).toBe(false);
+  });
+
+  test("no role or an unknown role grants nothing", () => {
+    expect(hasPermission(null, "data:read")).toBe(false);
+    expect(hasPermission(undefined, "data:read")).toBe(false);
+    expect(hasPermission("admin", "data:read")).toBe(false);
+  });
+});
+
+describe("roleLabel", () => {
+  test("labels every role", () => {
+    expect(ROLES.map((item) => roleLabel(item.value))).toEqual([
+      "Owner",
+      "Member",
+      "Viewer",
+    ]);
+  });
+});
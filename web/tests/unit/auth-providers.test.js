@@ -0,0 +1,29 @@
+/**
+ * Which sign-in methods the login page offers
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import { parseAuthProviders } from "../../src/lib/auth/providers";
+
+describe("parseAuthProviders", () => {
+  test("offers Google, plus offline sign-in in development", () => {
+    expect(parseAuthProviders(undefined, { dev: false })).toEqual(["google"]);
+    expect(parseAuthProviders("", { dev: true })).toEqual(["google", "local"]);
+  });
+
+  test("keeps the configured order and drops unknown or repeated ids", () => {
+    expect(
+      parseAuthProviders(" Email, google,github,email ", { dev: false }),
+    ).toEqual(["email", "google"]);
+  });
+
+  test("never offers offline sign-in outside development", () => {
+    expect(parseAuthProviders("local,email", { dev: false })).toEqual([
+      "email",
+    ]);
+    expect(parseAuthProviders("local", { dev: true })).toEqual(["local"]);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Backup format, schema and restore plan
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import Ajv from "ajv";
+import schema from "../../src/lib/backup/backup.schema.json";
+import {
+  BACKUP_VERSION,
+  BackupError,
+  createBackup,
+  parseBackup,
+  planRestore,
+} from "../../src/lib/backup/backup";
+import { exportCsvFiles, formatCsv } from "../../src/lib/backup/csv";
+
+const ajv = new Ajv({
+  allErrors: true,
+  formats: {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    "date-time":
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  },
+});
+const validate = ajv.compile(schema);
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+const LATER = "2025-03-20T08:00:00.000Z";
+
+const wallet = {
+  id: "w1",
+  name: "BCA",
+  type: "bank",
+  currency: "IDR",
+  openingBalance: 1000000,
+  createdAt: STAMP,
+  updatedAt: STAMP,
+};
+
+const transaction = {
+  id: "t1",
+  type: "expense",
+  amount: 25000,
+  date: "2025-03-14",
+  category: "Food",
+  walletId: "w1",
+  note: 'Lunch, "Warung"',
+  tags: ["work", "lunch"],
+  createdAt: STAMP,
+  updatedAt: STAMP,
+};
+
+const transfer = {
+  ...transaction,
+  id: "t2",
+  type: "transfer",
+  category: "Transfer",
+  toWalletId: "w2",
+  note: "",
+  tags: [],
+};
+
+const budget = {
+  id: "b1",
+  walletId: "w1",
+  category: "Food",
+  limit: 1500000,
+  rollover: true,
+  startMonth: "2025-03",
+  createdAt: STAMP,
+  updatedAt: STAMP,
+};
+
+const rate = {
+  id: "r1",
+  from: "USD",
+  to: "IDR",
+  rate: 16250,
+  effectiveDate: "2025-03-01",
+  createdAt: STAMP,
+  updatedAt: STAMP,
+};
+
+// Fresh copy per test, so tests can break records without side effects
+function sampleBackup() {
+  return structuredClone(
+    createBackup(
+      {
+        wallets: [wallet, { ...wallet, id: "w2", name: "Cash", type: "cash" }],
+        transactions: [transaction, transfer],
+        budgets: [budget],
+        exchangeRates: [rate],
+        settings: { activeWalletId: "w1", baseCurrency: "IDR" },
+      },
+      new Date(LATER),
+    ),
+  );
+}
+
+describe("backup schema", () => {
+  test("describes the version the app writes", () => {
+    expect(schema.properties.version.const).toBe(BACKUP_VERSION);
+  });
+
+  test("accepts a backup made by createBackup", () => {
+    const backup = sampleBackup();
+    expect(validate(backup)).toBe(true);
+    expect(backup.data.categories).toEqual(["Food", "Transfer"]);
+  });
+
+  test("rejects records that break the format", () => {
+    const backup = sampleBackup();
+    backup.data.wallets[0].currency = "rupiah";
+    backup.data.transactions[0].amount = -5;
+    delete backup.data.budgets[0].rollover;
+
+    expect(validate(backup)).toBe(false);
+    expect(validate.errors?.map((error) => error.instancePath).sort()).toEqual([
+      "/data/budgets/0",
+      "/data/transactions/0/amount",
+      "/data/wallets/0/currency",
+    ]);
+  });
+
+  test("only allows whole minor units", () => {
+    const backup = sampleBackup();
+    backup.data.transactions[0].amount = 12.5;
+
+    expect(validate(backup)).toBe(false);
+    expect(() => parseBackup(JSON.stringify(backup))).toThrow(
+      new BackupError("transactions[0] has an invalid amount field"),
+    );
+  });
+});
+
+describe("parseBackup", () => {
+  test("round-trips an exported backup", () => {
+    const backup = sampleBackup();
+    expect(parseBackup(JSON.stringify(backup))).toEqual(backup);
+  });
+
+  test("rejects files it cannot restore", () => {
+    const backup = sampleBackup();
+    const cases = [
+      ["not json", "The file is not valid JSON"],
+      [JSON.stringify({ format: "other" }), "The file is not a Kantonq backup"],
+      [
+        JSON.stringify({ ...backup, version: BACKUP_VERSION + 1 }),
+        "The backup was made by a newer version of Kantonq. Update the app and try again.",
+      ],
+      [
+        JSON.stringify({
+          ...backup,
+          data: {
+            ...backup.data,
+            transactions: [{ ...transaction, tags: "x" }],
+          },
+        }),
+        "transactions[0] has an invalid tags field",
+      ],
+    ];
+
+    for (const [text, message] of cases) {
+      expect(() => parseBackup(text)).toThrow(new BackupError(message));
+    }
+  });
+
+  test("upgrades version 1 files to minor units", () => {
+    const usd = {
+      ...wallet,
+      id: "w3",
+      name: "Wise",
+      currency: "USD",
+      openingBalance: 120.5,
+    };
+    const v1 = {
+      format: "kantonq-backup",
+      version: 1,
+      exportedAt: LATER,
+      data: {
+        wallets: [wallet, usd],
+        transactions: [
+          transaction,
+          { ...transaction, id: "t3", walletId: "w3", amount: 3.99 },
+        ],
+        budgets: [{ ...budget, id: "b3", walletId: "w3", limit: 250 }],
+        categories: ["Food"],
+        settings: { activeWalletId: "w3" },
+      },
+    };
+
+    const backup = parseBackup(JSON.stringify(v1));
+
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.data.wallets.map((item) => item.openingBalance)).toEqual([
+      1000000, 12050,
+    ]);
+    expect(backup.data.transactions.map((item) => item.amount)).toEqual([
+      25000, 399,
+    ]);
+    expect(backup.data.budgets[0].limit).toBe(25000);
+    expect(backup.data.exchangeRates).toEqual([]);
+    expect(backup.data.settings).toEqual({
+      activeWalletId: "w3",
+      baseCurrency: "IDR",
+    });
+    expect(validate(backup)).toBe(true);
+  });
+});
+
+describe("planRestore", () => {
+  const local = {
+    wallets: [wallet],
+    transactions: [
+      { ...transaction, note: "Edited later", updatedAt: LATER },
+      { ...transaction, id: "t9", note: "Only on this device" },
+    ],
+    budgets: [
+      { ...budget, limit: 1000000, updatedAt: "2025-02-01T00:00:00.000Z" },
+    ],
+    exchangeRates: [],
+    settings: { activeWalletId: "w1", baseCurrency: "USD" },
+  };
+
+  test("replace makes the data match the backup", () => {
+    const backup = sampleBackup();
+    const plan = planRestore(local, backup, "replace");
+
+    expect(plan.changes.wallets.added.map((item) => item.id)).toEqual(["w2"]);
+    expect(plan.changes.transactions.updated.map((item) => item.id)).toEqual([
+      "t1",
+    ]);
+    expect(plan.changes.transactions.removed.map((item) => item.id)).toEqual([
+      "t9",
+    ]);
+    expect(plan.changes.budgets.updated.map((item) => item.id)).toEqual(["b1"]);
+    expect(plan.result).toEqual({
+      wallets: backup.data.wallets,
+      transactions: backup.data.transactions,
+      budgets: backup.data.budgets,
+      exchangeRates: backup.data.exchangeRates,
+    });
+  });
+
+  test("merge keeps local-only records and the newer copy", () => {
+    const plan = planRestore(local, sampleBackup(), "merge");
+
+    expect(plan.changes.transactions).toMatchObject({
+      removed: [],
+      unchanged: 1,
+    });
+    expect(plan.changes.transactions.added.map((item) => item.id)).toEqual([
+      "t2",
+    ]);
+    expect(plan.changes.budgets.updated.map((item) => item.limit)).toEqual([
+      1500000,
+    ]);
+    expect(
+      plan.result.transactions.map((item) => [item.id, item.note]),
+    ).toEqual([
+      ["t1", "Edited later"],
+      ["t9", "Only on this device"],
+      ["t2", ""],
+    ]);
+    expect(plan.changes.exchangeRates.added).toEqual([rate]);
+    expect(plan.settings).toEqual({
+      activeWalletId: "w1",
+      baseCurrency: "USD",
+    });
+  });
+});
+
+describe("CSV export", () => {
+  test("quotes fields that need it", () => {
+    expect(formatCsv(["a", "b"], [['x,"y"', null]])).toBe(
+      'a,b\r\n"x,""y""",\r\n',
+    );
+  });
+
+  test("writes one file per entity with wallet names and decimal amounts", () => {
+    const files = exportCsvFiles(sampleBackup().data);
+
+    expect(Object.keys(files).sort()).toEqual([
+      "budgets",
+      "categories",
+      "exchangeRates",
+      "transactions",
+      "wallets",
+    ]);
+    expect(files.transactions.split("\r\n")[2]).toBe(
+      "t2,2025-03-14,transfer,25000,IDR,Transfer,BCA,Cash,,IDR,,,,2025-03-01T08:00:00.000Z,2025-03-01T08:00:00.000Z,,",
+    );
+    expect(files.exchangeRates.split("\r\n")[1]).toBe(
+      "r1,USD,IDR,16250,2025-03-01,2025-03-01T08:00:00.000Z,2025-03-01T08:00:00.000Z",
+    );
+    expect(files.categories).toBe("category\r\nFood\r\nTransfer\r\n");
+  });
+});
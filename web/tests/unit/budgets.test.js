@@ -0,0 +1,192 @@
+/**
+ * Budget progress, rollover and validation
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  computeBudgetProgress,
+  shiftMonth,
+  validateBudget,
+} from "../../src/lib/budgets/budgets";
+
+function makeBudget(overrides = {}) {
+  return {
+    id: "b1",
+    walletId: "cash",
+    category: "Food",
+    limit: 1000,
+    rollover: false,
+    startMonth: "2025-01",
+    createdAt: "2025-01-01T00:00:00.000Z",
+    updatedAt: "2025-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+let nextId = 0;
+
+function makeExpense(date, amount, overrides = {}) {
+  nextId += 1;
+  return {
+    id: `t${nextId}`,
+    type: "expense",
+    amount,
+    date,
+    category: "Food",
+    walletId: "cash",
+    createdAt: `${date}T00:00:00.000Z`,
+    updatedAt: `${date}T00:00:00.000Z`,
+    ...overrides,
+  };
+}
+
+describe("computeBudgetProgress", () => {
+  test("counts expenses from the first to the last day of the month", () => {
+    const items = [
+      makeExpense("2025-01-31", 100),
+      makeExpense("2025-02-01", 200),
+      makeExpense("2025-02-28", 300),
+      makeExpense("2025-03-01", 400),
+    ];
+
+    const progress = computeBudgetProgress(makeBudget(), items, "2025-02");
+
+    expect(progress.spent).toBe(500);
+    expect(progress.available).toBe(1000);
+    expect(progress.remaining).toBe(500);
+  });
+
+  test("follows financial months that start mid-month", () => {
+    const items = [
+      makeExpense("2025-02-24", 100),
+      makeExpense("2025-02-25", 200),
+      makeExpense("2025-03-24", 300),
+      makeExpense("2025-03-25", 400),
+    ];
+
+    const progress = computeBudgetProgress(makeBudget(), items, "2025-02", 25);
+
+    expect(progress.spent).toBe(500);
+  });
+
+  test("ignores income, other wallets and other categories", () => {
+    const items = [
+      makeExpense("2025-02-10", 100, { category: "food" }),
+      makeExpense("2025-02-10", 200, { type: "income" }),
+      makeExpense("2025-02-10", 300, { walletId: "bank" }),
+      makeExpense("2025-02-10", 400, { category: "Transport" }),
+    ];
+
+    expect(computeBudgetProgress(makeBudget(), items, "2025-02").spent).toBe(
+      100,
+    );
+  });
+
+  test("has nothing available before its first month", () => {
+    const budget = makeBudget({ startMonth: "2025-03", rollover: true });
+    const items = [makeExpense("2025-02-10", 100)];
+
+    const progress = computeBudgetProgress(budget, items, "2025-02");
+
+    expect(progress.available).toBe(0);
+    expect(progress.carriedOver).toBe(0);
+    expect(progress.status).toBe("over");
+  });
+
+  test("carries unspent amounts into the following months", () => {
+    const budget = makeBudget({ rollover: true });
+    const items = [
+      makeExpense("2025-01-10", 700),
+      makeExpense("2025-02-10", 900),
+    ];
+
+    expect(computeBudgetProgress(budget, items, "2025-02")).toMatchObject({
+      carriedOver: 300,
+      available: 1300,
+      remaining: 400,
+    });
+    expect(computeBudgetProgress(budget, items, "2025-03")).toMatchObject({
+      carriedOver: 400,
+      available: 1400,
+    });
+  });
+
+  test("uses up the carried amount on overspending without going below the limit", () => {
+    const budget = makeBudget({ rollover: true });
+    const items = [
+      makeExpense("2025-01-10", 500),
+      makeExpense("2025-02-10", 2000),
+    ];
+
+    expect(computeBudgetProgress(budget, items, "2025-02").remaining).toBe(
+      -500,
+    );
+    expect(computeBudgetProgress(budget, items, "2025-03")).toMatchObject({
+      carriedOver: 0,
+      available: 1000,
+    });
+  });
+
+  test("carries nothing when rollover is off", () => {
+    const items = [makeExpense("2025-01-10", 100)];
+
+    expect(
+      computeBudgetProgress(makeBudget(), items, "2025-02").carriedOver,
+    ).toBe(0);
+  });
+
+  test("warns from 80% of the available amount and is over past it", () => {
+    const status = (spent) =>
+      computeBudgetProgress(
+        makeBudget(),
+        spent ? [makeExpense("2025-02-10", spent)] : [],
+        "2025-02",
+      ).status;
+
+    expect(status(0)).toBe("ok");
+    expect(status(799)).toBe("ok");
+    expect(status(800)).toBe("warning");
+    expect(status(1000)).toBe("warning");
+    expect(status(1001)).toBe("over");
+  });
+});
+
+describe("shiftMonth", () => {
+  test("moves across year boundaries", () => {
+    expect(shiftMonth("2025-12", 1)).toBe("2026-01");
+    expect(shiftMonth("2025-01", -1)).toBe("2024-12");
+  });
+});
+
+describe("validateBudget", () => {
+  test("accepts a complete budget", () => {
+    expect(validateBudget(makeBudget())).toEqual({});
+  });
+
+  test("reports a missing category, a zero limit and a bad month", () => {
+    const errors = validateBudget(
+      makeBudget({ category: " ", limit: 0, startMonth: "2025-1" }),
+    );
+
+    expect(Object.keys(errors).sort()).toEqual([
+      "category",
+      "limit",
+      "startMonth",
+    ]);
+  });
+
+  test("allows one budget per category and wallet", () => {
+    const existing = [makeBudget()];
+
+    expect(
+      validateBudget(makeBudget({ category: "food" }), existing).category,
+    ).toBeDefined();
+    expect(validateBudget(makeBudget(), existing, "b1")).toEqual({});
+    expect(validateBudget(makeBudget({ walletId: "bank" }), existing)).toEqual(
+      {},
+    );
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Command palette search and quick-add syntax
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  createSearchIndex,
+  fuzzyScore,
+  normalizeSearchText,
+} from "../../src/lib/palette/search";
+import { isQuickAdd, parseQuickAdd } from "../../src/lib/palette/quick-add";
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+
+function wallet(id, name, currency = "IDR") {
+  return {
+    id,
+    name,
+    type: "cash",
+    currency,
+    openingBalance: 0,
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  };
+}
+
+const WALLETS = [
+  wallet("cash", "Cash"),
+  wallet("bca", "BCA Savings"),
+  wallet("bni", "BNI Payroll"),
+  wallet("usd", "Travel card", "USD"),
+];
+
+const CONTEXT = {
+  wallets: WALLETS,
+  defaultWalletId: "bca",
+  categories: ["Food", "Transport"],
+  today: "2025-03-01",
+};
+
+describe("fuzzyScore", () => {
+  test("finds words as is or as scattered characters", () => {
+    expect(fuzzyScore("lunch", "team lunch")).toBeGreaterThan(0);
+    expect(fuzzyScore("tml", "team lunch")).toBeGreaterThan(0);
+    expect(fuzzyScore("xyz", "team lunch")).toBe(-1);
+  });
+
+  test("ranks a word found as is above scattered characters", () => {
+    expect(fuzzyScore("food", "food court")).toBeGreaterThan(
+      fuzzyScore("food", "fresh orange oat drink"),
+    );
+  });
+
+  test("ranks the start of a word above the middle", () => {
+    expect(fuzzyScore("cash", "cash wallet")).toBeGreaterThan(
+      fuzzyScore("cash", "paycash"),
+    );
+  });
+});
+
+describe("normalizeSearchText", () => {
+  test("ignores case and accents", () => {
+    expect(normalizeSearchText("Café DÉJÀ")).toBe("cafe deja");
+  });
+});
+
+describe("createSearchIndex", () => {
+  const entries = [
+    { id: 1, text: "Lunch with team #food 25000" },
+    { id: 2, text: "Grab to office #transport 18000" },
+    { id: 3, text: "Dinner #food 120000" },
+    { id: 4, text: "Salary March 15000000" },
+  ];
+  const ids = (matches) => matches.map((match) => match.value.id);
+
+  test("requires every word of the query", () => {
+    const index = createSearchIndex(entries, (entry) => entry.text);
+    expect(ids(index.search("#food"))).toEqual([1, 3]);
+    expect(ids(index.search("food dinner"))).toEqual([3]);
+  });
+
+  test("finds transactions by amount", () => {
+    const index = createSearchIndex(entries, (entry) => entry.text);
+    expect(ids(index.search("18000"))).toEqual([2]);
+  });
+
+  test("returns the first entries for an empty query", () => {
+    const index = createSearchIndex(entries, (entry) => entry.text);
+    expect(ids(index.search("  ", 2))).toEqual([1, 2]);
+  });
+
+  test("narrows a longer query down from the previous results", () => {
+    const index = createSearchIndex(entries, (entry) => entry.text);
+    index.search("d");
+    index.search("di");
+    expect(ids(index.search("din"))).toEqual([3]);
+    // A different query searches everything again
+    expect(ids(index.search("salary"))).toEqual([4]);
+  });
+
+  test("keeps the best matches within the limit", () => {
+    const many = Array.from({ length: 50000 }, (_, id) => ({
+      id,
+      text: `Expense ${id} #misc`,
+    }));
+    many.push({ id: "best", text: "groceries" });
+    const index = createSearchIndex(many, (entry) => entry.text);
+
+    const matches = index.search("groceries", 5);
+    expect(matches[0].value.id).toBe("best");
+    expect(matches).toHaveLength(1);
+    expect(index.search("misc", 20)).toHaveLength(20);
+  });
+});
+
+describe("isQuickAdd", () => {
+  test("is a line that starts with an amount", () => {
+    expect(isQuickAdd("-25000 lunch")).toBe(true);
+    expect(isQuickAdd("+1000000 salary")).toBe(true);
+    expect(isQuickAdd("120 coffee")).toBe(true);
+    expect(isQuickAdd("lunch 25000")).toBe(false);
+  });
+});
+
+describe("parseQuickAdd", () => {
+  test("records an expense from the example line", () => {
+    expect(parseQuickAdd("-25000 lunch #food @cash", CONTEXT)).toEqual({
+      wallet: WALLETS[0],
+      input: {
+        type: "expense",
+        amount: 25000,
+        date: "2025-03-01",
+        category: "Food",
+        walletId: "cash",
+        note: "lunch",
+        tags: [],
+      },
+    });
+  });
+
+  test("records income and extra tags, in the active wallet", () => {
+    const result = parseQuickAdd("+15.000.000 march salary #salary #work", {
+      ...CONTEXT,
+      categories: [],
+    });
+    expect(result.wallet.id).toBe("bca");
+    expect(result.input).toMatchObject({
+      type: "income",
+      amount: 15000000,
+      category: "salary",
+      note: "march salary",
+      tags: ["work"],
+    });
+  });
+
+  test("converts decimals to the wallet's minor units", () => {
+    const result = parseQuickAdd("12.50 taxi #transport @travel", CONTEXT);
+    expect(result.input.amount).toBe(1250);
+    expect(result.input.walletId).toBe("usd");
+  });
+
+  test("matches a wallet by the start of its name", () => {
+    expect(parseQuickAdd("-5000 #food @bca", CONTEXT).wallet.id).toBe("bca");
+  });
+
+  test("explains what is missing", () => {
+    expect(parseQuickAdd("-25000 lunch", CONTEXT)).toEqual({
+      error: "Add a category with #, e.g. #food",
+    });
+    expect(parseQuickAdd("-25000 #food @b", CONTEXT)).toEqual({
+      error: "@b matches more than one wallet",
+    });
+    expect(parseQuickAdd("-25000 #food @dana", CONTEXT)).toEqual({
+      error: "No wallet is called @dana",
+    });
+    expect(parseQuickAdd("-0 #food", CONTEXT)).toEqual({
+      error: "Start with an amount, e.g. -25000",
+    });
+    expect(parseQuickAdd("-25000 #food", { ...CONTEXT, wallets: [] })).toEqual({
+      error: "Add a wallet first",
+    });
+  });
+
+  test("leaves searches alone", () => {
+    expect(parseQuickAdd("lunch", CONTEXT)).toBeNull();
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Replaying the sync queue while changes keep coming in
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { beforeEach, describe, expect, mock, test } from "bun:test";
+import { get } from "svelte/store";
+import * as realApi from "../../src/lib/services/api";
+import * as realDb from "../../src/lib/services/db";
+
+// The sync queue, kept in memory instead of IndexedDB
+const records = new Map();
+const clone = (value) => structuredClone(value);
+
+mock.module("$lib/services/db", () => ({
+  ...realDb,
+  getAll: async () => [...records.values()].map(clone),
+  put: async (_store, value) => {
+    records.set(value.id, clone(value));
+  },
+  updateMany: async (_store, ids, change) => {
+    const next = change(ids.map((id) => clone(records.get(id))));
+    ids.forEach((id, index) => {
+      if (next[index] === null) {
+        records.delete(id);
+      } else {
+        records.set(id, clone(next[index]));
+      }
+    });
+  },
+}));
+
+// Each request waits until the test lets it through
+const sent = [];
+let arrive = () => {};
+
+function request(method) {
+  return (path, body) => {
+    sent.push({ method, path, body: clone(body) });
+    return new Promise((resolve) => {
+      arrive = () => resolve(body);
+    });
+  };
+}
+
+mock.module("$lib/services/api", () => ({
+  ...realApi,
+  api: { ...realApi.api, put: request("PUT"), delete: request("DELETE") },
+}));
+
+// Wallets load settings, which need the browser
+mock.module("$lib/stores/wallets", () => ({ wallets: {} }));
+
+const { sync } = await import("../../src/lib/stores/sync");
+const { replayQueue } = await import("../../src/lib/services/household-sync");
+const { operationId } = await import("../../src/lib/sync/queue");
+
+const CREATED = "2025-03-01T08:00:00.000Z";
+const EDITED = "2025-03-01T09:00:00.000Z";
+
+function operation(overrides = {}, transaction = {}) {
+  return {
+    id: operationId("household-1", "wallet-1", "tx-1"),
+    householdId: "household-1",
+    walletId: "wallet-1",
+    type: "put",
+    transaction: {
+      id: "tx-1",
+      type: "expense",
+      amount: 25000,
+      date: "2025-03-01",
+      category: "Food",
+      walletId: "wallet-1",
+      note: "Lunch",
+      tags: [],
+      createdAt: CREATED,
+      updatedAt: CREATED,
+      ...transaction,
+    },
+    baseVersion: null,
+    queuedAt: CREATED,
+    ...overrides,
+  };
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  records.clear();
+  sent.length = 0;
+});
+
+describe("replayQueue", () => {
+  test("sends an edit made while the change before it was being sent", async () => {
+    await sync.enqueue([operation()]);
+    const replay = replayQueue();
+    await settle();
+    expect(sent).toHaveLength(1);
+
+    // The user edits the transaction while the API has not answered
+    await sync.enqueue([operation({}, { amount: 30000, updatedAt: EDITED })]);
+    const again = replayQueue();
+    arrive();
+    await settle();
+
+    // The edit survived and went out on top of the version just sent
+    expect(sent).toHaveLength(2);
+    expect(sent[1].body.transactions[0].amount).toBe(30000);
+    expect(sent[1].body.baseVersions).toEqual({ "tx-1": CREATED });
+
+    arrive();
+    await Promise.all([replay, again]);
+    expect(records.size).toBe(0);
+    expect(get(sync).queue).toEqual([]);
+  });
+
+  test("sends a delete made while the transaction was being created", async () => {
+    await sync.enqueue([operation()]);
+    const replay = replayQueue();
+    await settle();
+
+    await sync.enqueue([operation({ type: "remove" })]);
+    const again = replayQueue();
+    arrive();
+    await settle();
+
+    expect(sent.map((item) => item.method)).toEqual(["PUT", "DELETE"]);
+    expect(sent[1].path).toEndWith(
+      `/tx-1?baseVersion=${encodeURIComponent(CREATED)}`,
+    );
+
+    arrive();
+    await Promise.all([replay, again]);
+    expect(records.size).toBe(0);
+  });
+});
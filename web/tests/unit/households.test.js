@@ -0,0 +1,137 @@
+/**
+ * Shared wallets, household members and who recorded what
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  canEditWallet,
+  householdPeople,
+  invitationUrl,
+  recordedBy,
+  shareFor,
+  sharedWallets,
+  walletPermission,
+} from "../../src/lib/households/households";
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+
+function member(email, name = null, role = "member") {
+  return { email, name, role, invitedBy: null, joinedAt: name ? STAMP : null };
+}
+
+function shared(walletId, permission) {
+  return {
+    walletId,
+    wallet: {
+      name: walletId,
+      type: "bank",
+      currency: "IDR",
+      openingBalance: 0,
+    },
+    sharedBy: "ana@example.com",
+    sharedAt: STAMP,
+    permission,
+    permissions: {},
+  };
+}
+
+const HOUSEHOLDS = [
+  {
+    id: "home",
+    name: "Home",
+    createdAt: STAMP,
+    role: "owner",
+    members: [
+      member("ana@example.com", "Ana", "owner"),
+      member("budi@example.com"),
+    ],
+    wallets: [shared("groceries", "editor"), shared("rent", "viewer")],
+    links: [],
+  },
+  {
+    id: "trip",
+    name: "Trip",
+    createdAt: STAMP,
+    role: "member",
+    members: [member("budi@example.com", "Budi"), member("ana@example.com")],
+    wallets: [shared("fuel", "owner")],
+    links: [],
+  },
+];
+
+const SHARES = sharedWallets(HOUSEHOLDS);
+
+describe("sharedWallets", () => {
+  test("finds the household of every shared wallet", () => {
+    expect([...SHARES.keys()]).toEqual(["groceries", "rent", "fuel"]);
+    expect(SHARES.get("fuel").householdId).toBe("trip");
+  });
+});
+
+describe("walletPermission", () => {
+  test("uses the user's access to shared wallets", () => {
+    expect(walletPermission(SHARES, "groceries")).toBe("editor");
+    expect(walletPermission(SHARES, "rent")).toBe("viewer");
+  });
+
+  test("wallets nobody shared belong to the user", () => {
+    expect(walletPermission(SHARES, "savings")).toBe("owner");
+  });
+
+  test("only viewers cannot edit", () => {
+    expect(canEditWallet("owner")).toBe(true);
+    expect(canEditWallet("editor")).toBe(true);
+    expect(canEditWallet("viewer")).toBe(false);
+  });
+});
+
+describe("shareFor", () => {
+  test("matches the wallet a transaction leaves first", () => {
+    expect(
+      shareFor(SHARES, { walletId: "groceries", toWalletId: "fuel" })
+        .householdId,
+    ).toBe("home");
+  });
+
+  test("falls back to the wallet a transfer reaches", () => {
+    expect(
+      shareFor(SHARES, { walletId: "savings", toWalletId: "fuel" }).householdId,
+    ).toBe("trip");
+  });
+
+  test("ignores transactions outside shared wallets", () => {
+    expect(shareFor(SHARES, { walletId: "savings" })).toBeUndefined();
+  });
+});
+
+describe("householdPeople", () => {
+  test("names everyone once, preferring a known name", () => {
+    expect([...householdPeople(HOUSEHOLDS)]).toEqual([
+      ["ana@example.com", "Ana"],
+      ["budi@example.com", "Budi"],
+    ]);
+  });
+});
+
+describe("recordedBy", () => {
+  test("uses who created the transaction", () => {
+    expect(
+      recordedBy({ createdBy: "budi@example.com" }, "ana@example.com"),
+    ).toBe("budi@example.com");
+  });
+
+  test("treats older transactions as the user's own", () => {
+    expect(recordedBy({}, "ana@example.com")).toBe("ana@example.com");
+  });
+});
+
+describe("invitationUrl", () => {
+  test("links to the join page with the token", () => {
+    expect(invitationUrl("https://kantonq.app", "a b")).toBe(
+      "https://kantonq.app/join?token=a%20b",
+    );
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Bank statement import parsers
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  detectDelimiter,
+  guessCsvMapping,
+  mapCsvRows,
+  parseCsv,
+  UNMAPPED,
+} from "../../src/lib/import/csv";
+import { parseOfx } from "../../src/lib/import/ofx";
+import { parseQif } from "../../src/lib/import/qif";
+import { detectStatementFormat } from "../../src/lib/import/statement";
+import { parseAmount, parseDate } from "../../src/lib/import/values";
+import {
+  createCategoryDetector,
+  createDuplicateFinder,
+} from "../../src/lib/import/matching";
+
+const DOT_DECIMAL = { decimalSeparator: ".", thousandsSeparator: "," };
+const COMMA_DECIMAL = {
+  decimalSeparator: ",",
+  thousandsSeparator: ".",
+};
+
+describe("parseDate", () => {
+  test("reads each part order", () => {
+    expect(parseDate("2025-03-14", "YMD")).toBe("2025-03-14");
+    expect(parseDate("14/03/2025", "DMY")).toBe("2025-03-14");
+    expect(parseDate("03/14/2025", "MDY")).toBe("2025-03-14");
+    expect(parseDate("20250314", "YMD")).toBe("2025-03-14");
+  });
+
+  test("accepts two-digit years, month names and trailing times", () => {
+    expect(parseDate("3/14'25", "MDY")).toBe("2025-03-14");
+    expect(parseDate("14 Mar 2025", "DMY")).toBe("2025-03-14");
+    expect(parseDate("14 Des 2025", "DMY")).toBe("2025-12-14");
+    expect(parseDate("2025-03-14 08:30:00", "YMD")).toBe("2025-03-14");
+  });
+
+  test("rejects impossible dates", () => {
+    expect(parseDate("31/02/2025", "DMY")).toBeNull();
+    expect(parseDate("14/03/2025", "MDY")).toBeNull();
+    expect(parseDate("yesterday", "DMY")).toBeNull();
+  });
+});
+
+describe("parseAmount", () => {
+  test("handles decimal and thousands separators", () => {
+    expect(parseAmount("1,234.56", DOT_DECIMAL)).toBe(1234.56);
+    expect(parseAmount("1.234,56", COMMA_DECIMAL)).toBe(1234.56);
+    expect(parseAmount("Rp 1.500.000", COMMA_DECIMAL)).toBe(1500000);
+    expect(
+      parseAmount("1 234,5", {
+        decimalSeparator: ",",
+        thousandsSeparator: " ",
+      }),
+    ).toBe(1234.5);
+  });
+
+  test("reads negative notations", () => {
+    expect(parseAmount("-25.00", DOT_DECIMAL)).toBe(-25);
+    expect(parseAmount("(25.00)", DOT_DECIMAL)).toBe(-25);
+    expect(parseAmount("25.00-", DOT_DECIMAL)).toBe(-25);
+    expect(parseAmount("25,000.00 DB", DOT_DECIMAL)).toBe(-25000);
+    expect(parseAmount("25,000.00 CR", DOT_DECIMAL)).toBe(25000);
+  });
+
+  test("rejects text that is not a number", () => {
+    expect(parseAmount("", DOT_DECIMAL)).toBeNull();
+    expect(parseAmount("n/a", DOT_DECIMAL)).toBeNull();
+    expect(parseAmount("1.2.3", DOT_DECIMAL)).toBeNull();
+  });
+});
+
+describe("CSV", () => {
+  test("detects the delimiter", () => {
+    expect(detectDelimiter("a;b;c\n1;2;3")).toBe(";");
+    expect(detectDelimiter("a\tb\n1\t2")).toBe("\t");
+    expect(detectDelimiter('"a;b",c,d')).toBe(",");
+  });
+
+  test("splits quoted fields with delimiters, quotes and line breaks", () => {
+    const text =
+      '\uFEFFDate,Note\r\n2025-01-02,"Lunch, ""Warung""\nBu Sri"\r\n';
+    expect(parseCsv(text)).toEqual([
+      ["Date", "Note"],
+      ["2025-01-02", 'Lunch, "Warung"\nBu Sri'],
+    ]);
+  });
+
+  test("guesses a header mapping with debit and credit columns", () => {
+    const records = parseCsv(
+      [
+        "Tanggal;Keterangan;Debit;Kredit;Saldo",
+        "14/03/2025;GOFOOD;25.000,00;;975.000,00",
+        "15/03/2025;GAJI;;5.000.000,00;5.975.000,00",
+      ].join("\n"),
+    );
+    const mapping = guessCsvMapping(records);
+
+    expect(mapping).toMatchObject({
+      hasHeader: true,
+      dateColumn: 0,
+      dateOrder: "DMY",
+      descriptionColumn: 1,
+      amountColumn: UNMAPPED,
+      debitColumn: 2,
+      creditColumn: 3,
+      decimalSeparator: ",",
+      thousandsSeparator: ".",
+    });
+    expect(mapCsvRows(records, mapping)).toEqual({
+      rows: [
+        { line: 2, date: "2025-03-14", amount: -25000, description: "GOFOOD" },
+        { line: 3, date: "2025-03-15", amount: 5000000, description: "GAJI" },
+      ],
+      errors: [],
+    });
+  });
+
+  test("guesses a headerless mapping from the content", () => {
+    const records = parseCsv(
+      "2025-03-14,Coffee,-3.50\n2025-03-15,Refund,10.00",
+    );
+    const mapping = guessCsvMapping(records);
+
+    expect(mapping).toMatchObject({
+      hasHeader: false,
+      dateColumn: 0,
+      dateOrder: "YMD",
+      descriptionColumn: 1,
+      amountColumn: 2,
+      decimalSeparator: ".",
+    });
+    expect(mapCsvRows(records, mapping).rows.map((row) => row.amount)).toEqual([
+      -3.5, 10,
+    ]);
+  });
+
+  test("reports rows it cannot read", () => {
+    const records = parseCsv(
+      "Date,Description,Amount\nsoon,Coffee,-3\n2025-03-15,Tea,abc\n2025-03-16,Zero,0\n,,\n",
+    );
+    const result = mapCsvRows(records, guessCsvMapping(records));
+
+    expect(result.rows).toEqual([]);
+    expect(result.errors).toEqual([
+      { line: 2, message: "Date could not be read" },
+      { line: 3, message: "Amount could not be read" },
+      { line: 4, message: "Amount is zero" },
+    ]);
+  });
+});
+
+describe("OFX", () => {
+  test("reads SGML statements without closing tags", () => {
+    const text = [
+      "OFXHEADER:100",
+      "DATA:OFXSGML",
+      "",
+      "<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>",
+      "<STMTTRN>",
+      "<TRNTYPE>DEBIT",
+      "<DTPOSTED>20250314120000[+7:WIB]",
+      "<TRNAMT>-25000.00",
+      "<FITID>A1",
+      "<NAME>GOFOOD &amp; CO",
+      "<STMTTRN>",
+      "<TRNTYPE>CREDIT",
+      "<DTPOSTED>20250315",
+      "<TRNAMT>5000000,00",
+      "<FITID>A2",
+      "<MEMO>Salary March",
+      "</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>",
+    ].join("\n");
+
+    expect(parseOfx(text)).toEqual({
+      rows: [
+        {
+          line: 5,
+          date: "2025-03-14",
+          amount: -25000,
+          description: "GOFOOD & CO",
+          reference: "A1",
+        },
+        {
+          line: 11,
+          date: "2025-03-15",
+          amount: 5000000,
+          description: "Salary March",
+          reference: "A2",
+        },
+      ],
+      errors: [],
+    });
+  });
+
+  test("reads XML statements and combines name and memo", () => {
+    const text =
+      '<?xml version="1.0"?><?OFX OFXHEADER="200"?><OFX><STMTTRN><DTPOSTED>20250101</DTPOSTED>' +
+      "<TRNAMT>-10.5</TRNAMT><NAME>Cafe</NAME><MEMO>Card 1234</MEMO></STMTTRN></OFX>";
+
+    expect(parseOfx(text).rows).toEqual([
+      {
+        line: 1,
+        date: "2025-01-01",
+        amount: -10.5,
+        description: "Cafe Card 1234",
+        reference: undefined,
+      },
+    ]);
+  });
+
+  test("rejects files that are not OFX", () => {
+    expect(parseOfx("Date,Amount").errors).toEqual([
+      { line: 1, message: "Not an OFX file" },
+    ]);
+  });
+});
+
+describe("QIF", () => {
+  const text = [
+    "!Type:Bank",
+    "D3/14'25",
+    "T-25,000.00",
+    "PGoFood",
+    "MLunch",
+    "LFood:Delivery",
+    "^",
+    "D3/15'25",
+    "U5,000,000.00",
+    "PSalary",
+    "L[Savings]",
+    "N1001",
+    "^",
+    "!Type:Invst",
+    "D3/16'25",
+    "T100",
+    "^",
+  ].join("\n");
+
+  test("reads bank transactions and skips other sections", () => {
+    expect(parseQif(text)).toEqual({
+      rows: [
+        {
+          line: 2,
+          date: "2025-03-14",
+          amount: -25000,
+          description: "GoFood Lunch",
+          category: "Food",
+          reference: undefined,
+        },
+        {
+          line: 8,
+          date: "2025-03-15",
+          amount: 5000000,
+          description: "Salary",
+          category: undefined,
+          reference: "1001",
+        },
+      ],
+      errors: [],
+    });
+  });
+
+  test("uses the given date order", () => {
+    const result = parseQif("!Type:Cash\nD14/03/2025\nT-1\n^", "DMY");
+    expect(result.rows[0]?.date).toBe("2025-03-14");
+    expect(parseQif("!Type:Cash\nD14/03/2025\nT-1\n^", "MDY").errors).toEqual([
+      { line: 2, message: "Date could not be read" },
+    ]);
+  });
+});
+
+describe("detectStatementFormat", () => {
+  test("uses the extension, then the content", () => {
+    expect(detectStatementFormat("march.QFX", "")).toBe("ofx");
+    expect(detectStatementFormat("march.qif", "")).toBe("qif");
+    expect(detectStatementFormat("export", "OFXHEADER:100\n<OFX>")).toBe("ofx");
+    expect(detectStatementFormat("export", "!Type:Bank\nD1/1/25")).toBe("qif");
+    expect(detectStatementFormat("export.txt", "date;amount")).toBe("csv");
+    expect(detectStatementFormat("photo.png", "\x89PNG")).toBeNull();
+  });
+});
+
+describe("matching", () => {
+  const ledger = [
+    {
+      id: "1",
+      date: "2025-03-14",
+      amount: -25000,
+      note: "GOFOOD Warung Bu Sri",
+      category: "Food",
+    },
+    {
+      id: "2",
+      date: "2025-03-10",
+      amount: -150000,
+      note: "PLN token listrik",
+      category: "Utilities",
+    },
+    { id: "3", date: "2025-03-12", amount: -50000, note: "", category: "Misc" },
+  ];
+
+  test("detects categories from similar notes", () => {
+    const detect = createCategoryDetector(ledger);
+    expect(detect("gofood warung bu sri")).toBe("Food");
+    expect(detect("GOFOOD 8812 Nasi Padang")).toBe("Food");
+    expect(detect("TOKEN LISTRIK 12345")).toBe("Utilities");
+    expect(detect("Unknown merchant")).toBeNull();
+  });
+
+  test("flags rows with the same date, amount and a similar description", () => {
+    const find = createDuplicateFinder(ledger);
+    expect(
+      find({
+        date: "2025-03-14",
+        amount: -25000,
+        description: "GOFOOD WARUNG",
+      }),
+    ).toMatchObject({ id: "1" });
+    expect(
+      find({ date: "2025-03-14", amount: -25000, description: "Parking" }),
+    ).toBeNull();
+    expect(
+      find({
+        date: "2025-03-15",
+        amount: -25000,
+        description: "GOFOOD WARUNG",
+      }),
+    ).toBeNull();
+    expect(
+      find({
+        date: "2025-03-12",
+        amount: -50000,
+        description: "ATM withdrawal",
+      }),
+    ).toMatchObject({ id: "3" });
+  });
+});
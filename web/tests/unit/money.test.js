@@ -0,0 +1,215 @@
+/**
+ * Money in minor units, formatting and exchange-rate conversion
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  CurrencyMismatchError,
+  formatMoney,
+  fromMinor,
+  minorDigits,
+  roundHalfAwayFromZero,
+  sumMoney,
+  toMinor,
+} from "../../src/lib/money/money";
+import {
+  MissingRateError,
+  convertMoney,
+  findRate,
+  totalInCurrency,
+} from "../../src/lib/money/exchange";
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+
+function rate(
+  from,
+  to,
+  value,
+  effectiveDate,
+  id = `${from}-${to}-${effectiveDate}`,
+) {
+  return {
+    id,
+    from,
+    to,
+    rate: value,
+    effectiveDate,
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  };
+}
+
+describe("minor units", () => {
+  test("use each currency's everyday digits", () => {
+    expect(minorDigits("IDR")).toBe(0);
+    expect(minorDigits("USD")).toBe(2);
+    expect(minorDigits("JPY")).toBe(0);
+    expect(minorDigits("KWD")).toBe(3);
+    expect(minorDigits("usd")).toBe(2);
+  });
+
+  test("round halves away from zero despite binary error", () => {
+    expect(roundHalfAwayFromZero(2.5)).toBe(3);
+    expect(roundHalfAwayFromZero(-2.5)).toBe(-3);
+    expect(roundHalfAwayFromZero(2.4999)).toBe(2);
+    expect(toMinor(1.005, "USD")).toBe(101);
+    expect(toMinor(-1.005, "USD")).toBe(-101);
+    expect(toMinor(0.1 + 0.2, "USD")).toBe(30);
+    expect(toMinor(25000.5, "IDR")).toBe(25001);
+  });
+
+  test("convert back for form inputs", () => {
+    expect(fromMinor(1999, "USD")).toBe(19.99);
+    expect(fromMinor(150000, "IDR")).toBe(150000);
+    expect(fromMinor(toMinor(12.34, "USD"), "USD")).toBe(12.34);
+  });
+
+  test("sum exactly and refuse mixed currencies", () => {
+    const dimes = Array.from({ length: 10 }, () => ({
+      amount: toMinor(0.1, "USD"),
+      currency: "USD",
+    }));
+    expect(sumMoney(dimes, "USD")).toEqual({ amount: 100, currency: "USD" });
+    expect(() => sumMoney([{ amount: 1, currency: "IDR" }], "USD")).toThrow(
+      CurrencyMismatchError,
+    );
+  });
+});
+
+describe("formatMoney", () => {
+  test("formats rupiah without decimals", () => {
+    expect(formatMoney(150000, "IDR", "id-ID")).toBe("Rp\u00a0150.000");
+    expect(formatMoney(-25000, "IDR", "id-ID")).toBe("-Rp\u00a025.000");
+  });
+
+  test("formats other currencies with their digits", () => {
+    expect(formatMoney(1999, "USD", "en-US")).toBe("$19.99");
+    expect(formatMoney(500, "JPY", "en-US")).toBe("¥500");
+    expect(formatMoney(100, "USD", "en-US")).toBe("$1.00");
+  });
+});
+
+describe("findRate", () => {
+  const rates = [
+    rate("USD", "IDR", 15500, "2025-01-01"),
+    rate("USD", "IDR", 16250, "2025-03-01"),
+    rate("IDR", "SGD", 0.000083, "2025-01-01"),
+  ];
+
+  test("picks the newest rate in effect on the date", () => {
+    expect(findRate(rates, "USD", "IDR", "2025-02-28")?.rate).toBe(15500);
+    expect(findRate(rates, "USD", "IDR", "2025-03-01")?.rate).toBe(16250);
+    expect(findRate(rates, "USD", "IDR", "2024-12-31")).toBeNull();
+  });
+
+  test("inverts a pair entered the other way round", () => {
+    expect(findRate(rates, "IDR", "USD", "2025-03-10")?.rate).toBeCloseTo(
+      1 / 16250,
+      12,
+    );
+  });
+
+  test("prefers the more recently effective direction", () => {
+    const both = [...rates, rate("IDR", "USD", 0.00007, "2025-02-01")];
+    expect(findRate(both, "USD", "IDR", "2025-02-15")?.rate).toBeCloseTo(
+      1 / 0.00007,
+      6,
+    );
+    expect(findRate(both, "USD", "IDR", "2025-03-15")?.rate).toBe(16250);
+  });
+
+  test("goes through a shared currency when there is no direct rate", () => {
+    const resolved = findRate(rates, "USD", "SGD", "2025-03-10");
+    expect(resolved?.rate).toBeCloseTo(16250 * 0.000083, 12);
+    expect(resolved?.via.map((item) => item.id)).toEqual([
+      "USD-IDR-2025-03-01",
+      "IDR-SGD-2025-01-01",
+    ]);
+  });
+});
+
+describe("convertMoney", () => {
+  const rates = [rate("USD", "IDR", 16250.5, "2025-03-01")];
+
+  test("scales between currencies with different digits", () => {
+    expect(
+      convertMoney(
+        { amount: 1999, currency: "USD" },
+        "IDR",
+        rates,
+        "2025-03-02",
+      ),
+    ).toEqual({ amount: 324847, currency: "IDR" });
+    expect(
+      convertMoney(
+        { amount: 16250500, currency: "IDR" },
+        "USD",
+        rates,
+        "2025-03-02",
+      ),
+    ).toEqual({ amount: 100000, currency: "USD" });
+  });
+
+  test("leaves amounts already in the currency alone", () => {
+    const money = { amount: 5, currency: "IDR" };
+    expect(convertMoney(money, "IDR", [], "2025-03-02")).toBe(money);
+  });
+
+  test("throws when no rate applies", () => {
+    expect(() =>
+      convertMoney(
+        { amount: 100, currency: "EUR" },
+        "IDR",
+        rates,
+        "2025-03-02",
+      ),
+    ).toThrow(new MissingRateError("EUR", "IDR", "2025-03-02"));
+  });
+});
+
+describe("totalInCurrency", () => {
+  const rates = [
+    rate("USD", "IDR", 16250.5, "2025-01-01"),
+    rate("USD", "IDR", 16400, "2025-03-01"),
+  ];
+
+  test("uses each item's own date and reports missing currencies", () => {
+    const result = totalInCurrency(
+      [
+        { amount: 100000, currency: "IDR" },
+        { amount: 100, currency: "USD", date: "2025-02-10" },
+        { amount: 100, currency: "USD", date: "2025-03-10" },
+        { amount: 100, currency: "EUR" },
+      ],
+      "IDR",
+      rates,
+      "2025-03-10",
+    );
+
+    expect(result).toEqual({
+      total: { amount: 100000 + 16251 + 16400, currency: "IDR" },
+      missing: ["EUR"],
+    });
+  });
+
+  test("does not drift with the order or number of items", () => {
+    const items = Array.from({ length: 1000 }, (_, index) => ({
+      amount: 1 + (index % 7),
+      currency: "USD",
+    }));
+    const forward = totalInCurrency(items, "IDR", rates, "2025-03-10");
+    const backward = totalInCurrency(
+      [...items].reverse(),
+      "IDR",
+      rates,
+      "2025-03-10",
+    );
+    const cents = items.reduce((sum, item) => sum + item.amount, 0);
+
+    expect(forward).toEqual(backward);
+    expect(forward.total.amount).toBe(roundHalfAwayFromZero(cents * 164));
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Route registry matching: sidebar sections and breadcrumbs
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  breadcrumbsFor,
+  findRoute,
+  navTree,
+  normalizePath,
+} from "../../src/lib/navigation/match";
+
+const ROUTES = [
+  { id: "dashboard", title: "Dashboard", path: "/dashboard", nav: "main" },
+  {
+    id: "transactions",
+    title: "Transactions",
+    path: "/transactions",
+    nav: "main",
+  },
+  { id: "settings", title: "Settings", nav: "main" },
+  {
+    id: "rates",
+    title: "Exchange rates",
+    path: "/exchange-rates",
+    parent: "settings",
+    nav: "main",
+  },
+  {
+    id: "members",
+    title: "Members",
+    path: "/members",
+    parent: "settings",
+    nav: "main",
+    permission: "manage-members",
+  },
+  {
+    id: "import",
+    title: "Import",
+    path: "/import",
+    parent: "transactions",
+    nav: "tools",
+  },
+  { id: "hidden", title: "Hidden", path: "/hidden", parent: "dashboard" },
+];
+
+function summarize(items) {
+  return items.map((item) => ({
+    id: item.route.id,
+    isActive: item.isActive,
+    children: summarize(item.children),
+  }));
+}
+
+describe("normalizePath", () => {
+  test("drops trailing slashes and .html", () => {
+    expect(normalizePath("/transactions/")).toBe("/transactions");
+    expect(normalizePath("/transactions.html")).toBe("/transactions");
+    expect(normalizePath("/")).toBe("/");
+    expect(normalizePath("")).toBe("/");
+  });
+});
+
+describe("findRoute", () => {
+  test("matches paths loosely and skips groups", () => {
+    expect(findRoute(ROUTES, "/exchange-rates/")?.id).toBe("rates");
+    expect(findRoute(ROUTES, "/settings")).toBeUndefined();
+  });
+});
+
+describe("navTree", () => {
+  test("nests children under groups and marks the active trail", () => {
+    expect(summarize(navTree(ROUTES, "main", "/exchange-rates"))).toEqual([
+      { id: "dashboard", isActive: false, children: [] },
+      { id: "transactions", isActive: false, children: [] },
+      {
+        id: "settings",
+        isActive: true,
+        children: [
+          { id: "rates", isActive: true, children: [] },
+          { id: "members", isActive: false, children: [] },
+        ],
+      },
+    ]);
+  });
+
+  test("lists a child at the top when its parent is in another section", () => {
+    expect(summarize(navTree(ROUTES, "tools", "/import"))).toEqual([
+      { id: "import", isActive: true, children: [] },
+    ]);
+    // The parent page is active while on a page below it
+    const main = navTree(ROUTES, "main", "/import");
+    expect(main.find((item) => item.route.id === "transactions").isActive).toBe(
+      true,
+    );
+  });
+
+  test("hides routes the user lacks permission for, and emptied groups", () => {
+    const readOnly = ROUTES.filter((route) => route.id !== "rates");
+    expect(
+      summarize(navTree(readOnly, "main", "/dashboard", () => false)),
+    ).toEqual([
+      { id: "dashboard", isActive: true, children: [] },
+      { id: "transactions", isActive: false, children: [] },
+    ]);
+  });
+});
+
+describe("breadcrumbsFor", () => {
+  test("starts at home and links every crumb but the last", () => {
+    expect(breadcrumbsFor(ROUTES, "/exchange-rates", "dashboard")).toEqual([
+      { title: "Dashboard", href: "/dashboard" },
+      { title: "Settings", href: undefined },
+      { title: "Exchange rates", href: undefined },
+    ]);
+    expect(breadcrumbsFor(ROUTES, "/import", "dashboard")).toEqual([
+      { title: "Dashboard", href: "/dashboard" },
+      { title: "Transactions", href: "/transactions" },
+      { title: "Import", href: undefined },
+    ]);
+  });
+
+  test("does not repeat the home route", () => {
+    expect(breadcrumbsFor(ROUTES, "/dashboard", "dashboard")).toEqual([
+      { title: "Dashboard", href: undefined },
+    ]);
+    expect(breadcrumbsFor(ROUTES, "/hidden", "dashboard")).toEqual([
+      { title: "Dashboard", href: "/dashboard" },
+      { title: "Hidden", href: undefined },
+    ]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Bill reminders, low balance and budget notifications
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  buildNotifications,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+} from "../../src/lib/notifications/notifications";
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+const TODAY = "2025-03-10";
+
+const WALLETS = [
+  {
+    id: "cash",
+    name: "Cash",
+    type: "cash",
+    currency: "IDR",
+    openingBalance: 0,
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  },
+  {
+    id: "bank",
+    name: "Bank",
+    type: "bank",
+    currency: "IDR",
+    openingBalance: 0,
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  },
+];
+
+function bill(id, name, date, occurrence = null) {
+  return {
+    recurring: {
+      id,
+      name,
+      rule: { frequency: "monthly", interval: 1, startDate: "2025-01-01" },
+      template: {
+        type: "expense",
+        amount: 150000,
+        category: "Bills",
+        walletId: "bank",
+        note: "",
+        tags: [],
+      },
+      createdAt: STAMP,
+      updatedAt: STAMP,
+    },
+    date,
+    occurrence,
+  };
+}
+
+function progress(id, category, status, spent, available) {
+  return {
+    budget: {
+      id,
+      walletId: "cash",
+      category,
+      limit: available,
+      rollover: false,
+      startMonth: "2025-01",
+      createdAt: STAMP,
+      updatedAt: STAMP,
+    },
+    carriedOver: 0,
+    available,
+    spent,
+    remaining: available - spent,
+    ratio: spent / available,
+    status,
+  };
+}
+
+function sources(overrides = {}) {
+  return {
+    bills: [],
+    wallets: WALLETS,
+    balances: new Map([
+      ["cash", 50000],
+      ["bank", 2000000],
+    ]),
+    budgets: [],
+    preferences: DEFAULT_NOTIFICATION_PREFERENCES,
+    today: TODAY,
+    ...overrides,
+  };
+}
+
+describe("buildNotifications", () => {
+  test("reminds of bills due soon and flags overdue ones", () => {
+    const items = buildNotifications(
+      sources({
+        bills: [
+          bill("internet", "Internet", "2025-03-08", { id: "o1" }),
+          bill("power", "Electricity", "2025-03-11"),
+          bill("rent", "Rent", "2025-03-20"),
+        ],
+      }),
+    );
+
+    expect(items.map((item) => [item.id, item.severity, item.title])).toEqual([
+      ["bill:internet:2025-03-08", "critical", "Internet is 2 days overdue"],
+      ["bill:power:2025-03-11", "info", "Electricity is due tomorrow"],
+    ]);
+  });
+
+  test("flags wallets under their threshold or below zero", () => {
+    const items = buildNotifications(
+      sources({
+        balances: new Map([
+          ["cash", 50000],
+          ["bank", -10000],
+        ]),
+        preferences: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES,
+          lowBalance: { cash: 100000 },
+        },
+      }),
+    );
+
+    expect(items.map((item) => [item.id, item.title])).toEqual([
+      ["low-balance:bank:negative", "Bank is overdrawn"],
+      ["low-balance:cash:low", "Cash is running low"],
+    ]);
+  });
+
+  test("alerts on budgets nearly or fully spent this month", () => {
+    const items = buildNotifications(
+      sources({
+        budgets: [
+          progress("food", "Food", "warning", 85000, 100000),
+          progress("fun", "Fun", "over", 120000, 100000),
+          progress("travel", "Travel", "ok", 10000, 100000),
+        ],
+      }),
+    );
+
+    expect(items.map((item) => [item.id, item.title])).toEqual([
+      ["budget:fun:2025-03:over", "Fun budget is over"],
+      ["budget:food:2025-03:warning", "Food budget is 85% spent"],
+    ]);
+  });
+
+  test("leaves out the types the user turned off", () => {
+    const items = buildNotifications(
+      sources({
+        bills: [bill("power", "Electricity", TODAY)],
+        budgets: [progress("fun", "Fun", "over", 120000, 100000)],
+        preferences: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES,
+          types: { bill: false, "low-balance": true, budget: true },
+        },
+      }),
+    );
+
+    expect(items.map((item) => item.type)).toEqual(["budget"]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Performance budgets and baseline comparison
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  budgetFor,
+  checkBudget,
+  compareToBaseline,
+  extractMetrics,
+  formatDelta,
+  formatMetric,
+} from "../performance-budgets.js";
+
+const LHR = {
+  categories: {
+    performance: { score: 0.87 },
+    accessibility: { score: 1 },
+    "best-practices": { score: 0.96 },
+    seo: { score: 0.9 },
+  },
+  audits: {
+    "largest-contentful-paint": { numericValue: 2710.4 },
+    "total-blocking-time": { numericValue: 120.6 },
+    "cumulative-layout-shift": { numericValue: 0.01234 },
+    "resource-summary": {
+      details: {
+        items: [
+          { resourceType: "total", transferSize: 600000 },
+          { resourceType: "script", transferSize: 350000 },
+        ],
+      },
+    },
+  },
+};
+
+const CONFIG = {
+  default: {
+    performance: 90,
+    seo: 80,
+    lcp: 2500,
+    cls: 0.1,
+    bundleBytes: 300000,
+  },
+  pages: { "/dashboard": { performance: 80, bundleBytes: 400000 } },
+};
+
+describe("extractMetrics", () => {
+  test("reads scores, vitals and script bytes from Lighthouse", () => {
+    expect(extractMetrics(LHR)).toEqual({
+      performance: 87,
+      accessibility: 100,
+      "best-practices": 96,
+      seo: 90,
+      lcp: 2710,
+      tbt: 121,
+      cls: 0.012,
+      bundleBytes: 350000,
+    });
+  });
+
+  test("leaves out audits Lighthouse did not run", () => {
+    expect(
+      extractMetrics({ categories: { seo: { score: 1 } }, audits: {} }),
+    ).toEqual({ seo: 100 });
+  });
+});
+
+describe("checkBudget", () => {
+  const metrics = extractMetrics(LHR);
+
+  test("reports scores below and metrics above their budget", () => {
+    expect(checkBudget(metrics, budgetFor(CONFIG, "/login"))).toEqual([
+      { metric: "performance", actual: 87, limit: 90 },
+      { metric: "lcp", actual: 2710, limit: 2500 },
+      { metric: "bundleBytes", actual: 350000, limit: 300000 },
+    ]);
+  });
+
+  test("applies a page's own budget over the defaults", () => {
+    expect(checkBudget(metrics, budgetFor(CONFIG, "/dashboard"))).toEqual([
+      { metric: "lcp", actual: 2710, limit: 2500 },
+    ]);
+  });
+});
+
+describe("compareToBaseline", () => {
+  const baseline = { performance: 95, lcp: 2600, cls: 0.002, seo: 90 };
+  const rows = compareToBaseline(extractMetrics(LHR), baseline, {
+    performance: 5,
+    lcp: 250,
+    cls: 0.02,
+  });
+
+  test("signs deltas so that positive is better", () => {
+    expect(rows.map((row) => [row.metric, row.delta])).toEqual([
+      ["performance", -8],
+      ["seo", 0],
+      ["lcp", -110],
+      ["cls", -0.01],
+    ]);
+  });
+
+  test("flags metrics worse than the baseline by more than the threshold", () => {
+    expect(
+      rows.filter((row) => row.regressed).map((row) => row.metric),
+    ).toEqual(["performance"]);
+  });
+
+  test("compares nothing without a baseline", () => {
+    expect(compareToBaseline(extractMetrics(LHR), undefined)).toEqual([]);
+  });
+});
+
+describe("formatting", () => {
+  test("uses each metric's unit", () => {
+    expect(formatMetric("lcp", 2710)).toBe("2.71s");
+    expect(formatMetric("tbt", 121)).toBe("121ms");
+    expect(formatMetric("bundleBytes", 350000)).toBe("342 KB");
+    expect(formatMetric("performance", 87)).toBe("87");
+  });
+
+  test("signs deltas", () => {
+    expect(formatDelta("lcp", -110)).toBe("-110ms");
+    expect(formatDelta("performance", 3)).toBe("+3");
+    expect(formatDelta("cls", 0)).toBe("±0");
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Recurrence rules and the dates they produce
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  addDays,
+  describeRule,
+  occurrencesThrough,
+  validateRule,
+} from "../../src/lib/recurring/schedule";
+
+const NEVER = { type: "never" };
+
+function rule(overrides) {
+  return {
+    frequency: "monthly",
+    interval: 1,
+    startDate: "2025-01-31",
+    end: NEVER,
+    ...overrides,
+  };
+}
+
+describe("occurrencesThrough", () => {
+  test("repeats every N days", () => {
+    expect(
+      occurrencesThrough(
+        rule({ frequency: "daily", interval: 3, startDate: "2025-02-25" }),
+        "2025-03-06",
+      ),
+    ).toEqual(["2025-02-25", "2025-02-28", "2025-03-03", "2025-03-06"]);
+  });
+
+  test("repeats on chosen weekdays every N weeks", () => {
+    // 2025-03-05 is a Wednesday; Monday of that week is before the start
+    expect(
+      occurrencesThrough(
+        rule({
+          frequency: "weekly",
+          interval: 2,
+          startDate: "2025-03-05",
+          weekdays: [1, 5],
+        }),
+        "2025-03-31",
+      ),
+    ).toEqual(["2025-03-07", "2025-03-17", "2025-03-21", "2025-03-31"]);
+  });
+
+  test("clamps the day of the month to short months", () => {
+    expect(occurrencesThrough(rule({}), "2025-05-31")).toEqual([
+      "2025-01-31",
+      "2025-02-28",
+      "2025-03-31",
+      "2025-04-30",
+      "2025-05-31",
+    ]);
+  });
+
+  test("skips a month day that falls before the start", () => {
+    expect(
+      occurrencesThrough(
+        rule({ startDate: "2025-01-20", monthDay: 5 }),
+        "2025-03-31",
+      ),
+    ).toEqual(["2025-02-05", "2025-03-05"]);
+  });
+
+  test("finds the last business day of the month", () => {
+    // May 2025 ends on a Saturday, August 2025 on a Sunday
+    expect(
+      occurrencesThrough(
+        rule({ startDate: "2025-05-01", monthDay: "last-business-day" }),
+        "2025-08-31",
+      ),
+    ).toEqual(["2025-05-30", "2025-06-30", "2025-07-31", "2025-08-29"]);
+  });
+
+  test("keeps leap days on February 28th in other years", () => {
+    expect(
+      occurrencesThrough(
+        rule({ frequency: "yearly", startDate: "2024-02-29" }),
+        "2028-12-31",
+      ),
+    ).toEqual([
+      "2024-02-29",
+      "2025-02-28",
+      "2026-02-28",
+      "2027-02-28",
+      "2028-02-29",
+    ]);
+  });
+
+  test("stops at an end date or after a number of occurrences", () => {
+    expect(
+      occurrencesThrough(
+        rule({
+          startDate: "2025-01-15",
+          end: { type: "until", date: "2025-03-14" },
+        }),
+        "2025-12-31",
+      ),
+    ).toEqual(["2025-01-15", "2025-02-15"]);
+    expect(
+      occurrencesThrough(
+        rule({ startDate: "2025-01-15", end: { type: "count", count: 3 } }),
+        "2025-12-31",
+      ),
+    ).toEqual(["2025-01-15", "2025-02-15", "2025-03-15"]);
+  });
+
+  test("counts occurrences from the start when a window is given", () => {
+    const limited = rule({
+      startDate: "2025-01-15",
+      end: { type: "count", count: 3 },
+    });
+    expect(occurrencesThrough(limited, "2025-12-31", "2025-03-01")).toEqual([
+      "2025-03-15",
+    ]);
+  });
+
+  test("returns nothing before the start date", () => {
+    expect(occurrencesThrough(rule({}), "2025-01-30")).toEqual([]);
+  });
+
+  test("is stable across calls", () => {
+    const daily = rule({ frequency: "daily", startDate: "2025-01-01" });
+    expect(occurrencesThrough(daily, "2025-12-31")).toEqual(
+      occurrencesThrough(daily, "2025-12-31"),
+    );
+    expect(occurrencesThrough(daily, "2025-12-31")).toHaveLength(365);
+  });
+});
+
+describe("validateRule", () => {
+  test("accepts a valid rule", () => {
+    expect(validateRule(rule({}))).toEqual({});
+  });
+
+  test("reports each invalid field", () => {
+    expect(
+      validateRule(
+        rule({
+          interval: 0,
+          startDate: "2025-02-30",
+          end: { type: "count", count: 0 },
+        }),
+      ),
+    ).toEqual({
+      interval: "Repeat at least every 1",
+      startDate: "Enter a valid date",
+      end: "Repeat at least once",
+    });
+    expect(
+      validateRule(rule({ end: { type: "until", date: "2025-01-01" } })).end,
+    ).toBe("End date can't be before the start date");
+    expect(
+      validateRule(rule({ frequency: "weekly", weekdays: [] })).weekdays,
+    ).toBe("Choose at least one day");
+  });
+});
+
+describe("helpers", () => {
+  test("addDays crosses months and years", () => {
+    expect(addDays("2024-12-31", 1)).toBe("2025-01-01");
+    expect(addDays("2025-03-01", -1)).toBe("2025-02-28");
+  });
+
+  test("describeRule summarises the schedule", () => {
+    expect(describeRule(rule({}))).toBe("Every month on day 31");
+    expect(
+      describeRule(
+        rule({
+          frequency: "weekly",
+          interval: 2,
+          weekdays: [4, 1],
+          end: { type: "count", count: 6 },
+        }),
+      ),
+    ).toBe("Every 2 weeks on Mon, Thu, 6 times");
+    expect(describeRule(rule({ monthDay: "last-business-day" }))).toBe(
+      "Every month on the last business day",
+    );
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Dashboard overview figures, axis scales and drill-down links
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  OTHER_CATEGORY,
+  buildOverview,
+  monthsInRange,
+  topCategories,
+} from "../../src/lib/reports/overview";
+import { drillDownHref, niceScale } from "../../src/lib/reports/chart";
+
+const STAMP = "2025-03-01T08:00:00.000Z";
+
+function wallet(id, currency, openingBalance = 0) {
+  return {
+    id,
+    name: id,
+    type: "bank",
+    currency,
+    openingBalance,
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  };
+}
+
+let nextId = 0;
+function transaction(fields) {
+  return {
+    id: `tx-${++nextId}`,
+    category: "",
+    note: "",
+    tags: [],
+    createdAt: STAMP,
+    updatedAt: STAMP,
+    ...fields,
+  };
+}
+
+const RATES = [
+  {
+    id: "USD-IDR",
+    from: "USD",
+    to: "IDR",
+    rate: 16000,
+    effectiveDate: "2025-01-01",
+    createdAt: STAMP,
+    updatedAt: STAMP,
+  },
+];
+
+const WALLETS = [wallet("cash", "IDR", 1000000), wallet("usd", "USD", 10000)];
+
+const TRANSACTIONS = [
+  transaction({
+    type: "income",
+    amount: 5000000,
+    date: "2025-01-25",
+    category: "Salary",
+    walletId: "cash",
+  }),
+  transaction({
+    type: "expense",
+    amount: 300000,
+    date: "2025-02-03",
+    category: "Food",
+    walletId: "cash",
+  }),
+  // 20.00 USD
+  transaction({
+    type: "expense",
+    amount: 2000,
+    date: "2025-02-10",
+    category: "Food",
+    walletId: "usd",
+  }),
+  transaction({
+    type: "expense",
+    amount: 100000,
+    date: "2025-03-01",
+    category: "Transport",
+    walletId: "cash",
+  }),
+  // 1,600,000 IDR becomes 101.00 USD, a little more than the rate
+  transaction({
+    type: "transfer",
+    amount: 1600000,
+    toAmount: 10100,
+    date: "2025-03-02",
+    walletId: "cash",
+    toWalletId: "usd",
+  }),
+];
+
+const RANGE = { from: "2025-01-15", to: "2025-03-10" };
+
+describe("monthsInRange", () => {
+  test("lists every month the range touches", () => {
+    expect(monthsInRange(RANGE)).toEqual(["2025-01", "2025-02", "2025-03"]);
+  });
+
+  test("crosses year boundaries", () => {
+    expect(monthsInRange({ from: "2024-11-30", to: "2025-01-01" })).toEqual([
+      "2024-11",
+      "2024-12",
+      "2025-01",
+    ]);
+  });
+});
+
+describe("buildOverview", () => {
+  const overview = buildOverview({
+    wallets: WALLETS,
+    transactions: TRANSACTIONS,
+    rates: RATES,
+    currency: "IDR",
+    range: RANGE,
+  });
+
+  test("sums income and expenses per month in the base currency", () => {
+    expect(overview.cashFlow).toEqual([
+      {
+        month: "2025-01",
+        range: { from: "2025-01-15", to: "2025-01-31" },
+        income: 5000000,
+        expenses: 0,
+      },
+      {
+        month: "2025-02",
+        range: { from: "2025-02-01", to: "2025-02-28" },
+        income: 0,
+        expenses: 620000,
+      },
+      {
+        month: "2025-03",
+        range: { from: "2025-03-01", to: "2025-03-10" },
+        income: 0,
+        expenses: 100000,
+      },
+    ]);
+  });
+
+  test("ranks spending per category with its share", () => {
+    expect(overview.categories).toEqual([
+      { category: "Food", amount: 620000, share: 620000 / 720000 },
+      { category: "Transport", amount: 100000, share: 100000 / 720000 },
+    ]);
+  });
+
+  test("tracks net worth including transfers between currencies", () => {
+    // Opening: 1,000,000 IDR + 100.00 USD = 2,600,000 IDR
+    expect(overview.netWorth).toEqual([
+      { month: "2025-01", date: "2025-01-31", balance: 7600000 },
+      { month: "2025-02", date: "2025-02-28", balance: 6980000 },
+      // The transfer gains 1.00 USD (16,000 IDR) at the table rate
+      { month: "2025-03", date: "2025-03-10", balance: 6896000 },
+    ]);
+    expect(overview.missing).toEqual([]);
+  });
+
+  test("counts transactions before the range in the balance only", () => {
+    const result = buildOverview({
+      wallets: WALLETS,
+      transactions: TRANSACTIONS,
+      rates: RATES,
+      currency: "IDR",
+      range: { from: "2025-03-01", to: "2025-03-31" },
+    });
+    expect(result.cashFlow[0].income).toBe(0);
+    expect(result.netWorth).toEqual([
+      { month: "2025-03", date: "2025-03-31", balance: 6896000 },
+    ]);
+  });
+
+  test("reports currencies without a rate and leaves them out", () => {
+    const result = buildOverview({
+      wallets: WALLETS,
+      transactions: TRANSACTIONS,
+      rates: [],
+      currency: "IDR",
+      range: RANGE,
+    });
+    expect(result.missing).toEqual(["USD"]);
+    expect(result.cashFlow[1].expenses).toBe(300000);
+    expect(result.netWorth[0].balance).toBe(6000000);
+  });
+
+  test("narrows cash flow and spending but not net worth", () => {
+    const result = buildOverview({
+      wallets: WALLETS,
+      transactions: TRANSACTIONS,
+      rates: RATES,
+      currency: "IDR",
+      range: RANGE,
+      include: (item) => item.category === "Food",
+    });
+    expect(result.cashFlow.map((month) => month.expenses)).toEqual([
+      0, 620000, 0,
+    ]);
+    expect(result.categories.map((item) => item.category)).toEqual(["Food"]);
+    expect(result.netWorth).toEqual(overview.netWorth);
+  });
+});
+
+describe("topCategories", () => {
+  const categories = [
+    { category: "Rent", amount: 500, share: 0.5 },
+    { category: "Food", amount: 300, share: 0.3 },
+    { category: "Fun", amount: 150, share: 0.15 },
+    { category: "Books", amount: 50, share: 0.05 },
+  ];
+
+  test("keeps short lists as they are", () => {
+    expect(topCategories(categories, 4)).toBe(categories);
+  });
+
+  test("folds the smallest categories into Other", () => {
+    const result = topCategories(categories, 3);
+    expect(result.map((item) => item.category)).toEqual([
+      "Rent",
+      "Food",
+      OTHER_CATEGORY,
+    ]);
+    expect(result[2].amount).toBe(200);
+    expect(result[2].share).toBeCloseTo(0.2);
+  });
+});
+
+describe("niceScale", () => {
+  test("rounds out to whole steps and includes zero", () => {
+    expect(niceScale([120, 870])).toEqual({
+      min: 0,
+      max: 1000,
+      ticks: [0, 250, 500, 750, 1000],
+    });
+  });
+
+  test("spans negative values", () => {
+    const scale = niceScale([-30, 45]);
+    expect(scale.min).toBe(-40);
+    expect(scale.max).toBe(60);
+    expect(scale.ticks).toContain(0);
+  });
+
+  test("falls back to a unit scale with no data", () => {
+    expect(niceScale([])).toEqual({ min: 0, max: 1, ticks: [0, 1] });
+  });
+});
+
+describe("drillDownHref", () => {
+  test("links to every wallet with the chart's filters", () => {
+    expect(
+      drillDownHref({
+        from: "2025-02-01",
+        to: "2025-02-28",
+        type: "expense",
+        category: "Food & drink",
+      }),
+    ).toBe(
+      "/transactions?wallet=all&type=expense&category=Food+%26+drink&from=2025-02-01&to=2025-02-28",
+    );
+  });
+
+  test("leaves out empty filters", () => {
+    expect(drillDownHref({ to: "2025-03-31" })).toBe(
+      "/transactions?wallet=all&to=2025-03-31",
+    );
+  });
+});
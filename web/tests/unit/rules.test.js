@@ -0,0 +1,324 @@
+/**
+ * Categorization rules
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  createRuleEngine,
+  describeAction,
+  describeCondition,
+  previewRule,
+  splitAmount,
+  suggestRule,
+  validateRule,
+} from "../../src/lib/rules/rules";
+
+const CURRENCIES = { cash: "IDR", bank: "IDR", card: "USD" };
+const CONTEXT = { currencyOf: (walletId) => CURRENCIES[walletId] ?? "IDR" };
+
+function makeInput(overrides = {}) {
+  return {
+    type: "expense",
+    amount: 50000,
+    // A Wednesday
+    date: "2025-03-05",
+    category: "Other",
+    walletId: "cash",
+    note: "STARBUCKS #1234 JAKARTA",
+    tags: [],
+    ...overrides,
+  };
+}
+
+function makeRule(overrides = {}) {
+  return {
+    id: "r1",
+    name: "Coffee",
+    enabled: true,
+    conditions: [
+      { type: "description", operator: "contains", value: "starbucks" },
+    ],
+    actions: [{ type: "category", category: "Food" }],
+    stopProcessing: false,
+    order: 0,
+    createdAt: "2025-01-01T00:00:00.000Z",
+    updatedAt: "2025-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("createRuleEngine", () => {
+  test("matches notes by words, ignoring case and punctuation", () => {
+    const run = createRuleEngine([makeRule()], CONTEXT);
+
+    const outcome = run(makeInput());
+
+    expect(outcome.matched).toEqual(["r1"]);
+    expect(outcome.inputs).toEqual([makeInput({ category: "Food" })]);
+    expect(run(makeInput({ note: "Grab ride" })).matched).toEqual([]);
+  });
+
+  test("matches regular expressions case-insensitively", () => {
+    const rule = makeRule({
+      conditions: [
+        { type: "description", operator: "regex", value: "^starbucks\\s#\\d+" },
+      ],
+    });
+    const run = createRuleEngine([rule], CONTEXT);
+
+    expect(run(makeInput({ note: "Starbucks #9 Bandung" })).matched).toEqual([
+      "r1",
+    ]);
+    expect(run(makeInput({ note: "Paid Starbucks #9" })).matched).toEqual([]);
+  });
+
+  test("reads amount ranges in the wallet's currency", () => {
+    const rule = makeRule({
+      conditions: [{ type: "amount", min: 10, max: 20 }],
+    });
+    const run = createRuleEngine([rule], CONTEXT);
+
+    // USD has cents, IDR has none
+    expect(run(makeInput({ walletId: "card", amount: 1500 })).matched).toEqual([
+      "r1",
+    ]);
+    expect(run(makeInput({ walletId: "cash", amount: 1500 })).matched).toEqual(
+      [],
+    );
+    expect(run(makeInput({ walletId: "cash", amount: 20 })).matched).toEqual([
+      "r1",
+    ]);
+  });
+
+  test("requires every condition, including wallet and weekday", () => {
+    const rule = makeRule({
+      conditions: [
+        { type: "wallet", walletId: "cash" },
+        { type: "weekday", days: [3] },
+      ],
+    });
+    const run = createRuleEngine([rule], CONTEXT);
+
+    expect(run(makeInput()).matched).toEqual(["r1"]);
+    expect(run(makeInput({ date: "2025-03-06" })).matched).toEqual([]);
+    expect(run(makeInput({ walletId: "bank" })).matched).toEqual([]);
+  });
+
+  test("runs rules in order, each seeing the changes before it", () => {
+    const rules = [
+      makeRule({
+        id: "second",
+        order: 1,
+        conditions: [
+          { type: "description", operator: "regex", value: "starbucks" },
+        ],
+        actions: [{ type: "tags", tags: ["coffee", "work"] }],
+      }),
+      makeRule({
+        id: "first",
+        order: 0,
+        actions: [
+          { type: "payee", payee: "Starbucks" },
+          { type: "tags", tags: ["coffee"] },
+        ],
+      }),
+    ];
+    const run = createRuleEngine(rules, CONTEXT);
+
+    const outcome = run(makeInput({ tags: ["work"] }));
+
+    expect(outcome.matched).toEqual(["first", "second"]);
+    expect(outcome.inputs[0].payee).toBe("Starbucks");
+    expect(outcome.inputs[0].tags).toEqual(["work", "coffee"]);
+  });
+
+  test("stops after a matching rule that says so and skips disabled ones", () => {
+    const rules = [
+      makeRule({ id: "off", enabled: false }),
+      makeRule({ id: "stop", order: 1, stopProcessing: true }),
+      makeRule({ id: "never", order: 2 }),
+    ];
+
+    expect(createRuleEngine(rules, CONTEXT)(makeInput()).matched).toEqual([
+      "stop",
+    ]);
+  });
+
+  test("turns expenses and income into transfers between same-currency wallets", () => {
+    const transfer = [{ type: "transfer", walletId: "bank" }];
+    const run = createRuleEngine([makeRule({ actions: transfer })], CONTEXT);
+
+    expect(run(makeInput()).inputs[0]).toMatchObject({
+      type: "transfer",
+      category: "Transfer",
+      walletId: "cash",
+      toWalletId: "bank",
+    });
+    expect(run(makeInput({ type: "income" })).inputs[0]).toMatchObject({
+      type: "transfer",
+      walletId: "bank",
+      toWalletId: "cash",
+    });
+
+    const toCard = [{ type: "transfer", walletId: "card" }];
+    const skipped = createRuleEngine([makeRule({ actions: toCard })], CONTEXT);
+    expect(skipped(makeInput()).inputs[0].type).toBe("expense");
+  });
+
+  test("splits by percentage after the other actions", () => {
+    const rule = makeRule({
+      actions: [
+        {
+          type: "split",
+          parts: [
+            { category: "Food", percent: 70 },
+            { category: "Work", percent: 30 },
+          ],
+        },
+        { type: "payee", payee: "Starbucks" },
+      ],
+    });
+
+    const { inputs } = createRuleEngine(
+      [rule],
+      CONTEXT,
+    )(makeInput({ amount: 50001 }));
+
+    expect(inputs.map((item) => [item.category, item.amount])).toEqual([
+      ["Food", 35001],
+      ["Work", 15000],
+    ]);
+    expect(inputs.every((item) => item.payee === "Starbucks")).toBe(true);
+  });
+});
+
+describe("splitAmount", () => {
+  test("gives the rounding remainder to the largest fractions", () => {
+    expect(splitAmount(100, [33.3, 33.3, 33.4])).toEqual([33, 33, 34]);
+    expect(splitAmount(10, [50, 50])).toEqual([5, 5]);
+    expect(splitAmount(1, [50, 50])).toEqual([1, 0]);
+  });
+});
+
+describe("validateRule", () => {
+  test("accepts a complete rule", () => {
+    expect(validateRule(makeRule())).toEqual({});
+  });
+
+  test("reports missing parts and broken conditions", () => {
+    const errors = validateRule(
+      makeRule({
+        name: " ",
+        conditions: [
+          { type: "description", operator: "regex", value: "(unclosed" },
+        ],
+        actions: [],
+      }),
+    );
+
+    expect(errors.name).toBeDefined();
+    expect(errors.conditions).toContain("Condition 1");
+    expect(errors.actions).toBeDefined();
+  });
+
+  test("checks amount bounds and split shares", () => {
+    expect(
+      validateRule(
+        makeRule({ conditions: [{ type: "amount", min: 20, max: 10 }] }),
+      ).conditions,
+    ).toBeDefined();
+    expect(
+      validateRule(
+        makeRule({
+          actions: [
+            {
+              type: "split",
+              parts: [
+                { category: "Food", percent: 60 },
+                { category: "Work", percent: 30 },
+              ],
+            },
+          ],
+        }),
+      ).actions,
+    ).toContain("100%");
+  });
+});
+
+describe("previewRule", () => {
+  test("lists the existing transactions a rule would change", () => {
+    const items = [
+      { ...makeInput(), id: "t1" },
+      { ...makeInput({ category: "Food" }), id: "t2" },
+      { ...makeInput({ note: "Grab ride" }), id: "t3" },
+    ];
+
+    const previews = previewRule(makeRule({ enabled: false }), items, CONTEXT);
+
+    expect(previews.map((item) => item.transaction.id)).toEqual(["t1"]);
+    expect(previews[0].inputs[0].category).toBe("Food");
+  });
+});
+
+describe("suggestRule", () => {
+  test("learns a rule from a changed category, payee and tags", () => {
+    const before = makeInput();
+    const after = makeInput({
+      category: "Food",
+      payee: "Starbucks",
+      tags: ["coffee"],
+    });
+
+    expect(suggestRule(before, after)).toEqual({
+      name: 'Notes containing "starbucks"',
+      enabled: true,
+      conditions: [
+        { type: "description", operator: "contains", value: "starbucks" },
+      ],
+      actions: [
+        { type: "category", category: "Food" },
+        { type: "payee", payee: "Starbucks" },
+        { type: "tags", tags: ["coffee"] },
+      ],
+      stopProcessing: false,
+    });
+  });
+
+  test("learns transfers from an expense edited into one", () => {
+    const after = makeInput({
+      type: "transfer",
+      category: "Transfer",
+      toWalletId: "bank",
+    });
+
+    expect(suggestRule(makeInput(), after)?.actions).toEqual([
+      { type: "transfer", walletId: "bank" },
+    ]);
+  });
+
+  test("suggests nothing without a telling note or a change", () => {
+    expect(suggestRule(makeInput(), makeInput())).toBeNull();
+    expect(
+      suggestRule(makeInput({ note: "12 x" }), makeInput({ category: "Food" })),
+    ).toBeNull();
+  });
+});
+
+describe("describeCondition and describeAction", () => {
+  test("say what a rule does in words", () => {
+    const walletName = (id) => (id === "bank" ? "Bank" : "Unknown");
+
+    expect(
+      describeCondition({ type: "weekday", days: [6, 1] }, walletName),
+    ).toBe("on Mon, Sat");
+    expect(
+      describeCondition({ type: "amount", min: null, max: 20 }, walletName),
+    ).toBe("amount at most 20");
+    expect(
+      describeAction({ type: "transfer", walletId: "bank" }, walletName),
+    ).toBe("transfer with Bank");
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Account settings, financial months and signed-in devices
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  DEFAULT_SETTINGS,
+  financialMonthOf,
+  financialMonthRange,
+  parseSettings,
+  validateSettings,
+} from "../../src/lib/settings/settings";
+import { describeDevice, sortSessions } from "../../src/lib/auth/sessions";
+
+describe("parseSettings", () => {
+  test("falls back to the defaults for anything missing", () => {
+    expect(parseSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(parseSettings({ baseCurrency: "USD" })).toEqual({
+      ...DEFAULT_SETTINGS,
+      baseCurrency: "USD",
+    });
+  });
+
+  test("drops fields that are no longer valid", () => {
+    const settings = parseSettings({
+      baseCurrency: "dollars",
+      locale: "not a locale!",
+      weekStart: 9,
+      monthStartDay: 31,
+      defaultWalletId: "",
+      theme: "sepia",
+    });
+
+    expect(settings).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test("keeps valid values over the fallback", () => {
+    const fallback = { ...DEFAULT_SETTINGS, theme: "dark" };
+    const settings = parseSettings(
+      {
+        locale: "id-ID",
+        weekStart: 0,
+        monthStartDay: 25,
+        defaultWalletId: "w1",
+      },
+      fallback,
+    );
+
+    expect(settings).toEqual({
+      ...fallback,
+      locale: "id-ID",
+      weekStart: 0,
+      monthStartDay: 25,
+      defaultWalletId: "w1",
+    });
+  });
+});
+
+describe("validateSettings", () => {
+  test("accepts the defaults and the browser's locale", () => {
+    expect(validateSettings(DEFAULT_SETTINGS)).toEqual({});
+  });
+
+  test("reports each invalid field", () => {
+    const errors = validateSettings({
+      ...DEFAULT_SETTINGS,
+      baseCurrency: "usd",
+      monthStartDay: 0,
+    });
+
+    expect(Object.keys(errors).sort()).toEqual([
+      "baseCurrency",
+      "monthStartDay",
+    ]);
+  });
+});
+
+describe("financial months", () => {
+  test("calendar months when they start on the 1st", () => {
+    expect(financialMonthOf("2025-03-01", 1)).toBe("2025-03");
+    expect(financialMonthRange("2025-02", 1)).toEqual({
+      from: "2025-02-01",
+      to: "2025-02-28",
+    });
+  });
+
+  test("days before the start day belong to the previous month", () => {
+    expect(financialMonthOf("2025-03-24", 25)).toBe("2025-02");
+    expect(financialMonthOf("2025-03-25", 25)).toBe("2025-03");
+    expect(financialMonthOf("2025-01-10", 25)).toBe("2024-12");
+  });
+
+  test("run up to the day before the next start", () => {
+    expect(financialMonthRange("2024-12", 25)).toEqual({
+      from: "2024-12-25",
+      to: "2025-01-24",
+    });
+  });
+});
+
+describe("device sessions", () => {
+  test("names the browser and the system", () => {
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0",
+      ),
+    ).toBe("Edge on Windows");
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+      ),
+    ).toBe("Safari on iOS");
+    expect(describeDevice("curl/8.5.0")).toBe("Unknown device");
+  });
+
+  test("lists this device first, then the most recent", () => {
+    const session = (id, lastSeenAt, current = false) => ({
+      id,
+      userAgent: "",
+      createdAt: lastSeenAt,
+      lastSeenAt,
+      current,
+    });
+    const sorted = sortSessions([
+      session("old", "2025-03-01T08:00:00Z"),
+      session("here", "2025-03-02T08:00:00Z", true),
+      session("recent", "2025-03-09T08:00:00Z"),
+    ]);
+
+    expect(sorted.map((item) => item.id)).toEqual(["here", "recent", "old"]);
+  });
+});
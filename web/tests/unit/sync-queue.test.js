@@ -0,0 +1,183 @@
+/**
+ * Offline changes to shared wallets waiting for the API
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  keepLocal,
+  mergeOperation,
+  operationId,
+  pendingOperations,
+  remoteVersion,
+  settleOperation,
+} from "../../src/lib/sync/queue";
+
+const CREATED = "2025-03-01T08:00:00.000Z";
+const EDITED = "2025-03-01T09:00:00.000Z";
+const REMOTE = "2025-03-01T10:00:00.000Z";
+
+function transaction(overrides = {}) {
+  return {
+    id: "tx-1",
+    type: "expense",
+    amount: 25000,
+    date: "2025-03-01",
+    category: "Food",
+    walletId: "wallet-1",
+    note: "Lunch",
+    tags: [],
+    createdAt: CREATED,
+    updatedAt: CREATED,
+    ...overrides,
+  };
+}
+
+function operation(overrides = {}) {
+  return {
+    id: operationId("household-1", "wallet-1", "tx-1"),
+    householdId: "household-1",
+    walletId: "wallet-1",
+    type: "put",
+    transaction: transaction(),
+    baseVersion: null,
+    queuedAt: CREATED,
+    ...overrides,
+  };
+}
+
+describe("remoteVersion", () => {
+  test("is when the API last saved the transaction", () => {
+    expect(remoteVersion(transaction({ updatedAt: REMOTE }))).toBe(REMOTE);
+  });
+
+  test("is when it was deleted, for tombstones", () => {
+    expect(remoteVersion(transaction({ deletedAt: REMOTE }))).toBe(REMOTE);
+  });
+});
+
+describe("mergeOperation", () => {
+  test("queues a change with nothing queued before it", () => {
+    const next = operation();
+    expect(mergeOperation(undefined, next)).toBe(next);
+  });
+
+  test("keeps the base and place in line of the first change", () => {
+    const queued = operation({ baseVersion: CREATED, queuedAt: CREATED });
+    const next = operation({
+      transaction: transaction({ amount: 30000, updatedAt: EDITED }),
+      baseVersion: EDITED,
+      queuedAt: EDITED,
+    });
+
+    expect(mergeOperation(queued, next)).toEqual({
+      ...next,
+      baseVersion: CREATED,
+      queuedAt: CREATED,
+    });
+  });
+
+  test("drops a transaction created and deleted while offline", () => {
+    const queued = operation({ baseVersion: null });
+    const next = operation({ type: "remove", baseVersion: CREATED });
+
+    expect(mergeOperation(queued, next)).toBeNull();
+  });
+
+  test("keeps a delete of a transaction that is being sent", () => {
+    const queued = operation({ baseVersion: null });
+    const next = operation({ type: "remove", baseVersion: CREATED });
+
+    expect(mergeOperation(queued, next, true)).toMatchObject({
+      type: "remove",
+      baseVersion: null,
+    });
+  });
+
+  test("turns an edit followed by a delete into a delete", () => {
+    const queued = operation({ baseVersion: CREATED });
+    const next = operation({
+      type: "remove",
+      baseVersion: EDITED,
+      queuedAt: EDITED,
+    });
+
+    expect(mergeOperation(queued, next)).toMatchObject({
+      type: "remove",
+      baseVersion: CREATED,
+    });
+  });
+});
+
+describe("settleOperation", () => {
+  test("forgets the change that was sent", () => {
+    const sent = operation();
+
+    expect(settleOperation({ ...sent }, sent)).toBeNull();
+    expect(settleOperation(undefined, sent)).toBeNull();
+  });
+
+  test("keeps a change made meanwhile, on top of the version sent", () => {
+    const sent = operation({ baseVersion: null });
+    const edited = operation({
+      transaction: transaction({ amount: 30000, updatedAt: EDITED }),
+    });
+    const deleted = operation({ type: "remove" });
+
+    expect(settleOperation(edited, sent)).toEqual({
+      ...edited,
+      baseVersion: CREATED,
+    });
+    expect(settleOperation(deleted, sent)).toMatchObject({
+      type: "remove",
+      baseVersion: CREATED,
+    });
+  });
+});
+
+describe("pendingOperations", () => {
+  test("sends the oldest first and holds back conflicts", () => {
+    const later = operation({ id: "b", queuedAt: EDITED });
+    const earlier = operation({ id: "a", queuedAt: CREATED });
+    const conflicted = operation({
+      id: "c",
+      conflict: { remote: null, message: "Refused", detectedAt: REMOTE },
+    });
+
+    expect(
+      pendingOperations([later, conflicted, earlier]).map((item) => item.id),
+    ).toEqual(["a", "b"]);
+  });
+});
+
+describe("keepLocal", () => {
+  test("sends the local version again on top of the API's copy", () => {
+    const conflicted = operation({
+      baseVersion: CREATED,
+      conflict: {
+        remote: transaction({ updatedAt: REMOTE }),
+        message: "Changed on another device",
+        detectedAt: REMOTE,
+      },
+    });
+
+    const retried = keepLocal(conflicted);
+    expect(retried.baseVersion).toBe(REMOTE);
+    expect(retried.conflict).toBeUndefined();
+  });
+
+  test("builds on the tombstone when the API's copy was deleted", () => {
+    const conflicted = operation({
+      baseVersion: CREATED,
+      conflict: {
+        remote: transaction({ deletedAt: REMOTE }),
+        message: "Changed on another device",
+        detectedAt: REMOTE,
+      },
+    });
+
+    expect(keepLocal(conflicted).baseVersion).toBe(REMOTE);
+  });
+});
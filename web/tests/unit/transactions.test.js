@@ -0,0 +1,200 @@
+/**
+ * Transaction validation, filtering and paging
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  paginateTransactions,
+  queryTransactions,
+  validateTransaction,
+} from "../../src/lib/stores/transactions";
+
+function makeInput(overrides = {}) {
+  return {
+    type: "expense",
+    amount: 50000,
+    date: "2025-03-05",
+    category: "Food",
+    walletId: "cash",
+    note: "",
+    tags: [],
+    ...overrides,
+  };
+}
+
+let nextId = 0;
+
+function makeTransaction(overrides = {}) {
+  nextId += 1;
+  return {
+    ...makeInput(),
+    id: `t${nextId}`,
+    createdAt: `2025-03-05T00:00:${String(nextId).padStart(2, "0")}.000Z`,
+    updatedAt: "2025-03-05T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+describe("validateTransaction", () => {
+  test("accepts a complete expense", () => {
+    expect(validateTransaction(makeInput())).toEqual({});
+  });
+
+  test("requires a whole amount greater than zero", () => {
+    expect(validateTransaction(makeInput({ amount: 0 })).amount).toBeDefined();
+    expect(validateTransaction(makeInput({ amount: -5 })).amount).toBeDefined();
+    expect(
+      validateTransaction(makeInput({ amount: 1.5 })).amount,
+    ).toBeDefined();
+    expect(validateTransaction(makeInput({ amount: 1 })).amount).toBe(
+      undefined,
+    );
+  });
+
+  test("requires a real date", () => {
+    expect(
+      validateTransaction(makeInput({ date: "2025-3-5" })).date,
+    ).toBeDefined();
+    expect(
+      validateTransaction(makeInput({ date: "2025-13-01" })).date,
+    ).toBeDefined();
+  });
+
+  test("requires a category except on transfers", () => {
+    expect(
+      validateTransaction(makeInput({ category: " " })).category,
+    ).toBeDefined();
+    expect(
+      validateTransaction(
+        makeInput({ type: "transfer", category: "", toWalletId: "bank" }),
+      ),
+    ).toEqual({});
+  });
+
+  test("sends transfers to another wallet", () => {
+    const transfer = makeInput({ type: "transfer", category: "Transfer" });
+
+    expect(validateTransaction(transfer).toWalletId).toBeDefined();
+    expect(
+      validateTransaction({ ...transfer, toWalletId: "cash" }).toWalletId,
+    ).toBe("Choose a different wallet");
+    expect(validateTransaction({ ...transfer, toWalletId: "bank" })).toEqual(
+      {},
+    );
+  });
+
+  test("requires a positive amount received on transfers that have one", () => {
+    const transfer = makeInput({
+      type: "transfer",
+      category: "Transfer",
+      toWalletId: "bank",
+      toAmount: 0,
+    });
+
+    expect(validateTransaction(transfer).toAmount).toBeDefined();
+  });
+});
+
+describe("queryTransactions", () => {
+  const items = [
+    makeTransaction({ id: "a", date: "2025-03-01", category: "Food" }),
+    makeTransaction({ id: "b", date: "2025-03-15", category: "Transport" }),
+    makeTransaction({ id: "c", date: "2025-03-31", category: "Food" }),
+    makeTransaction({ id: "d", date: "2025-04-01", category: "Food" }),
+    makeTransaction({
+      id: "e",
+      type: "transfer",
+      date: "2025-03-20",
+      category: "Transfer",
+      walletId: "bank",
+      toWalletId: "cash",
+      note: "Top up",
+    }),
+  ];
+  const ids = (result) => result.map((item) => item.id);
+
+  test("keeps dates within an inclusive range", () => {
+    expect(
+      ids(queryTransactions(items, { from: "2025-03-01", to: "2025-03-31" })),
+    ).toEqual(["c", "e", "b", "a"]);
+    expect(ids(queryTransactions(items, { from: "2025-03-31" }))).toEqual([
+      "d",
+      "c",
+    ]);
+  });
+
+  test("filters by category, type and either side of a wallet", () => {
+    expect(ids(queryTransactions(items, { category: "Food" }))).toEqual([
+      "d",
+      "c",
+      "a",
+    ]);
+    expect(ids(queryTransactions(items, { type: "transfer" }))).toEqual(["e"]);
+    expect(ids(queryTransactions(items, { walletId: "bank" }))).toEqual(["e"]);
+    expect(queryTransactions(items, { walletId: "cash" })).toHaveLength(5);
+  });
+
+  test("combines filters with a search through notes", () => {
+    expect(
+      ids(queryTransactions(items, { search: " top UP ", walletId: "cash" })),
+    ).toEqual(["e"]);
+    expect(
+      queryTransactions(items, { search: "top up", category: "Food" }),
+    ).toEqual([]);
+  });
+
+  test("sorts by the chosen key, oldest recorded first on ties", () => {
+    const sameDay = [
+      makeTransaction({ id: "late", amount: 100 }),
+      makeTransaction({ id: "early", amount: 100, createdAt: "2025-01-01" }),
+      makeTransaction({ id: "big", amount: 900 }),
+    ];
+
+    expect(
+      ids(
+        queryTransactions(sameDay, { sortKey: "amount", sortDirection: "asc" }),
+      ),
+    ).toEqual(["early", "late", "big"]);
+  });
+});
+
+describe("paginateTransactions", () => {
+  const items = Array.from({ length: 45 }, (_, index) =>
+    makeTransaction({ id: `p${index}` }),
+  );
+
+  test("splits results into pages of the given size", () => {
+    const page = paginateTransactions(items, 1, 20);
+
+    expect(page.pageCount).toBe(3);
+    expect(page.rows.map((item) => item.id)).toEqual(
+      items.slice(20, 40).map((item) => item.id),
+    );
+    expect([page.first, page.last]).toEqual([21, 40]);
+  });
+
+  test("keeps a short last page", () => {
+    const page = paginateTransactions(items, 2, 20);
+
+    expect(page.rows).toHaveLength(5);
+    expect([page.first, page.last]).toEqual([41, 45]);
+  });
+
+  test("clamps to the pages there are", () => {
+    expect(paginateTransactions(items, 7, 20).page).toBe(2);
+    expect(paginateTransactions(items, -1, 20).page).toBe(0);
+  });
+
+  test("has one empty page when nothing matches", () => {
+    expect(paginateTransactions([], 0, 20)).toEqual({
+      rows: [],
+      page: 0,
+      pageCount: 1,
+      first: 0,
+      last: 0,
+    });
+  });
+});
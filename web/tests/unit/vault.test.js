@@ -0,0 +1,92 @@
+/**
+ * Vault keys and sealed values
+ *
+ * Usage:
+ *   bun run test
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  createVault,
+  generateKey,
+  isSealedBox,
+  openVault,
+  seal,
+  unseal,
+  validatePassphrase,
+  WrongPassphraseError,
+} from "../../src/lib/vault/crypto";
+
+// Far below the default: the tests only check that the key round-trips
+const ITERATIONS = 1000;
+
+describe("seal", () => {
+  test("round-trips JSON values", async () => {
+    const key = await generateKey();
+    const value = { id: "t1", amount: 125000, tags: ["food"], note: null };
+
+    const box = await seal(key, value);
+
+    expect(isSealedBox(box)).toBe(true);
+    expect(box.data).not.toContain("food");
+    expect(await unseal(key, box)).toEqual(value);
+  });
+
+  test("uses a fresh IV for every value", async () => {
+    const key = await generateKey();
+    const first = await seal(key, "same");
+    const second = await seal(key, "same");
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  test("rejects another key and tampered data", async () => {
+    const box = await seal(await generateKey(), { secret: true });
+
+    await expect(unseal(await generateKey(), box)).rejects.toThrow();
+
+    const key = await generateKey();
+    const sealed = await seal(key, { secret: true });
+    const first = sealed.data[0] === "A" ? "B" : "A";
+    const tampered = { ...sealed, data: `${first}${sealed.data.slice(1)}` };
+    await expect(unseal(key, tampered)).rejects.toThrow();
+  });
+});
+
+describe("vault", () => {
+  test("opens with the passphrase it was created with", async () => {
+    const { header, key } = await createVault("correct horse", ITERATIONS);
+    const box = await seal(key, "wallets");
+
+    const opened = await openVault(header, "correct horse");
+
+    expect(header.iterations).toBe(ITERATIONS);
+    expect(await unseal(opened, box)).toBe("wallets");
+  });
+
+  test("refuses a wrong passphrase", async () => {
+    const { header } = await createVault("correct horse", ITERATIONS);
+
+    await expect(openVault(header, "wrong horse")).rejects.toBeInstanceOf(
+      WrongPassphraseError,
+    );
+  });
+
+  test("derives a different key for each new vault", async () => {
+    const first = await createVault("correct horse", ITERATIONS);
+    const second = await createVault("correct horse", ITERATIONS);
+    const box = await seal(first.key, "budgets");
+
+    expect(first.header.salt).not.toBe(second.header.salt);
+    await expect(unseal(second.key, box)).rejects.toThrow();
+  });
+});
+
+describe("validatePassphrase", () => {
+  test("asks for a minimum length", () => {
+    expect(validatePassphrase("short")).not.toBeNull();
+    expect(validatePassphrase("        ")).not.toBeNull();
+    expect(validatePassphrase("long enough")).toBeNull();
+  });
+});